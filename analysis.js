@@ -0,0 +1,144 @@
+import { HingeKinematics } from './kinematics.js';
+import { HingeTypes } from './hinge_types.js';
+
+/**
+ * HingeAnalyzer - Force transmission analysis of the linkage across its opening.
+ * For each sampled input angle it computes the transmission angle between the
+ * coupler BC and the output link DC (for a six-bar, the link pinned to the lid at C), the
+ * lid rotation, and the mechanical advantage (lid torque per unit input torque, from the
+ * ratio of input to lid rotation rates).
+ * No UI or rendering logic is included.
+ */
+
+export class HingeAnalyzer {
+    static defaultThresholds() {
+        return {
+            warnTransmission: 40, // degrees; below this the linkage feels heavy
+            failTransmission: 20  // degrees; below this the linkage binds (dead zone)
+        };
+    }
+
+    // Angle at vertex between rays vertex->p and vertex->q, in degrees [0, 180]
+    static angleAt(vertex, p, q) {
+        const a1 = Math.atan2(p.y - vertex.y, p.x - vertex.x);
+        const a2 = Math.atan2(q.y - vertex.y, q.x - vertex.x);
+        let diff = Math.abs(a1 - a2) % (2 * Math.PI);
+        if (diff > Math.PI) diff = 2 * Math.PI - diff;
+        return diff * 180 / Math.PI;
+    }
+
+    // Joints [vertex, p, q] of the transmission angle, or null for a single pivot
+    static getTransmissionJoints(hingeType) {
+        if (HingeTypes.isFourBar(hingeType)) return ['C', 'B', 'D'];
+        const linkage = HingeTypes.get(hingeType).linkage;
+        if (!linkage) return null;
+        const link = Object.entries(linkage.bodies).find(([body, names]) => body !== linkage.output && names.includes('C'))[1];
+        return ['C', 'B', link.find(name => name !== 'C')];
+    }
+
+    /**
+     * Samples the designer's motion and evaluates transmission quality.
+     * @param {DesignerUI} designer - Provides the kinematic configuration and angle limits.
+     * @param {Object} thresholds - { warnTransmission, failTransmission } in degrees.
+     * @param {number} sampleCount - Number of intervals across the angle limits.
+     * @returns {Object} - { samples, minTransmission, toggles, deadZones, status, messages }
+     */
+    static analyze(designer, thresholds = HingeAnalyzer.defaultThresholds(), sampleCount = 120) {
+        return HingeAnalyzer.analyzeConfig(designer.getKinematicConfig(), designer.angleLimits, thresholds, sampleCount);
+    }
+
+    /**
+     * Same analysis for a HingeKinematics configuration, without a designer (e.g. from Node).
+     * @param {Object} config - Hinge configuration.
+     * @param {Object} limits - { min, max } input angles; defaults to HingeKinematics.findAngleLimits.
+     */
+    static analyzeConfig(config, limits = null, thresholds = HingeAnalyzer.defaultThresholds(), sampleCount = 120) {
+        // A single-pivot lid is turned directly about its pin, so it transmits like an ideal joint
+        const joints = HingeAnalyzer.getTransmissionJoints(config.hingeType);
+        const samples = HingeKinematics.sweep(config, sampleCount, limits).map(({ inputAngle, pose, lidAngle }) => ({
+            inputAngle,
+            lidAngle,
+            transmissionAngle: joints ? HingeAnalyzer.angleAt(...joints.map(name => pose[name])) : 90,
+            state: pose
+        }));
+
+        // Mechanical advantage from central differences of lid rotation vs input angle
+        for (let i = 0; i < samples.length; i++) {
+            const prev = samples[Math.max(0, i - 1)];
+            const next = samples[Math.min(samples.length - 1, i + 1)];
+            const dInput = next.inputAngle - prev.inputAngle;
+            const dLid = next.lidAngle - prev.lidAngle;
+            samples[i].lidRate = dInput === 0 ? 0 : dLid / dInput;
+            samples[i].mechanicalAdvantage = Math.abs(samples[i].lidRate) < 1e-9 ? Infinity : Math.abs(1 / samples[i].lidRate);
+        }
+
+        return HingeAnalyzer.summarize(samples, thresholds);
+    }
+
+    static summarize(samples, thresholds) {
+        const effective = (mu) => Math.min(mu, 180 - mu); // distance from a dead point
+        const messages = [];
+        let minTransmission = null;
+        const toggles = [];
+        const deadZones = [];
+        let zone = null;
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = samples[i];
+            const mu = effective(sample.transmissionAngle);
+            if (!minTransmission || mu < minTransmission.value) {
+                minTransmission = { value: mu, inputAngle: sample.inputAngle, lidAngle: sample.lidAngle };
+            }
+
+            // Toggle point: the lid momentarily stops and reverses relative to the input
+            if (i > 0 && Math.sign(sample.lidRate) !== Math.sign(samples[i - 1].lidRate) && sample.lidRate !== 0) {
+                toggles.push({ inputAngle: sample.inputAngle, lidAngle: sample.lidAngle });
+            }
+
+            if (mu < thresholds.failTransmission) {
+                if (!zone) zone = { from: sample.inputAngle, to: sample.inputAngle };
+                zone.to = sample.inputAngle;
+            } else if (zone) {
+                deadZones.push(zone);
+                zone = null;
+            }
+        }
+        if (zone) deadZones.push(zone);
+
+        let status = 'pass';
+        if (samples.length < 2) {
+            status = 'warn';
+            messages.push('Linkage cannot move; nothing to analyze.');
+        }
+        if (minTransmission && minTransmission.value < thresholds.failTransmission) {
+            status = 'fail';
+            messages.push(`Transmission angle drops to ${minTransmission.value.toFixed(1)}° (fail below ${thresholds.failTransmission}°).`);
+        } else if (minTransmission && minTransmission.value < thresholds.warnTransmission) {
+            status = 'warn';
+            messages.push(`Transmission angle drops to ${minTransmission.value.toFixed(1)}° (warn below ${thresholds.warnTransmission}°).`);
+        }
+        if (toggles.length > 0 && status === 'pass') {
+            status = 'warn';
+        }
+
+        const lidAngles = samples.map(s => s.lidAngle);
+        const lidRange = samples.length > 0
+            ? { min: Math.min(...lidAngles), max: Math.max(...lidAngles) }
+            : { min: 0, max: 0 };
+        const finiteMA = samples.map(s => s.mechanicalAdvantage).filter(Number.isFinite);
+
+        return {
+            samples,
+            minTransmission,
+            toggles,
+            deadZones,
+            lidRange,
+            mechanicalAdvantage: finiteMA.length > 0
+                ? { min: Math.min(...finiteMA), max: Math.max(...finiteMA) }
+                : null,
+            thresholds: { ...thresholds },
+            status,
+            messages
+        };
+    }
+}
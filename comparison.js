@@ -0,0 +1,122 @@
+import { FourBarLinkageCalculator } from './simulator.js';
+import { HingeKinematics, DEFAULT_CANVAS } from './kinematics.js';
+import { HingeAnalyzer } from './analysis.js';
+
+/**
+ * HingeComparison - Evaluates several hinge designs side by side.
+ * Each design is reduced to its link lengths, lid opening, minimum transmission angle,
+ * swept footprint and the paths of the lid's bottom corners, and can be posed at a
+ * common lid opening so designs are compared at equal lid rotation rather than equal
+ * input angle.
+ * No UI or rendering logic is included.
+ */
+
+// Overlay colors, assigned in order and reused after the last one
+export const COMPARISON_COLORS = ['#1f77b4', '#d62728', '#2ca02c', '#9467bd', '#ff7f0e', '#17becf', '#8c564b', '#e377c2'];
+
+export class HingeComparison {
+    /**
+     * Prepares one design for comparison.
+     * @param {Object} config - DesignerUI configuration ({ hingeType, boxDimensions, pivots, hingeUnlocked, profiles }), e.g. ConfigSchema.load().config.
+     * @param {Object} canvasSize - Canvas the world pivots belong to.
+     * @returns {Object|null} - { kinematic, limits, metrics, cornerPaths }, or null when the design has no valid closed pose.
+     */
+    static evaluate(config, canvasSize = DEFAULT_CANVAS) {
+        if (!config || !config.pivots || !config.boxDimensions) return null;
+        const kinematic = HingeKinematics.createConfig({
+            boxDimensions: config.boxDimensions,
+            pivots: config.pivots,
+            hingeUnlocked: !!config.hingeUnlocked,
+            hingeType: config.hingeType,
+            canvasSize,
+            profiles: config.profiles || null
+        });
+        if (!HingeKinematics.isValidDesign(kinematic)) return null;
+
+        const limits = HingeKinematics.findAngleLimits(kinematic);
+        // Same sampling density as DesignerUI.drawBottomLeftCornerPath
+        const { min, max } = limits.angleLimits;
+        const degSpan = Math.abs((max - min) * 180 / Math.PI);
+        const sweep = HingeKinematics.sweep(kinematic, Math.max(120, Math.min(720, Math.round(degSpan * 3))), limits.angleLimits);
+        const analysis = HingeAnalyzer.analyzeConfig(kinematic, limits.angleLimits);
+
+        return {
+            kinematic,
+            limits,
+            metrics: HingeComparison.getMetrics(kinematic, limits, sweep, analysis),
+            cornerPaths: HingeComparison.getCornerPaths(kinematic, sweep)
+        };
+    }
+
+    /**
+     * @returns {Object} - { links: { AB, BC, CD, AD }, openingDeg, minTransmission, footprint: { bounds, width, height, area } }
+     *   with lengths in mm, angles in degrees and minTransmission null when the linkage cannot move.
+     */
+    static getMetrics(kinematic, limits, sweep, analysis) {
+        const { A, B, C, D } = kinematic.pivots;
+        const distance = FourBarLinkageCalculator.distance;
+
+        // Footprint: the base plus every lid position over the opening, as in HingeOptimizer
+        const base = kinematic.base;
+        let bounds = { minX: base.minX, minY: base.minY, maxX: base.maxX, maxY: base.maxY };
+        const closedCorners = HingeKinematics.getLidOutline(kinematic, kinematic.lid);
+        const sweptCorners = sweep.map(sample => HingeKinematics.getLidOutline(kinematic, sample.lidPose));
+        for (const p of [closedCorners, ...sweptCorners].flat()) {
+            bounds = {
+                minX: Math.min(bounds.minX, p.x), minY: Math.min(bounds.minY, p.y),
+                maxX: Math.max(bounds.maxX, p.x), maxY: Math.max(bounds.maxY, p.y)
+            };
+        }
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+
+        return {
+            links: { AB: distance(A, B), BC: distance(B, C), CD: distance(C, D), AD: distance(A, D) },
+            openingDeg: Math.abs(limits.lidAngleLimits.max) * 180 / Math.PI,
+            minTransmission: analysis.samples.length > 1 && analysis.minTransmission ? analysis.minTransmission.value : null,
+            footprint: { bounds, width, height, area: width * height }
+        };
+    }
+
+    // Bottom-left and bottom-right lid corners over the sweep (see HingeKinematics.getLidTracePoints)
+    static getCornerPaths(kinematic, sweep) {
+        const trace = HingeKinematics.getLidTracePoints(kinematic);
+        const local = {
+            left: HingeKinematics.worldToLid(kinematic.lid, trace.left),
+            right: HingeKinematics.worldToLid(kinematic.lid, trace.right)
+        };
+        const left = [];
+        const right = [];
+        for (const sample of sweep) {
+            right.push(HingeKinematics.lidToWorld(sample.lidPose, local.right));
+            left.push(HingeKinematics.lidToWorld(sample.lidPose, local.left));
+        }
+        return { left, right };
+    }
+
+    /**
+     * Poses a design at a lid opening, clamped to the opening the design reaches.
+     * @param {Object} design - Result of evaluate().
+     * @param {number} opening - Lid rotation from closed in radians, unsigned.
+     * @param {Object|null} anchor - Previous C of this design for branch continuity.
+     * @returns {Object|null} - { pose, lidPose, lidAngle, atLimit }, or null when no assembly reaches it.
+     */
+    static poseAtOpening(design, opening, anchor = null) {
+        const max = design.limits.lidAngleLimits.max;
+        const atLimit = Math.abs(opening) >= Math.abs(max);
+        const lidAngle = Math.sign(max) * Math.min(Math.abs(opening), Math.abs(max));
+        const pose = HingeKinematics.solveLidPose(design.kinematic, lidAngle, anchor);
+        if (!pose) return null;
+        return { pose, lidPose: HingeKinematics.getLidPose(design.kinematic, pose), lidAngle, atLimit };
+    }
+
+    // Widest lid rotation among the designs, signed like lidAngleLimits (0 without designs)
+    static getOpeningLimit(designs) {
+        let extreme = 0;
+        for (const design of designs) {
+            const max = design.limits.lidAngleLimits.max;
+            if (Math.abs(max) > Math.abs(extreme)) extreme = max;
+        }
+        return extreme;
+    }
+}
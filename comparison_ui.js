@@ -0,0 +1,243 @@
+import { DesignerUI } from './designer.js';
+import { HingeKinematics } from './kinematics.js';
+import { HingeComparison, COMPARISON_COLORS } from './comparison.js';
+import { HingeTypes } from './hinge_types.js';
+
+/**
+ * ComparisonView - Comparison mode: overlays several designs on one canvas.
+ * The current design (this DesignerUI's own state) is the first entry and supplies the
+ * drawn base; the host supplies the designs it is compared with (library entries or
+ * files). Every design shows its lid corner paths and its lid at the same lid opening,
+ * in its own color. Read-only.
+ */
+export class ComparisonView extends DesignerUI {
+    constructor(canvas, onStateChange = () => {}, onComparisonChange = () => {}) {
+        super(canvas, onStateChange);
+        this.onComparisonChange = onComparisonChange;
+        this.designs = []; // [{ name, color, isCurrent, index, evaluation, anchor, state }], current design first
+        this.opening = 0; // shared lid rotation from closed (radians, unsigned)
+        console.log("ComparisonView (Comparison Mode) Initialized");
+    }
+
+    // Load the current design (DesignerUI.getConfiguration() or an imported file)
+    loadConfiguration(config) {
+        if (config.boxDimensions) {
+            this.boxDimensions = { ...this.boxDimensions, ...config.boxDimensions };
+        }
+        this.reset();
+        if (config.pivots) {
+            this.setConfiguration(config);
+        }
+        this.animateLidAngle(0);
+    }
+
+    /**
+     * Replaces the designs compared with the current one.
+     * @param {Array} designs - [{ name, config }] with config a DesignerUI configuration in this canvas's world coordinates.
+     * @returns {Array<string>} - Names of designs left out because they have no valid closed pose.
+     */
+    setComparedDesigns(designs) {
+        const current = this.designs.filter(design => design.isCurrent);
+        const skipped = [];
+        this.designs = current;
+        designs.forEach(({ name, config }, index) => {
+            const evaluation = HingeComparison.evaluate(config, this.canvas);
+            if (!evaluation) {
+                console.warn(`[ComparisonView] "${name}" has no valid closed pose; not compared`);
+                skipped.push(name);
+                return;
+            }
+            this.designs.push(this.createDesign(name, evaluation, index + 1));
+        });
+        this.updateComparisonLimits();
+        this.animateLidAngle(Math.min(this.opening, Math.abs(this.lidAngleLimits.max)));
+        return skipped;
+    }
+
+    // Colors follow the position in the list; the current design always takes the first
+    createDesign(name, evaluation, colorIndex) {
+        return {
+            name,
+            color: COMPARISON_COLORS[colorIndex % COMPARISON_COLORS.length],
+            isCurrent: colorIndex === 0,
+            index: colorIndex - 1, // position in setComparedDesigns, -1 for the current design
+            evaluation,
+            anchor: null,
+            state: null
+        };
+    }
+
+    // Re-evaluates the current design after any change to it
+    refreshCurrentDesign() {
+        const others = this.designs.filter(design => !design.isCurrent);
+        const evaluation = HingeComparison.evaluate({ ...this.getConfiguration(), hingeUnlocked: this.hingeUnlocked }, this.canvas);
+        this.designs = others;
+        if (evaluation) {
+            const current = this.createDesign('Current design', evaluation, 0);
+            this.designs.unshift(current);
+            this.poseDesign(current);
+        }
+        this.updateComparisonLimits();
+    }
+
+    // The slider spans the widest opening; narrower designs stop at their own limit
+    updateComparisonLimits() {
+        this.lidAngleLimits = {
+            min: 0,
+            max: HingeComparison.getOpeningLimit(this.designs.map(design => design.evaluation))
+        };
+    }
+
+    calculateAngleLimits() {
+        super.calculateAngleLimits();
+        this.refreshCurrentDesign();
+    }
+
+    // Read-only view: no pivot dragging and no synthesis editing; touch drags pan the view
+    handleMouseDown() {}
+    isGrabbable() { return false; }
+    setSynthesisMode() {}
+
+    // Poses every design at the same lid opening (the sign of lidAngle is ignored)
+    animateLidAngle(lidAngle) {
+        this.editMode = false;
+        this.opening = Math.abs(lidAngle);
+        let posed = this.designs.length > 0;
+        for (const design of this.designs) {
+            if (!this.poseDesign(design)) posed = false;
+        }
+        this.render();
+        this.notifyComparison();
+        return posed;
+    }
+
+    poseDesign(design) {
+        const state = HingeComparison.poseAtOpening(design.evaluation, this.opening, design.anchor);
+        if (state) {
+            design.anchor = state.pose.C;
+            design.state = state;
+        }
+        return state;
+    }
+
+    // Fit to the footprints of all designs
+    computeMotionBounds() {
+        if (this.designs.length === 0) return super.computeMotionBounds();
+        const all = this.designs.map(design => design.evaluation.metrics.footprint.bounds);
+        return {
+            minX: Math.min(...all.map(b => b.minX)),
+            minY: Math.min(...all.map(b => b.minY)),
+            maxX: Math.max(...all.map(b => b.maxX)),
+            maxY: Math.max(...all.map(b => b.maxY))
+        };
+    }
+
+    render() {
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.save();
+        this.ctx.setTransform(this.view.scale, 0, 0, this.view.scale, this.view.offsetX, this.view.offsetY);
+
+        this.drawBoxBase(this.ctx, this.getBaseRect());
+        // Bases of other sizes or outlines are outlined in their design's color
+        const ownBase = this.getBaseRect();
+        const ownProfile = JSON.stringify(this.profiles.base);
+        for (const design of this.designs) {
+            const { base, profiles } = design.evaluation.kinematic;
+            if (['minX', 'minY', 'maxX', 'maxY'].every(key => Math.abs(base[key] - ownBase[key]) < 1e-6) &&
+                JSON.stringify(profiles ? profiles.base : null) === ownProfile) continue;
+            this.ctx.save();
+            this.ctx.strokeStyle = design.color;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.lineWidth = 1;
+            this.tracePolygon(this.ctx, HingeKinematics.getBasePolygon(design.evaluation.kinematic));
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+
+        for (const design of this.designs) {
+            const { left, right } = design.evaluation.cornerPaths;
+            this.drawSmoothPath(left, design.color);
+            this.drawSmoothPath(right, design.color);
+        }
+        for (const design of this.designs) {
+            if (design.state) this.drawComparedDesign(design);
+        }
+        this.drawLegend();
+        this.ctx.restore();
+    }
+
+    drawComparedDesign(design) {
+        const ctx = this.ctx;
+        const { kinematic } = design.evaluation;
+        const { pose, lidPose } = design.state;
+        const outline = HingeKinematics.getLidOutline(kinematic, lidPose);
+
+        ctx.save();
+        this.tracePolygon(ctx, outline);
+        ctx.globalAlpha = 0.15;
+        ctx.fillStyle = design.color;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = design.color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Links AB and DC (a six-bar's moving links) with their pivots; a single-pivot hinge shows its pin only
+        const links = HingeTypes.getLinks(kinematic.hingeType);
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        for (const names of links) {
+            ctx.beginPath();
+            names.forEach((name, i) => (i === 0 ? ctx.moveTo(pose[name].x, pose[name].y) : ctx.lineTo(pose[name].x, pose[name].y)));
+            if (names.length > 2) ctx.closePath();
+            ctx.stroke();
+        }
+        ctx.fillStyle = design.color;
+        const pivots = HingeTypes.isSinglePivot(kinematic.hingeType) ? ['A'] : HingeTypes.getPivotNames(kinematic.hingeType);
+        for (const p of pivots.map(name => pose[name])) {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    // Color key in the top-left corner of the canvas, independent of the view transform
+    drawLegend() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.font = '13px sans-serif';
+        ctx.textBaseline = 'middle';
+        this.designs.forEach((design, i) => {
+            const y = 20 + i * 20;
+            ctx.fillStyle = design.color;
+            ctx.fillRect(12, y - 6, 12, 12);
+            ctx.fillStyle = '#333';
+            ctx.fillText(design.state && design.state.atLimit && this.opening > 0 ? `${design.name} (fully open)` : design.name, 30, y);
+        });
+        ctx.restore();
+    }
+
+    notifyComparison() {
+        this.onComparisonChange({
+            opening: this.opening,
+            designs: this.designs.map(design => ({
+                name: design.name,
+                isCurrent: design.isCurrent,
+                index: design.index,
+                color: design.color,
+                metrics: design.evaluation.metrics,
+                lidAngle: design.state ? design.state.lidAngle : null,
+                atLimit: design.state ? design.state.atLimit : false
+            }))
+        });
+    }
+
+    destroy() {
+        super.destroy();
+        console.log("ComparisonView Destroyed");
+    }
+}
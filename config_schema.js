@@ -0,0 +1,316 @@
+import { HingeKinematics, DEFAULT_CANVAS } from './kinematics.js';
+import { LINK_LAYERS } from './interference.js';
+import { HingeTypes, DEFAULT_HINGE_TYPE } from './hinge_types.js';
+import { BoxProfiles } from './profiles.js';
+
+/**
+ * ConfigSchema - Versioned hinge-config file format: validation, migration and the
+ * conversion between world pivots and box-relative millimeters.
+ *
+ * Version 4.0: {
+ *   version: "4.0",
+ *   boxWidth, baseHeight, lidHeight, lidGap: number   box dimensions in mm
+ *   wallThickness: number                            optional, mm
+ *   hingeType: string                                optional, see HingeTypes; files without it are crossed
+ *   hingeUnlocked: boolean                           optional, false keeps the crossed assembly
+ *   pivots: { A, B, C, D }                           box-relative mm, see toBoxRelative; a
+ *                                                    single-pivot hinge stores its pin in A,
+ *                                                    six-bars add E, F and G
+ *   links: { AB, DC }                                optional { barWidth, pinDiameter, layer }
+ *   profiles: { base, lid }                          optional BoxProfiles outlines [{ x, y, bulge }] in
+ *                                                    the pivots' box-relative mm; null or missing
+ *                                                    is the plain rectangle
+ *   exportDate: string                               optional
+ * }
+ * Version 3.0 had the same layout for crossed four-bars only: hingeType, the six-bar pivots
+ * and profiles came with 4.0, so a 3.0 reader rejects these files as an unsupported version
+ * instead of loading them as a crossed rectangle. 3.0 files load unchanged.
+ * Versions 1.x (unversioned) and 2.0 stored pivots in absolute world coordinates of the
+ * browser canvas; they are migrated by assuming the canvas they were exported from.
+ * No UI or rendering logic is included.
+ */
+
+export const CONFIG_VERSION = '4.0';
+
+const BOX_FIELDS = ['boxWidth', 'baseHeight', 'lidHeight', 'lidGap'];
+const PIVOT_NAMES = ['A', 'B', 'C', 'D'];
+const LID_PIVOTS = ['B', 'C'];
+const LINK_NAMES = ['AB', 'DC'];
+const PANELS = ['base', 'lid'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const describe = (value) => value === undefined ? 'nothing' : JSON.stringify(value);
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+export class ConfigSchema {
+    /**
+     * Pivots relative to the box, in mm: x from the box's left edge for all of them;
+     * B and C measured up from the lid bottom, A, D and the other six-bar joints down from
+     * the base top (so holes inside their panel have 0 <= y <= panel height).
+     * @param {Object} pivots - { A, B, C, D, ... } in world coordinates.
+     * @param {Object} boxDimensions - { width, baseHeight, lidHeight, lidGap }.
+     * @param {Object} canvasSize - { width, height } the world is laid out in.
+     * @returns {Object} - The same pivots box-relative.
+     */
+    static toBoxRelative(pivots, boxDimensions, canvasSize = DEFAULT_CANVAS) {
+        const base = HingeKinematics.getBaseRect(boxDimensions, canvasSize);
+        const lidBottom = base.minY - boxDimensions.lidGap;
+        const relative = {};
+        for (const [name, p] of Object.entries(pivots)) {
+            relative[name] = {
+                x: p.x - base.minX,
+                y: LID_PIVOTS.includes(name) ? lidBottom - p.y : p.y - base.minY
+            };
+        }
+        return relative;
+    }
+
+    // Inverse of toBoxRelative
+    static toWorld(relativePivots, boxDimensions, canvasSize = DEFAULT_CANVAS) {
+        const base = HingeKinematics.getBaseRect(boxDimensions, canvasSize);
+        const lidBottom = base.minY - boxDimensions.lidGap;
+        const pivots = {};
+        for (const [name, p] of Object.entries(relativePivots)) {
+            pivots[name] = {
+                x: base.minX + p.x,
+                y: LID_PIVOTS.includes(name) ? lidBottom - p.y : base.minY + p.y
+            };
+        }
+        return pivots;
+    }
+
+    /**
+     * Builds a current version file from a DesignerUI configuration.
+     * @param {Object} config - DesignerUI.getConfiguration() or getDesignSnapshot(): { hingeType, boxDimensions, pivots, links, wallThickness, hingeUnlocked, profiles }.
+     * @param {Object} canvasSize - Canvas the world pivots belong to.
+     * @returns {Object} - JSON-ready file contents.
+     */
+    static serialize(config, canvasSize = DEFAULT_CANVAS) {
+        const box = config.boxDimensions;
+        const file = {
+            version: CONFIG_VERSION,
+            boxWidth: box.width,
+            baseHeight: box.baseHeight,
+            lidHeight: box.lidHeight,
+            lidGap: box.lidGap,
+            wallThickness: config.wallThickness,
+            hingeType: config.hingeType,
+            pivots: null,
+            links: config.links || null,
+            exportDate: new Date().toISOString()
+        };
+        if (typeof config.hingeUnlocked === 'boolean') {
+            file.hingeUnlocked = config.hingeUnlocked;
+        }
+        // Rectangular boxes keep the file as it was before profiles
+        if (config.profiles && PANELS.some(panel => config.profiles[panel])) {
+            file.profiles = {};
+            for (const panel of PANELS) {
+                const outline = config.profiles[panel];
+                file.profiles[panel] = outline
+                    ? outline.map(p => (p.bulge ? { x: round(p.x), y: round(p.y), bulge: round(p.bulge) } : { x: round(p.x), y: round(p.y) }))
+                    : null;
+            }
+        }
+        if (config.pivots) {
+            const relative = ConfigSchema.toBoxRelative(config.pivots, box, canvasSize);
+            file.pivots = {};
+            for (const name of Object.keys(relative)) {
+                file.pivots[name] = { x: round(relative[name].x), y: round(relative[name].y) };
+            }
+        }
+        return file;
+    }
+
+    // "2.0" -> 2, unversioned files are the original 1.x format
+    static getMajorVersion(json) {
+        if (json.version === undefined) return 1;
+        const major = parseInt(String(json.version), 10);
+        return Number.isNaN(major) ? null : major;
+    }
+
+    /**
+     * Checks every field of a file and reports each problem with its path.
+     * Pivots are only structurally checked; whether they sit inside their panels is a
+     * design question answered by HingeKinematics.isValidDesign.
+     * @param {Object} json - Parsed file contents, any version.
+     * @returns {Array} - [{ path, message }], empty when the file is usable.
+     */
+    static validate(json) {
+        const errors = [];
+        const fail = (path, message) => errors.push({ path, message });
+
+        if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+            fail('', `expected a configuration object, got ${describe(json)}`);
+            return errors;
+        }
+
+        const major = ConfigSchema.getMajorVersion(json);
+        if (major === null || major > parseInt(CONFIG_VERSION, 10)) {
+            fail('version', `unsupported version ${describe(json.version)} (newest supported is ${CONFIG_VERSION})`);
+            return errors;
+        }
+
+        for (const field of BOX_FIELDS) {
+            const value = json[field];
+            // The gap may be closed completely, every other dimension needs material
+            const ok = isNumber(value) && (field === 'lidGap' ? value >= 0 : value > 0);
+            if (!ok) {
+                fail(field, `expected a ${field === 'lidGap' ? 'non-negative' : 'positive'} number of mm, got ${describe(value)}`);
+            }
+        }
+
+        if (json.wallThickness !== undefined && !(isNumber(json.wallThickness) && json.wallThickness >= 0)) {
+            fail('wallThickness', `expected a non-negative number of mm, got ${describe(json.wallThickness)}`);
+        }
+
+        if (json.hingeType !== undefined && !HingeTypes.isKnown(json.hingeType)) {
+            fail('hingeType', `expected one of ${HingeTypes.list().map(type => type.id).join(', ')}, got ${describe(json.hingeType)}`);
+        }
+
+        if (json.hingeUnlocked !== undefined && typeof json.hingeUnlocked !== 'boolean') {
+            fail('hingeUnlocked', `expected true or false, got ${describe(json.hingeUnlocked)}`);
+        }
+
+        // Six-bars need their extra joints too
+        const pivotNames = HingeTypes.isKnown(json.hingeType) ? HingeTypes.getPivotNames(json.hingeType) : PIVOT_NAMES;
+        if (json.pivots === undefined || json.pivots === null) {
+            // Older exports wrote null before the designer had placed its pivots
+            if (major >= 3) fail('pivots', `missing: expected ${pivotNames.join(', ')}`);
+        } else if (typeof json.pivots !== 'object') {
+            fail('pivots', `expected an object with ${pivotNames.join(', ')}, got ${describe(json.pivots)}`);
+        } else {
+            for (const name of pivotNames) {
+                const pivot = json.pivots[name];
+                if (!pivot || typeof pivot !== 'object') {
+                    fail(`pivots.${name}`, `expected { x, y }, got ${describe(pivot)}`);
+                    continue;
+                }
+                for (const axis of ['x', 'y']) {
+                    if (!isNumber(pivot[axis])) {
+                        fail(`pivots.${name}.${axis}`, `expected a number, got ${describe(pivot[axis])}`);
+                    }
+                }
+            }
+        }
+
+        if (json.links !== undefined && json.links !== null) {
+            if (typeof json.links !== 'object') {
+                fail('links', `expected an object with AB and DC, got ${describe(json.links)}`);
+            } else {
+                for (const name of LINK_NAMES) {
+                    const link = json.links[name];
+                    if (link === undefined) continue;
+                    if (!link || typeof link !== 'object') {
+                        fail(`links.${name}`, `expected { barWidth, pinDiameter, layer }, got ${describe(link)}`);
+                        continue;
+                    }
+                    if (link.barWidth !== undefined && !(isNumber(link.barWidth) && link.barWidth > 0)) {
+                        fail(`links.${name}.barWidth`, `expected a positive number of mm, got ${describe(link.barWidth)}`);
+                    }
+                    // The pin Ø input goes down to 0, the bar width input to 1
+                    if (link.pinDiameter !== undefined && !(isNumber(link.pinDiameter) && link.pinDiameter >= 0)) {
+                        fail(`links.${name}.pinDiameter`, `expected a non-negative number of mm, got ${describe(link.pinDiameter)}`);
+                    }
+                    if (link.layer !== undefined && !LINK_LAYERS.includes(link.layer)) {
+                        fail(`links.${name}.layer`, `expected one of ${LINK_LAYERS.join(', ')}, got ${describe(link.layer)}`);
+                    }
+                }
+            }
+        }
+
+        if (json.profiles !== undefined && json.profiles !== null) {
+            if (typeof json.profiles !== 'object' || Array.isArray(json.profiles)) {
+                fail('profiles', `expected an object with base and lid, got ${describe(json.profiles)}`);
+            } else {
+                for (const panel of PANELS) {
+                    const outline = json.profiles[panel];
+                    if (outline === undefined || outline === null) continue;
+                    for (const message of BoxProfiles.validate(outline)) fail(`profiles.${panel}`, message);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Brings a valid file of any supported version to the current version.
+     * @param {Object} json - Parsed file contents that passed validate().
+     * @param {Object} canvasSize - Canvas that 1.x/2.0 world pivots were exported from.
+     * @returns {Object} - Current version file contents.
+     */
+    static migrate(json, canvasSize = DEFAULT_CANVAS) {
+        const major = ConfigSchema.getMajorVersion(json);
+        if (major >= 3) {
+            return { ...json, version: CONFIG_VERSION };
+        }
+
+        // 1.x and 2.0 share the flat layout; only the pivot frame changed
+        const boxDimensions = ConfigSchema.getBoxDimensions(json);
+        const migrated = { ...json, version: CONFIG_VERSION };
+        if (json.pivots) {
+            migrated.pivots = ConfigSchema.toBoxRelative(ConfigSchema.pickPivots(json.pivots, json.hingeType), boxDimensions, canvasSize);
+        }
+        return migrated;
+    }
+
+    // The pivots of a hinge type; anything else a file carries is ignored
+    static pickPivots(pivots, hingeType = DEFAULT_HINGE_TYPE) {
+        return Object.fromEntries(HingeTypes.getPivotNames(hingeType).map(name => [name, pivots[name]]));
+    }
+
+    static getBoxDimensions(json) {
+        return {
+            width: json.boxWidth,
+            baseHeight: json.baseHeight,
+            lidHeight: json.lidHeight,
+            lidGap: json.lidGap
+        };
+    }
+
+    /**
+     * Validates, migrates and converts a file into a DesignerUI configuration.
+     * @param {Object} json - Parsed file contents, any supported version.
+     * @param {Object} canvasSize - Canvas to lay the world out in; also the assumed export canvas of old files.
+     * @returns {Object} - { config: { hingeType, boxDimensions, pivots, links, wallThickness, hingeUnlocked, profiles } or null, errors, migratedFrom }
+     */
+    static load(json, canvasSize = DEFAULT_CANVAS) {
+        const errors = ConfigSchema.validate(json);
+        if (errors.length > 0) {
+            return { config: null, errors, migratedFrom: null };
+        }
+
+        const migrated = ConfigSchema.migrate(json, canvasSize);
+        const boxDimensions = ConfigSchema.getBoxDimensions(migrated);
+        const hingeType = migrated.hingeType || DEFAULT_HINGE_TYPE;
+        const config = {
+            hingeType,
+            boxDimensions,
+            pivots: migrated.pivots ? ConfigSchema.toWorld(ConfigSchema.pickPivots(migrated.pivots, hingeType), boxDimensions, canvasSize) : null,
+            links: migrated.links || null,
+            profiles: {
+                base: (migrated.profiles && migrated.profiles.base) || null,
+                lid: (migrated.profiles && migrated.profiles.lid) || null
+            }
+        };
+        if (migrated.wallThickness !== undefined) {
+            config.wallThickness = migrated.wallThickness;
+        }
+        if (migrated.hingeUnlocked !== undefined) {
+            config.hingeUnlocked = migrated.hingeUnlocked;
+        }
+
+        const fromVersion = json.version === undefined ? '1.x' : String(json.version);
+        return {
+            config,
+            errors,
+            migratedFrom: fromVersion === CONFIG_VERSION ? null : fromVersion
+        };
+    }
+
+    // One line per problem, for alerts and CLI errors
+    static formatErrors(errors) {
+        return errors.map(error => `${error.path || '(file)'}: ${error.message}`).join('\n');
+    }
+}
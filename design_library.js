@@ -0,0 +1,220 @@
+import { ConfigSchema, CONFIG_VERSION } from './config_schema.js';
+
+/**
+ * DesignLibrary - Named designs and the autosaved current design in browser storage.
+ * Every design is stored as a ConfigSchema file (the exportConfiguration format), so a
+ * library entry exports as a regular hinge-config file and a bulk export is a bundle of
+ * them. Entries: { id, name, savedAt, thumbnail, config } with thumbnail a data URL
+ * (or null) and config the file contents.
+ * No UI or rendering logic is included.
+ */
+
+export const LIBRARY_STORAGE_KEY = 'hingeDesigner.library';
+export const AUTOSAVE_STORAGE_KEY = 'hingeDesigner.autosave';
+
+// Marks a bulk export; each entry of `designs` is a complete config file plus its name
+export const LIBRARY_BUNDLE_FORMAT = 'hinge-design-library';
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+function defaultStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        // Access can throw when storage is disabled for the page
+        return null;
+    }
+}
+
+export class DesignLibrary {
+    /**
+     * @param {Object} options - { storage, key, autosaveKey }: a Storage-like object (null keeps
+     *   the library in memory only) and the keys for the entries and the autosave.
+     */
+    constructor({ storage = defaultStorage(), key = LIBRARY_STORAGE_KEY, autosaveKey = AUTOSAVE_STORAGE_KEY } = {}) {
+        this.storage = storage;
+        this.key = key;
+        this.autosaveKey = autosaveKey;
+        this.entries = [];
+        this.persistFailed = false; // last write of the entries did not reach storage
+        this.load();
+    }
+
+    // Newest first
+    list() {
+        return [...this.entries].sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    findByName(name) {
+        const trimmed = (name || '').trim();
+        return this.entries.find(entry => entry.name === trimmed) || null;
+    }
+
+    /**
+     * Adds a design, or overwrites the entry with the same name.
+     * @param {string} name - Display name; blank names get a dated default.
+     * @param {Object} config - Config file contents (ConfigSchema.serialize).
+     * @param {string|null} thumbnail - Data URL of a small canvas image.
+     * @returns {Object} - The stored entry.
+     */
+    save(name, config, thumbnail = null) {
+        const savedAt = new Date().toISOString();
+        const trimmed = (name || '').trim() || `Design ${savedAt.slice(0, 16).replace('T', ' ')}`;
+        const existing = this.findByName(trimmed);
+        if (existing) {
+            existing.config = copy(config);
+            existing.thumbnail = thumbnail;
+            existing.savedAt = savedAt;
+            this.persist();
+            return existing;
+        }
+        const entry = { id: DesignLibrary.createId(), name: trimmed, savedAt, thumbnail, config: copy(config) };
+        this.entries.push(entry);
+        this.persist();
+        return entry;
+    }
+
+    rename(id, name) {
+        const entry = this.get(id);
+        const trimmed = (name || '').trim();
+        if (!entry || !trimmed) return null;
+        entry.name = this.uniqueName(trimmed, id);
+        this.persist();
+        return entry;
+    }
+
+    duplicate(id) {
+        const entry = this.get(id);
+        if (!entry) return null;
+        const copyEntry = {
+            ...copy(entry),
+            id: DesignLibrary.createId(),
+            name: this.uniqueName(`${entry.name} (copy)`),
+            savedAt: new Date().toISOString()
+        };
+        this.entries.push(copyEntry);
+        this.persist();
+        return copyEntry;
+    }
+
+    remove(id) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        if (this.entries.length === before) return false;
+        this.persist();
+        return true;
+    }
+
+    // "Lid A", "Lid A (2)", ... skipping the entry being renamed
+    uniqueName(name, exceptId = null) {
+        const taken = new Set(this.entries.filter(entry => entry.id !== exceptId).map(entry => entry.name));
+        if (!taken.has(name)) return name;
+        let n = 2;
+        while (taken.has(`${name} (${n})`)) n++;
+        return `${name} (${n})`;
+    }
+
+    // One entry as a regular config file, named after the entry
+    exportEntry(id) {
+        const entry = this.get(id);
+        if (!entry) return null;
+        return { ...copy(entry.config), name: entry.name };
+    }
+
+    exportAll() {
+        return {
+            format: LIBRARY_BUNDLE_FORMAT,
+            version: CONFIG_VERSION,
+            exportDate: new Date().toISOString(),
+            designs: this.list().map(entry => this.exportEntry(entry.id))
+        };
+    }
+
+    /**
+     * Adds the designs of a config file or a bulk export. Older config versions are migrated.
+     * @param {Object} json - Parsed file contents.
+     * @param {string} fallbackName - Name for a single file without one (e.g. the file name).
+     * @returns {Object} - { added: [entries], errors: [{ name, errors }] }
+     */
+    importFile(json, fallbackName = 'Imported design') {
+        const designs = json && json.format === LIBRARY_BUNDLE_FORMAT && Array.isArray(json.designs)
+            ? json.designs
+            : [json];
+        const added = [];
+        const errors = [];
+        designs.forEach((design, index) => {
+            const name = (design && typeof design.name === 'string' && design.name) ||
+                (designs.length > 1 ? `${fallbackName} ${index + 1}` : fallbackName);
+            const problems = ConfigSchema.validate(design);
+            if (problems.length > 0) {
+                errors.push({ name, errors: problems });
+                return;
+            }
+            const { name: _name, ...file } = ConfigSchema.migrate(design);
+            const entry = {
+                id: DesignLibrary.createId(),
+                name: this.uniqueName(name),
+                savedAt: new Date().toISOString(),
+                thumbnail: null,
+                config: file
+            };
+            this.entries.push(entry);
+            added.push(entry);
+        });
+        if (added.length > 0) this.persist();
+        return { added, errors };
+    }
+
+    // --- Autosave of the current design ---
+    autosave(config) {
+        return this.write(this.autosaveKey, { savedAt: new Date().toISOString(), config });
+    }
+
+    // The autosaved config file, or null
+    loadAutosave() {
+        const saved = this.read(this.autosaveKey);
+        return saved && saved.config ? saved.config : null;
+    }
+
+    load() {
+        const saved = this.read(this.key);
+        if (saved && Array.isArray(saved.entries)) {
+            this.entries = saved.entries.filter(entry => entry && entry.id && entry.config);
+        }
+    }
+
+    // Entries stay in memory when storage is unavailable or full
+    persist() {
+        this.persistFailed = !this.write(this.key, { entries: this.entries });
+        return !this.persistFailed;
+    }
+
+    read(key) {
+        if (!this.storage) return null;
+        try {
+            return JSON.parse(this.storage.getItem(key));
+        } catch (error) {
+            console.warn(`Ignoring unreadable ${key}:`, error);
+            return null;
+        }
+    }
+
+    write(key, value) {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(`Could not save ${key}:`, error);
+            return false;
+        }
+    }
+
+    static createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
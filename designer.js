@@ -1,4 +1,12 @@
 import { FourBarLinkageCalculator } from './simulator.js';
+import { InterferenceAnalyzer, DEFAULT_WALL_THICKNESS } from './interference.js';
+import { HingeAnalyzer } from './analysis.js';
+import { HingeKinematics, DEFAULT_PIVOT_PLACEMENT } from './kinematics.js';
+import { ConfigSchema } from './config_schema.js';
+import { PivotConstraints } from './pivot_constraints.js';
+import { HingeDimensions } from './dimensions.js';
+import { HingeTypes, DEFAULT_HINGE_TYPE } from './hinge_types.js';
+import { BoxProfiles } from './profiles.js';
 
 export class DesignerUI {
     constructor(canvas, onStateChange = () => {}) {
@@ -8,6 +16,7 @@ export class DesignerUI {
         this.lastResult = null;
         this.dragState = { isDragging: false };
         this.animatedState = null;
+        this.lidAngleLimits = { min: 0, max: 0 }; // lid rotation range (radians from closed), signed like getTransform
         this.initialInputAngle = null;
         this.mechanism = { pivots: {} };
         this.angleLimits = { min: -Math.PI / 2, max: Math.PI / 2 };
@@ -15,13 +24,54 @@ export class DesignerUI {
         // What is this?
         this.lastValidC = null;
         this.hingeUnlocked = false;
+        // Hinge topology (HingeTypes id): validity, branch and limits follow it
+        this.hingeType = DEFAULT_HINGE_TYPE;
         // Editing vs simulation state
         this.editMode = false; // false => simulation (angle slider only), true => pivot editing
         this.pendingUIEvent = null; // ephemeral UI event for host (e.g., reset angle)
-        
-        // View transform (world -> screen)
+        // Three-position synthesis: ghost lids (closed, mid, open) drive ground pivots A and D
+        this.synthesisMode = false;
+        this.synthesisPoses = null; // [{ center, angle }] in radians; index 0 is the closed lid
+        this.synthesisResult = null;
+        // Lid–base collision: overlap depth below this counts as touching, not colliding
+        this.collisionTolerance = 0.5;
+        this.collisionInfo = null; // { angle, lastClearAngle, contactCorners, regions } when the lid hits the base
+        this.kinematicLimits = null; // angle limits before collision clamping
+        // Physical bars and pins: width, pin diameter and layer per link, plus box wall thickness
+        this.linkProperties = InterferenceAnalyzer.defaultLinkProperties();
+        this.wallThickness = DEFAULT_WALL_THICKNESS;
+        this.interferenceReport = null;
+        this._interferenceKey = null; // cache key for the motion sweep
+        // Transmission angle / mechanical advantage analysis with configurable thresholds
+        this.analysisThresholds = HingeAnalyzer.defaultThresholds();
+        this.analysisReport = null;
+        this._analysisKey = null;
+        // Undo/redo: DesignHistory shared across mode switches, set by the host
+        this.history = null;
+        this._historyStep = null; // { label, before, depth } while an action is in progress
+        // Snap grid and placement locks; the host may share one settings object across modes
+        this.pivotConstraints = PivotConstraints.defaults();
+        // Display unit ('mm' or 'inches') of lengths in messages; the design itself is always in mm
+        this.unit = 'mm';
+        // Dimension annotations drawn over the mechanism; the minimum clearance follows the analysis sweep
+        this.showDimensions = false;
+        this.clearanceReport = null;
+        this._clearanceSource = null;
+        // Outlines of the base and lid (BoxProfiles); null draws and collides the plain rectangle
+        this.profiles = { base: null, lid: null };
+
+        // View transform (world -> screen): world coordinates are mm and scale is screen pixels
+        // per mm, so resizing the box never rescales the drawing (only fitView and zoom do)
         this.view = { scale: 1, offsetX: 0, offsetY: 0 };
         this.viewConstraints = { minScale: 0.2, maxScale: 10, margin: 20 };
+        // Pointer input: active pointers by id (canvas pixels), the pan or pinch in progress and
+        // the pointer type of the last press, which sets how close a pivot must be to grab it
+        this.pointers = new Map();
+        this.gesture = null; // { type: 'pan', pointerId, x, y } or { type: 'pinch', distance, center }
+        this.pointerType = 'mouse';
+        this.hitRadius = { mouse: 12, touch: 24 }; // screen pixels
+        this.spaceDown = false; // space held over the canvas: left-drag pans
+        this._pointerOver = false;
         
         // Configurable box dimensions
         this.boxDimensions = {
@@ -36,19 +86,45 @@ export class DesignerUI {
 
         // Configurable pivot placement as percentages within base/lid
         // Values in [0,1]; baseY measured from baseRect.minY (top of base), lidY from lid top
-        this.pivotPlacement = {
-            baseXLeft: 0.30,
-            baseXRight: 0.70,
-            baseY: 0.30,
-            lidXLeft: 0.25,
-            lidXRight: 0.75,
-            lidY: 0.50
+        this.pivotPlacement = { ...DEFAULT_PIVOT_PLACEMENT };
+
+        // Keep handler references so destroy() can detach them when switching modes
+        this._listeners = {
+            pointerdown: (e) => this.handlePointerDown(e),
+            pointermove: (e) => this.handlePointerMove(e),
+            pointerup: (e) => this.handlePointerUp(e),
+            pointercancel: (e) => this.handlePointerUp(e),
+            pointerenter: () => { this._pointerOver = true; },
+            pointerleave: (e) => this.handlePointerLeave(e),
+            wheel: (e) => this.handleWheel(e)
+        };
+        for (const [type, handler] of Object.entries(this._listeners)) {
+            // Not passive: wheel and pointer handlers keep the page from scrolling
+            this.canvas.addEventListener(type, handler, { passive: false });
+        }
+        // Space-drag panning needs the keyboard, which the canvas only sees through the window
+        this._windowListeners = {
+            keydown: (e) => this.handleKey(e, true),
+            keyup: (e) => this.handleKey(e, false),
+            blur: () => this.setSpaceDown(false)
         };
+        if (typeof window !== 'undefined') {
+            for (const [type, handler] of Object.entries(this._windowListeners)) {
+                window.addEventListener(type, handler);
+            }
+        }
+    }
 
-        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-        this.canvas.addEventListener('mouseleave', (e) => this.handleMouseUp(e));
+    destroy() {
+        for (const [type, handler] of Object.entries(this._listeners)) {
+            this.canvas.removeEventListener(type, handler);
+        }
+        if (typeof window !== 'undefined') {
+            for (const [type, handler] of Object.entries(this._windowListeners)) {
+                window.removeEventListener(type, handler);
+            }
+        }
+        this.canvas.style.cursor = 'default';
     }
 
     reset() {
@@ -65,28 +141,10 @@ export class DesignerUI {
         };
 
         // Place pivots within constraints based on current box dimensions
-        // Base pivots (A, D) inside base rectangle near the top edge
-        const baseWidth = baseRect.maxX - baseRect.minX;
-        const baseHeight = baseRect.maxY - baseRect.minY;
-        const ax = baseRect.minX + baseWidth * this.pivotPlacement.baseXLeft;
-        const dx = baseRect.minX + baseWidth * this.pivotPlacement.baseXRight;
-        const ay = baseRect.minY + baseHeight * this.pivotPlacement.baseY; // near top of base
-        const dy = ay;
-
-        // Lid pivots (B, C) inside lid rectangle using percentage placement
-        const lidMinX = lidCenterX - this.lidWidth / 2;
-        const lidMinY = lidCenterY - this.lidHeight / 2;
-        const bx = lidMinX + this.lidWidth * this.pivotPlacement.lidXRight;
-        const cx = lidMinX + this.lidWidth * this.pivotPlacement.lidXLeft;
-        const by = lidMinY + this.lidHeight * this.pivotPlacement.lidY;
-        const cy = by;
-
-        this.mechanism.pivots = {
-            A: { x: ax, y: ay },
-            D: { x: dx, y: dy },
-            B: { x: bx, y: by },
-            C: { x: cx, y: cy }
-        };
+        this.mechanism.pivots = HingeKinematics.getDefaultPivots(
+            this.hingeType, this.boxDimensions, this.canvas,
+            this.hingeType === DEFAULT_HINGE_TYPE ? this.pivotPlacement : null
+        );
 
         this.initialPivots = JSON.parse(JSON.stringify(this.mechanism.pivots));
         this.animatedState = null;
@@ -107,25 +165,26 @@ export class DesignerUI {
         this.updateAndRender();
     }
 
-    updateAndRender() {
+    // sweeps: false keeps the last interference and analysis reports, for drag moves between throttled refreshes
+    updateAndRender({ sweeps = true } = {}) {
         const { A, B, C, D } = this.mechanism.pivots;
-        const baseRect = this.getBaseRect();
-        // Defensive check: treat missing pivots as outside
-        const isInside = (pivot, base) => {
-            if (!pivot || typeof pivot.x === 'undefined' || typeof pivot.y === 'undefined') return false;
-            return (
-                pivot.x >= base.minX && pivot.x <= base.maxX &&
-                pivot.y >= base.minY && pivot.y <= base.maxY
-            );
-        };
-        const pivotsValid = isInside(A, baseRect) && isInside(D, baseRect);
-        // Only test crossing when all pivots exist
+        // Only test validity when all pivots exist; the rules depend on the hinge type
         const hasAllPivots = A && B && C && D;
-        const isCrossed = hasAllPivots ? FourBarLinkageCalculator.segmentsIntersect(A, B, C, D) : false;
+        const isValid = hasAllPivots ? HingeKinematics.isValidDesign(this.getKinematicConfig()) : false;
+        if (hasAllPivots && sweeps) {
+            this.updateInterferenceReport();
+            this.updateAnalysisReport();
+        }
         this.lastResult = {
             pivots: this.mechanism.pivots,
-            isValid: pivotsValid && isCrossed,
+            isValid,
             relativePivots: this.getRelativePivotPositions(),
+            collision: this.collisionInfo ? { angle: this.collisionInfo.angle } : null,
+            interference: this.interferenceReport,
+            analysis: this.analysisReport,
+            crossing: hasAllPivots ? this.getCrossingReport() : null,
+            synthesis: this.synthesisMode ? this.synthesisResult : null,
+            constraintViolations: hasAllPivots && HingeTypes.isFourBar(this.hingeType) ? PivotConstraints.check(this.mechanism.pivots, this.pivotConstraints, this.getConstraintFrame(), this.unit) : [],
             uiEvent: this.pendingUIEvent
         };
         // Clear one-shot UI event after consumption
@@ -145,7 +204,12 @@ export class DesignerUI {
         this.ctx.setTransform(this.view.scale, 0, 0, this.view.scale, this.view.offsetX, this.view.offsetY);
         const baseRect = this.getBaseRect();
         this.drawBoxBase(this.ctx, baseRect);
-        this.drawBottomLeftCornerPath();
+        this.drawCollisionRegions();
+        if (!this.isDraggingLinkageJoint()) this.drawBottomLeftCornerPath();
+        this.drawCrossingLocus();
+        if (this.synthesisMode) {
+            this.drawSynthesisGhosts();
+        }
 
         const isAnimated = this.animatedState && this.lastResult && this.lastResult.isValid;
         const pivotsToDraw = isAnimated ? this.animatedState : this.mechanism.pivots;
@@ -153,7 +217,19 @@ export class DesignerUI {
 
         if (this.lastResult && this.lastResult.isValid) {
             console.log('[DesignerUI.render] Drawing mechanism with pivots:', JSON.stringify(pivotsToDraw));
-            this.drawMechanism(pivotsToDraw, color);
+            const lidPose = isAnimated ? this.getLidPoseForState(pivotsToDraw) : this.initialLidTransform;
+            if (HingeTypes.isFourBar(this.hingeType)) {
+                const poseIssues = InterferenceAnalyzer.analyzePose(
+                    pivotsToDraw,
+                    this.getInterferenceContext(lidPose)
+                );
+                this.drawMechanism(pivotsToDraw, color, poseIssues);
+                this.drawCrossingPoint(pivotsToDraw);
+            } else if (HingeTypes.isLinkage(this.hingeType)) {
+                this.drawLinkage(pivotsToDraw, color);
+            } else {
+                this.drawPinHinge(pivotsToDraw, color);
+            }
             if (isAnimated) {
                 this.drawLid(pivotsToDraw); // Draw the moving lid
             } else {
@@ -164,36 +240,89 @@ export class DesignerUI {
             this.drawClosedLid();
         }
 
-        // Draw pivots on top of everything
+        if (this.editMode && this.pivotConstraints.grid > 0 && HingeTypes.isFourBar(this.hingeType)) {
+            this.drawSnapGrid();
+        }
+
+        // Draw pivots on top of everything; a single-pivot hinge only shows its pin
         this.drawPivot(pivotsToDraw.A, 'blue', 'A');
-        this.drawPivot(pivotsToDraw.D, 'blue', 'D');
-        this.drawPivot(pivotsToDraw.B, 'red', 'B');
-        this.drawPivot(pivotsToDraw.C, 'green', 'C');
+        if (!HingeTypes.isSinglePivot(this.hingeType)) {
+            this.drawPivot(pivotsToDraw.D, 'blue', 'D');
+            this.drawPivot(pivotsToDraw.B, 'red', 'B');
+            this.drawPivot(pivotsToDraw.C, 'green', 'C');
+        }
+        for (const name of HingeTypes.getPivotNames(this.hingeType).filter(name => !'ABCD'.includes(name))) {
+            this.drawPivot(pivotsToDraw[name], 'purple', name);
+        }
+
+        if (this.showDimensions && pivotsToDraw.A && pivotsToDraw.B && pivotsToDraw.C && pivotsToDraw.D) {
+            this.drawDimensions(pivotsToDraw, isAnimated ? this.getLidPoseForState(pivotsToDraw) : this.initialLidTransform);
+        }
         // Restore transform
         this.ctx.restore();
     }
 
+    // Snap grid over the base and closed lid, from the box-relative origins the grid is measured from
+    drawSnapGrid() {
+        const grid = this.pivotConstraints.grid;
+        if (grid * this.view.scale < 4) return; // too dense to be useful
+        const frame = this.getConstraintFrame();
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(0, 120, 200, 0.25)';
+        ctx.lineWidth = 0.5 / this.view.scale;
+        ctx.beginPath();
+        for (const [panel, fromTop] of [[frame.base, true], [frame.lid, false]]) {
+            for (let x = panel.minX; x <= panel.maxX + 1e-9; x += grid) {
+                ctx.moveTo(x, panel.minY);
+                ctx.lineTo(x, panel.maxY);
+            }
+            for (let d = 0; d <= panel.maxY - panel.minY + 1e-9; d += grid) {
+                const y = fromTop ? panel.minY + d : panel.maxY - d;
+                ctx.moveTo(panel.minX, y);
+                ctx.lineTo(panel.maxX, y);
+            }
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
     drawBoxBase(ctx, base) {
         ctx.save();
         ctx.fillStyle = 'rgba(220, 220, 220, 0.7)';
         ctx.strokeStyle = '#666';
         ctx.lineWidth = 1;
-        ctx.fillRect(base.minX, base.minY, base.maxX - base.minX, base.maxY - base.minY);
-        ctx.strokeRect(base.minX, base.minY, base.maxX - base.minX, base.maxY - base.minY);
+        if (this.profiles.base) {
+            this.tracePolygon(ctx, HingeKinematics.getBasePolygon({ base, profiles: this.profiles }));
+            ctx.fill();
+            ctx.stroke();
+        } else {
+            ctx.fillRect(base.minX, base.minY, base.maxX - base.minX, base.maxY - base.minY);
+            ctx.strokeRect(base.minX, base.minY, base.maxX - base.minX, base.maxY - base.minY);
+        }
         ctx.restore();
     }
 
+    // Closed path through world points, ready to fill or stroke
+    tracePolygon(ctx, points) {
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+        ctx.closePath();
+    }
+
     drawClosedLid() {
-        this.ctx.save();
-        this.ctx.translate(this.initialLidTransform.center.x, this.initialLidTransform.center.y);
-        this.ctx.rotate(this.initialLidTransform.angle);
+        this.drawLidOutline(this.initialLidTransform.center, this.initialLidTransform.angle);
+    }
 
+    drawLidOutline(center, angle) {
+        this.ctx.save();
         this.ctx.fillStyle = 'rgba(180, 180, 180, 0.8)';
         this.ctx.strokeStyle = '#444';
         this.ctx.lineWidth = 1;
-        this.ctx.fillRect(-this.lidWidth / 2, -this.lidHeight / 2, this.lidWidth, this.lidHeight);
-        this.ctx.strokeRect(-this.lidWidth / 2, -this.lidHeight / 2, this.lidWidth, this.lidHeight);
-        
+        this.tracePolygon(this.ctx, this.getLidOutlineWorld(center, angle));
+        this.ctx.fill();
+        this.ctx.stroke();
         this.ctx.restore();
     }
 
@@ -205,29 +334,17 @@ export class DesignerUI {
 
         const newLidCenter = FourBarLinkageCalculator.applyTransform(this.initialLidTransform.center, transform);
         const newLidAngle = this.initialLidTransform.angle + transform.angle;
-
-        this.ctx.save();
-        this.ctx.translate(newLidCenter.x, newLidCenter.y);
-        this.ctx.rotate(newLidAngle);
-
-        this.ctx.fillStyle = 'rgba(180, 180, 180, 0.8)';
-        this.ctx.strokeStyle = '#444';
-        this.ctx.lineWidth = 1;
-        this.ctx.fillRect(-this.lidWidth / 2, -this.lidHeight / 2, this.lidWidth, this.lidHeight);
-        this.ctx.strokeRect(-this.lidWidth / 2, -this.lidHeight / 2, this.lidWidth, this.lidHeight);
-        
-        this.ctx.restore();
+        this.drawLidOutline(newLidCenter, newLidAngle);
     }
 
-    drawMechanism(pivots, color) {
+    drawMechanism(pivots, color, issues = []) {
         const { A, B, C, D } = pivots;
+        // Coupler B-C (carried by the lid)
         this.ctx.beginPath();
-        this.ctx.moveTo(A.x, A.y);
-        this.ctx.lineTo(B.x, B.y);
+        this.ctx.moveTo(B.x, B.y);
         this.ctx.lineTo(C.x, C.y);
-        this.ctx.lineTo(D.x, D.y);
         this.ctx.strokeStyle = color;
-        this.ctx.lineWidth = 5;
+        this.ctx.lineWidth = 3;
         this.ctx.stroke();
         this.ctx.beginPath();
         this.ctx.moveTo(A.x, A.y);
@@ -235,6 +352,80 @@ export class DesignerUI {
         this.ctx.strokeStyle = 'rgba(100, 100, 100, 0.8)';
         this.ctx.lineWidth = 3;
         this.ctx.stroke();
+
+        // Bars at their physical width; the back layer is drawn first and lighter
+        const hitLinks = new Set(issues.map(issue => issue.link));
+        const hitPins = new Set(issues.filter(issue => issue.type === 'bar-pin').map(issue => issue.other));
+        if (issues.some(issue => issue.type === 'bar-bar')) hitLinks.add('DC');
+        const bars = [
+            { name: 'AB', a: A, b: B, fill: 'rgba(220, 60, 60, 0.55)' },
+            { name: 'DC', a: D, b: C, fill: 'rgba(40, 90, 220, 0.55)' }
+        ].sort((x, y) => (this.linkProperties[x.name].layer === 'back' ? -1 : 0) - (this.linkProperties[y.name].layer === 'back' ? -1 : 0));
+
+        this.ctx.save();
+        this.ctx.lineCap = 'round';
+        for (const bar of bars) {
+            const props = this.linkProperties[bar.name];
+            this.ctx.globalAlpha = props.layer === 'back' ? 0.6 : 1;
+            this.ctx.beginPath();
+            this.ctx.moveTo(bar.a.x, bar.a.y);
+            this.ctx.lineTo(bar.b.x, bar.b.y);
+            this.ctx.strokeStyle = hitLinks.has(bar.name) ? 'rgba(220, 30, 30, 0.9)' : bar.fill;
+            this.ctx.lineWidth = props.barWidth;
+            this.ctx.stroke();
+        }
+        this.ctx.globalAlpha = 1;
+
+        // Pin holes at their configured diameter
+        for (const pin of InterferenceAnalyzer.getPins(pivots, this.linkProperties)) {
+            if (!pin.center) continue;
+            this.ctx.beginPath();
+            this.ctx.arc(pin.center.x, pin.center.y, pin.radius, 0, Math.PI * 2);
+            this.ctx.strokeStyle = hitPins.has(pin.name) ? 'rgba(220, 30, 30, 1)' : 'rgba(0, 0, 0, 0.8)';
+            this.ctx.lineWidth = 1.5;
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    // Six-bar bodies: binary links as bars, ternary links as triangles; the lid is drawn by drawLid
+    drawLinkage(pivots, color) {
+        const { bodies, ground, output } = HingeTypes.get(this.hingeType).linkage;
+        this.ctx.save();
+        this.ctx.lineJoin = 'round';
+        this.ctx.lineCap = 'round';
+        for (const [body, names] of Object.entries(bodies)) {
+            const points = names.map(name => pivots[name]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(points[0].x, points[0].y);
+            for (const p of points.slice(1)) this.ctx.lineTo(p.x, p.y);
+            if (points.length > 2) {
+                this.ctx.closePath();
+                this.ctx.fillStyle = 'rgba(40, 90, 220, 0.15)';
+                this.ctx.fill();
+            }
+            this.ctx.strokeStyle = body === ground ? 'rgba(100, 100, 100, 0.8)' : body === output ? color : 'rgba(40, 90, 220, 0.55)';
+            this.ctx.lineWidth = body === ground || body === output ? 3 : this.linkProperties.AB.barWidth;
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    // Knuckle of a single-pivot hinge around its pin, at the configured pin diameter
+    drawPinHinge(pivots, color) {
+        const radius = this.linkProperties.AB.pinDiameter / 2;
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.arc(pivots.A.x, pivots.A.y, radius * 2, 0, Math.PI * 2);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 3;
+        this.ctx.stroke();
+        this.ctx.beginPath();
+        this.ctx.arc(pivots.A.x, pivots.A.y, radius, 0, Math.PI * 2);
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.stroke();
+        this.ctx.restore();
     }
 
     drawBottomLeftCornerPath() {
@@ -248,15 +439,8 @@ export class DesignerUI {
         if (!pivots0 || !pivots0.B || !pivots0.C) return;
         const { B: B0, C: C0 } = pivots0;
 
-        // Bottom corners of the lid in the initial (closed) pose
-        const initialCornerBL = {
-            x: this.initialLidTransform.center.x - this.lidWidth / 2,
-            y: this.initialLidTransform.center.y + this.lidHeight / 2
-        };
-        const initialCornerBR = {
-            x: this.initialLidTransform.center.x + this.lidWidth / 2,
-            y: this.initialLidTransform.center.y + this.lidHeight / 2
-        };
+        // Bottom corners of the lid in the initial (closed) pose, on its outline when it has a profile
+        const { left: initialCornerBL, right: initialCornerBR } = HingeKinematics.getLidTracePoints(this.getKinematicConfig());
 
         // Adaptive resolution: more samples for larger spans, clamped for perf
         const degSpan = Math.abs((max - min) * 180 / Math.PI);
@@ -285,6 +469,13 @@ export class DesignerUI {
         // Restore last valid C to avoid impacting interactive continuity
         this.lastValidC = savedLastValidC;
 
+        const strokeStyle = 'rgba(255, 140, 0, 0.9)';
+        this.drawSmoothPath(leftPoints, strokeStyle);
+        this.drawSmoothPath(rightPoints, strokeStyle);
+    }
+
+    // Dashed Catmull-Rom curve through points; null entries break the path into segments
+    drawSmoothPath(points, strokeStyle) {
         // Helpers: split into contiguous segments (skip nulls)
         const splitSegments = (pts) => {
             const segs = [];
@@ -354,11 +545,7 @@ export class DesignerUI {
             this.ctx.restore();
         };
 
-        const leftSegs = splitSegments(leftPoints);
-        const rightSegs = splitSegments(rightPoints);
-        const strokeStyle = 'rgba(255, 140, 0, 0.9)';
-        for (const s of leftSegs) strokeSmooth(s, strokeStyle);
-        for (const s of rightSegs) strokeSmooth(s, strokeStyle);
+        for (const s of splitSegments(points)) strokeSmooth(s, strokeStyle);
     }
 
     animate(angleOffset) {
@@ -389,130 +576,55 @@ export class DesignerUI {
         this.render();
     }
 
+    // Forward kinematics via HingeKinematics; lastValidC carries branch continuity between calls
     calculateAnimatedStateForAngle(angleOffset) {
-    console.log(`[calculateAnimatedStateForAngle] Testing angle offset: ${angleOffset.toFixed(4)}`);
-    
-    if (this.initialInputAngle === null) {
-        console.log('[calculateAnimatedStateForAngle] Animation failed: initialInputAngle is null');
-        return null;
-    }
-
-    if (!this.mechanism || !this.mechanism.pivots) {
-        console.log('[calculateAnimatedStateForAngle] Error: mechanism or pivots is null/undefined');
-        return null;
+        if (this.initialInputAngle === null) return null;
+        const state = HingeKinematics.solvePose(this.getKinematicConfig(), angleOffset, this.lastValidC);
+        if (state) this.lastValidC = state.C;
+        return state;
     }
 
-    const { A, B, C, D } = this.mechanism.pivots;
-    
-    // Validate pivot points
-    if (!A || !B || !C || !D) {
-        console.log('[calculateAnimatedStateForAngle] Error: One or more pivots missing', { A, B, C, D });
-        return null;
-    }
-    
-    const l_ab = FourBarLinkageCalculator.distance(A, B);
-    const l_cd = FourBarLinkageCalculator.distance(C, D);
-    const l_bc = FourBarLinkageCalculator.distance(B, C);
-    
-    // Check for degenerate linkage (zero or very small lengths)
-    if (l_ab < 1 || l_cd < 1 || l_bc < 1) {
-        console.log('[calculateAnimatedStateForAngle] Error: Degenerate linkage detected', { l_ab, l_cd, l_bc });
-        return null;
-    }
-
-    const newAngle = this.initialInputAngle + angleOffset;
-    console.log(`[calculateAnimatedStateForAngle] New angle: ${newAngle.toFixed(4)} (${(newAngle * 180 / Math.PI).toFixed(1)}°)`);
-    
-    const newB = { x: A.x + l_ab * Math.cos(newAngle), y: A.y + l_ab * Math.sin(newAngle) };
-    console.log(`[calculateAnimatedStateForAngle] New B position: (${newB.x.toFixed(1)}, ${newB.y.toFixed(1)})`);
-    
-    const intersections = FourBarLinkageCalculator.circleCircleIntersection(newB, l_bc, D, l_cd);
-    
-    if (!intersections || intersections.length === 0) {
-        console.log('[calculateAnimatedStateForAngle] No intersections found between circles');
-        return null;
+    // Configuration for HingeKinematics describing the current design
+    getKinematicConfig() {
+        return {
+            hingeType: this.hingeType,
+            pivots: this.mechanism.pivots,
+            hingeUnlocked: this.hingeUnlocked,
+            lid: this.initialLidTransform
+                ? { ...this.initialLidTransform, width: this.lidWidth, height: this.lidHeight }
+                : null,
+            base: this.getBaseRect(),
+            profiles: this.profiles,
+            collisionTolerance: this.collisionTolerance
+        };
     }
-    
-    console.log(`[calculateAnimatedStateForAngle] Found ${intersections.length} intersection(s):`, 
-                intersections.map(p => `(${p.x.toFixed(1)}, ${p.y.toFixed(1)})`))
-    
-    // Filter intersections based on hinge lock state
-    const initialADB = this.initialOrientations && this.initialOrientations.adb;
-    const initialCDA = this.initialOrientations && this.initialOrientations.cda;
-    const validSolutions = intersections.filter(p => {
-        const crossed = FourBarLinkageCalculator.segmentsIntersect(A, newB, p, D);
-        
-        if (this.hingeUnlocked) {
-            // When unlocked, we still need to maintain continuity to prevent flipping
-            // Accept both crossed and non-crossed, but prefer continuity
-            return true; // Accept all geometric solutions, let continuity logic handle selection
-        } else {
-            // When locked, only accept crossed configurations
-            if (!crossed) return false;
-            
-            // Enforce orientation continuity if we have a reference
-            if (typeof initialADB !== 'undefined' && typeof initialCDA !== 'undefined') {
-                const o_adb = FourBarLinkageCalculator.orientation(A, D, newB);
-                const o_cda = FourBarLinkageCalculator.orientation(p, A, D);
-                return o_adb === initialADB && o_cda === initialCDA;
-            }
-            return true;
-        }
-    });
-    console.log(`[calculateAnimatedStateForAngle] ${validSolutions.length} intersection(s) keep crossed linkage and orientation continuity`);
 
-    if (validSolutions.length === 0) {
-        console.log('[calculateAnimatedStateForAngle] No valid crossed configurations found');
-        return null;
-    }
-    
-    console.log(`[calculateAnimatedStateForAngle] Found ${validSolutions.length} valid solution(s)`);
-
-    let chosenSolution;
-    if (validSolutions.length === 1) {
-        chosenSolution = validSolutions[0];
-        console.log('[calculateAnimatedStateForAngle] Using the only valid solution');
-    } else {
-        // To ensure continuity, choose the solution closest to the last known valid position of C.
-        if (this.lastValidC) {
-            validSolutions.sort((a, b) => {
-                const distA = FourBarLinkageCalculator.distance(a, this.lastValidC);
-                const distB = FourBarLinkageCalculator.distance(b, this.lastValidC);
-                return distA - distB;
-            });
-            chosenSolution = validSolutions[0];
-            console.log('[calculateAnimatedStateForAngle] Multiple solutions, chose closest to last valid');
-        } else {
-            // For initial position, prefer the solution that maintains the initial configuration
-            const { C } = this.mechanism.pivots;
-            if (C) {
-                // Choose solution closest to initial C position
-                validSolutions.sort((a, b) => {
-                    const distA = FourBarLinkageCalculator.distance(a, C);
-                    const distB = FourBarLinkageCalculator.distance(b, C);
-                    return distA - distB;
-                });
-                chosenSolution = validSolutions[0];
-                console.log('[calculateAnimatedStateForAngle] Multiple solutions, chose closest to initial C');
-            } else {
-                chosenSolution = validSolutions[0];
-                console.log('[calculateAnimatedStateForAngle] Multiple solutions, chose first available');
-            }
+    // Pose the linkage for a lid rotation (radians from closed) instead of a crank angle
+    animateLidAngle(lidAngle) {
+        this.editMode = false;
+        const state = this.calculateStateForLidAngle(lidAngle);
+        if (state) {
+            this.animatedState = state;
         }
+        this.render();
+        return state;
     }
 
-    if (chosenSolution) {
-        // Allow full range of motion until mechanism reaches its natural crossed limits
-        // The mechanism should be able to move until it physically cannot cross anymore
-
-        console.log(`[calculateAnimatedStateForAngle] Final solution C: (${chosenSolution.x.toFixed(1)}, ${chosenSolution.y.toFixed(1)})`);
-        this.lastValidC = chosenSolution;
-        return { A, B: newB, C: chosenSolution, D };
+    // Inverse kinematics: solve the coupler pose for a lid rotation on the same assembly branch
+    calculateStateForLidAngle(lidAngle) {
+        const state = HingeKinematics.solveLidPose(this.getKinematicConfig(), lidAngle, this.lastValidC);
+        if (state) this.lastValidC = state.C;
+        return state;
     }
 
-    console.log('[calculateAnimatedStateForAngle] Failed to find solution');
-    return null;
-}
+    // Input angle offset (radians from closed) of the displayed pose, taken within angleLimits
+    getCurrentInputAngle() {
+        const state = this.animatedState;
+        if (!state || this.initialInputAngle === null) return 0;
+        const { min, max } = this.angleLimits;
+        const angle = Math.atan2(state.B.y - state.A.y, state.B.x - state.A.x) - this.initialInputAngle;
+        return angle - 2 * Math.PI * Math.round((angle - (min + max) / 2) / (2 * Math.PI));
+    }
 
     drawPivot(p, color, label) {
         // Safety check to prevent errors with undefined points
@@ -534,17 +646,9 @@ export class DesignerUI {
     }
 
     getBaseRect() {
-        const boxWidth = this.boxDimensions.width;
-        const baseHeight = this.boxDimensions.baseHeight;
-        return {
-            minX: (this.canvas.width - boxWidth) / 2,
-            minY: this.canvas.height - baseHeight - 20,
-            maxX: (this.canvas.width + boxWidth) / 2,
-            maxY: this.canvas.height - 20
-        };
+        return HingeKinematics.getBaseRect(this.boxDimensions, this.canvas);
     }
 
-    // --- View helpers ---
     worldToScreen(wx, wy) {
         return {
             x: wx * this.view.scale + this.view.offsetX,
@@ -571,13 +675,20 @@ export class DesignerUI {
     zoomIn() { this.zoomBy(1.25); }
     zoomOut() { this.zoomBy(0.8); }
 
+    // Pans by a screen offset in canvas pixels; only the view changes, so only redraw
+    panBy(dx, dy) {
+        this.view.offsetX += dx;
+        this.view.offsetY += dy;
+        this.render();
+    }
+
     // Compute bounds of the entire motion (base + lid across angle range)
     computeMotionBounds() {
         const base = this.getBaseRect();
         let minX = base.minX, maxX = base.maxX, minY = base.minY, maxY = base.maxY;
 
-        // Include closed lid rectangle
-        const closedCorners = this.getLidCornersWorld(this.initialLidTransform.center, this.initialLidTransform.angle);
+        // Include closed lid outline
+        const closedCorners = this.getLidOutlineWorld(this.initialLidTransform.center, this.initialLidTransform.angle);
         for (const p of closedCorners) {
             minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
             minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
@@ -596,7 +707,7 @@ export class DesignerUI {
                 const state = this.calculateAnimatedStateForAngle(angle);
                 if (state && B0 && C0) {
                     const tr = FourBarLinkageCalculator.getTransform(B0, C0, state.B, state.C);
-                    const corners = this.getLidCornersWorld(
+                    const corners = this.getLidOutlineWorld(
                         FourBarLinkageCalculator.applyTransform(this.initialLidTransform.center, tr),
                         this.initialLidTransform.angle + tr.angle
                     );
@@ -612,19 +723,11 @@ export class DesignerUI {
     }
 
     getLidCornersWorld(center, angle) {
-        const hw = this.lidWidth / 2;
-        const hh = this.lidHeight / 2;
-        const local = [
-            { x: -hw, y: -hh }, // TL
-            { x:  hw, y: -hh }, // TR
-            { x:  hw, y:  hh }, // BR
-            { x: -hw, y:  hh }  // BL
-        ];
-        const ca = Math.cos(angle), sa = Math.sin(angle);
-        return local.map(p => ({
-            x: center.x + p.x * ca - p.y * sa,
-            y: center.y + p.x * sa + p.y * ca
-        }));
+        return HingeKinematics.getLidCorners(this.getKinematicConfig(), { center, angle });
+    }
+
+    getLidOutlineWorld(center, angle) {
+        return HingeKinematics.getLidOutline(this.getKinematicConfig(), { center, angle });
     }
 
     fitView() {
@@ -641,27 +744,203 @@ export class DesignerUI {
         this.updateAndRender();
     }
 
-    handleMouseDown(e) {
-        // If not in edit mode yet, the first click switches to edit mode and resets animation.
-        if (!this.editMode) {
-            this.editMode = true;
-            this.animatedState = null; // stop animation / blue state
-            // Ask host UI to reset the angle slider to 0 without triggering animate()
-            this.pendingUIEvent = { type: 'resetAngle' };
-            this.updateAndRender();
-            return; // First click only toggles to edit mode; next click can start dragging
-        }
-
+    // Pointer position in canvas pixels, with the CSS-to-canvas scaling
+    getCanvasPoint(e) {
         const rect = this.canvas.getBoundingClientRect();
         // Calculate scaling factors to account for CSS resizing
         const scaleX = this.canvas.width / rect.width;
         const scaleY = this.canvas.height / rect.height;
         // Apply scaling to get correct canvas coordinates
-        const x = (e.clientX - rect.left) * scaleX;
-        const y = (e.clientY - rect.top) * scaleY;
-        const world = this.screenToWorld(x, y);
-        
+        return { x: (e.clientX - rect.left) * scaleX, y: (e.clientY - rect.top) * scaleY, scaleX, scaleY };
+    }
+
+    // Pointer position in world coordinates, with the CSS-to-canvas scaling used for the drag
+    getPointerWorld(e) {
+        const { x, y, scaleX, scaleY } = this.getCanvasPoint(e);
+        return { world: this.screenToWorld(x, y), scaleX, scaleY };
+    }
+
+    // --- Pointer input: mouse, pen and touch ---
+    // Presses that grab something go to handleMouseDown/Move/Up; middle-drag, space-drag and
+    // one finger on empty canvas pan the view, two fingers pinch-zoom it.
+    handlePointerDown(e) {
+        const point = this.getCanvasPoint(e);
+        this.pointers.set(e.pointerId, { x: point.x, y: point.y });
+        this.pointerType = e.pointerType === 'touch' ? 'touch' : 'mouse';
+        if (typeof this.canvas.setPointerCapture === 'function') this.canvas.setPointerCapture(e.pointerId);
+
+        if (e.pointerType === 'touch') {
+            if (this.pointers.size === 2) {
+                // A second finger turns any drag into a pinch
+                if (this.dragState.isDragging) this.handleMouseUp(e);
+                this.startPinch();
+            } else if (this.pointers.size === 1) {
+                if (this.isGrabbable(this.screenToWorld(point.x, point.y))) {
+                    this.handleMouseDown(e);
+                } else {
+                    this.startPan(e.pointerId, point);
+                }
+            }
+            return;
+        }
+
+        if (e.button === 1 || (e.button === 0 && this.spaceDown)) {
+            if (typeof e.preventDefault === 'function') e.preventDefault(); // no middle-button autoscroll
+            this.startPan(e.pointerId, point);
+        } else if (e.button === 0) {
+            this.handleMouseDown(e);
+        }
+    }
+
+    handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        const point = this.getCanvasPoint(e);
+        this.pointers.set(e.pointerId, { x: point.x, y: point.y });
+
+        if (this.gesture && this.gesture.type === 'pinch') {
+            this.updatePinch();
+        } else if (this.gesture && this.gesture.type === 'pan') {
+            if (this.gesture.pointerId !== e.pointerId) return;
+            this.panBy(point.x - this.gesture.x, point.y - this.gesture.y);
+            this.gesture.x = point.x;
+            this.gesture.y = point.y;
+        } else {
+            this.handleMouseMove(e);
+        }
+    }
+
+    handlePointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+        if (typeof this.canvas.releasePointerCapture === 'function' &&
+            (typeof this.canvas.hasPointerCapture !== 'function' || this.canvas.hasPointerCapture(e.pointerId))) {
+            this.canvas.releasePointerCapture(e.pointerId);
+        }
+
+        if (this.gesture && this.gesture.type === 'pinch') {
+            // Lifting one finger of a pinch keeps panning with the other
+            const [remaining] = this.pointers.entries();
+            this.gesture = null;
+            if (remaining) this.startPan(remaining[0], remaining[1]);
+        } else if (this.gesture && this.gesture.type === 'pan') {
+            if (this.gesture.pointerId !== e.pointerId) return;
+            this.gesture = null;
+            this.canvas.style.cursor = this.spaceDown ? 'grab' : 'default';
+        } else {
+            this.handleMouseUp(e);
+        }
+    }
+
+    // Without pointer capture a drag ends when the pointer leaves the canvas
+    handlePointerLeave(e) {
+        this._pointerOver = false;
+        if (this.pointers.has(e.pointerId)) this.handlePointerUp(e);
+    }
+
+    handleWheel(e) {
+        if (typeof e.preventDefault === 'function') e.preventDefault();
+        // Lines and pages to pixels, so every device zooms at about the same rate
+        const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? this.canvas.height : 1;
+        const { x, y } = this.getCanvasPoint(e);
+        this.zoomBy(Math.exp(-e.deltaY * unit * 0.0015), x, y);
+    }
+
+    handleKey(e, down) {
+        if (e.code !== 'Space') return;
+        const target = e.target;
+        const editing = target && (/^(INPUT|TEXTAREA|SELECT|BUTTON)$/.test(target.tagName) || target.isContentEditable);
+        if (editing) return;
+        // Only take over the space bar (and its page scroll) while the pointer is on the canvas
+        if (down && !this._pointerOver) return;
+        if (typeof e.preventDefault === 'function') e.preventDefault();
+        this.setSpaceDown(down);
+    }
+
+    setSpaceDown(down) {
+        this.spaceDown = down;
+        if (!this.gesture && !this.dragState.isDragging) {
+            this.canvas.style.cursor = down ? 'grab' : 'default';
+        }
+    }
+
+    startPan(pointerId, point) {
+        this.gesture = { type: 'pan', pointerId, x: point.x, y: point.y };
+        this.canvas.style.cursor = 'grabbing';
+    }
+
+    startPinch() {
+        const [p, q] = [...this.pointers.values()];
+        this.gesture = {
+            type: 'pinch',
+            distance: Math.max(1, FourBarLinkageCalculator.distance(p, q)),
+            center: { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 }
+        };
+    }
+
+    // The world point under the previous finger midpoint follows the midpoint while the spread zooms
+    updatePinch() {
+        const [p, q] = [...this.pointers.values()];
+        if (!q) return;
+        const distance = Math.max(1, FourBarLinkageCalculator.distance(p, q));
+        const center = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+        const { minScale, maxScale } = this.viewConstraints;
+        const anchor = this.screenToWorld(this.gesture.center.x, this.gesture.center.y);
+        this.view.scale = Math.max(minScale, Math.min(maxScale, this.view.scale * distance / this.gesture.distance));
+        this.view.offsetX = center.x - anchor.x * this.view.scale;
+        this.view.offsetY = center.y - anchor.y * this.view.scale;
+        this.gesture.distance = distance;
+        this.gesture.center = center;
+        this.render();
+    }
+
+    // Whether a press at this world point would grab something (pivot, synthesis ghost or lid)
+    // rather than pan the view
+    isGrabbable(world) {
+        if (this.hitTest(world.x, world.y, this.getDisplayedPivots()).hit) return true;
+        if (this.editMode && this.hitTestSynthesisGhost(world.x, world.y)) return true;
+        return this.canDragLid(world);
+    }
+
+    handleMouseDown(e) {
+        const { world, scaleX, scaleY } = this.getPointerWorld(e);
+
+        // Outside edit mode, grabbing the lid moves it; any other click (including on a pivot)
+        // closes the lid and switches to edit mode, so the next click can start dragging
+        if (!this.editMode) {
+            const onPivot = this.hitTest(world.x, world.y, this.getDisplayedPivots()).hit;
+            if (onPivot || !this.beginLidDrag(world, scaleX, scaleY)) {
+                this.enterEditMode();
+                this.updateAndRender();
+            }
+            return;
+        }
+
         const hitResult = this.hitTest(world.x, world.y);
+        // In synthesis mode A and D are computed from the ghost lids, not dragged
+        const isSynthesizedPivot = this.synthesisMode && (hitResult.pivotName === 'A' || hitResult.pivotName === 'D');
+
+        if (!hitResult.hit || isSynthesizedPivot) {
+            const ghostHit = this.hitTestSynthesisGhost(world.x, world.y);
+            if (ghostHit) {
+                const pose = this.synthesisPoses[ghostHit.index];
+                this.dragState = {
+                    isDragging: true,
+                    ghostIndex: ghostHit.index,
+                    ghostPart: ghostHit.part,
+                    startX: world.x,
+                    startY: world.y,
+                    startCenter: { ...pose.center },
+                    scaleX: scaleX,
+                    scaleY: scaleY
+                };
+                // The whole drag is one undo step
+                this.beginHistoryStep('Move synthesis pose');
+                this.canvas.style.cursor = 'grabbing';
+            } else {
+                this.beginLidDrag(world, scaleX, scaleY);
+            }
+            return;
+        }
 
         if (hitResult.hit) {
             this.dragState = {
@@ -672,6 +951,7 @@ export class DesignerUI {
                 scaleX: scaleX,
                 scaleY: scaleY
             };
+            this.beginHistoryStep(`Move pivot ${hitResult.pivotName}`);
             this.canvas.style.cursor = 'grabbing';
         }
     }
@@ -689,24 +969,50 @@ export class DesignerUI {
         let { x, y } = this.screenToWorld(sx, sy);
         const { pivotName } = this.dragState;
 
+        if (this.dragState.lidPoint) {
+            this.dragLid(x, y);
+            return;
+        }
+
+        if (typeof this.dragState.ghostIndex === 'number') {
+            this.dragSynthesisGhost(x, y);
+            return;
+        }
+
+        if (HingeTypes.isSinglePivot(this.hingeType)) {
+            // The offset pin moves anywhere in the box outline; B, C and D follow it
+            this.mechanism.pivots = this.getSinglePivotLayout({ x, y });
+            this.syncDraggedPivots();
+            return;
+        }
+
+        if (HingeTypes.isLinkage(this.hingeType)) {
+            // No grid or locks for six-bars: only the panels hold their joints
+            this.mechanism.pivots = { ...this.mechanism.pivots, [pivotName]: this.clampLinkageJoint(pivotName, { x, y }) };
+            this.syncDraggedPivots();
+            return;
+        }
+
         if (pivotName === 'A' || pivotName === 'D') {
-            const baseRect = this.getBaseRect();
-            x = Math.max(baseRect.minX, Math.min(baseRect.maxX, x));
-            y = Math.max(baseRect.minY, Math.min(baseRect.maxY, y));
+            ({ x, y } = this.clampToPanel('base', { x, y }));
         } else if (pivotName === 'B' || pivotName === 'C') {
             // Constrain B and C to the lid area
-            const lidRect = {
-                minX: this.initialLidTransform.center.x - this.lidWidth / 2,
-                maxX: this.initialLidTransform.center.x + this.lidWidth / 2,
-                minY: this.initialLidTransform.center.y - this.lidHeight / 2,
-                maxY: this.initialLidTransform.center.y + this.lidHeight / 2
-            };
-            x = Math.max(lidRect.minX, Math.min(lidRect.maxX, x));
-            y = Math.max(lidRect.minY, Math.min(lidRect.maxY, y));
+            ({ x, y } = this.clampToPanel('lid', { x, y }));
+        }
+
+        const constrained = PivotConstraints.apply(this.mechanism.pivots, pivotName, { x, y }, this.pivotConstraints, this.getConstraintFrame(), { unit: this.unit });
+        if (constrained.blocked) return; // the locks cannot follow; keep the last position
+        this.mechanism.pivots = constrained.pivots;
+        if (this.synthesisMode) {
+            // Moving B or C changes the synthesized ground pivots
+            this.applySynthesis();
+            return;
         }
+        this.syncDraggedPivots();
+    }
 
-        this.mechanism.pivots[pivotName] = { x, y };
-        // Keep all derived references in sync during dragging so motion path is correct
+    // Keep all derived references in sync during dragging so motion path is correct
+    syncDraggedPivots() {
         // 1) Use current pivots as the reference pose for transforms
         this.initialPivots = JSON.parse(JSON.stringify(this.mechanism.pivots));
         // 2) Update the input angle and orientations for animation math
@@ -715,19 +1021,32 @@ export class DesignerUI {
         this.storeInitialOrientations();
         // 3) Update continuity anchor
         this.lastValidC = this.mechanism.pivots.C;
-        // 4) Throttle angle limit recomputation to avoid jank while dragging
+        // 4) Throttle angle limit recomputation and the motion sweeps to avoid jank while dragging;
+        //    six-bar joints skip them until handleMouseUp brings everything up to date
         const now = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
-        if (!this._lastAngleLimitUpdate || (now - this._lastAngleLimitUpdate) > 60) {
+        const refresh = !this.isDraggingLinkageJoint()
+            && (!this._lastAngleLimitUpdate || (now - this._lastAngleLimitUpdate) > 60);
+        if (refresh) {
             this.calculateAngleLimits();
             this._lastAngleLimitUpdate = now;
         }
-        this.updateAndRender();
+        this.updateAndRender({ sweeps: refresh });
+    }
+
+    // Six-bar poses are continued afresh from the closed pose for every joint layout, too slow for each pointer move
+    isDraggingLinkageJoint() {
+        return this.dragState.isDragging && !!this.dragState.pivotName && HingeTypes.isLinkage(this.hingeType);
     }
 
     handleMouseUp(e) {
         if (!this.dragState.isDragging) return;
         this.dragState.isDragging = false;
         this.canvas.style.cursor = 'default';
+        // Lid drags only pose the linkage; the design and the displayed pose stay as they are
+        if (this.dragState.lidPoint) {
+            this.dragState = { isDragging: false };
+            return;
+        }
 
         // Lock in the new pivot positions as the starting point for the next animation
         this.initialPivots = JSON.parse(JSON.stringify(this.mechanism.pivots));
@@ -739,6 +1058,62 @@ export class DesignerUI {
         this.calculateAngleLimits();
         this.animatedState = null; // Reset animation to show the static view
         this.updateAndRender(); // Explicitly re-render the final state
+        this.endHistoryStep();
+    }
+
+    // --- Lid dragging ---
+    getDisplayedPivots() {
+        return this.animatedState && this.lastResult && this.lastResult.isValid ? this.animatedState : this.mechanism.pivots;
+    }
+
+    getDisplayedLidPose() {
+        return this.animatedState && this.lastResult && this.lastResult.isValid
+            ? this.getLidPoseForState(this.animatedState)
+            : this.initialLidTransform;
+    }
+
+    canDragLid(world) {
+        if (!this.lastResult || !this.lastResult.isValid || this.angleLimits.min === this.angleLimits.max) return false;
+        return HingeKinematics.isPointOnLid(this.getKinematicConfig(), this.getDisplayedLidPose(), world);
+    }
+
+    // Grab distance for pivots and handles: larger for fingers than for a mouse
+    getHitTolerance() {
+        return this.hitRadius[this.pointerType] / Math.max(0.001, this.view.scale);
+    }
+
+    /**
+     * Starts dragging the lid when the pointer is on it. The grabbed point is kept in lid
+     * coordinates so it stays under the pointer as closely as the motion allows.
+     * @returns {boolean} - Whether a lid drag started.
+     */
+    beginLidDrag(world, scaleX, scaleY) {
+        if (!this.canDragLid(world)) return false;
+        const lidPose = this.getDisplayedLidPose();
+        this.dragState = {
+            isDragging: true,
+            lidPoint: HingeKinematics.worldToLid(lidPose, world),
+            scaleX,
+            scaleY
+        };
+        this.canvas.style.cursor = 'grabbing';
+        return true;
+    }
+
+    /**
+     * Poses the linkage so the grabbed lid point comes nearest to (x, y) within the opening range.
+     * @returns {Object|null} - HingeKinematics.findNearestLidPose result.
+     */
+    dragLid(x, y) {
+        const result = HingeKinematics.findNearestLidPose(this.getKinematicConfig(), this.dragState.lidPoint, { x, y }, this.angleLimits);
+        if (!result) return null;
+        this.editMode = false;
+        this.animatedState = result.pose;
+        this.lastValidC = result.pose.C;
+        // Ask host UI to move the angle slider to the dragged lid angle without triggering animate()
+        this.pendingUIEvent = { type: 'lidAngle', lidAngle: result.lidAngle };
+        this.updateAndRender();
+        return result;
     }
 
     storeInitialOrientations() {
@@ -750,110 +1125,335 @@ export class DesignerUI {
     }
 
     calculateAngleLimits() {
-        console.log('[calculateAngleLimits] Starting angle limit calculation');
-        console.log('[calculateAngleLimits] Current mechanism:', this.mechanism);
-        console.log('[calculateAngleLimits] Initial input angle:', this.initialInputAngle);
-        
-        // Preserve continuity anchor while probing limits
-        const savedLastValidC_global = this.lastValidC;
-
-        // Robust limit finder: first bracket the boundary, then binary-search it.
-        const findLimit = (direction, startAngle = 0) => {
-            console.log(`[findLimit] Start dir=${direction}, unlocked=${this.hingeUnlocked}`);
-            const MAX_SWEEP = (this.hingeUnlocked ? Math.PI * 4 : Math.PI * 2);
-            const stepSign = direction >= 0 ? 1 : -1;
-
-            // Maintain local continuity so we stay on the same kinematic branch.
-            let localAnchor = savedLastValidC_global;
-            const tryAngle = (ang) => {
-                this.lastValidC = localAnchor;
-                const state = this.calculateAnimatedStateForAngle(ang);
-                if (state) {
-                    localAnchor = state.C;
-                    return true;
-                }
-                return false;
-            };
+        // The lid always opens in the negative input direction and stops at the first lid–base contact
+        const limits = HingeKinematics.findAngleLimits(this.getKinematicConfig());
+        this.angleLimits = limits.angleLimits;
+        this.kinematicLimits = limits.kinematicLimits;
+        this.collisionInfo = limits.collision;
+        this.lidAngleLimits = limits.lidAngleLimits;
+    }
 
-            // Sanity: the closed pose should be valid.
-            let lastValid = startAngle;
-            if (!tryAngle(lastValid)) {
-                console.warn('[findLimit] Closed pose invalid — returning 0');
-                return 0;
-            }
+    // --- Lid–base collision ---
+    getBasePolygon() {
+        return HingeKinematics.getBasePolygon(this.getKinematicConfig());
+    }
 
-            // Exponentially expand until we hit an invalid pose or exceed MAX_SWEEP.
-            let step = 0.01; // ~0.57°
-            let firstInvalid = null;
-            while (Math.abs(lastValid + stepSign * step) <= MAX_SWEEP + 1e-9) {
-                const testAngle = lastValid + stepSign * step;
-                if (tryAngle(testAngle)) {
-                    lastValid = testAngle;
-                    step *= 2; // expand faster while valid
-                } else {
-                    firstInvalid = testAngle;
-                    break;
-                }
-            }
+    // Lid pose { center, angle } carried by the coupler for an animated state
+    getLidPoseForState(state) {
+        return HingeKinematics.getLidPose(this.getKinematicConfig(), state);
+    }
 
-            // If never found invalid inside sweep bound, clamp at bound and refine if needed
-            if (firstInvalid === null) {
-                const boundAngle = stepSign * MAX_SWEEP;
-                if (!tryAngle(boundAngle)) {
-                    firstInvalid = boundAngle;
-                } else {
-                    lastValid = boundAngle;
-                }
-            }
+    checkLidBaseCollision(state) {
+        return HingeKinematics.lidCollides(this.getKinematicConfig(), state);
+    }
 
-            // If still no invalid found, return lastValid
-            if (firstInvalid === null) {
-                console.log(`[findLimit] No invalid found within sweep, limit=${lastValid.toFixed(4)}`);
-                return lastValid;
-            }
+    // First lid–base contact between two input angles; see HingeKinematics.findFirstCollision
+    findFirstCollision(from, to) {
+        return HingeKinematics.findFirstCollision(this.getKinematicConfig(), from, to);
+    }
 
-            // Binary search between lastValid (valid) and firstInvalid (invalid)
-            let loValid = lastValid;
-            let hiInvalid = firstInvalid;
-            for (let i = 0; i < 80; i++) {
-                const mid = loValid + (hiInvalid - loValid) / 2;
-                if (tryAngle(mid)) {
-                    loValid = mid;
-                } else {
-                    hiInvalid = mid;
-                }
-                if (Math.abs(hiInvalid - loValid) < 1e-4) break;
-            }
-            console.log(`[findLimit] Final limit dir=${direction}: ${loValid.toFixed(4)}`);
-            return loValid;
+    drawCollisionRegions() {
+        const info = this.collisionInfo;
+        if (!info) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.fillStyle = 'rgba(220, 30, 30, 0.15)';
+        for (const region of info.regions) {
+            ctx.beginPath();
+            ctx.moveTo(region[0].x, region[0].y);
+            for (let i = 1; i < region.length; i++) ctx.lineTo(region[i].x, region[i].y);
+            ctx.closePath();
+            ctx.fill();
+        }
+        // Lid outline at first contact
+        if (info.contactCorners) {
+            const c = info.contactCorners;
+            ctx.beginPath();
+            ctx.moveTo(c[0].x, c[0].y);
+            for (let i = 1; i < c.length; i++) ctx.lineTo(c[i].x, c[i].y);
+            ctx.closePath();
+            ctx.setLineDash([4, 3]);
+            ctx.strokeStyle = 'rgba(220, 30, 30, 0.9)';
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // --- Bars, pins and interference ---
+    getInterferenceContext(lidPose) {
+        return InterferenceAnalyzer.getContext(this.getKinematicConfig(), lidPose, {
+            linkProperties: this.linkProperties,
+            wallThickness: this.wallThickness
+        });
+    }
+
+    setLinkProperties(link, properties) {
+        if (!this.linkProperties[link]) return;
+        this.linkProperties[link] = { ...this.linkProperties[link], ...properties };
+        this.updateAndRender();
+    }
+
+    setWallThickness(thickness) {
+        this.wallThickness = Math.max(0, thickness);
+        this.updateAndRender();
+    }
+
+    // Re-runs the motion sweep only when geometry, limits or bar settings changed
+    updateInterferenceReport() {
+        const key = JSON.stringify([
+            this.mechanism.pivots, this.angleLimits, this.boxDimensions,
+            this.linkProperties, this.wallThickness, this.hingeUnlocked, this.hingeType, this.profiles
+        ]);
+        if (key === this._interferenceKey) return this.interferenceReport;
+        this._interferenceKey = key;
+        this.interferenceReport = InterferenceAnalyzer.analyzeMotion(this);
+        return this.interferenceReport;
+    }
+
+    // --- Transmission analysis ---
+    setAnalysisThresholds(thresholds) {
+        this.analysisThresholds = { ...this.analysisThresholds, ...thresholds };
+        this.updateAndRender();
+    }
+
+    updateAnalysisReport() {
+        const key = JSON.stringify([
+            this.mechanism.pivots, this.angleLimits, this.boxDimensions,
+            this.analysisThresholds, this.hingeUnlocked, this.hingeType, this.profiles
+        ]);
+        if (key === this._analysisKey) return this.analysisReport;
+        this._analysisKey = key;
+        this.analysisReport = HingeAnalyzer.analyze(this, this.analysisThresholds);
+        return this.analysisReport;
+    }
+
+    // --- Crossing point X of links AB and DC ---
+    getCrossingPoint(state) {
+        const { A, B, C, D } = state;
+        if (!A || !B || !C || !D || !HingeTypes.isCrossed(this.hingeType)) return null;
+        return FourBarLinkageCalculator.segmentIntersectionPoint(A, B, D, C);
+    }
+
+    // Locus of X over the motion range, from the cached analysis sweep; null marks a gap
+    getCrossingLocus() {
+        if (!this.analysisReport) return [];
+        return this.analysisReport.samples.map(sample => this.getCrossingPoint(sample.state));
+    }
+
+    // X in the closed pose (relative to box left and base top, like A and D) and how far it
+    // travels along each bar: a fixed fraction means the bars can share a central pin
+    getCrossingReport() {
+        const closed = this.getCrossingPoint(this.mechanism.pivots);
+        const locus = this.getCrossingLocus().filter(Boolean);
+        if (!closed || locus.length === 0) return null;
+        const baseRect = this.getBaseRect();
+        const range = (values) => ({ min: Math.min(...values), max: Math.max(...values) });
+        return {
+            position: {
+                x: closed.x - baseRect.minX,
+                y: closed.y - baseRect.minY
+            },
+            alongAB: range(locus.map(p => p.t)),
+            alongDC: range(locus.map(p => p.u))
         };
+    }
 
-        // Compute limits in both directions (diagnostic), but enforce negative opening per policy
-        const maxPositive = findLimit(1, 0);
-        const maxNegative = findLimit(-1, 0);
-
-        // Enforce policy: always open up-and-left (negative angle direction)
-        // Prefer computed negative limit; fallback to -|positive| if needed.
-        let openingLimit;
-        if (Number.isFinite(maxNegative) && maxNegative < 0) {
-            openingLimit = maxNegative;
-        } else if (Number.isFinite(maxPositive)) {
-            openingLimit = -Math.abs(maxPositive);
-        } else {
-            openingLimit = 0;
+    drawCrossingLocus() {
+        const locus = this.getCrossingLocus();
+        if (locus.length < 2) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(128, 0, 160, 0.8)';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        let penDown = false;
+        for (const point of locus) {
+            if (!point) { penDown = false; continue; }
+            if (penDown) ctx.lineTo(point.x, point.y); else ctx.moveTo(point.x, point.y);
+            penDown = true;
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawCrossingPoint(pivots) {
+        const point = this.getCrossingPoint(pivots);
+        if (!point) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = 'rgb(128, 0, 160)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(point.x - 6, point.y - 6);
+        ctx.lineTo(point.x + 6, point.y + 6);
+        ctx.moveTo(point.x + 6, point.y - 6);
+        ctx.lineTo(point.x - 6, point.y + 6);
+        ctx.stroke();
+        ctx.fillStyle = 'rgb(128, 0, 160)';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('X', point.x + 8, point.y - 4);
+        ctx.restore();
+    }
+
+    // --- Dimension annotations ---
+    setShowDimensions(show) {
+        this.showDimensions = !!show;
+        this.render();
+    }
+
+    // Smallest lid–base distance over the motion, from the cached analysis sweep and refreshed with it
+    getMinClearance() {
+        if (!this.analysisReport || !this.lastResult || !this.lastResult.isValid) return null;
+        if (this._clearanceSource !== this.analysisReport) {
+            this._clearanceSource = this.analysisReport;
+            this.clearanceReport = HingeDimensions.findMinClearance(
+                this.getKinematicConfig(),
+                this.analysisReport.samples.map(sample => ({ pose: sample.state, inputAngle: sample.inputAngle, lidAngle: sample.lidAngle }))
+            );
+        }
+        return this.clearanceReport;
+    }
+
+    // Drawn in world coordinates with sizes divided by the zoom, so text and arrows keep their screen size
+    drawDimensions(pose, lidPose) {
+        const { linear, angles } = HingeDimensions.build(this.getKinematicConfig(), {
+            pose,
+            lidPose,
+            clearance: this.getMinClearance(),
+            unit: this.unit
+        });
+        const ctx = this.ctx;
+        const px = 1 / this.view.scale;
+        ctx.save();
+        ctx.lineWidth = px;
+        ctx.font = `${12 * px}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        for (const dimension of linear) {
+            const color = dimension.id === 'clearance' ? 'rgb(198, 40, 40)' : 'rgb(0, 105, 92)';
+            if (dimension.lidCorners) {
+                // Lid outline at the pose of the minimum clearance
+                ctx.save();
+                ctx.strokeStyle = 'rgba(198, 40, 40, 0.5)';
+                ctx.setLineDash([4 * px, 4 * px]);
+                ctx.beginPath();
+                dimension.lidCorners.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+                ctx.closePath();
+                ctx.stroke();
+                ctx.restore();
+            }
+            this.drawLinearDimension(dimension, color, px);
+        }
+        for (const dimension of angles) {
+            this.drawAngleDimension(dimension, 'rgb(0, 105, 92)', px);
+        }
+        ctx.restore();
+    }
+
+    drawLinearDimension(dimension, color, px) {
+        const ctx = this.ctx;
+        const { from, to } = dimension;
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        if (length * this.view.scale < 2) {
+            // Too short to draw at this zoom (e.g. the lid touching the base): mark the point
+            ctx.beginPath();
+            ctx.arc(from.x, from.y, 3 * px, 0, Math.PI * 2);
+            ctx.fill();
+            this.drawDimensionLabel(dimension.label, { x: from.x, y: from.y - 4 * px }, 0, color, px);
+            return;
         }
+        const normal = { x: -(to.y - from.y) / length, y: (to.x - from.x) / length };
+        const offset = dimension.side * 18 * px;
+        const a = { x: from.x + normal.x * offset, y: from.y + normal.y * offset };
+        const b = { x: to.x + normal.x * offset, y: to.y + normal.y * offset };
+
+        if (offset !== 0) {
+            // Extension lines from the measured points, slightly past the dimension line
+            const past = dimension.side * 4 * px;
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(a.x + normal.x * past, a.y + normal.y * past);
+            ctx.moveTo(to.x, to.y);
+            ctx.lineTo(b.x + normal.x * past, b.y + normal.y * past);
+            ctx.stroke();
+        }
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+        this.drawArrowHead(a, b, px);
+        this.drawArrowHead(b, a, px);
+
+        // Label along the line, kept upright
+        let angle = Math.atan2(b.y - a.y, b.x - a.x);
+        if (angle > Math.PI / 2 || angle < -Math.PI / 2) angle += Math.PI;
+        this.drawDimensionLabel(dimension.label, { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }, angle, color, px);
+    }
 
-        const minAngle = 0;
-        const maxAngle = openingLimit;
+    drawAngleDimension(dimension, color, px) {
+        const ctx = this.ctx;
+        const { center, radius, start, end } = dimension;
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        // Closed orientation as a reference line, the arc sweeping to the current one
+        ctx.save();
+        ctx.setLineDash([4 * px, 3 * px]);
+        ctx.beginPath();
+        ctx.moveTo(center.x, center.y);
+        ctx.lineTo(center.x + Math.cos(start) * radius * 1.2, center.y + Math.sin(start) * radius * 1.2);
+        ctx.stroke();
+        ctx.restore();
+        ctx.beginPath();
+        ctx.moveTo(center.x, center.y);
+        ctx.lineTo(center.x + Math.cos(end) * radius * 1.2, center.y + Math.sin(end) * radius * 1.2);
+        ctx.stroke();
+        if (Math.abs(end - start) > 1e-3) {
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, radius, start, end, end < start);
+            ctx.stroke();
+            const tip = { x: center.x + Math.cos(end) * radius, y: center.y + Math.sin(end) * radius };
+            const tangent = end < start ? -1 : 1;
+            this.drawArrowHead({ x: tip.x + Math.sin(end) * tangent * radius, y: tip.y - Math.cos(end) * tangent * radius }, tip, px);
+        }
+        const middle = (start + end) / 2;
+        const labelAt = { x: center.x + Math.cos(middle) * (radius + 14 * px), y: center.y + Math.sin(middle) * (radius + 14 * px) };
+        this.drawDimensionLabel(dimension.label, labelAt, 0, color, px);
+    }
 
-        console.log(`[calculateAngleLimits] Results (forced up-left): min=${minAngle.toFixed(4)}, max=${maxAngle.toFixed(4)}`);
-        this.angleLimits = { min: minAngle, max: maxAngle };
+    // Filled arrow at tip, pointing away from tail
+    drawArrowHead(tail, tip, px) {
+        const ctx = this.ctx;
+        const angle = Math.atan2(tip.y - tail.y, tip.x - tail.x);
+        const size = 7 * px;
+        ctx.beginPath();
+        ctx.moveTo(tip.x, tip.y);
+        ctx.lineTo(tip.x - size * Math.cos(angle - 0.35), tip.y - size * Math.sin(angle - 0.35));
+        ctx.lineTo(tip.x - size * Math.cos(angle + 0.35), tip.y - size * Math.sin(angle + 0.35));
+        ctx.closePath();
+        ctx.fill();
+    }
 
-        // Restore continuity anchor
-        this.lastValidC = savedLastValidC_global;
+    // Text on a white backing so it stays readable over bars and lids
+    drawDimensionLabel(text, at, angle, color, px) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.translate(at.x, at.y);
+        ctx.rotate(angle);
+        const width = ctx.measureText(text).width;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(-width / 2 - 2 * px, -16 * px, width + 4 * px, 14 * px);
+        ctx.fillStyle = color;
+        ctx.fillText(text, 0, -3 * px);
+        ctx.restore();
     }
 
     setHingeUnlocked(unlocked) {
+        this.beginHistoryStep(unlocked ? 'Unlock hinge' : 'Lock hinge');
         const wasUnlocked = this.hingeUnlocked;
         this.hingeUnlocked = unlocked;
         
@@ -865,17 +1465,112 @@ export class DesignerUI {
         
         this.calculateAngleLimits();
         this.updateAndRender();
+        this.endHistoryStep();
+    }
+
+    /**
+     * Switches the hinge topology. The pivots start over from the type's default layout, since
+     * a layout valid for one type is not for another; one undo step restores the old design.
+     */
+    setHingeType(type) {
+        if (!HingeTypes.isKnown(type) || type === this.hingeType) return;
+        this.withHistoryStep(`Change hinge type to ${HingeTypes.get(type).label}`, () => {
+            this.hingeType = type;
+            if (!HingeTypes.isFourBar(type)) this.synthesisMode = false;
+            this.enterEditMode();
+            this.setConfiguration({
+                pivots: HingeKinematics.getDefaultPivots(type, this.boxDimensions, this.canvas,
+                    type === DEFAULT_HINGE_TYPE ? this.pivotPlacement : null)
+            });
+        });
+    }
+
+    // Six-bar joint kept in its panel: ground joints in the base, B and C in the closed lid, the others anywhere
+    clampLinkageJoint(name, point) {
+        const { bodies, ground } = HingeTypes.get(this.hingeType).linkage;
+        if (bodies[ground].includes(name)) return this.clampToPanel('base', point);
+        if (name === 'B' || name === 'C') return this.clampToPanel('lid', point);
+        return { ...point };
+    }
+
+    // Point kept on the base or the closed lid: inside its outline, or its rectangle without a profile
+    clampToPanel(panel, point) {
+        const config = this.getKinematicConfig();
+        if (this.profiles[panel]) {
+            const outline = panel === 'base' ? HingeKinematics.getBasePolygon(config) : HingeKinematics.getLidOutline(config, config.lid);
+            return BoxProfiles.clampToPolygon(outline, point);
+        }
+        const [min, max] = panel === 'base'
+            ? [{ x: config.base.minX, y: config.base.minY }, { x: config.base.maxX, y: config.base.maxY }]
+            : [0, 1].map(k => ({
+                x: config.lid.center.x + (k - 0.5) * config.lid.width,
+                y: config.lid.center.y + (k - 0.5) * config.lid.height
+            }));
+        return {
+            x: Math.max(min.x, Math.min(max.x, point.x)),
+            y: Math.max(min.y, Math.min(max.y, point.y))
+        };
+    }
+
+    /**
+     * Replaces the outline of the base or lid (null for the plain rectangle) as one undo step.
+     * Pivots outside the new outline move onto it.
+     * @throws {Error} - When the outline fails BoxProfiles.validate.
+     */
+    setProfile(panel, outline) {
+        if (outline) {
+            const errors = BoxProfiles.validate(outline);
+            if (errors.length > 0) throw new Error(`Invalid ${panel} profile: ${errors.join('; ')}`);
+        }
+        this.withHistoryStep(`Change ${panel} profile`, () => {
+            this.enterEditMode();
+            this.profiles = { ...this.profiles, [panel]: outline || null };
+            this.setConfiguration({ pivots: this.clampPivotsToPanels(this.mechanism.pivots) });
+        });
+    }
+
+    // Panel pivots moved into the outlines: A and D (six-bar ground joints) into the base, B and C into the lid
+    clampPivotsToPanels(pivots) {
+        if (HingeTypes.isSinglePivot(this.hingeType)) return pivots;
+        const { linkage } = HingeTypes.get(this.hingeType);
+        const basePivots = linkage ? linkage.bodies[linkage.ground] : ['A', 'D'];
+        const clamped = { ...pivots };
+        for (const name of basePivots) clamped[name] = this.clampToPanel('base', pivots[name]);
+        for (const name of ['B', 'C']) clamped[name] = this.clampToPanel('lid', pivots[name]);
+        return clamped;
+    }
+
+    // Single-pivot layout for a pin position: the pin hinge stays on the seam, the offset pin is kept in the box outline
+    getSinglePivotLayout(point) {
+        const config = this.getKinematicConfig();
+        const lidTop = config.lid.center.y - config.lid.height / 2;
+        const pin = HingeTypes.get(this.hingeType).movablePin
+            ? {
+                x: Math.max(config.base.minX, Math.min(config.base.maxX, point.x)),
+                y: Math.max(lidTop, Math.min(config.base.maxY, point.y))
+            }
+            : HingeKinematics.getPinPosition(this.hingeType, this.boxDimensions, this.canvas);
+        return HingeKinematics.placeSinglePivot(pin, config.lid);
     }
 
     updateBoxDimensions(dimensions) {
+        this.withHistoryStep('Change box dimensions', () => this.resizeBox(dimensions));
+    }
+
+    // Pivots keep their box-relative positions, clamped into the resized panels
+    resizeBox(dimensions) {
         // Store relative positions of current pivots before updating dimensions
         const relativePivots = this.getRelativePivotPositions();
         const oldBaseRect = this.getBaseRect();
         const oldLidBottom = oldBaseRect.minY - this.boxDimensions.lidGap;
         
-        // Update box dimensions
+        // Update box dimensions; the outlines stretch with their panels
         const oldDimensions = { ...this.boxDimensions };
         this.boxDimensions = { ...this.boxDimensions, ...dimensions };
+        this.profiles = {
+            base: BoxProfiles.resize(this.profiles.base, BoxProfiles.getPanelSize('base', oldDimensions), BoxProfiles.getPanelSize('base', this.boxDimensions)),
+            lid: BoxProfiles.resize(this.profiles.lid, BoxProfiles.getPanelSize('lid', oldDimensions), BoxProfiles.getPanelSize('lid', this.boxDimensions))
+        };
         
         // Calculate new base rect with updated dimensions
         const newBaseRect = this.getBaseRect();
@@ -919,24 +1614,23 @@ export class DesignerUI {
                 angle: 0
             };
             
-            // Clamp pivots to stay within their constraints after resize
-            const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
-            // Base clamp for A, D
-            this.mechanism.pivots.A.x = clamp(this.mechanism.pivots.A.x, newBaseRect.minX, newBaseRect.maxX);
-            this.mechanism.pivots.A.y = clamp(this.mechanism.pivots.A.y, newBaseRect.minY, newBaseRect.maxY);
-            this.mechanism.pivots.D.x = clamp(this.mechanism.pivots.D.x, newBaseRect.minX, newBaseRect.maxX);
-            this.mechanism.pivots.D.y = clamp(this.mechanism.pivots.D.y, newBaseRect.minY, newBaseRect.maxY);
-            // Lid clamp for B, C
-            const lidRect = {
-                minX: this.initialLidTransform.center.x - this.lidWidth / 2,
-                maxX: this.initialLidTransform.center.x + this.lidWidth / 2,
-                minY: this.initialLidTransform.center.y - this.lidHeight / 2,
-                maxY: this.initialLidTransform.center.y + this.lidHeight / 2
-            };
-            this.mechanism.pivots.B.x = clamp(this.mechanism.pivots.B.x, lidRect.minX, lidRect.maxX);
-            this.mechanism.pivots.B.y = clamp(this.mechanism.pivots.B.y, lidRect.minY, lidRect.maxY);
-            this.mechanism.pivots.C.x = clamp(this.mechanism.pivots.C.x, lidRect.minX, lidRect.maxX);
-            this.mechanism.pivots.C.y = clamp(this.mechanism.pivots.C.y, lidRect.minY, lidRect.maxY);
+            // Clamp pivots to stay within their constraints after resize: A, D in the base, B, C in the lid
+            for (const name of ['A', 'D']) this.mechanism.pivots[name] = this.clampToPanel('base', this.mechanism.pivots[name]);
+            for (const name of ['B', 'C']) this.mechanism.pivots[name] = this.clampToPanel('lid', this.mechanism.pivots[name]);
+            // Further six-bar joints keep their base-relative positions, ground joints clamped into the base
+            for (const name of Object.keys(relativePivots).filter(name => !'ABCD'.includes(name))) {
+                this.mechanism.pivots[name] = this.clampLinkageJoint(name, {
+                    x: newBaseRect.minX + relativePivots[name].x,
+                    y: newBaseRect.minY + relativePivots[name].y
+                });
+            }
+            // A single pin keeps its base-relative position (the pin hinge its place on the seam)
+            if (HingeTypes.isSinglePivot(this.hingeType)) {
+                this.mechanism.pivots = this.getSinglePivotLayout({
+                    x: newBaseRect.minX + relativePivots.A.x,
+                    y: newBaseRect.minY + relativePivots.A.y
+                });
+            }
             
             // Update pivot offsets
             this.pivotOffsets = {
@@ -957,7 +1651,13 @@ export class DesignerUI {
             this.storeInitialOrientations();
             this.lastValidC = this.mechanism.pivots.C;
             this.calculateAngleLimits();
-            
+
+            // Ghost lids are absolute; re-synthesize against the resized box
+            if (this.synthesisMode) {
+                this.applySynthesis();
+                return;
+            }
+
             // Update rendering
             this.updateAndRender();
         } else {
@@ -968,43 +1668,109 @@ export class DesignerUI {
 
     getConfiguration() {
         return {
+            hingeType: this.hingeType,
             boxDimensions: { ...this.boxDimensions },
-            pivots: JSON.parse(JSON.stringify(this.mechanism.pivots))
+            pivots: JSON.parse(JSON.stringify(this.mechanism.pivots)),
+            links: JSON.parse(JSON.stringify(this.linkProperties)),
+            wallThickness: this.wallThickness,
+            profiles: JSON.parse(JSON.stringify(this.profiles))
         };
     }
 
-    getRelativePivotPositions() {
-        const baseRect = this.getBaseRect();
-        const { A, B, C, D } = this.mechanism.pivots;
-        
-        // Base pivots relative to box left and base top
-        const relativeA = {
-            x: Math.round(A.x - baseRect.minX),
-            y: Math.round(A.y - baseRect.minY)
-        };
-        const relativeD = {
-            x: Math.round(D.x - baseRect.minX),
-            y: Math.round(D.y - baseRect.minY)
-        };
-        
-        // Lid pivots relative to box left and lid bottom
-        const lidBottom = baseRect.minY - this.boxDimensions.lidGap;
-        const relativeB = {
-            x: Math.round(B.x - baseRect.minX),
-            y: Math.round(lidBottom - B.y)
-        };
-        const relativeC = {
-            x: Math.round(C.x - baseRect.minX),
-            y: Math.round(lidBottom - C.y)
+    // --- Undo/redo history ---
+    // Everything an undo step restores: getConfiguration plus the hinge lock and ghost lids
+    getDesignSnapshot() {
+        return {
+            ...this.getConfiguration(),
+            hingeUnlocked: this.hingeUnlocked,
+            synthesisPoses: this.synthesisPoses ? JSON.parse(JSON.stringify(this.synthesisPoses)) : null
         };
-        
-        return { A: relativeA, B: relativeB, C: relativeC, D: relativeD };
+    }
+
+    // Steps nest: only the outermost begin/end pair records, so an import that
+    // resizes the box and sets pivots is a single step
+    beginHistoryStep(label) {
+        if (this._historyStep) {
+            this._historyStep.depth++;
+            return;
+        }
+        this._historyStep = { label, before: this.getDesignSnapshot(), depth: 1 };
+    }
+
+    endHistoryStep() {
+        const step = this._historyStep;
+        if (!step || --step.depth > 0) return;
+        this._historyStep = null;
+        if (this.history) {
+            this.history.record(step.label, step.before, this.getDesignSnapshot());
+        }
+    }
+
+    withHistoryStep(label, action) {
+        this.beginHistoryStep(label);
+        try {
+            action();
+        } finally {
+            this.endHistoryStep();
+        }
+    }
+
+    undo() {
+        const snapshot = this.history && !this.dragState.isDragging ? this.history.undo() : null;
+        if (!snapshot) return false;
+        this.applyDesignSnapshot(snapshot);
+        return true;
+    }
+
+    redo() {
+        const snapshot = this.history && !this.dragState.isDragging ? this.history.redo() : null;
+        if (!snapshot) return false;
+        this.applyDesignSnapshot(snapshot);
+        return true;
+    }
+
+    // Restores a snapshot without recording it; the lid goes back to closed
+    applyDesignSnapshot(snapshot) {
+        this.boxDimensions = { ...this.boxDimensions, ...snapshot.boxDimensions };
+        this.hingeUnlocked = !!snapshot.hingeUnlocked;
+        this.hingeType = HingeTypes.isKnown(snapshot.hingeType) ? snapshot.hingeType : DEFAULT_HINGE_TYPE;
+        if (!HingeTypes.isFourBar(this.hingeType)) this.synthesisMode = false;
+        if (snapshot.synthesisPoses) {
+            this.synthesisPoses = JSON.parse(JSON.stringify(snapshot.synthesisPoses));
+        }
+        // reset() rebuilds the closed lid for the box, setConfiguration puts the pivots back
+        this.reset();
+        this.pendingUIEvent = { type: 'resetAngle' };
+        this.setConfiguration(snapshot);
+    }
+
+    // Base pivots from box left / base top, lid pivots from box left / lid bottom (ConfigSchema's file frame)
+    // Exact box-relative positions in mm; readouts round them for the selected unit
+    getRelativePivotPositions() {
+        return ConfigSchema.toBoxRelative(this.mechanism.pivots, this.boxDimensions, this.canvas);
     }
 
     setConfiguration(config) {
+        if (HingeTypes.isKnown(config.hingeType)) {
+            this.hingeType = config.hingeType;
+            if (!HingeTypes.isFourBar(this.hingeType)) this.synthesisMode = false;
+        }
         if (config.boxDimensions) {
             this.boxDimensions = { ...this.boxDimensions, ...config.boxDimensions };
         }
+        if (config.links) {
+            for (const link of Object.keys(this.linkProperties)) {
+                if (config.links[link]) {
+                    this.linkProperties[link] = { ...this.linkProperties[link], ...config.links[link] };
+                }
+            }
+        }
+        if (typeof config.wallThickness === 'number') {
+            this.wallThickness = config.wallThickness;
+        }
+        if (config.profiles) {
+            this.profiles = { base: config.profiles.base || null, lid: config.profiles.lid || null };
+        }
         if (config.pivots) {
             this.mechanism.pivots = JSON.parse(JSON.stringify(config.pivots));
             this.initialPivots = JSON.parse(JSON.stringify(this.mechanism.pivots));
@@ -1018,10 +1784,284 @@ export class DesignerUI {
         this.updateAndRender();
     }
 
-    hitTest(x, y) {
-        const tolerance = 12 / Math.max(0.001, this.view.scale);
-        for (const name in this.mechanism.pivots) {
-            const pivot = this.mechanism.pivots[name];
+    // --- Numeric placement, snap grid and locks ---
+    getConstraintFrame() {
+        return PivotConstraints.getFrame(this.boxDimensions, this.canvas);
+    }
+
+    // Pivot editing with the lid closed, as after the first click on the canvas
+    enterEditMode() {
+        this.editMode = true;
+        this.animatedState = null;
+        this.pendingUIEvent = { type: 'resetAngle' };
+    }
+
+    /**
+     * Places a pivot at typed box-relative coordinates (see ConfigSchema.toBoxRelative);
+     * the position is not snapped, but the locks still move the other pivots.
+     * @returns {Object} - PivotConstraints.apply result; nothing changes when it is blocked.
+     */
+    setPivotPosition(name, relative) {
+        const current = ConfigSchema.toBoxRelative(this.mechanism.pivots, this.boxDimensions, this.canvas);
+        const target = ConfigSchema.toWorld({ ...current, [name]: relative }, this.boxDimensions, this.canvas)[name];
+        if (HingeTypes.isLinkage(this.hingeType)) {
+            // Six-bar joints go where they are typed; the locks are for four-bar links
+            const result = { pivots: { ...this.mechanism.pivots, [name]: target }, blocked: false, violations: [] };
+            this.enterEditMode();
+            this.withHistoryStep(`Edit pivot ${name}`, () => this.setConfiguration({ pivots: result.pivots }));
+            return result;
+        }
+        if (!HingeTypes.isFourBar(this.hingeType)) {
+            // Only an offset pin can be placed; the locks are for links
+            const editable = HingeTypes.getEditablePivots(this.hingeType).includes(name);
+            const result = { pivots: editable ? this.getSinglePivotLayout(target) : this.mechanism.pivots, blocked: !editable, violations: [] };
+            if (result.blocked) return result;
+            this.enterEditMode();
+            this.withHistoryStep(`Edit pivot ${name}`, () => this.setConfiguration({ pivots: result.pivots }));
+            return result;
+        }
+        const result = PivotConstraints.apply(this.mechanism.pivots, name, target, this.pivotConstraints, this.getConstraintFrame(), { snap: false, unit: this.unit });
+        if (result.blocked) return result;
+        this.enterEditMode();
+        this.withHistoryStep(`Edit pivot ${name}`, () => {
+            this.setConfiguration({ pivots: result.pivots });
+            if (this.synthesisMode) this.applySynthesis();
+        });
+        return result;
+    }
+
+    /**
+     * Replaces the snap grid and lock settings and moves the pivots to satisfy them.
+     * @returns {Object} - PivotConstraints.enforce result.
+     */
+    setPivotConstraints(settings) {
+        this.pivotConstraints = settings;
+        // Kept for when a four-bar is chosen again; a single pin has no links to lock
+        if (!HingeTypes.isFourBar(this.hingeType)) {
+            return { pivots: this.mechanism.pivots, blocked: false, violations: [] };
+        }
+        const result = PivotConstraints.enforce(this.mechanism.pivots, settings, this.getConstraintFrame(), this.unit);
+        this.enterEditMode();
+        this.withHistoryStep('Change pivot constraints', () => this.setConfiguration({ pivots: result.pivots }));
+        return result;
+    }
+
+    // --- Three-position synthesis ---
+    setSynthesisMode(enabled) {
+        // Synthesis finds the ground pivots of a four-bar
+        this.synthesisMode = !!enabled && HingeTypes.isFourBar(this.hingeType);
+        if (!this.synthesisMode) {
+            this.updateAndRender();
+            return;
+        }
+        if (!this.synthesisPoses) {
+            this.synthesisPoses = this.getDefaultSynthesisPoses();
+        }
+        // Poses are edited against the closed lid, so drop any animated state
+        this.editMode = true;
+        this.animatedState = null;
+        this.pendingUIEvent = { type: 'resetAngle' };
+        this.applySynthesis();
+    }
+
+    getDefaultSynthesisPoses() {
+        const baseRect = this.getBaseRect();
+        const closed = this.initialLidTransform;
+
+        // Start from the current mechanism's own mid and open poses when it can move
+        const { min, max } = this.angleLimits;
+        const pivots0 = this.initialPivots || this.mechanism.pivots;
+        if (this.lastResult && this.lastResult.isValid && Math.abs(max - min) > 0.1) {
+            const savedLastValidC = this.lastValidC;
+            const poses = [{ center: { ...closed.center }, angle: closed.angle }];
+            for (const t of [0.5, 1]) {
+                const state = this.calculateAnimatedStateForAngle(min + t * (max - min));
+                if (!state) break;
+                const tr = FourBarLinkageCalculator.getTransform(pivots0.B, pivots0.C, state.B, state.C);
+                poses.push({
+                    center: FourBarLinkageCalculator.applyTransform(closed.center, tr),
+                    angle: closed.angle + tr.angle
+                });
+            }
+            this.lastValidC = savedLastValidC;
+            if (poses.length === 3) return poses;
+        }
+
+        return [
+            { center: { ...closed.center }, angle: closed.angle },
+            {
+                center: { x: closed.center.x - this.lidWidth * 0.35, y: closed.center.y - this.lidWidth * 0.3 },
+                angle: closed.angle - Math.PI / 4
+            },
+            {
+                // Standing upright to the left of the base (opening is up-and-left)
+                center: { x: baseRect.minX - this.lidHeight / 2 - this.lidDelta, y: baseRect.minY - this.lidWidth / 2 },
+                angle: closed.angle - Math.PI / 2
+            }
+        ];
+    }
+
+    // Rebuilds ground pivots A and D from the three ghost lid poses and the lid pivots B and C
+    applySynthesis() {
+        const { B, C } = this.mechanism.pivots;
+        if (!this.synthesisPoses || !B || !C) return;
+
+        // The closed pose always follows the real lid
+        this.synthesisPoses[0] = {
+            center: { ...this.initialLidTransform.center },
+            angle: this.initialLidTransform.angle
+        };
+        const closed = this.synthesisPoses[0];
+        const toLidLocal = (p) => {
+            const ca = Math.cos(-closed.angle), sa = Math.sin(-closed.angle);
+            const dx = p.x - closed.center.x, dy = p.y - closed.center.y;
+            return { x: dx * ca - dy * sa, y: dx * sa + dy * ca };
+        };
+
+        const poses = this.synthesisPoses.map(p => ({ center: p.center, rotation: p.angle * 180 / Math.PI }));
+        const result = FourBarLinkageCalculator.synthesizeThreePositions(poses, { B: toLidLocal(B), C: toLidLocal(C) });
+
+        let message;
+        let isValid = false;
+        if (!result.A || !result.D) {
+            message = `Positions of pivot ${result.A ? 'C' : 'B'} are collinear — move the mid or open lid.`;
+        } else {
+            const config = this.getKinematicConfig();
+            const inBase = (p) => HingeKinematics.isInsideBase(config, p);
+            if (!inBase(result.A) || !inBase(result.D)) {
+                message = `Ground pivot ${inBase(result.A) ? 'D' : 'A'} lies outside the base.`;
+            } else if (FourBarLinkageCalculator.segmentsIntersect(result.A, B, C, result.D) !== HingeTypes.isCrossed(this.hingeType)) {
+                message = HingeTypes.isCrossed(this.hingeType)
+                    ? 'Synthesized links A-B and D-C do not cross.'
+                    : 'Synthesized links A-B and D-C cross; choose the crossed four-bar or move the lids.';
+            } else {
+                message = 'Mechanism built from the three lid positions.';
+                isValid = true;
+            }
+        }
+        this.synthesisResult = { ...result, isValid, message };
+
+        if (result.A && result.D && this.dragState.isDragging) {
+            // Dragging B, C or a ghost lid: throttled like any pivot drag
+            this.mechanism.pivots = { ...this.mechanism.pivots, A: result.A, D: result.D };
+            this.syncDraggedPivots();
+        } else if (result.A && result.D) {
+            this.setConfiguration({ pivots: { ...this.mechanism.pivots, A: result.A, D: result.D } });
+        } else {
+            this.updateAndRender();
+        }
+    }
+
+    getSynthesisHandle(pose) {
+        // Rotation handle sits above the lid's top edge, in lid-local coordinates
+        const offset = this.lidHeight / 2 + 25;
+        return {
+            x: pose.center.x + offset * Math.sin(pose.angle),
+            y: pose.center.y - offset * Math.cos(pose.angle)
+        };
+    }
+
+    hitTestSynthesisGhost(x, y) {
+        if (!this.synthesisMode || !this.synthesisPoses) return null;
+        const tolerance = this.getHitTolerance();
+        // The closed pose (index 0) is fixed by the box; test the topmost ghost first
+        for (let i = this.synthesisPoses.length - 1; i >= 1; i--) {
+            const pose = this.synthesisPoses[i];
+            if (FourBarLinkageCalculator.distance({ x, y }, this.getSynthesisHandle(pose)) < tolerance) {
+                return { index: i, part: 'rotate' };
+            }
+            const ca = Math.cos(-pose.angle), sa = Math.sin(-pose.angle);
+            const dx = x - pose.center.x, dy = y - pose.center.y;
+            const lx = dx * ca - dy * sa;
+            const ly = dx * sa + dy * ca;
+            if (Math.abs(lx) <= this.lidWidth / 2 && Math.abs(ly) <= this.lidHeight / 2) {
+                return { index: i, part: 'move' };
+            }
+        }
+        return null;
+    }
+
+    dragSynthesisGhost(x, y) {
+        const pose = this.synthesisPoses[this.dragState.ghostIndex];
+        if (this.dragState.ghostPart === 'rotate') {
+            pose.angle = Math.atan2(y - pose.center.y, x - pose.center.x) + Math.PI / 2;
+        } else {
+            pose.center = {
+                x: this.dragState.startCenter.x + (x - this.dragState.startX),
+                y: this.dragState.startCenter.y + (y - this.dragState.startY)
+            };
+        }
+        this.applySynthesis();
+    }
+
+    drawSynthesisGhosts() {
+        const ctx = this.ctx;
+        const labels = ['1 closed', '2 mid', '3 open'];
+        ctx.save();
+        this.synthesisPoses.forEach((pose, i) => {
+            this.tracePolygon(ctx, this.getLidOutlineWorld(pose.center, pose.angle));
+            ctx.setLineDash([6, 4]);
+            ctx.fillStyle = 'rgba(120, 60, 200, 0.08)';
+            ctx.strokeStyle = 'rgba(120, 60, 200, 0.8)';
+            ctx.lineWidth = 1.5;
+            ctx.fill();
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = 'rgba(120, 60, 200, 0.9)';
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(labels[i], pose.center.x, pose.center.y);
+
+            if (i > 0) {
+                const top = {
+                    x: pose.center.x + (this.lidHeight / 2) * Math.sin(pose.angle),
+                    y: pose.center.y - (this.lidHeight / 2) * Math.cos(pose.angle)
+                };
+                const handle = this.getSynthesisHandle(pose);
+                ctx.beginPath();
+                ctx.moveTo(top.x, top.y);
+                ctx.lineTo(handle.x, handle.y);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.arc(handle.x, handle.y, 6, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+
+        // Lid pivot positions and the radii they define around A and D
+        const result = this.synthesisResult;
+        if (result) {
+            const drawPositions = (points, center, color) => {
+                for (const p of points) {
+                    if (center) {
+                        ctx.beginPath();
+                        ctx.moveTo(center.x, center.y);
+                        ctx.lineTo(p.x, p.y);
+                        ctx.strokeStyle = color;
+                        ctx.lineWidth = 1;
+                        ctx.setLineDash([3, 3]);
+                        ctx.stroke();
+                        ctx.setLineDash([]);
+                    }
+                    ctx.beginPath();
+                    ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+                    ctx.fillStyle = color;
+                    ctx.fill();
+                }
+            };
+            drawPositions(result.positions.B, result.A, 'rgba(255, 0, 0, 0.7)');
+            drawPositions(result.positions.C, result.D, 'rgba(0, 128, 0, 0.7)');
+        }
+        ctx.restore();
+    }
+
+    // Only pivots the hinge type lets the user move can be grabbed
+    hitTest(x, y, pivots = this.mechanism.pivots) {
+        const tolerance = this.getHitTolerance();
+        for (const name of HingeTypes.getEditablePivots(this.hingeType)) {
+            const pivot = pivots[name];
             if (!pivot || typeof pivot.x === 'undefined' || typeof pivot.y === 'undefined') continue;
             if (FourBarLinkageCalculator.distance({ x, y }, pivot) < tolerance) {
                 return { hit: true, pivotName: name };
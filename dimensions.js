@@ -0,0 +1,191 @@
+import { FourBarLinkageCalculator } from './simulator.js';
+import { HingeKinematics } from './kinematics.js';
+import { Units } from './units.js';
+import { HingeTypes } from './hinge_types.js';
+
+/**
+ * HingeDimensions - Dimensions for the annotation layer of the canvas: link lengths, pivot
+ * offsets from the box edges, the lid gap, the smallest lid–base clearance over the motion
+ * and the current lid angle.
+ * Geometry is in world millimeters and labels follow the display unit. How far a dimension
+ * line sits from what it measures is left to the renderer, which works in screen pixels so
+ * the layer reads the same at every zoom.
+ *
+ * Linear dimension: { id, from, to, value, label, side } with side +1/-1 the direction of the
+ *   offset (left-hand normal of from → to in canvas coordinates), 0 to draw on the measured line.
+ *   The clearance dimension also carries lidCorners, the lid outline at that pose.
+ * Angle dimension: { id, center, radius, start, end, value, label } with angles in radians.
+ * No UI or rendering logic is included.
+ */
+
+const toDeg = (rad) => rad * 180 / Math.PI;
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+const along = (p, u, t) => ({ x: p.x + u.x * t, y: p.y + u.y * t });
+const unit = (v) => {
+    const length = Math.hypot(v.x, v.y) || 1;
+    return { x: v.x / length, y: v.y / length };
+};
+
+export class HingeDimensions {
+    /**
+     * All dimensions of one displayed pose.
+     * @param {Object} config - HingeKinematics config of the design.
+     * @param {Object} options - { pose, lidPose, clearance, unit } with pose the displayed
+     *   { A, B, C, D }, lidPose its { center, angle } and clearance a findMinClearance() result or null.
+     * @returns {Object} - { linear, angles }
+     */
+    static build(config, { pose, lidPose, clearance = null, unit = 'mm' }) {
+        const length = (mm) => Units.format(mm, unit);
+        // A single-pivot hinge has no links and only the pin to place; six-bars get the offsets of A to D
+        const linear = [
+            ...(HingeTypes.isFourBar(config.hingeType) ? HingeDimensions.getLinkDimensions(pose, length) : []),
+            ...HingeDimensions.getPivotOffsets(config, HingeTypes.isSinglePivot(config.hingeType) ? { A: pose.A } : pose, lidPose, length)
+        ];
+
+        const gap = HingeDimensions.getLidGap(config, length);
+        if (gap) linear.push(gap);
+
+        if (clearance) {
+            linear.push({
+                id: 'clearance',
+                from: clearance.lidPoint,
+                to: clearance.basePoint,
+                value: clearance.distance,
+                label: `min clearance ${length(clearance.distance)} at ${Math.abs(toDeg(clearance.lidAngle)).toFixed(1)}°`,
+                side: 0,
+                lidCorners: clearance.lidCorners
+            });
+        }
+
+        const lidAngle = lidPose.angle - config.lid.angle;
+        const angles = [{
+            id: 'lidAngle',
+            center: lidPose.center,
+            radius: Math.min(config.lid.width, config.lid.height) * 0.35,
+            start: config.lid.angle,
+            end: lidPose.angle,
+            value: Math.abs(toDeg(lidAngle)),
+            label: `${Math.abs(toDeg(lidAngle)).toFixed(1)}°`
+        }];
+        return { linear, angles };
+    }
+
+    // AB and DC, each offset away from the other link so the crossed bars keep their labels apart
+    static getLinkDimensions(pose, length) {
+        return [['AB', pose.A, pose.B, pose.D, pose.C], ['DC', pose.D, pose.C, pose.A, pose.B]].map(([id, from, to, p, q]) => {
+            const normal = { x: -(to.y - from.y), y: to.x - from.x };
+            const middle = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+            const otherMiddle = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+            const value = FourBarLinkageCalculator.distance(from, to);
+            return { id, from, to, value, label: `${id} ${length(value)}`, side: dot(normal, sub(middle, otherMiddle)) >= 0 ? 1 : -1 };
+        });
+    }
+
+    /**
+     * Offsets of each pivot in its panel's box-relative frame (see ConfigSchema.toBoxRelative):
+     * from the nearer side edge and from the base top (A, D) or the lid bottom (B, C). Lid
+     * offsets are measured in the lid's current orientation.
+     */
+    static getPivotOffsets(config, pose, lidPose, length) {
+        const base = config.base;
+        const [TL, , BR, BL] = HingeKinematics.getLidCorners(config, lidPose);
+        const panels = {
+            // origin on the reference edge's left end, x along it, y into the panel
+            base: { origin: { x: base.minX, y: base.minY }, ux: { x: 1, y: 0 }, uy: { x: 0, y: 1 }, width: base.maxX - base.minX },
+            lid: { origin: BL, ux: unit(sub(BR, BL)), uy: unit(sub(TL, BL)), width: config.lid.width }
+        };
+
+        const dimensions = [];
+        for (const [name, panel] of [['A', panels.base], ['D', panels.base], ['B', panels.lid], ['C', panels.lid]]) {
+            const p = pose[name];
+            if (!p) continue;
+            const local = sub(p, panel.origin);
+            const x = dot(local, panel.ux);
+            const y = dot(local, panel.uy);
+            const onLeft = x <= panel.width / 2;
+            const edge = onLeft
+                ? along(panel.origin, panel.uy, y)
+                : along(along(panel.origin, panel.ux, panel.width), panel.uy, y);
+            const horizontal = onLeft ? x : panel.width - x;
+            dimensions.push(
+                { id: `${name}.x`, from: edge, to: p, value: horizontal, label: length(horizontal), side: 0 },
+                { id: `${name}.y`, from: along(panel.origin, panel.ux, x), to: p, value: y, label: length(y), side: 0 }
+            );
+        }
+        return dimensions;
+    }
+
+    // Between the base top and the closed lid's bottom, beside the base's right edge
+    static getLidGap(config, length) {
+        if (!config.base || !config.lid) return null;
+        const lidBottom = config.lid.center.y + config.lid.height / 2;
+        const gap = config.base.minY - lidBottom;
+        if (!(gap > 0)) return null;
+        return {
+            id: 'lidGap',
+            from: { x: config.base.maxX, y: config.base.minY },
+            to: { x: config.base.maxX, y: lidBottom },
+            value: gap,
+            label: `gap ${length(gap)}`,
+            side: 1
+        };
+    }
+
+    /**
+     * Smallest distance between the lid and the base over sampled poses.
+     * @param {Object} config - HingeKinematics config with lid and base.
+     * @param {Array} samples - [{ pose, inputAngle, lidAngle }], e.g. from HingeKinematics.sweep or the analysis report.
+     * @returns {Object|null} - { distance, inputAngle, lidAngle, lidPoint, basePoint, lidCorners }; distance is 0 where they overlap.
+     */
+    static findMinClearance(config, samples) {
+        if (!config.lid || !config.base) return null;
+        const basePolygon = HingeKinematics.getBasePolygon(config);
+        let best = null;
+        for (const sample of samples) {
+            if (!sample.pose) continue;
+            const lidCorners = HingeKinematics.getLidOutline(config, HingeKinematics.getLidPose(config, sample.pose));
+            const clearance = HingeDimensions.polygonClearance(lidCorners, basePolygon);
+            if (!best || clearance.distance < best.distance) {
+                best = {
+                    distance: clearance.distance,
+                    inputAngle: sample.inputAngle,
+                    lidAngle: sample.lidAngle,
+                    lidPoint: clearance.from,
+                    basePoint: clearance.to,
+                    lidCorners
+                };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Closest points of two simple polygons, which may be concave (profiled lids and bases).
+     * @returns {Object} - { distance, from, to } with from on polyA and to on polyB; distance is 0 when they overlap.
+     */
+    static polygonClearance(polyA, polyB) {
+        let best = { distance: Infinity, from: null, to: null };
+        const test = (vertex, polygon, vertexOnA) => {
+            polygon.forEach((start, i) => {
+                const point = HingeDimensions.closestPointOnSegment(vertex, start, polygon[(i + 1) % polygon.length]);
+                const distance = FourBarLinkageCalculator.distance(vertex, point);
+                if (distance < best.distance) {
+                    best = vertexOnA ? { distance, from: vertex, to: point } : { distance, from: point, to: vertex };
+                }
+            });
+        };
+        polyA.forEach(vertex => test(vertex, polyB, true));
+        polyB.forEach(vertex => test(vertex, polyA, false));
+        if (FourBarLinkageCalculator.polygonsOverlap(polyA, polyB)) best.distance = 0;
+        return best;
+    }
+
+    static closestPointOnSegment(p, a, b) {
+        const ab = sub(b, a);
+        const lengthSq = dot(ab, ab);
+        if (lengthSq < 1e-12) return { ...a };
+        const t = Math.max(0, Math.min(1, dot(sub(p, a), ab) / lengthSq));
+        return along(a, ab, t);
+    }
+}
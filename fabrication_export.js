@@ -0,0 +1,269 @@
+import { FourBarLinkageCalculator } from './simulator.js';
+import { Units } from './units.js';
+import { HingeTypes } from './hinge_types.js';
+import { BoxProfiles } from './profiles.js';
+
+/**
+ * FabricationExporter - Cut files for building the hinge, in real millimeters.
+ * Each link is a bar with rounded ends, pin holes at the configured diameter and its
+ * center-to-center length annotated. The drilling template is a full-scale side view
+ * of the closed box with A/D on the base panel and B/C on the lid panel, positioned
+ * from DesignerUI.getRelativePivotPositions. A single-pivot hinge has no links and only
+ * its pin hole A on the template; a six-bar's template has its ground and lid joints, its
+ * links (some of them ternary plates) are not exported. Profiled panels are drawn with
+ * their BoxProfiles outline, arcs flattened to lines.
+ * Drawings are built as a list of shapes in a y-up millimeter frame and then written
+ * as SVG or DXF (R12 ASCII), so both formats carry identical geometry. Only the
+ * annotations follow the selected display unit.
+ * No UI or rendering logic is included.
+ */
+
+const MARGIN = 5; // mm around each drawing
+const TEXT_HEIGHT = 3; // mm
+
+export class FabricationExporter {
+    /**
+     * Collects the dimensions of every part from the designer.
+     * @param {DesignerUI} designer - Current design.
+     * @returns {Object} - { links: { AB, DC }, template }
+     */
+    static getParts(designer) {
+        const { A, B, C, D } = designer.mechanism.pivots;
+        const props = designer.linkProperties;
+        const relative = designer.getRelativePivotPositions();
+        const { width, baseHeight, lidHeight, lidGap } = designer.boxDimensions;
+        const holes = [{ name: 'A', panel: 'base', ...relative.A, diameter: props.AB.pinDiameter }];
+        const profiles = { ...designer.profiles };
+
+        if (HingeTypes.isLinkage(designer.hingeType)) {
+            const { bodies, ground } = HingeTypes.get(designer.hingeType).linkage;
+            holes.push(
+                ...bodies[ground].filter(name => name !== 'A').map(name => ({ name, panel: 'base', ...relative[name], diameter: props.AB.pinDiameter })),
+                ...['B', 'C'].map(name => ({ name, panel: 'lid', ...relative[name], diameter: props.AB.pinDiameter }))
+            );
+        }
+        if (!HingeTypes.isFourBar(designer.hingeType)) {
+            return { links: {}, template: { width, baseHeight, lidHeight, lidGap, holes, profiles } };
+        }
+        holes.push(
+            { name: 'D', panel: 'base', ...relative.D, diameter: props.DC.pinDiameter },
+            { name: 'B', panel: 'lid', ...relative.B, diameter: props.AB.pinDiameter },
+            { name: 'C', panel: 'lid', ...relative.C, diameter: props.DC.pinDiameter }
+        );
+        return {
+            links: {
+                AB: { name: 'AB', length: FourBarLinkageCalculator.distance(A, B), ...props.AB },
+                DC: { name: 'DC', length: FourBarLinkageCalculator.distance(D, C), ...props.DC }
+            },
+            template: { width, baseHeight, lidHeight, lidGap, holes, profiles }
+        };
+    }
+
+    // Bar with rounded ends: pins at (0, 0) and (length, 0)
+    static linkShapes(link, unit = 'mm') {
+        const length = (mm) => Units.format(mm, unit);
+        const r = link.barWidth / 2;
+        const L = link.length;
+        const hole = link.pinDiameter / 2;
+        return [
+            { type: 'line', layer: 'CUT', from: { x: 0, y: r }, to: { x: L, y: r } },
+            { type: 'line', layer: 'CUT', from: { x: 0, y: -r }, to: { x: L, y: -r } },
+            { type: 'arc', layer: 'CUT', center: { x: L, y: 0 }, radius: r, start: -90, end: 90 },
+            { type: 'arc', layer: 'CUT', center: { x: 0, y: 0 }, radius: r, start: 90, end: 270 },
+            { type: 'circle', layer: 'HOLES', center: { x: 0, y: 0 }, radius: hole },
+            { type: 'circle', layer: 'HOLES', center: { x: L, y: 0 }, radius: hole },
+            {
+                type: 'text', layer: 'ANNOTATION', at: { x: 0, y: -r - TEXT_HEIGHT - 2 },
+                text: `Link ${link.name}: L = ${Units.format(link.length, unit, { precise: true })}, width ${length(link.barWidth)}, pins ${length(link.pinDiameter)}`
+            }
+        ];
+    }
+
+    // Closed side view: base panel from y = 0 up to baseHeight, lid panel above the gap
+    static templateShapes(template, unit = 'mm') {
+        const { width, baseHeight, lidHeight, lidGap } = template;
+        const value = (mm) => Units.format(mm, unit, { precise: true, suffix: false });
+        const lidBottom = baseHeight + lidGap;
+        const rect = (x, y, w, h) => [
+            { type: 'line', layer: 'OUTLINE', from: { x, y }, to: { x: x + w, y } },
+            { type: 'line', layer: 'OUTLINE', from: { x: x + w, y }, to: { x: x + w, y: y + h } },
+            { type: 'line', layer: 'OUTLINE', from: { x: x + w, y: y + h }, to: { x, y: y + h } },
+            { type: 'line', layer: 'OUTLINE', from: { x, y: y + h }, to: { x, y } }
+        ];
+        // Profile frames: base y down from the base top, lid y up from the lid bottom
+        const outline = (profile, toTemplate) => BoxProfiles.toPolygon(profile).map(toTemplate).map((from, i, points) => (
+            { type: 'line', layer: 'OUTLINE', from, to: points[(i + 1) % points.length] }
+        ));
+        const profiles = template.profiles || {};
+        const shapes = [
+            ...(profiles.base ? outline(profiles.base, p => ({ x: p.x, y: baseHeight - p.y })) : rect(0, 0, width, baseHeight)),
+            ...(profiles.lid ? outline(profiles.lid, p => ({ x: p.x, y: lidBottom + p.y })) : rect(0, lidBottom, width, lidHeight)),
+            { type: 'text', layer: 'ANNOTATION', at: { x: 2, y: 2 }, text: `BASE: holes from box left / base top (${Units.label(unit)})` },
+            { type: 'text', layer: 'ANNOTATION', at: { x: 2, y: lidBottom + lidHeight - TEXT_HEIGHT - 2 }, text: `LID: holes from box left / lid bottom (${Units.label(unit)})` }
+        ];
+
+        for (const hole of template.holes) {
+            // Base offsets are measured down from the base top, lid offsets up from the lid bottom
+            const center = hole.panel === 'base'
+                ? { x: hole.x, y: baseHeight - hole.y }
+                : { x: hole.x, y: lidBottom + hole.y };
+            const mark = hole.diameter / 2 + 3;
+            shapes.push(
+                { type: 'circle', layer: 'HOLES', center, radius: hole.diameter / 2 },
+                { type: 'line', layer: 'ANNOTATION', from: { x: center.x - mark, y: center.y }, to: { x: center.x + mark, y: center.y } },
+                { type: 'line', layer: 'ANNOTATION', from: { x: center.x, y: center.y - mark }, to: { x: center.x, y: center.y + mark } },
+                {
+                    type: 'text', layer: 'ANNOTATION', at: { x: center.x + mark + 1, y: center.y + 1 },
+                    text: `${hole.name} (${value(hole.x)}, ${value(hole.y)}) Ø${value(hole.diameter)}`
+                }
+            );
+        }
+        return shapes;
+    }
+
+    // Bounding box of the drawing; text is approximated by its anchor and a rough width
+    static getBounds(shapes) {
+        const xs = [];
+        const ys = [];
+        const add = (x, y) => { xs.push(x); ys.push(y); };
+        for (const shape of shapes) {
+            if (shape.type === 'line') {
+                add(shape.from.x, shape.from.y);
+                add(shape.to.x, shape.to.y);
+            } else if (shape.type === 'circle' || shape.type === 'arc') {
+                add(shape.center.x - shape.radius, shape.center.y - shape.radius);
+                add(shape.center.x + shape.radius, shape.center.y + shape.radius);
+            } else if (shape.type === 'text') {
+                add(shape.at.x, shape.at.y);
+                add(shape.at.x + shape.text.length * TEXT_HEIGHT * 0.6, shape.at.y + TEXT_HEIGHT);
+            }
+        }
+        return {
+            minX: Math.min(...xs) - MARGIN,
+            minY: Math.min(...ys) - MARGIN,
+            maxX: Math.max(...xs) + MARGIN,
+            maxY: Math.max(...ys) + MARGIN
+        };
+    }
+
+    static toSVG(shapes) {
+        const b = FabricationExporter.getBounds(shapes);
+        const w = b.maxX - b.minX;
+        const h = b.maxY - b.minY;
+        const f = (n) => Number(n.toFixed(3));
+        const X = (x) => f(x - b.minX);
+        const Y = (y) => f(b.maxY - y); // SVG is y-down
+        const strokes = { CUT: '#ff0000', HOLES: '#0000ff', OUTLINE: '#000000', ANNOTATION: '#555555' };
+
+        const body = shapes.map(shape => {
+            const stroke = strokes[shape.layer];
+            switch (shape.type) {
+                case 'line':
+                    return `<line x1="${X(shape.from.x)}" y1="${Y(shape.from.y)}" x2="${X(shape.to.x)}" y2="${Y(shape.to.y)}" stroke="${stroke}" stroke-width="0.1" />`;
+                case 'circle':
+                    return `<circle cx="${X(shape.center.x)}" cy="${Y(shape.center.y)}" r="${f(shape.radius)}" fill="none" stroke="${stroke}" stroke-width="0.1" />`;
+                case 'arc': {
+                    const point = (deg) => ({
+                        x: shape.center.x + shape.radius * Math.cos(deg * Math.PI / 180),
+                        y: shape.center.y + shape.radius * Math.sin(deg * Math.PI / 180)
+                    });
+                    const p1 = point(shape.start);
+                    const p2 = point(shape.end);
+                    const largeArc = shape.end - shape.start > 180 ? 1 : 0;
+                    // Counter-clockwise in the y-up frame is sweep-flag 0 once y is flipped
+                    return `<path d="M ${X(p1.x)} ${Y(p1.y)} A ${f(shape.radius)} ${f(shape.radius)} 0 ${largeArc} 0 ${X(p2.x)} ${Y(p2.y)}" fill="none" stroke="${stroke}" stroke-width="0.1" />`;
+                }
+                case 'text':
+                    return `<text x="${X(shape.at.x)}" y="${Y(shape.at.y)}" font-family="Arial" font-size="${TEXT_HEIGHT}" fill="${stroke}">${shape.text}</text>`;
+                default:
+                    return '';
+            }
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${f(w)}mm" height="${f(h)}mm" viewBox="0 0 ${f(w)} ${f(h)}">`,
+            ...body.map(line => `  ${line}`),
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    static toDXF(shapes) {
+        const out = [];
+        const group = (code, value) => out.push(String(code), String(value));
+        const point = (base, p) => {
+            group(base, p.x.toFixed(4));
+            group(base + 10, p.y.toFixed(4));
+            group(base + 20, '0.0');
+        };
+
+        group(0, 'SECTION');
+        group(2, 'HEADER');
+        group(9, '$INSUNITS');
+        group(70, 4); // millimeters
+        group(0, 'ENDSEC');
+        group(0, 'SECTION');
+        group(2, 'ENTITIES');
+        for (const shape of shapes) {
+            switch (shape.type) {
+                case 'line':
+                    group(0, 'LINE');
+                    group(8, shape.layer);
+                    point(10, shape.from);
+                    point(11, shape.to);
+                    break;
+                case 'circle':
+                    group(0, 'CIRCLE');
+                    group(8, shape.layer);
+                    point(10, shape.center);
+                    group(40, shape.radius.toFixed(4));
+                    break;
+                case 'arc':
+                    group(0, 'ARC');
+                    group(8, shape.layer);
+                    point(10, shape.center);
+                    group(40, shape.radius.toFixed(4));
+                    group(50, shape.start);
+                    group(51, shape.end);
+                    break;
+                case 'text':
+                    group(0, 'TEXT');
+                    group(8, shape.layer);
+                    point(10, shape.at);
+                    group(40, TEXT_HEIGHT);
+                    group(1, shape.text.replace('Ø', '%%c'));
+                    break;
+            }
+        }
+        group(0, 'ENDSEC');
+        group(0, 'EOF');
+        return out.join('\n') + '\n';
+    }
+
+    /**
+     * Builds one export file.
+     * @param {DesignerUI} designer - Current design.
+     * @param {string} part - 'AB', 'DC' or 'template'.
+     * @param {string} format - 'svg' or 'dxf'.
+     * @param {string} unit - Display unit of the annotations; the geometry is always millimeters.
+     * @returns {Object} - { filename, content, mimeType }
+     */
+    static exportPart(designer, part, format, unit = 'mm') {
+        const parts = FabricationExporter.getParts(designer);
+        let shapes;
+        if (part === 'template') {
+            shapes = FabricationExporter.templateShapes(parts.template, unit);
+        } else if (parts.links[part]) {
+            shapes = FabricationExporter.linkShapes(parts.links[part], unit);
+        } else {
+            throw new Error(`Unknown part: ${part}`);
+        }
+
+        const name = part === 'template' ? 'drilling-template' : `link-${part}`;
+        if (format === 'dxf') {
+            return { filename: `hinge-${name}.dxf`, content: FabricationExporter.toDXF(shapes), mimeType: 'application/dxf' };
+        }
+        return { filename: `hinge-${name}.svg`, content: FabricationExporter.toSVG(shapes), mimeType: 'image/svg+xml' };
+    }
+}
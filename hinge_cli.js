@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+import { readFileSync } from 'fs';
+import { FourBarLinkageCalculator } from './simulator.js';
+import { HingeKinematics, DEFAULT_CANVAS, DEFAULT_PIVOT_PLACEMENT } from './kinematics.js';
+import { HingeAnalyzer } from './analysis.js';
+import { InterferenceAnalyzer, DEFAULT_WALL_THICKNESS } from './interference.js';
+import { ConfigSchema } from './config_schema.js';
+import { HingeTypes, DEFAULT_HINGE_TYPE } from './hinge_types.js';
+import { PlanarLinkage } from './linkage.js';
+
+/**
+ * hinge_cli - Evaluate and sweep exported hinge-config-*.json files from Node.
+ *
+ *   node hinge_cli.js evaluate <config.json>... [--json]
+ *   node hinge_cli.js sweep <config.json> [--samples 90]
+ *   node hinge_cli.js grid [config.json] --param baseY=0.2:0.4:0.05 [--param ...] [--target 90]
+ *
+ * Files of every version ConfigSchema migrates are accepted. Pivots of version 1.x/2.0
+ * files are world coordinates of the browser canvas (1125 x 750 by default, override with
+ * --canvas WxH). Sweeps print pivots in the box-relative millimeters of version 3.0/4.0 files
+ * (ConfigSchema.toBoxRelative). Grid parameters are pivot placement fractions
+ * (baseXLeft, baseXRight, baseY, lidXLeft, lidXRight, lidY) as used by DesignerUI.reset,
+ * starting from the default placement of the hinge type (crossed or open four-bar).
+ * Evaluations check the bars, pins and walls of the file's links and wallThickness
+ * (InterferenceAnalyzer) like the designer's interference report.
+ */
+
+const USAGE = `Usage:
+  node hinge_cli.js evaluate <config.json>... [--json]
+  node hinge_cli.js sweep <config.json> [--samples N]   (pivot columns in box-relative mm, as in the files)
+  node hinge_cli.js grid [config.json] --param name=start:end:step [--param ...] [--target degrees]
+
+Options:
+  --canvas WxH   Canvas size version 1.x/2.0 pivots were exported from (default ${DEFAULT_CANVAS.width}x${DEFAULT_CANVAS.height})
+  --type ID      Hinge type: ${HingeTypes.list().map(type => type.id).join(', ')} (default: the file's, else ${DEFAULT_HINGE_TYPE});
+                 another type than the file's starts from its default pivots
+  --unlocked     Allow the linkage to leave its assembly (or set hingeUnlocked in the file)
+  --json         Print evaluate results as JSON`;
+
+// DesignerUI's default box, used for grids without a file
+const DEFAULT_BOX = { width: 700, baseHeight: 100, lidHeight: 100, lidGap: 100 };
+
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+function parseArgs(argv) {
+    const args = { command: argv[0], files: [], params: [], options: {} };
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--param') {
+            args.params.push(argv[++i]);
+        } else if (arg === '--json' || arg === '--unlocked') {
+            args.options[arg.slice(2)] = true;
+        } else if (arg.startsWith('--')) {
+            args.options[arg.slice(2)] = argv[++i];
+        } else {
+            args.files.push(arg);
+        }
+    }
+    return args;
+}
+
+function parseCanvas(value) {
+    if (!value) return DEFAULT_CANVAS;
+    const match = /^(\d+)x(\d+)$/.exec(value);
+    if (!match) throw new Error(`Invalid --canvas "${value}", expected WxH`);
+    return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+function parseNumberOption(name, value, fallback, { integer = false, min = -Infinity } = {}) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min) {
+        throw new Error(`Invalid --${name} "${value}", expected ${integer ? 'a whole number' : 'a number'}${min > -Infinity ? ` of at least ${min}` : ''}`);
+    }
+    return number;
+}
+
+// Validated and migrated the same way main.js imports; pivots come back in world coordinates
+function readConfigFile(file, options) {
+    const json = JSON.parse(readFileSync(file, 'utf8'));
+    const { config, errors } = ConfigSchema.load(json, parseCanvas(options.canvas));
+    if (errors.length > 0) {
+        throw new Error(`${file} is not a valid configuration:\n${ConfigSchema.formatErrors(errors)}`);
+    }
+    return config;
+}
+
+function getHingeType(fileConfig, options) {
+    const type = options.type || fileConfig.hingeType || DEFAULT_HINGE_TYPE;
+    if (!HingeTypes.isKnown(type)) {
+        throw new Error(`Unknown hinge type "${type}", expected one of ${HingeTypes.list().map(t => t.id).join(', ')}`);
+    }
+    return type;
+}
+
+function buildConfig(fileConfig, options, pivots = fileConfig.pivots) {
+    const canvasSize = parseCanvas(options.canvas);
+    const hingeType = getHingeType(fileConfig, options);
+    // The file's pivots belong to its own type; another type starts from its default layout
+    if (hingeType !== (fileConfig.hingeType || DEFAULT_HINGE_TYPE) && pivots === fileConfig.pivots) pivots = null;
+    return HingeKinematics.createConfig({
+        boxDimensions: fileConfig.boxDimensions,
+        pivots: pivots || HingeKinematics.getDefaultPivots(hingeType, fileConfig.boxDimensions, canvasSize),
+        hingeUnlocked: !!options.unlocked || !!fileConfig.hingeUnlocked,
+        hingeType,
+        canvasSize,
+        profiles: fileConfig.profiles
+    });
+}
+
+// Link lengths by name: a four-bar's AB, DC, BC and AD, a six-bar's binary links, none for a single pin
+function getLinkLengths(config) {
+    const { A, B, C, D } = config.pivots;
+    if (HingeTypes.isLinkage(config.hingeType)) {
+        const links = PlanarLinkage.getBinaryLinks(HingeTypes.get(config.hingeType).linkage, config.pivots);
+        return Object.fromEntries(links.map(link => [link.name, link.length]));
+    }
+    if (!HingeTypes.isFourBar(config.hingeType)) return null;
+    return {
+        AB: FourBarLinkageCalculator.distance(A, B),
+        DC: FourBarLinkageCalculator.distance(D, C),
+        BC: FourBarLinkageCalculator.distance(B, C),
+        AD: FourBarLinkageCalculator.distance(A, D)
+    };
+}
+
+// Bar widths, pins, layers and wall thickness from the file, with the designer's defaults for the rest
+function getBars(fileConfig) {
+    const linkProperties = InterferenceAnalyzer.defaultLinkProperties();
+    for (const link of Object.keys(linkProperties)) {
+        if (fileConfig.links && fileConfig.links[link]) {
+            linkProperties[link] = { ...linkProperties[link], ...fileConfig.links[link] };
+        }
+    }
+    const wallThickness = typeof fileConfig.wallThickness === 'number' ? fileConfig.wallThickness : DEFAULT_WALL_THICKNESS;
+    return { linkProperties, wallThickness };
+}
+
+function evaluateConfig(config, bars) {
+    const limits = HingeKinematics.findAngleLimits(config);
+    const analysis = HingeAnalyzer.analyzeConfig(config, limits.angleLimits);
+    const interference = InterferenceAnalyzer.analyzeConfig(config, limits.angleLimits, bars);
+    return {
+        hingeType: config.hingeType,
+        valid: HingeKinematics.isValidDesign(config),
+        links: getLinkLengths(config),
+        inputLimitDeg: Math.abs(toDeg(limits.angleLimits.max - limits.angleLimits.min)),
+        kinematicLimitDeg: Math.abs(toDeg(limits.kinematicLimits.max - limits.kinematicLimits.min)),
+        lidOpeningDeg: Math.abs(toDeg(limits.lidAngleLimits.max)),
+        collision: limits.collision
+            ? { inputAngleDeg: Math.abs(toDeg(limits.collision.angle)) }
+            : null,
+        transmission: {
+            minDeg: analysis.minTransmission ? analysis.minTransmission.value : null,
+            status: analysis.status,
+            toggles: analysis.toggles.length,
+            deadZones: analysis.deadZones.length,
+            messages: analysis.messages
+        },
+        interference: interference.issues.map(issue => ({
+            type: issue.type,
+            link: issue.link,
+            other: issue.other,
+            description: InterferenceAnalyzer.describe(issue, bars.linkProperties),
+            firstInputAngleDeg: Math.abs(toDeg(issue.firstAngle)),
+            lastInputAngleDeg: Math.abs(toDeg(issue.lastAngle)),
+            overlap: Math.abs(issue.minClearance)
+        }))
+    };
+}
+
+function printEvaluation(file, result) {
+    const f = (n) => n.toFixed(1);
+    console.log(`${file}`);
+    console.log(`  hinge type:       ${HingeTypes.get(result.hingeType).label}`);
+    console.log(`  valid:            ${result.valid ? 'yes' : 'no'}`);
+    console.log(result.links
+        ? `  links (mm):       ${Object.entries(result.links).map(([name, length]) => `${name} ${f(length)}`).join(', ')}`
+        : '  links (mm):       none (single pin)');
+    console.log(`  lid opening:      ${f(result.lidOpeningDeg)}° (input link ${f(result.inputLimitDeg)}°, kinematic limit ${f(result.kinematicLimitDeg)}°)`);
+    console.log(`  collision:        ${result.collision ? `lid contacts base at input ${f(result.collision.inputAngleDeg)}°` : 'none'}`);
+    const t = result.transmission;
+    console.log(`  transmission:     min ${t.minDeg === null ? '—' : `${f(t.minDeg)}°`}, ${t.status} (${t.toggles} toggle points, ${t.deadZones} dead zones)`);
+    t.messages.forEach(message => console.log(`    ${message}`));
+    console.log(`  interference:     ${result.interference.length === 0 ? 'none' : `${result.interference.length} found`}`);
+    result.interference.forEach(issue => {
+        const range = issue.firstInputAngleDeg === issue.lastInputAngleDeg
+            ? `at ${f(issue.firstInputAngleDeg)}°`
+            : `from ${f(issue.firstInputAngleDeg)}° to ${f(issue.lastInputAngleDeg)}°`;
+        console.log(`    ${issue.description} ${range} (${f(issue.overlap)} mm overlap)`);
+    });
+}
+
+function commandEvaluate(args) {
+    if (args.files.length === 0) throw new Error('evaluate needs at least one config file');
+    const results = args.files.map(file => {
+        const fileConfig = readConfigFile(file, args.options);
+        return { file, ...evaluateConfig(buildConfig(fileConfig, args.options), getBars(fileConfig)) };
+    });
+    if (args.options.json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        results.forEach(result => printEvaluation(result.file, result));
+    }
+}
+
+function commandSweep(args) {
+    if (args.files.length !== 1) throw new Error('sweep needs exactly one config file');
+    const fileConfig = readConfigFile(args.files[0], args.options);
+    const config = buildConfig(fileConfig, args.options);
+    const samples = parseNumberOption('samples', args.options.samples, 90, { integer: true, min: 1 });
+    // One x, y column pair per pivot: A to D, and E to G for six-bars
+    const names = HingeTypes.getPivotNames(config.hingeType);
+    const rows = [['input_angle_deg', 'lid_angle_deg', ...names.flatMap(name => [`${name}_x`, `${name}_y`])].join(',')];
+    for (const sample of HingeKinematics.sweep(config, samples)) {
+        // Box-relative mm like the pivots of version 3.0/4.0 files, so the first row repeats the file's layout
+        const pose = ConfigSchema.toBoxRelative(sample.pose, fileConfig.boxDimensions, parseCanvas(args.options.canvas));
+        rows.push([
+            toDeg(sample.inputAngle), toDeg(sample.lidAngle),
+            ...names.flatMap(name => [pose[name].x, pose[name].y])
+        ].map(n => Number(n.toFixed(4))).join(','));
+    }
+    console.log(rows.join('\n'));
+}
+
+// "baseY=0.2:0.4:0.05" -> { name: 'baseY', values: [0.2, 0.25, ..., 0.4] }
+function parseParam(spec) {
+    const match = /^(\w+)=([-\d.]+):([-\d.]+):([\d.]+)$/.exec(spec || '');
+    if (!match) throw new Error(`Invalid --param "${spec}", expected name=start:end:step`);
+    const [, name, start, end, step] = match;
+    if (!(name in DEFAULT_PIVOT_PLACEMENT)) {
+        throw new Error(`Unknown parameter "${name}", expected one of ${Object.keys(DEFAULT_PIVOT_PLACEMENT).join(', ')}`);
+    }
+    const from = Number(start), to = Number(end), by = Number(step);
+    if (!(by > 0)) throw new Error(`Step for ${name} must be positive`);
+    const values = [];
+    for (let i = 0; from + i * by <= to + 1e-9; i++) {
+        values.push(Number((from + i * by).toFixed(6)));
+    }
+    return { name, values };
+}
+
+function commandGrid(args) {
+    if (args.params.length === 0) throw new Error('grid needs at least one --param');
+    const fileConfig = args.files.length > 0
+        ? readConfigFile(args.files[0], args.options)
+        : { boxDimensions: { ...DEFAULT_BOX }, pivots: null };
+    const hingeType = getHingeType(fileConfig, args.options);
+    if (!HingeTypes.isFourBar(hingeType)) throw new Error(`grid places four-bar pivots; ${hingeType} is not a four-bar`);
+    const params = args.params.map(parseParam);
+    const target = parseNumberOption('target', args.options.target, 90);
+    const canvasSize = parseCanvas(args.options.canvas);
+
+    // Cartesian product of every parameter's values
+    let combinations = [{}];
+    for (const { name, values } of params) {
+        combinations = combinations.flatMap(combo => values.map(value => ({ ...combo, [name]: value })));
+    }
+
+    const rows = [[...params.map(p => p.name), 'lid_opening_deg', 'input_limit_deg', 'collision', 'valid', 'meets_target'].join(',')];
+    let passing = 0;
+    for (const combo of combinations) {
+        const placement = { ...HingeTypes.get(hingeType).placement, ...combo };
+        const pivots = HingeKinematics.placePivots(fileConfig.boxDimensions, placement, canvasSize, HingeTypes.isCrossed(hingeType));
+        const config = buildConfig(fileConfig, args.options, pivots);
+        const limits = HingeKinematics.findAngleLimits(config);
+        const opening = Math.abs(toDeg(limits.lidAngleLimits.max));
+        const valid = HingeKinematics.isValidDesign(config);
+        const meets = valid && opening >= target;
+        if (meets) passing++;
+        rows.push([
+            ...params.map(p => combo[p.name]),
+            opening.toFixed(2),
+            Math.abs(toDeg(limits.angleLimits.max)).toFixed(2),
+            limits.collision ? 'yes' : 'no',
+            valid ? 'yes' : 'no',
+            meets ? 'yes' : 'no'
+        ].join(','));
+    }
+    console.log(rows.join('\n'));
+    console.error(`${passing} of ${combinations.length} combinations open past ${target}°`);
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    const commands = { evaluate: commandEvaluate, sweep: commandSweep, grid: commandGrid };
+    if (!commands[args.command]) {
+        console.error(USAGE);
+        return 1;
+    }
+    try {
+        commands[args.command](args);
+        return 0;
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
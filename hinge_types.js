@@ -0,0 +1,160 @@
+/**
+ * HingeTypes - The hinge topologies the designer supports and what each one is made of.
+ * Every type has at least the pivots A, B, C and D so poses, lid transforms and
+ * configuration files stay uniform, and the lid always follows the motion of B and C:
+ *   four-bar types: A and D in the base, B and C in the lid, links AB and DC;
+ *   single-pivot types: A is the pin, B and D sit on it and C is a reference point of the
+ *   lid, so the lid follows the rotation of BC about the pin;
+ *   six-bar types: a PlanarLinkage topology whose ground carries A and D, whose input body
+ *   turns about A and whose lid carries B and C; E, F and G join the other links.
+ *
+ * Type specs: {
+ *   label: string          name shown in the type selector
+ *   fourBar: boolean       links AB and DC (otherwise a single pin)
+ *   crossed: boolean       four-bar whose links cross in the closed pose (antiparallelogram-like)
+ *   movablePin: boolean    single pivot the designer may place (the pin hinge sits on the seam)
+ *   linkage: Object        PlanarLinkage topology of a six-bar, null otherwise
+ *   placement: Object      default pivot fractions, see DEFAULT_PIVOT_PLACEMENT; pin: { x, y }
+ *                          of the base width and base height, measured from the base top-left;
+ *                          six-bars: { [joint]: { x, y } } of the box width and the panel height,
+ *                          B and C up from the lid bottom, the others down from the base top
+ * }
+ * Validity, branch selection and the angle-limit search for each type live in HingeKinematics.
+ * No UI or rendering logic is included.
+ */
+
+export const DEFAULT_HINGE_TYPE = 'crossed';
+
+const PIVOT_NAMES = ['A', 'B', 'C', 'D'];
+
+// Six-bar layouts that open the default box 150–170° without the lid entering the base,
+// keeping the transmission angle at C above 50°
+const WATT_PLACEMENT = {
+    A: { x: 0.03, y: 0.16 }, D: { x: 0.11, y: 0.57 },
+    B: { x: 0.39, y: 0.91 }, C: { x: 0.33, y: 0.08 },
+    E: { x: 0.13, y: -0.76 }, F: { x: 0.26, y: -1.62 }, G: { x: 0.03, y: 0.23 }
+};
+const STEPHENSON_PLACEMENT = {
+    A: { x: 0.09, y: 0.92 }, D: { x: 0.25, y: 0.85 }, E: { x: 0.10, y: 0.34 },
+    B: { x: 0.03, y: 0.75 }, C: { x: 0.08, y: 0.51 },
+    F: { x: 0.49, y: -1.26 }, G: { x: 0.12, y: 0.24 }
+};
+
+const TYPES = {
+    crossed: {
+        label: 'Crossed four-bar',
+        fourBar: true,
+        crossed: true,
+        movablePin: false,
+        linkage: null,
+        placement: { baseXLeft: 0.30, baseXRight: 0.70, baseY: 0.30, lidXLeft: 0.25, lidXRight: 0.75, lidY: 0.50 }
+    },
+    open: {
+        label: 'Open four-bar',
+        fourBar: true,
+        crossed: false,
+        movablePin: false,
+        linkage: null,
+        // Links side by side near the back (left) edge, DC reaching further into the lid: about 140° of opening
+        placement: { baseXLeft: 0.05, baseXRight: 0.15, baseY: 0.40, lidXLeft: 0.02, lidXRight: 0.40, lidY: 0.70 }
+    },
+    pin: {
+        label: 'Pin hinge',
+        fourBar: false,
+        crossed: false,
+        movablePin: false,
+        linkage: null,
+        placement: null // on the back (left) edge, halfway across the lid gap
+    },
+    offset: {
+        label: 'Offset pivot hinge',
+        fourBar: false,
+        crossed: false,
+        movablePin: true,
+        linkage: null,
+        placement: { x: 0.03, y: 0.30 }
+    },
+    watt: {
+        label: 'Watt six-bar',
+        fourBar: false,
+        crossed: false,
+        movablePin: false,
+        // Four-bar A-F-G-D whose ternary crank and coupler also drive the lid through link EC
+        linkage: {
+            bodies: { base: ['A', 'D'], crank: ['A', 'F', 'E'], coupler: ['F', 'G', 'B'], rocker: ['D', 'G'], link: ['E', 'C'], lid: ['B', 'C'] },
+            ground: 'base',
+            input: 'crank',
+            output: 'lid'
+        },
+        placement: WATT_PLACEMENT
+    },
+    stephenson: {
+        label: 'Stephenson six-bar',
+        fourBar: false,
+        crossed: false,
+        movablePin: false,
+        // Four-bar A-F-G-D whose ternary coupler carries the lid at B, steadied by link EC from the base
+        linkage: {
+            bodies: { base: ['A', 'D', 'E'], crank: ['A', 'F'], rocker: ['D', 'G'], coupler: ['F', 'G', 'B'], link: ['E', 'C'], lid: ['B', 'C'] },
+            ground: 'base',
+            input: 'crank',
+            output: 'lid'
+        },
+        placement: STEPHENSON_PLACEMENT
+    }
+};
+
+export class HingeTypes {
+    static get(type = DEFAULT_HINGE_TYPE) {
+        const spec = TYPES[type];
+        if (!spec) throw new Error(`Unknown hinge type: ${type}`);
+        return spec;
+    }
+
+    static isKnown(type) {
+        return Object.prototype.hasOwnProperty.call(TYPES, type);
+    }
+
+    static list() {
+        return Object.entries(TYPES).map(([id, spec]) => ({ id, label: spec.label }));
+    }
+
+    static isFourBar(type = DEFAULT_HINGE_TYPE) {
+        return HingeTypes.get(type).fourBar;
+    }
+
+    static isCrossed(type = DEFAULT_HINGE_TYPE) {
+        return HingeTypes.get(type).crossed;
+    }
+
+    static isLinkage(type = DEFAULT_HINGE_TYPE) {
+        return !!HingeTypes.get(type).linkage;
+    }
+
+    static isSinglePivot(type = DEFAULT_HINGE_TYPE) {
+        return !HingeTypes.isFourBar(type) && !HingeTypes.isLinkage(type);
+    }
+
+    // Every pivot of the type, A to D first
+    static getPivotNames(type = DEFAULT_HINGE_TYPE) {
+        const spec = HingeTypes.get(type);
+        if (!spec.linkage) return [...PIVOT_NAMES];
+        return [...new Set(Object.values(spec.linkage.bodies).flat())].sort();
+    }
+
+    // Pivots of each moving link between base and lid: AB and DC of a four-bar, none for a single pivot
+    static getLinks(type = DEFAULT_HINGE_TYPE) {
+        const spec = HingeTypes.get(type);
+        if (spec.fourBar) return [['A', 'B'], ['D', 'C']];
+        if (!spec.linkage) return [];
+        const { bodies, ground, output } = spec.linkage;
+        return Object.entries(bodies).filter(([body]) => body !== ground && body !== output).map(([, names]) => [...names]);
+    }
+
+    // Pivots the user can drag or type: all of a four-bar or six-bar, the pin of an offset hinge
+    static getEditablePivots(type = DEFAULT_HINGE_TYPE) {
+        const spec = HingeTypes.get(type);
+        if (spec.fourBar || spec.linkage) return HingeTypes.getPivotNames(type);
+        return spec.movablePin ? ['A'] : [];
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * DesignHistory - Undo/redo stack of design snapshots.
+ * Each step holds the design before and after one user action (a pivot drag, a box
+ * dimension change, a hinge unlock toggle, an import), so undoing restores exactly the
+ * previous design however the action got there. Snapshots are plain objects from
+ * DesignerUI.getDesignSnapshot. Steps are saved to local storage when it is available
+ * and read back by the next page load.
+ * No UI or rendering logic is included.
+ */
+
+export const HISTORY_STORAGE_KEY = 'hingeDesigner.history';
+
+const HISTORY_FORMAT = 1;
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+function defaultStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        // Access can throw when storage is disabled for the page
+        return null;
+    }
+}
+
+export class DesignHistory {
+    /**
+     * @param {Object} options - { storage, key, limit }: a Storage-like object (null keeps the
+     *   history in memory only), the storage key and the maximum number of undo steps.
+     */
+    constructor({ storage = defaultStorage(), key = HISTORY_STORAGE_KEY, limit = 100 } = {}) {
+        this.storage = storage;
+        this.key = key;
+        this.limit = limit;
+        this.undoStack = []; // [{ label, before, after, time }], most recent last
+        this.redoStack = [];
+        this.load();
+    }
+
+    static sameDesign(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Adds one step and drops everything that could be redone.
+     * @param {string} label - What the user did, e.g. 'Move pivot B'.
+     * @param {Object} before - Design snapshot before the action.
+     * @param {Object} after - Design snapshot after the action.
+     * @returns {boolean} - False when the action did not change the design.
+     */
+    record(label, before, after) {
+        if (DesignHistory.sameDesign(before, after)) return false;
+        this.undoStack.push({ label, before: copy(before), after: copy(after), time: Date.now() });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.splice(0, this.undoStack.length - this.limit);
+        }
+        this.redoStack = [];
+        this.save();
+        return true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Labels for button tooltips; null when there is nothing to undo/redo
+    undoLabel() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    redoLabel() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    // Returns the snapshot to restore, or null
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return null;
+        this.redoStack.push(step);
+        this.save();
+        return copy(step.before);
+    }
+
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return null;
+        this.undoStack.push(step);
+        this.save();
+        return copy(step.after);
+    }
+
+    // The design the history currently stands at, or null for an empty history
+    current() {
+        if (this.canUndo()) return copy(this.undoStack[this.undoStack.length - 1].after);
+        if (this.canRedo()) return copy(this.redoStack[this.redoStack.length - 1].before);
+        return null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.save();
+    }
+
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key));
+            if (saved && saved.format === HISTORY_FORMAT && Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+                this.undoStack = saved.undo;
+                this.redoStack = saved.redo;
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable design history:', error);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify({
+                format: HISTORY_FORMAT,
+                undo: this.undoStack,
+                redo: this.redoStack
+            }));
+        } catch (error) {
+            // Quota exceeded or storage disabled: keep working from memory
+            console.warn('Could not save design history:', error);
+        }
+    }
+}
@@ -0,0 +1,242 @@
+import { FourBarLinkageCalculator } from './simulator.js';
+import { HingeTypes } from './hinge_types.js';
+import { HingeKinematics } from './kinematics.js';
+
+/**
+ * InterferenceAnalyzer - Physical clearance checks for the crossed linkage.
+ * Bars are capsules (centerline plus half the bar width), pins are circles and box
+ * walls are strips of the configured thickness along the closed sides of the base
+ * and lid, following their profile outlines when they have one; the seam between the
+ * base top and the lid bottom is open.
+ * No UI or rendering logic is included.
+ */
+
+// Pivots carried by each bar; every other pin is foreign to that bar
+export const LINK_PINS = { AB: ['A', 'B'], DC: ['D', 'C'] };
+
+export const LINK_LAYERS = ['front', 'back'];
+
+export const DEFAULT_WALL_THICKNESS = 6;
+
+export class InterferenceAnalyzer {
+    static defaultLinkProperties() {
+        return {
+            AB: { barWidth: 12, pinDiameter: 6, layer: 'front' },
+            DC: { barWidth: 12, pinDiameter: 6, layer: 'back' }
+        };
+    }
+
+    static defaultBars() {
+        return { linkProperties: InterferenceAnalyzer.defaultLinkProperties(), wallThickness: DEFAULT_WALL_THICKNESS };
+    }
+
+    static getPins(pivots, linkProperties) {
+        const pins = [];
+        for (const [link, names] of Object.entries(LINK_PINS)) {
+            for (const name of names) {
+                pins.push({ name, link, center: pivots[name], radius: linkProperties[link].pinDiameter / 2 });
+            }
+        }
+        return pins;
+    }
+
+    /**
+     * Wall centerlines with half-thickness radius. Base walls: left, right, bottom.
+     * Lid walls follow the lid pose: left, right, top. A panel with a profile has a wall
+     * along each edge of its outline instead (see getOutlineWalls).
+     * @param {Object} baseRect - { minX, minY, maxX, maxY }.
+     * @param {Array<Object>} lidCorners - Lid corners TL, TR, BR, BL in world coordinates.
+     * @param {number} thickness - Wall thickness.
+     * @param {Object} outlines - { base, lid } world polygons of profiled panels, null for rectangles.
+     */
+    static getWalls(baseRect, lidCorners, thickness, outlines = {}) {
+        const h = thickness / 2;
+        const [TL, TR, BR, BL] = lidCorners;
+        const unit = (from, to) => {
+            const len = Math.max(1e-9, FourBarLinkageCalculator.distance(from, to));
+            return { x: (to.x - from.x) / len, y: (to.y - from.y) / len };
+        };
+        const ux = unit(TL, TR); // along the lid width
+        const uy = unit(TL, BL); // from lid top toward its open bottom
+        const offset = (p, u, s) => ({ x: p.x + u.x * s, y: p.y + u.y * s });
+
+        const walls = outlines.base
+            ? InterferenceAnalyzer.getOutlineWalls('base', outlines.base, { x: 1, y: 0 }, { x: 0, y: -1 }, h)
+            : [
+                { name: 'base left wall', a: { x: baseRect.minX + h, y: baseRect.minY }, b: { x: baseRect.minX + h, y: baseRect.maxY }, radius: h },
+                { name: 'base right wall', a: { x: baseRect.maxX - h, y: baseRect.minY }, b: { x: baseRect.maxX - h, y: baseRect.maxY }, radius: h },
+                { name: 'base bottom wall', a: { x: baseRect.minX, y: baseRect.maxY - h }, b: { x: baseRect.maxX, y: baseRect.maxY - h }, radius: h }
+            ];
+        walls.push(...(outlines.lid
+            ? InterferenceAnalyzer.getOutlineWalls('lid', outlines.lid, ux, uy, h)
+            : [
+                { name: 'lid left wall', a: offset(TL, ux, h), b: offset(BL, ux, h), radius: h },
+                { name: 'lid right wall', a: offset(TR, ux, -h), b: offset(BR, ux, -h), radius: h },
+                { name: 'lid top wall', a: offset(TL, uy, h), b: offset(TR, uy, h), radius: h }
+            ]));
+        return walls;
+    }
+
+    /**
+     * Walls along a profiled panel's outline, each edge moved half the thickness inward.
+     * Edges furthest toward the opening form the seam and stay open, so a stepped lip is
+     * open at its rim. Walls are named by the side they face, several edges sharing a name.
+     * @param {string} panel - 'base' or 'lid'.
+     * @param {Array<Object>} polygon - Flattened outline in world coordinates.
+     * @param {Object} across - Unit vector toward the panel's right side.
+     * @param {Object} open - Unit vector toward the panel's open side.
+     * @param {number} h - Half the wall thickness.
+     */
+    static getOutlineWalls(panel, polygon, across, open, h) {
+        const dot = (p, u) => p.x * u.x + p.y * u.y;
+        const seam = Math.max(...polygon.map(p => dot(p, open))) - 1e-6;
+        // Inward is to the left of each edge for a positive-area polygon, to the right otherwise
+        const inward = FourBarLinkageCalculator.polygonArea(polygon) >= 0 ? 1 : -1;
+        const facing = panel === 'base' ? { open: 'top', closed: 'bottom' } : { open: 'bottom', closed: 'top' };
+        const walls = [];
+        polygon.forEach((p, i) => {
+            const q = polygon[(i + 1) % polygon.length];
+            const len = FourBarLinkageCalculator.distance(p, q);
+            if (len < 1e-9 || (dot(p, open) >= seam && dot(q, open) >= seam)) return;
+            const n = { x: -inward * (q.y - p.y) / len, y: inward * (q.x - p.x) / len };
+            const side = -dot(n, across);
+            const toward = -dot(n, open);
+            const label = Math.abs(side) >= Math.abs(toward)
+                ? (side > 0 ? 'right' : 'left')
+                : (toward > 0 ? facing.open : facing.closed);
+            walls.push({
+                name: `${panel} ${label} wall`,
+                a: { x: p.x + n.x * h, y: p.y + n.y * h },
+                b: { x: q.x + n.x * h, y: q.y + n.y * h },
+                radius: h
+            });
+        });
+        return walls;
+    }
+
+    /**
+     * Box geometry for the walls at a lid pose, with the bar properties.
+     * @param {Object} config - Hinge configuration (see HingeKinematics.createConfig).
+     * @param {Object} lidPose - { center, angle }.
+     * @param {Object} bars - { linkProperties, wallThickness }.
+     * @returns {Object} - analyzePose context.
+     */
+    static getContext(config, lidPose, bars) {
+        const profiles = config.profiles || {};
+        return {
+            baseRect: config.base,
+            lidCorners: HingeKinematics.getLidCorners(config, lidPose),
+            baseOutline: profiles.base ? HingeKinematics.getBasePolygon(config) : null,
+            lidOutline: profiles.lid ? HingeKinematics.getLidOutline(config, lidPose) : null,
+            linkProperties: bars.linkProperties,
+            wallThickness: bars.wallThickness
+        };
+    }
+
+    /**
+     * Interferences at a single pose.
+     * @param {Object} pivots - { A, B, C, D } for the pose.
+     * @param {Object} context - { baseRect, lidCorners, baseOutline, lidOutline, linkProperties, wallThickness }, see getContext.
+     * @returns {Array<Object>} - [{ type, link, other, clearance }], clearance < 0 is penetration depth.
+     */
+    static analyzePose(pivots, context) {
+        const { baseRect, lidCorners, baseOutline, lidOutline, linkProperties, wallThickness } = context;
+        const { A, B, C, D } = pivots;
+        if (!A || !B || !C || !D) return [];
+
+        const bars = {
+            AB: { a: A, b: B, radius: linkProperties.AB.barWidth / 2 },
+            DC: { a: D, b: C, radius: linkProperties.DC.barWidth / 2 }
+        };
+        const pins = InterferenceAnalyzer.getPins(pivots, linkProperties);
+        const walls = InterferenceAnalyzer.getWalls(baseRect, lidCorners, wallThickness, { base: baseOutline, lid: lidOutline });
+        const issues = [];
+
+        for (const [link, bar] of Object.entries(bars)) {
+            // Pins pass through every layer, so foreign pins are checked regardless of layer
+            for (const pin of pins) {
+                if (LINK_PINS[link].includes(pin.name)) continue;
+                const clearance = FourBarLinkageCalculator.pointSegmentDistance(pin.center, bar.a, bar.b) - bar.radius - pin.radius;
+                if (clearance < 0) issues.push({ type: 'bar-pin', link, other: pin.name, clearance });
+            }
+            // Outline walls share names over several edges: one issue per wall, at its deepest
+            const hits = new Map();
+            for (const wall of walls) {
+                const clearance = FourBarLinkageCalculator.segmentSegmentDistance(bar.a, bar.b, wall.a, wall.b) - bar.radius - wall.radius;
+                if (clearance < 0 && !(hits.has(wall.name) && hits.get(wall.name) <= clearance)) hits.set(wall.name, clearance);
+            }
+            hits.forEach((clearance, other) => issues.push({ type: 'bar-box', link, other, clearance }));
+        }
+
+        if (linkProperties.AB.layer === linkProperties.DC.layer) {
+            const clearance = FourBarLinkageCalculator.segmentSegmentDistance(A, B, D, C) - bars.AB.radius - bars.DC.radius;
+            if (clearance < 0) issues.push({ type: 'bar-bar', link: 'AB', other: 'DC', clearance });
+        }
+        return issues;
+    }
+
+    /**
+     * Sweeps the designer's motion range and summarizes every interference found.
+     * @param {DesignerUI} designer - Provides the kinematic configuration, angle limits and bar properties.
+     * @param {number} samples - Number of intervals across the angle limits.
+     * @returns {Object} - { issues: [{ type, link, other, firstAngle, lastAngle, minClearance, count }], sampleCount }
+     */
+    static analyzeMotion(designer, samples = 90) {
+        const bars = { linkProperties: designer.linkProperties, wallThickness: designer.wallThickness };
+        return InterferenceAnalyzer.analyzeConfig(designer.getKinematicConfig(), designer.angleLimits, bars, samples);
+    }
+
+    /**
+     * Same sweep for a HingeKinematics configuration, without a designer (e.g. from Node).
+     * @param {Object} config - Hinge configuration with its lid transform.
+     * @param {Object} limits - { min, max } input angles; defaults to HingeKinematics.findAngleLimits.
+     * @param {Object} bars - { linkProperties, wallThickness }.
+     */
+    static analyzeConfig(config, limits = null, bars = InterferenceAnalyzer.defaultBars(), samples = 90) {
+        // Bars and pins are those of a four-bar; a single pivot has nothing to collide and six-bars are not checked
+        if (!HingeTypes.isFourBar(config.hingeType)) return { issues: [], sampleCount: 0 };
+        const summary = new Map();
+        const poses = HingeKinematics.sweep(config, samples, limits);
+
+        for (const { inputAngle: angle, pose, lidPose } of poses) {
+            const context = InterferenceAnalyzer.getContext(config, lidPose, bars);
+            for (const issue of InterferenceAnalyzer.analyzePose(pose, context)) {
+                const key = `${issue.type}:${issue.link}:${issue.other}`;
+                const entry = summary.get(key);
+                if (entry) {
+                    entry.lastAngle = angle;
+                    entry.minClearance = Math.min(entry.minClearance, issue.clearance);
+                    entry.count++;
+                } else {
+                    summary.set(key, {
+                        type: issue.type,
+                        link: issue.link,
+                        other: issue.other,
+                        firstAngle: angle,
+                        lastAngle: angle,
+                        minClearance: issue.clearance,
+                        count: 1
+                    });
+                }
+            }
+        }
+
+        return { issues: Array.from(summary.values()), sampleCount: poses.length };
+    }
+
+    static describe(issue, linkProperties) {
+        switch (issue.type) {
+            case 'bar-pin': {
+                // mechanism.md: link A-B must not cross over pivot D, link C-D must not cross over pivot A
+                const isRule = (issue.link === 'AB' && issue.other === 'D') || (issue.link === 'DC' && issue.other === 'A');
+                return `Bar ${issue.link} hits pin ${issue.other}${isRule ? ' (link must not cross over this pivot)' : ''}`;
+            }
+            case 'bar-bar':
+                return `Bars AB and DC collide on the ${linkProperties ? linkProperties.AB.layer : 'same'} layer`;
+            case 'bar-box':
+                return `Bar ${issue.link} hits the ${issue.other}`;
+            default:
+                return `${issue.link} interferes with ${issue.other}`;
+        }
+    }
+}
@@ -0,0 +1,653 @@
+import { FourBarLinkageCalculator } from './simulator.js';
+import { HingeTypes, DEFAULT_HINGE_TYPE } from './hinge_types.js';
+import { PlanarLinkage } from './linkage.js';
+import { BoxProfiles } from './profiles.js';
+
+/**
+ * HingeKinematics - Headless kinematics of the hinge types in HingeTypes: crossed and open
+ * four-bars, single-pivot hinges and six-bars (solved by PlanarLinkage).
+ * Every function takes a configuration object and returns new values without mutating
+ * its inputs, so it runs the same in the browser (DesignerUI) and in Node.
+ *
+ * Configuration: {
+ *   hingeType: string,                         HingeTypes id, 'crossed' when missing
+ *   pivots: { A, B, C, D, ... },               closed pose in world millimeters (six-bars add E, F, G)
+ *   hingeUnlocked: boolean,                    false keeps the closed pose's assembly only (four-bars)
+ *   lid: { center, angle, width, height },     closed lid pose (angle in radians) and size, or null
+ *   base: { minX, minY, maxX, maxY },          base rectangle for lid–base collisions, or null
+ *   profiles: { base, lid },                   BoxProfiles outlines of the panels, null for rectangles
+ *   collisionTolerance: number                 overlap depth that still counts as touching
+ * }
+ * Angles are input-link offsets from the closed pose in radians unless named lidAngle,
+ * which is the lid rotation from closed; a single-pivot lid is its own input link.
+ * Continuity between poses is carried by an explicit anchor (the previous position of C)
+ * instead of hidden state; six-bars are continued from the closed pose instead and ignore
+ * the anchor.
+ * No UI or rendering logic is included.
+ */
+
+// Default canvas the world layout is centered in (DesignerUI draws 1125 x 750)
+export const DEFAULT_CANVAS = { width: 1125, height: 750 };
+
+// Pivot placement of the crossed hinge as fractions of the base and lid: baseY from the base top, lidY from the lid top
+export const DEFAULT_PIVOT_PLACEMENT = { ...HingeTypes.get('crossed').placement };
+
+export class HingeKinematics {
+    // Base rectangle for box dimensions, centered horizontally 20 above the canvas bottom
+    static getBaseRect(boxDimensions, canvasSize = DEFAULT_CANVAS) {
+        const boxWidth = boxDimensions.width;
+        const baseHeight = boxDimensions.baseHeight;
+        return {
+            minX: (canvasSize.width - boxWidth) / 2,
+            minY: canvasSize.height - baseHeight - 20,
+            maxX: (canvasSize.width + boxWidth) / 2,
+            maxY: canvasSize.height - 20
+        };
+    }
+
+    // Closed lid above the base, separated by the lid gap
+    static getClosedLid(boxDimensions, baseRect) {
+        return {
+            center: {
+                x: (baseRect.minX + baseRect.maxX) / 2,
+                y: baseRect.minY - boxDimensions.lidHeight / 2 - boxDimensions.lidGap
+            },
+            angle: 0,
+            width: baseRect.maxX - baseRect.minX,
+            height: boxDimensions.lidHeight
+        };
+    }
+
+    /**
+     * Closed-pose pivots from fractional placement: A and D in the base, B and C in the lid
+     * (B on the right so the links cross, or on the left for an open four-bar).
+     * @param {Object} boxDimensions - { width, baseHeight, lidHeight, lidGap }.
+     * @param {Object} placement - Fractions as in DEFAULT_PIVOT_PLACEMENT.
+     * @param {boolean} crossed - Whether links AB and DC cross.
+     * @returns {Object} - { A, B, C, D } in world coordinates.
+     */
+    static placePivots(boxDimensions, placement = DEFAULT_PIVOT_PLACEMENT, canvasSize = DEFAULT_CANVAS, crossed = true) {
+        const baseRect = HingeKinematics.getBaseRect(boxDimensions, canvasSize);
+        const lid = HingeKinematics.getClosedLid(boxDimensions, baseRect);
+        const baseWidth = baseRect.maxX - baseRect.minX;
+        const baseHeight = baseRect.maxY - baseRect.minY;
+        const ay = baseRect.minY + baseHeight * placement.baseY;
+        const lidMinX = lid.center.x - lid.width / 2;
+        const lidMinY = lid.center.y - lid.height / 2;
+        const by = lidMinY + lid.height * placement.lidY;
+        const right = lidMinX + lid.width * placement.lidXRight;
+        const left = lidMinX + lid.width * placement.lidXLeft;
+        return {
+            A: { x: baseRect.minX + baseWidth * placement.baseXLeft, y: ay },
+            D: { x: baseRect.minX + baseWidth * placement.baseXRight, y: ay },
+            B: { x: crossed ? right : left, y: by },
+            C: { x: crossed ? left : right, y: by }
+        };
+    }
+
+    /**
+     * Single-pivot pose: A is the pin with B and D on it, C the closed-lid corner farthest
+     * from the pin, so BC is long enough to carry the lid's rotation.
+     * @param {Object} pin - Pin position in world coordinates.
+     * @param {Object} lid - Closed lid { center, angle, width, height }.
+     */
+    static placeSinglePivot(pin, lid) {
+        const corners = HingeKinematics.getLidCorners({ lid }, lid);
+        const farthest = corners.reduce((best, corner) =>
+            FourBarLinkageCalculator.distance(corner, pin) > FourBarLinkageCalculator.distance(best, pin) ? corner : best);
+        return { A: { ...pin }, B: { ...pin }, C: farthest, D: { ...pin } };
+    }
+
+    // Pin of a single-pivot type: on the back (left) edge halfway across the lid gap, or at the offset placement
+    static getPinPosition(hingeType, boxDimensions, canvasSize = DEFAULT_CANVAS) {
+        const baseRect = HingeKinematics.getBaseRect(boxDimensions, canvasSize);
+        const placement = HingeTypes.get(hingeType).placement;
+        if (!placement) return { x: baseRect.minX, y: baseRect.minY - boxDimensions.lidGap / 2 };
+        return {
+            x: baseRect.minX + (baseRect.maxX - baseRect.minX) * placement.x,
+            y: baseRect.minY + (baseRect.maxY - baseRect.minY) * placement.y
+        };
+    }
+
+    /**
+     * Closed-pose joints of a six-bar from fractional placement: B and C up from the lid
+     * bottom in lid heights, every other joint down from the base top in base heights.
+     * @param {Object} placement - { [joint]: { x, y } }, x in box widths from the left edge.
+     * @returns {Object} - { [joint]: { x, y } } in world coordinates.
+     */
+    static placeLinkagePivots(boxDimensions, placement, canvasSize = DEFAULT_CANVAS) {
+        const baseRect = HingeKinematics.getBaseRect(boxDimensions, canvasSize);
+        const lidBottom = baseRect.minY - boxDimensions.lidGap;
+        const width = baseRect.maxX - baseRect.minX;
+        const pivots = {};
+        for (const [name, { x, y }] of Object.entries(placement)) {
+            pivots[name] = {
+                x: baseRect.minX + width * x,
+                y: name === 'B' || name === 'C'
+                    ? lidBottom - boxDimensions.lidHeight * y
+                    : baseRect.minY + boxDimensions.baseHeight * y
+            };
+        }
+        return pivots;
+    }
+
+    /**
+     * Default closed-pose pivots of a hinge type.
+     * @param {string} hingeType - HingeTypes id.
+     * @param {Object} boxDimensions - { width, baseHeight, lidHeight, lidGap }.
+     * @param {Object} placement - Four-bar fractions overriding the type's defaults.
+     * @returns {Object} - { A, B, C, D } (and E, F, G for six-bars) in world coordinates.
+     */
+    static getDefaultPivots(hingeType, boxDimensions, canvasSize = DEFAULT_CANVAS, placement = null) {
+        const spec = HingeTypes.get(hingeType);
+        if (spec.fourBar) {
+            return HingeKinematics.placePivots(boxDimensions, placement || spec.placement, canvasSize, spec.crossed);
+        }
+        if (spec.linkage) return HingeKinematics.placeLinkagePivots(boxDimensions, spec.placement, canvasSize);
+        const lid = HingeKinematics.getClosedLid(boxDimensions, HingeKinematics.getBaseRect(boxDimensions, canvasSize));
+        return HingeKinematics.placeSinglePivot(HingeKinematics.getPinPosition(hingeType, boxDimensions, canvasSize), lid);
+    }
+
+    /**
+     * Valid design, per hinge type:
+     *   four-bars: ground pivots inside the base and the links crossed (crossed type) or
+     *   not crossed (open type) in the closed pose;
+     *   pin hinge: always; offset pivot hinge: the pin inside the closed box outline;
+     *   six-bars: every joint placed and the ground joints inside the base.
+     */
+    static isValidDesign(config) {
+        if (!HingeKinematics.hasAllPivots(config)) return false;
+        const spec = HingeTypes.get(config.hingeType);
+        const { A, B, C, D } = config.pivots;
+        if (spec.linkage) {
+            const { bodies, ground } = spec.linkage;
+            return PlanarLinkage.validate(spec.linkage, config.pivots).length === 0 &&
+                bodies[ground].every(name => HingeKinematics.isInsideBase(config, config.pivots[name]));
+        }
+        if (!spec.fourBar) {
+            if (!spec.movablePin) return true;
+            const lidTop = config.lid.center.y - config.lid.height / 2;
+            return A.x >= config.base.minX && A.x <= config.base.maxX && A.y >= lidTop && A.y <= config.base.maxY;
+        }
+        return HingeKinematics.isInsideBase(config, A) && HingeKinematics.isInsideBase(config, D) &&
+            FourBarLinkageCalculator.segmentsIntersect(A, B, C, D) === spec.crossed;
+    }
+
+    // Inside the base outline, its boundary included
+    static isInsideBase(config, p) {
+        if (config.profiles && config.profiles.base) {
+            const polygon = HingeKinematics.getBasePolygon(config);
+            return BoxProfiles.containsPoint(polygon, p) ||
+                FourBarLinkageCalculator.distance(BoxProfiles.closestPoint(polygon, p), p) < 1e-6;
+        }
+        return p.x >= config.base.minX && p.x <= config.base.maxX && p.y >= config.base.minY && p.y <= config.base.maxY;
+    }
+
+    /**
+     * Builds a configuration from box dimensions and closed-pose pivots.
+     * @param {Object} options - { boxDimensions, pivots, hingeType, hingeUnlocked, canvasSize, collisionTolerance, profiles }
+     */
+    static createConfig({ boxDimensions, pivots, hingeType = DEFAULT_HINGE_TYPE, hingeUnlocked = false, canvasSize = DEFAULT_CANVAS, collisionTolerance = 0.5, profiles = null }) {
+        const base = HingeKinematics.getBaseRect(boxDimensions, canvasSize);
+        return {
+            hingeType,
+            pivots,
+            hingeUnlocked,
+            lid: HingeKinematics.getClosedLid(boxDimensions, base),
+            base,
+            profiles,
+            collisionTolerance
+        };
+    }
+
+    // Input angle and assembly orientations of the closed pose, the reference for every solve
+    static getReference(config) {
+        const { A, B, C, D } = config.pivots;
+        return {
+            inputAngle: Math.atan2(B.y - A.y, B.x - A.x),
+            orientations: {
+                adb: FourBarLinkageCalculator.orientation(A, D, B),
+                cda: FourBarLinkageCalculator.orientation(C, A, D),
+                bdc: FourBarLinkageCalculator.orientation(B, D, C)
+            }
+        };
+    }
+
+    static hasAllPivots(config) {
+        const pivots = config && config.pivots;
+        return !!(pivots && pivots.A && pivots.B && pivots.C && pivots.D);
+    }
+
+    /**
+     * Branch selection of a locked hinge: a crossed four-bar keeps its links crossed with the
+     * closed pose's orientations of B and C about the ground line; an open four-bar keeps
+     * its links apart with C on the closed pose's side of diagonal BD. Single pivots have one
+     * pose per angle.
+     */
+    static isSameAssembly(config, reference, pose) {
+        if (config.hingeUnlocked) return true;
+        const spec = HingeTypes.get(config.hingeType);
+        if (!spec.fourBar) return true;
+        const { A, B, C, D } = pose;
+        if (FourBarLinkageCalculator.segmentsIntersect(A, B, C, D) !== spec.crossed) return false;
+        if (!spec.crossed) return FourBarLinkageCalculator.orientation(B, D, C) === reference.orientations.bdc;
+        return FourBarLinkageCalculator.orientation(A, D, B) === reference.orientations.adb &&
+            FourBarLinkageCalculator.orientation(C, A, D) === reference.orientations.cda;
+    }
+
+    // Single pivot: B and C turn about the pin by the input angle
+    static solvePinPose(config, angle) {
+        const { A, C, D } = config.pivots;
+        if (FourBarLinkageCalculator.distance(A, C) < 1) return null; // Degenerate lid reference
+        const ca = Math.cos(angle), sa = Math.sin(angle);
+        const dx = C.x - A.x, dy = C.y - A.y;
+        return { A, B: { ...A }, C: { x: A.x + dx * ca - dy * sa, y: A.y + dx * sa + dy * ca }, D };
+    }
+
+    // Among valid assemblies, the one whose C is closest to the anchor (closed C by default)
+    static pickClosest(poses, anchor) {
+        if (poses.length === 0) return null;
+        return poses.reduce((best, pose) =>
+            FourBarLinkageCalculator.distance(pose.C, anchor) < FourBarLinkageCalculator.distance(best.C, anchor) ? pose : best);
+    }
+
+    /**
+     * Forward kinematics for an input-link angle.
+     * @param {Object} config - Hinge configuration.
+     * @param {number} angle - Input angle offset from closed, radians.
+     * @param {Object|null} anchor - Previous C for branch continuity.
+     * @returns {Object|null} - { A, B, C, D }, or null when the linkage cannot assemble.
+     */
+    static solvePose(config, angle, anchor = null) {
+        if (!HingeKinematics.hasAllPivots(config)) return null;
+        if (HingeTypes.isLinkage(config.hingeType)) return HingeKinematics.solveLinkagePose(config, 'input', angle);
+        if (!HingeTypes.isFourBar(config.hingeType)) return HingeKinematics.solvePinPose(config, angle);
+        const { A, B, C, D } = config.pivots;
+        const l_ab = FourBarLinkageCalculator.distance(A, B);
+        const l_cd = FourBarLinkageCalculator.distance(C, D);
+        const l_bc = FourBarLinkageCalculator.distance(B, C);
+        if (l_ab < 1 || l_cd < 1 || l_bc < 1) return null; // Degenerate linkage
+
+        const reference = HingeKinematics.getReference(config);
+        const crank = reference.inputAngle + angle;
+        const newB = { x: A.x + l_ab * Math.cos(crank), y: A.y + l_ab * Math.sin(crank) };
+        const intersections = FourBarLinkageCalculator.circleCircleIntersection(newB, l_bc, D, l_cd);
+        if (!intersections) return null;
+
+        const poses = intersections
+            .map(newC => ({ A, B: newB, C: newC, D }))
+            .filter(pose => HingeKinematics.isSameAssembly(config, reference, pose));
+        return HingeKinematics.pickClosest(poses, anchor || C);
+    }
+
+    /**
+     * Inverse kinematics for a lid rotation (see FourBarLinkageCalculator.solveForCouplerRotation).
+     * @param {Object} config - Hinge configuration.
+     * @param {number} lidAngle - Lid rotation from closed, radians.
+     * @param {Object|null} anchor - Previous C for branch continuity.
+     * @returns {Object|null} - { A, B, C, D }, or null when no assembly reaches that rotation.
+     */
+    static solveLidPose(config, lidAngle, anchor = null) {
+        if (!HingeKinematics.hasAllPivots(config)) return null;
+        if (HingeTypes.isLinkage(config.hingeType)) return HingeKinematics.solveLinkagePose(config, 'output', lidAngle);
+        if (!HingeTypes.isFourBar(config.hingeType)) return HingeKinematics.solvePinPose(config, lidAngle);
+        const reference = HingeKinematics.getReference(config);
+        const poses = FourBarLinkageCalculator.solveForCouplerRotation(config.pivots, lidAngle)
+            .filter(pose => HingeKinematics.isSameAssembly(config, reference, pose));
+        return HingeKinematics.pickClosest(poses, anchor || config.pivots.C);
+    }
+
+    // Six-bar joints with the input ('input') or lid ('output') body turned by an angle from closed
+    static solveLinkagePose(config, role, angle) {
+        const topology = HingeTypes.get(config.hingeType).linkage;
+        if (PlanarLinkage.validate(topology, config.pivots).length > 0) return null;
+        const state = PlanarLinkage.solveAt(topology, config.pivots, { body: topology[role], angle });
+        return state ? state.joints : null;
+    }
+
+    // Lid pose { center, angle } carried by the coupler for a solved pose
+    static getLidPose(config, pose) {
+        const { B: B0, C: C0 } = config.pivots;
+        const tr = FourBarLinkageCalculator.getTransform(B0, C0, pose.B, pose.C);
+        return {
+            center: FourBarLinkageCalculator.applyTransform(config.lid.center, tr),
+            angle: config.lid.angle + tr.angle
+        };
+    }
+
+    // Lid corners TL, TR, BR, BL for a lid pose: the lid's bounding rectangle when it has a profile
+    static getLidCorners(config, lidPose) {
+        const hw = config.lid.width / 2;
+        const hh = config.lid.height / 2;
+        const local = [
+            { x: -hw, y: -hh }, // TL
+            { x:  hw, y: -hh }, // TR
+            { x:  hw, y:  hh }, // BR
+            { x: -hw, y:  hh }  // BL
+        ];
+        const ca = Math.cos(lidPose.angle), sa = Math.sin(lidPose.angle);
+        return local.map(p => ({
+            x: lidPose.center.x + p.x * ca - p.y * sa,
+            y: lidPose.center.y + p.x * sa + p.y * ca
+        }));
+    }
+
+    // Lid coordinates: relative to the lid center, along the lid's own width and height
+    static worldToLid(lidPose, point) {
+        const dx = point.x - lidPose.center.x;
+        const dy = point.y - lidPose.center.y;
+        const ca = Math.cos(lidPose.angle), sa = Math.sin(lidPose.angle);
+        return { x: dx * ca + dy * sa, y: -dx * sa + dy * ca };
+    }
+
+    static lidToWorld(lidPose, local) {
+        const ca = Math.cos(lidPose.angle), sa = Math.sin(lidPose.angle);
+        return {
+            x: lidPose.center.x + local.x * ca - local.y * sa,
+            y: lidPose.center.y + local.x * sa + local.y * ca
+        };
+    }
+
+    /**
+     * Lid outline for a lid pose: its profile when it has one, otherwise the corners.
+     * @returns {Array<Object>} - Polygon [{ x, y }] in world coordinates.
+     */
+    static getLidOutline(config, lidPose) {
+        const profile = config.profiles && config.profiles.lid;
+        if (!profile) return HingeKinematics.getLidCorners(config, lidPose);
+        return BoxProfiles.toPolygon(profile).map(p => HingeKinematics.lidToWorld(lidPose, HingeKinematics.profileToLid(config, p)));
+    }
+
+    // Lid profile frame (x from the left edge, y up from the bottom) to lid coordinates, and back
+    static profileToLid(config, p) {
+        return { x: p.x - config.lid.width / 2, y: config.lid.height / 2 - p.y };
+    }
+
+    static lidToProfile(config, local) {
+        return { x: local.x + config.lid.width / 2, y: config.lid.height / 2 - local.y };
+    }
+
+    /**
+     * Points of the closed lid whose paths trace its bottom-left and bottom-right edges: the
+     * corners of a rectangular lid, the nearest outline points to them otherwise.
+     * @returns {Object} - { left, right } in world coordinates.
+     */
+    static getLidTracePoints(config) {
+        const lid = config.lid;
+        const corners = HingeKinematics.getLidCorners(config, lid);
+        if (!(config.profiles && config.profiles.lid)) return { left: corners[3], right: corners[2] };
+        const outline = HingeKinematics.getLidOutline(config, lid);
+        return { left: BoxProfiles.closestPoint(outline, corners[3]), right: BoxProfiles.closestPoint(outline, corners[2]) };
+    }
+
+    static isPointOnLid(config, lidPose, point) {
+        const local = HingeKinematics.worldToLid(lidPose, point);
+        const profile = config.profiles && config.profiles.lid;
+        if (profile) return BoxProfiles.containsPoint(BoxProfiles.toPolygon(profile), HingeKinematics.lidToProfile(config, local));
+        return Math.abs(local.x) <= config.lid.width / 2 && Math.abs(local.y) <= config.lid.height / 2;
+    }
+
+    // Base outline in world coordinates: its profile when it has one, otherwise the rectangle
+    static getBasePolygon(config) {
+        const { minX, minY, maxX, maxY } = config.base;
+        const profile = config.profiles && config.profiles.base;
+        if (profile) return BoxProfiles.toPolygon(profile).map(p => ({ x: minX + p.x, y: minY + p.y }));
+        return [
+            { x: minX, y: minY },
+            { x: maxX, y: minY },
+            { x: maxX, y: maxY },
+            { x: minX, y: maxY }
+        ];
+    }
+
+    static lidCollides(config, pose) {
+        const outline = HingeKinematics.getLidOutline(config, HingeKinematics.getLidPose(config, pose));
+        return FourBarLinkageCalculator.polygonsOverlap(
+            outline, HingeKinematics.getBasePolygon(config), config.collisionTolerance ?? 0.5);
+    }
+
+    // Input travel searched for limits: one turn, two for an unlocked four-bar that may change branch
+    static getMaxSweep(config) {
+        return config.hingeUnlocked && HingeTypes.isFourBar(config.hingeType) ? Math.PI * 4 : Math.PI * 2;
+    }
+
+    /**
+     * Furthest input angle reachable in one direction before the linkage fails to assemble:
+     * expand the step until a pose fails, then binary-search the boundary.
+     * @param {number} direction - +1 or -1.
+     * @returns {number} - Limit in radians (0 if the closed pose itself is invalid).
+     */
+    static findKinematicLimit(config, direction) {
+        const maxSweep = HingeKinematics.getMaxSweep(config);
+        const stepSign = direction >= 0 ? 1 : -1;
+
+        // Chain the anchor from pose to pose to stay on the same kinematic branch
+        let anchor = null;
+        const tryAngle = (angle) => {
+            const pose = HingeKinematics.solvePose(config, angle, anchor);
+            if (pose) anchor = pose.C;
+            return !!pose;
+        };
+
+        let lastValid = 0;
+        if (!tryAngle(lastValid)) return 0;
+
+        let step = 0.01; // ~0.57°
+        let firstInvalid = null;
+        while (Math.abs(lastValid + stepSign * step) <= maxSweep + 1e-9) {
+            const testAngle = lastValid + stepSign * step;
+            if (tryAngle(testAngle)) {
+                lastValid = testAngle;
+                step *= 2; // expand faster while valid
+            } else {
+                firstInvalid = testAngle;
+                break;
+            }
+        }
+
+        if (firstInvalid === null) {
+            const boundAngle = stepSign * maxSweep;
+            if (!tryAngle(boundAngle)) {
+                firstInvalid = boundAngle;
+            } else {
+                return boundAngle;
+            }
+        }
+
+        let loValid = lastValid;
+        let hiInvalid = firstInvalid;
+        for (let i = 0; i < 80; i++) {
+            const mid = loValid + (hiInvalid - loValid) / 2;
+            if (tryAngle(mid)) {
+                loValid = mid;
+            } else {
+                hiInvalid = mid;
+            }
+            if (Math.abs(hiInvalid - loValid) < 1e-4) break;
+        }
+        return loValid;
+    }
+
+    /**
+     * First lid–base contact between two input angles, with the overlap regions past it.
+     * @returns {Object|null} - { angle, lastClearAngle, contactCorners, regions }, or null if clear;
+     *                          contactCorners is the lid outline at first contact.
+     */
+    static findFirstCollision(config, from, to) {
+        if (!config.lid || !config.base || from === to) return null;
+        const span = to - from;
+        const samples = Math.max(60, Math.min(360, Math.round(Math.abs(span) * 180 / Math.PI)));
+
+        // Each probe continues from the previous pose to stay on the same branch
+        let anchor = null;
+        const probe = (angle) => {
+            const pose = HingeKinematics.solvePose(config, angle, anchor);
+            if (!pose) return null;
+            return { pose, colliding: HingeKinematics.lidCollides(config, pose) };
+        };
+
+        let lastClear = null;
+        let firstHit = null;
+        for (let i = 0; i <= samples; i++) {
+            const angle = from + (i / samples) * span;
+            const result = probe(angle);
+            if (!result) continue;
+            if (result.colliding) {
+                firstHit = angle;
+                break;
+            }
+            anchor = result.pose.C;
+            lastClear = angle;
+        }
+        if (firstHit === null) return null;
+
+        if (lastClear === null) {
+            // Colliding already in the closed pose
+            lastClear = from;
+        } else {
+            const clearAnchor = anchor;
+            let lo = lastClear, hi = firstHit;
+            for (let i = 0; i < 30 && Math.abs(hi - lo) > 1e-4; i++) {
+                const mid = (lo + hi) / 2;
+                const result = probe(mid);
+                if (result && !result.colliding) {
+                    lo = mid;
+                } else {
+                    hi = mid;
+                }
+                anchor = clearAnchor;
+            }
+            lastClear = lo;
+            firstHit = hi;
+        }
+
+        // Overlap regions from contact to the kinematic limit, for highlighting
+        const regions = [];
+        const baseParts = FourBarLinkageCalculator.convexParts(HingeKinematics.getBasePolygon(config));
+        let contactCorners = null;
+        const regionSamples = 12;
+        for (let i = 0; i <= regionSamples; i++) {
+            const angle = firstHit + (i / regionSamples) * (to - firstHit);
+            const result = probe(angle);
+            if (!result) continue;
+            anchor = result.pose.C;
+            const outline = HingeKinematics.getLidOutline(config, HingeKinematics.getLidPose(config, result.pose));
+            if (!contactCorners) contactCorners = outline;
+            for (const part of baseParts) {
+                const overlap = FourBarLinkageCalculator.clipPolygon(outline, part);
+                if (overlap.length >= 3 && Math.abs(FourBarLinkageCalculator.polygonArea(overlap)) > 1e-9) regions.push(overlap);
+            }
+        }
+        return { angle: firstHit, lastClearAngle: lastClear, contactCorners, regions };
+    }
+
+    /**
+     * Sampled motion over an input-angle range with the unwrapped lid rotation.
+     * @param {Object} config - Hinge configuration.
+     * @param {number} samples - Number of intervals across the range.
+     * @param {Object} limits - { min, max } input angles; defaults to findAngleLimits(config).angleLimits.
+     * @returns {Array<Object>} - [{ inputAngle, pose, lidPose, lidAngle }] for every assembled sample
+     *                          (lidPose is null without lid geometry).
+     */
+    static sweep(config, samples = 90, limits = null) {
+        const { min, max } = limits || HingeKinematics.findAngleLimits(config).angleLimits;
+        const steps = min === max ? 0 : samples;
+        const result = [];
+        let anchor = null;
+        let lidAngle = 0; // unwrapped: getTransform angles can jump by 2π
+
+        for (let i = 0; i <= steps; i++) {
+            const inputAngle = steps === 0 ? min : min + (i / steps) * (max - min);
+            const pose = HingeKinematics.solvePose(config, inputAngle, anchor);
+            if (!pose) continue;
+            anchor = pose.C;
+            // The lid turns with the coupler, so its rotation needs no lid geometry
+            const rotation = FourBarLinkageCalculator.getTransform(config.pivots.B, config.pivots.C, pose.B, pose.C).angle;
+            const delta = rotation - lidAngle;
+            lidAngle += Math.atan2(Math.sin(delta), Math.cos(delta));
+            const lidPose = config.lid ? HingeKinematics.getLidPose(config, pose) : null;
+            result.push({ inputAngle, pose, lidPose, lidAngle });
+        }
+        return result;
+    }
+
+    /**
+     * Pose along the motion that brings a point of the lid closest to a target, e.g. the
+     * pointer while the lid is dragged: a coarse sweep, refined by golden-section search
+     * between the neighbours of the nearest sample.
+     * @param {Object} config - Hinge configuration with lid geometry.
+     * @param {Object} lidPoint - Grabbed point in lid coordinates (see worldToLid).
+     * @param {Object} target - World point to follow.
+     * @param {Object} limits - { min, max } input angles to search, e.g. findAngleLimits().angleLimits.
+     * @param {number} samples - Intervals of the coarse sweep.
+     * @returns {Object|null} - { inputAngle, pose, lidPose, lidAngle, distance }, or null when no pose assembles.
+     */
+    static findNearestLidPose(config, lidPoint, target, limits, samples = 90) {
+        const distanceOf = (lidPose) => FourBarLinkageCalculator.distance(HingeKinematics.lidToWorld(lidPose, lidPoint), target);
+        const sweep = HingeKinematics.sweep(config, samples, limits);
+        if (sweep.length === 0) return null;
+
+        let nearest = 0;
+        const distances = sweep.map(sample => distanceOf(sample.lidPose));
+        distances.forEach((distance, i) => { if (distance < distances[nearest]) nearest = i; });
+        let best = { ...sweep[nearest], distance: distances[nearest] };
+
+        const { pose: anchorPose, lidAngle: anchorLidAngle } = sweep[nearest];
+        const evaluate = (inputAngle) => {
+            const pose = HingeKinematics.solvePose(config, inputAngle, anchorPose.C);
+            if (!pose) return null;
+            const lidPose = HingeKinematics.getLidPose(config, pose);
+            // Unwrap against the nearest sample like sweep does
+            const delta = FourBarLinkageCalculator.getTransform(anchorPose.B, anchorPose.C, pose.B, pose.C).angle;
+            const lidAngle = anchorLidAngle + Math.atan2(Math.sin(delta), Math.cos(delta));
+            const result = { inputAngle, pose, lidPose, lidAngle, distance: distanceOf(lidPose) };
+            if (result.distance < best.distance) best = result;
+            return result;
+        };
+
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let lo = sweep[Math.max(0, nearest - 1)].inputAngle;
+        let hi = sweep[Math.min(sweep.length - 1, nearest + 1)].inputAngle;
+        for (let i = 0; i < 40 && Math.abs(hi - lo) > 1e-7; i++) {
+            const a = evaluate(hi - ratio * (hi - lo));
+            const b = evaluate(lo + ratio * (hi - lo));
+            if (!a || !b) break;
+            if (a.distance < b.distance) hi = b.inputAngle; else lo = a.inputAngle;
+        }
+        return best;
+    }
+
+    // Largest lid rotation reached over an input range, as { min: 0, max } (signed)
+    static findLidAngleLimits(config, limits, samples = 48) {
+        let extreme = 0;
+        for (const sample of HingeKinematics.sweep(config, samples, limits)) {
+            if (Math.abs(sample.lidAngle) > Math.abs(extreme)) extreme = sample.lidAngle;
+        }
+        return { min: 0, max: extreme };
+    }
+
+    /**
+     * Opening range of the hinge. The lid always opens in the negative input direction;
+     * the opening stops at the first lid–base contact.
+     * @returns {Object} - { angleLimits, kinematicLimits, collision, lidAngleLimits }
+     */
+    static findAngleLimits(config) {
+        // The lid opens in the negative input direction; a linkage that only turns the other
+        // way has no opening range
+        const maxNegative = HingeKinematics.findKinematicLimit(config, -1);
+        const openingLimit = Number.isFinite(maxNegative) && maxNegative < 0 ? maxNegative : 0;
+
+        const kinematicLimits = { min: 0, max: openingLimit };
+        const collision = HingeKinematics.findFirstCollision(config, kinematicLimits.min, kinematicLimits.max);
+        const angleLimits = {
+            min: kinematicLimits.min,
+            max: collision ? collision.lastClearAngle : kinematicLimits.max
+        };
+        return {
+            angleLimits,
+            kinematicLimits,
+            collision,
+            lidAngleLimits: HingeKinematics.findLidAngleLimits(config, angleLimits)
+        };
+    }
+}
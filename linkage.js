@@ -0,0 +1,268 @@
+import { FourBarLinkageCalculator } from './simulator.js';
+
+/**
+ * PlanarLinkage - General planar linkages: rigid bodies connected by pin joints, driven by
+ * one angle and solved numerically, for mechanisms beyond the four-bar (Watt and Stephenson
+ * six-bars).
+ *
+ * Topology: {
+ *   bodies: { [id]: [jointName, ...] }   joints each body carries
+ *   ground: string                      body fixed to the world (the base)
+ *   input: string                       body pinned to the ground and turned by the input angle
+ *   output: string                      body carrying the lid
+ * }
+ * Joints: { [name]: { x, y } } in the closed pose, world millimeters.
+ *
+ * A body's pose is its rigid motion from the closed pose, { x, y, angle }: a point p of the
+ * body is at R(angle) p + (x, y), so every body starts at { 0, 0, 0 } and the ground stays
+ * there. A joint shared by k bodies gives 2(k - 1) loop-closure equations and the driver fixes
+ * the angle of one body; with one degree of freedom the system is square and is solved by
+ * Newton iteration. Poses are continued from the closed pose in small steps, so every angle
+ * is reached on the closed pose's assembly branch; continued poses are memoized per design.
+ * No UI or rendering logic is included.
+ */
+
+const CONTINUATION_STEP = 0.02; // radians of the driver between continued poses
+const TOLERANCE = 1e-9;         // mm of loop-closure error accepted as assembled
+const MAX_ITERATIONS = 30;
+const MAX_BODY_TURN = Math.PI / 3; // larger jumps per step mean Newton changed branch
+const CACHE_SIZE = 16;
+
+// Continued poses per design and driver: key -> { 1: [state, ...], -1: [...], failed: { 1, -1 } }
+const continuations = new Map();
+
+export class PlanarLinkage {
+    // Gruebler count: three per moving body, minus two per pin joining a pair of bodies
+    static getDegreesOfFreedom(topology) {
+        const bodies = Object.keys(topology.bodies);
+        const constraints = Object.values(PlanarLinkage.getJointBodies(topology))
+            .reduce((sum, owners) => sum + 2 * (owners.length - 1), 0);
+        return 3 * (bodies.length - 1) - constraints;
+    }
+
+    // Bodies meeting at each joint: { [jointName]: [bodyId, ...] }
+    static getJointBodies(topology) {
+        const owners = {};
+        for (const [body, joints] of Object.entries(topology.bodies)) {
+            for (const joint of joints) {
+                (owners[joint] = owners[joint] || []).push(body);
+            }
+        }
+        return owners;
+    }
+
+    /**
+     * Checks that a topology can be driven by one angle.
+     * @param {Object} topology - See the module doc.
+     * @param {Object} joints - Closed-pose joint positions, checked when given.
+     * @returns {Array<string>} - Problems, empty when the linkage is usable.
+     */
+    static validate(topology, joints = null) {
+        const errors = [];
+        const bodies = topology && topology.bodies;
+        if (!bodies || typeof bodies !== 'object') return ['expected bodies with their joints'];
+
+        for (const role of ['ground', 'input', 'output']) {
+            if (!Object.prototype.hasOwnProperty.call(bodies, topology[role])) {
+                errors.push(`${role} body ${JSON.stringify(topology[role])} is not defined`);
+            }
+        }
+        for (const [body, names] of Object.entries(bodies)) {
+            if (!Array.isArray(names) || names.length < 2) errors.push(`body ${body} needs at least two joints`);
+        }
+        if (errors.length > 0) return errors;
+
+        const owners = PlanarLinkage.getJointBodies(topology);
+        for (const [joint, bodiesAtJoint] of Object.entries(owners)) {
+            if (bodiesAtJoint.length < 2) errors.push(`joint ${joint} connects nothing to body ${bodiesAtJoint[0]}`);
+            const p = joints && joints[joint];
+            if (joints && !(p && Number.isFinite(p.x) && Number.isFinite(p.y))) errors.push(`joint ${joint} has no position`);
+        }
+        if (topology.input === topology.ground) errors.push('the input body cannot be the ground');
+        if (!bodies[topology.input].some(joint => owners[joint].includes(topology.ground))) {
+            errors.push(`input body ${topology.input} is not pinned to the ground`);
+        }
+        const dof = PlanarLinkage.getDegreesOfFreedom(topology);
+        if (dof !== 1) errors.push(`the linkage has ${dof} degrees of freedom, one input angle needs exactly 1`);
+        return errors;
+    }
+
+    // Point of a body at a body pose
+    static transformPoint(pose, point) {
+        const ca = Math.cos(pose.angle), sa = Math.sin(pose.angle);
+        return { x: point.x * ca - point.y * sa + pose.x, y: point.x * sa + point.y * ca + pose.y };
+    }
+
+    // World position of every joint for body poses, taken from the first body carrying it
+    static getJointPositions(topology, joints, bodyPoses) {
+        const positions = {};
+        for (const [body, names] of Object.entries(topology.bodies)) {
+            for (const name of names) {
+                if (!positions[name]) positions[name] = PlanarLinkage.transformPoint(bodyPoses[body], joints[name]);
+            }
+        }
+        return positions;
+    }
+
+    static closedState(topology, joints) {
+        const bodies = {};
+        for (const body of Object.keys(topology.bodies)) bodies[body] = { x: 0, y: 0, angle: 0 };
+        return { bodies, joints: PlanarLinkage.getJointPositions(topology, joints, bodies) };
+    }
+
+    /**
+     * Newton iteration from a guess to the pose where the driver body is at an angle.
+     * @param {Object} topology - See the module doc.
+     * @param {Object} joints - Closed-pose joint positions.
+     * @param {Object} driver - { body, angle }: body turned by angle radians from closed.
+     * @param {Object} guess - State { bodies } to start from; the closed pose by default.
+     * @returns {Object|null} - { bodies, joints } or null when Newton does not converge (no assembly).
+     */
+    static solve(topology, joints, driver, guess = null) {
+        const moving = Object.keys(topology.bodies).filter(body => body !== topology.ground);
+        const index = Object.fromEntries(moving.map((body, i) => [body, i * 3]));
+        const pairs = [];
+        for (const [joint, owners] of Object.entries(PlanarLinkage.getJointBodies(topology))) {
+            for (let i = 1; i < owners.length; i++) pairs.push([joint, owners[0], owners[i]]);
+        }
+
+        const start = guess || PlanarLinkage.closedState(topology, joints);
+        const u = moving.flatMap(body => [start.bodies[body].x, start.bodies[body].y, start.bodies[body].angle]);
+        const n = u.length;
+        const poseOf = (body) => body === topology.ground
+            ? { x: 0, y: 0, angle: 0 }
+            : { x: u[index[body]], y: u[index[body] + 1], angle: u[index[body] + 2] };
+
+        for (let iteration = 0; iteration <= MAX_ITERATIONS; iteration++) {
+            const F = [];
+            const J = [];
+            // Joint point of body b, and its derivative row entries
+            const addPoint = (rowX, rowY, body, point, sign) => {
+                if (body === topology.ground) return;
+                const { angle } = poseOf(body);
+                const ca = Math.cos(angle), sa = Math.sin(angle);
+                const i = index[body];
+                rowX[i] += sign;
+                rowY[i + 1] += sign;
+                rowX[i + 2] += sign * (-point.x * sa - point.y * ca);
+                rowY[i + 2] += sign * (point.x * ca - point.y * sa);
+            };
+            for (const [joint, a, b] of pairs) {
+                const p = joints[joint];
+                const pa = PlanarLinkage.transformPoint(poseOf(a), p);
+                const pb = PlanarLinkage.transformPoint(poseOf(b), p);
+                F.push(pa.x - pb.x, pa.y - pb.y);
+                const rowX = new Array(n).fill(0);
+                const rowY = new Array(n).fill(0);
+                addPoint(rowX, rowY, a, p, 1);
+                addPoint(rowX, rowY, b, p, -1);
+                J.push(rowX, rowY);
+            }
+            F.push(u[index[driver.body] + 2] - driver.angle);
+            const driverRow = new Array(n).fill(0);
+            driverRow[index[driver.body] + 2] = 1;
+            J.push(driverRow);
+
+            if (F.every(value => Math.abs(value) < TOLERANCE)) {
+                const bodies = {};
+                for (const body of Object.keys(topology.bodies)) bodies[body] = poseOf(body);
+                return { bodies, joints: PlanarLinkage.getJointPositions(topology, joints, bodies) };
+            }
+            if (iteration === MAX_ITERATIONS || J.length !== n) return null;
+
+            const step = PlanarLinkage.solveLinear(J, F.map(value => -value));
+            if (!step) return null; // Singular: a dead point or a locked linkage
+            for (let i = 0; i < n; i++) u[i] += step[i];
+        }
+        return null;
+    }
+
+    // Gaussian elimination with partial pivoting; null when the matrix is singular
+    static solveLinear(matrix, rhs) {
+        const n = rhs.length;
+        const a = matrix.map((row, i) => [...row, rhs[i]]);
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            if (Math.abs(a[pivot][col]) < 1e-12) return null;
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+            }
+        }
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+            x[row] = sum / a[row][row];
+        }
+        return x;
+    }
+
+    // One continuation step, refused when a body turns so far that Newton must have switched branch
+    static continueTo(topology, joints, driver, from) {
+        const state = PlanarLinkage.solve(topology, joints, driver, from);
+        if (!state) return null;
+        for (const [body, pose] of Object.entries(state.bodies)) {
+            const turn = pose.angle - from.bodies[body].angle;
+            if (Math.abs(Math.atan2(Math.sin(turn), Math.cos(turn))) > MAX_BODY_TURN) return null;
+        }
+        return state;
+    }
+
+    /**
+     * Pose with the driver body turned by an angle, continued from the closed pose.
+     * @param {Object} topology - See the module doc.
+     * @param {Object} joints - Closed-pose joint positions.
+     * @param {Object} driver - { body, angle }; usually the input body, or the output body to set the lid angle.
+     * @returns {Object|null} - { bodies, joints } or null beyond the reach of the closed pose's branch.
+     */
+    static solveAt(topology, joints, driver) {
+        const key = JSON.stringify([topology, joints, driver.body]);
+        let cache = continuations.get(key);
+        if (!cache) {
+            cache = { 1: [PlanarLinkage.closedState(topology, joints)], [-1]: null, failed: { 1: Infinity, [-1]: Infinity } };
+            cache[-1] = [cache[1][0]];
+            continuations.set(key, cache);
+            if (continuations.size > CACHE_SIZE) continuations.delete(continuations.keys().next().value);
+        }
+
+        const sign = driver.angle < 0 ? -1 : 1;
+        const states = cache[sign];
+        const last = Math.floor(Math.abs(driver.angle) / CONTINUATION_STEP);
+        while (states.length <= last && states.length < cache.failed[sign]) {
+            const next = PlanarLinkage.continueTo(topology, joints,
+                { body: driver.body, angle: sign * states.length * CONTINUATION_STEP }, states[states.length - 1]);
+            if (!next) {
+                cache.failed[sign] = states.length;
+                break;
+            }
+            states.push(next);
+        }
+        if (last < states.length) {
+            return PlanarLinkage.continueTo(topology, joints, driver, states[last]);
+        }
+        // Past the last continued pose: approach the angle in finer steps from there
+        const fromAngle = sign * (states.length - 1) * CONTINUATION_STEP;
+        return PlanarLinkage.refine(topology, joints, driver, states[states.length - 1], fromAngle);
+    }
+
+    static refine(topology, joints, driver, from, fromAngle, substeps = 4) {
+        let state = from;
+        for (let i = 1; i <= substeps && state; i++) {
+            const angle = fromAngle + (driver.angle - fromAngle) * i / substeps;
+            state = PlanarLinkage.continueTo(topology, joints, { body: driver.body, angle }, state);
+        }
+        return state;
+    }
+
+    // Binary links (two joints, neither the ground nor the lid) named by their joints, with their lengths
+    static getBinaryLinks(topology, joints) {
+        return Object.entries(topology.bodies)
+            .filter(([body, names]) => names.length === 2 && body !== topology.ground && body !== topology.output)
+            .map(([body, [a, b]]) => ({ body, name: `${a}${b}`, length: FourBarLinkageCalculator.distance(joints[a], joints[b]) }));
+    }
+}
@@ -1,13 +1,35 @@
 import { DesignerUI } from './designer.js';
 import { CrossHingeSimulator } from './simulation_ui.js';
+import { ComparisonView } from './comparison_ui.js';
+import { HingeOptimizer, OPTIMIZER_OBJECTIVES } from './optimizer.js';
+import { InterferenceAnalyzer, LINK_PINS } from './interference.js';
+import { PlotPanel } from './plot_panel.js';
+import { FabricationExporter } from './fabrication_export.js';
+import { ConfigSchema, CONFIG_VERSION } from './config_schema.js';
+import { DesignHistory } from './history.js';
+import { DesignLibrary } from './design_library.js';
+import { PivotConstraints } from './pivot_constraints.js';
+import { Units } from './units.js';
+import { HingeTypes, DEFAULT_HINGE_TYPE } from './hinge_types.js';
+import { BoxProfiles } from './profiles.js';
 
 document.addEventListener('DOMContentLoaded', () => {
     const canvas = document.getElementById('hingeCanvas');
     const lidAngleSlider = document.getElementById('lidAngle');
     const lidAngleValue = document.getElementById('lidAngleValue');
+    const lidAngleInput = document.getElementById('lidAngleInput');
+    const plotCanvas = document.getElementById('plotCanvas');
+    const plotPanel = plotCanvas ? new PlotPanel(plotCanvas) : null;
     const unlockHingeCheckbox = document.getElementById('unlockHinge');
+    const showDimensionsCheckbox = document.getElementById('showDimensions');
+    const synthesisModeCheckbox = document.getElementById('synthesisMode');
+    const hingeTypeSelect = document.getElementById('hingeType');
     // Fit control
     const fitBtn = document.getElementById('fitBtn');
+    const zoomInBtn = document.getElementById('zoomInBtn');
+    const zoomOutBtn = document.getElementById('zoomOutBtn');
+    const undoButton = document.getElementById('undoBtn');
+    const redoButton = document.getElementById('redoBtn');
     
     // Box dimension controls
     const boxWidthInput = document.getElementById('boxWidth');
@@ -19,23 +41,110 @@ document.addEventListener('DOMContentLoaded', () => {
     const mmRadio = document.querySelector('input[name="units"][value="mm"]');
     const inchesRadio = document.querySelector('input[name="units"][value="inches"]');
     
-    // Conversion factor: 1 inch = 25.4 mm
-    const MM_PER_INCH = 25.4;
-    let currentUnit = 'mm'; // Default unit is mm
+    // Display unit ('mm' or 'inches'); the design is always stored in mm
+    let currentUnit = 'mm';
+    const lengthInputs = document.querySelectorAll('input.length-input');
+    const unitLabels = document.querySelectorAll('.unit-label');
     
     // Export/Import controls
     const exportButton = document.getElementById('exportConfig');
+    const exportImageButton = document.getElementById('exportImage');
+    const fabricationFormatSelect = document.getElementById('fabricationFormat');
+    const fabricationButtons = {
+        AB: document.getElementById('exportLinkAB'),
+        DC: document.getElementById('exportLinkDC'),
+        template: document.getElementById('exportTemplate')
+    };
     const importButton = document.getElementById('importConfig');
     const importFile = document.getElementById('importFile');
+    const libraryNameInput = document.getElementById('libraryName');
+    const librarySaveButton = document.getElementById('librarySave');
+    const libraryList = document.getElementById('libraryList');
+    const libraryImportButton = document.getElementById('libraryImport');
+    const libraryImportFile = document.getElementById('libraryImportFile');
+    const libraryExportAllButton = document.getElementById('libraryExportAll');
+    const libraryStatus = document.getElementById('libraryStatus');
+
+    // Pivot fields (box-relative mm) and placement constraints
+    const pivotInputs = Object.fromEntries(['A', 'B', 'C', 'D', 'E', 'F', 'G'].map(name => [name, {
+        x: document.getElementById(`pivot${name}X`),
+        y: document.getElementById(`pivot${name}Y`)
+    }]));
+    const linkagePivots = document.getElementById('linkagePivots');
+    const snapGridInput = document.getElementById('snapGrid');
+    const constraintCheckboxes = {
+        symmetric: document.getElementById('constraintSymmetric'),
+        levelBase: document.getElementById('constraintLevelBase'),
+        levelLid: document.getElementById('constraintLevelLid')
+    };
+    const lengthLocks = {
+        AB: { checkbox: document.getElementById('lockLengthAB'), input: document.getElementById('lengthAB') },
+        DC: { checkbox: document.getElementById('lockLengthDC'), input: document.getElementById('lengthDC') }
+    };
+    const constraintStatus = document.getElementById('constraintStatus');
+
+    // Base and lid outline controls
+    const profileControls = Object.fromEntries(['base', 'lid'].map(panel => [panel, {
+        preset: document.getElementById(`${panel}ProfilePreset`),
+        size: document.getElementById(`${panel}ProfileSize`),
+        vertices: document.getElementById(`${panel}ProfileVertices`),
+        apply: document.getElementById(`${panel}ProfileApply`),
+        importButton: document.getElementById(`${panel}ProfileImport`),
+        file: document.getElementById(`${panel}ProfileFile`)
+    }]));
+    const profileStatus = document.getElementById('profileStatus');
+
+    // Bar and pin controls
+    const wallThicknessInput = document.getElementById('wallThickness');
+    const interferenceStatus = document.getElementById('interferenceStatus');
+
+    // Design analysis panel
+    const analysisText = document.getElementById('analysisText');
+    const statusIndicator = document.getElementById('statusIndicator');
+    const warnTransmissionInput = document.getElementById('warnTransmission');
+    const failTransmissionInput = document.getElementById('failTransmission');
+
+    // Optimizer controls
+    const optimizerTargetInput = document.getElementById('optimizerTarget');
+    const optimizerObjectiveSelect = document.getElementById('optimizerObjective');
+    const optimizeButton = document.getElementById('optimizeBtn');
+    const optimizerStatus = document.getElementById('optimizerStatus');
+    const optimizerResults = document.getElementById('optimizerResults');
+    const optimizerActions = document.getElementById('optimizerActions');
+    const optimizerApplyButton = document.getElementById('optimizerApply');
+    const optimizerRevertButton = document.getElementById('optimizerRevert');
+
+    // Mode and playback controls
+    const modeRadios = document.querySelectorAll('input[name="mode"]');
+    const playbackControls = document.getElementById('playbackControls');
+    const playPauseButton = document.getElementById('playPauseBtn');
+    const playbackLoopCheckbox = document.getElementById('playbackLoop');
+    const playbackSpeedInput = document.getElementById('playbackSpeed');
+    const openToAngleInput = document.getElementById('openToAngle');
+    const openToButton = document.getElementById('openToBtn');
+
+    // Comparison controls
+    const comparisonControls = document.getElementById('comparisonControls');
+    const comparisonTable = document.getElementById('comparisonTable');
+    const comparisonFile = document.getElementById('comparisonFile');
+    const comparisonAddFileButton = document.getElementById('comparisonAddFile');
+    const comparisonClearButton = document.getElementById('comparisonClear');
+    const comparisonStatus = document.getElementById('comparisonStatus');
 
     let activeSimulator = null;
-    
-    // Track if we're currently updating values to avoid triggering change events
-    let isUpdatingUnits = false;
+    let activeMode = 'design';
+    // Undo/redo steps, shared by every DesignerUI the mode switch creates
+    const designHistory = new DesignHistory();
+    // Named designs and the autosave, in the export file format
+    const designLibrary = new DesignLibrary();
+    // Snap grid and locks, shared by every DesignerUI like the history
+    const pivotConstraints = PivotConstraints.defaults();
+    // Designs compared with the current one: [{ name, file }] with file a config file; kept across mode switches
+    const comparedDesigns = [];
 
     let lidAngleSliderRef = lidAngleSlider;
-    // Track last valid slider percentage (0..100)
-    let lastValidPct = 0;
+    // Last lid opening (degrees from closed) the linkage reached
+    let lastValidLidDeg = 0;
     function attachSliderListener() {
         // Clean up any existing listeners by cloning
         const oldListeners = lidAngleSliderRef.cloneNode(true);
@@ -44,92 +153,26 @@ document.addEventListener('DOMContentLoaded', () => {
         
         console.log('Attaching slider listener to:', lidAngleSliderRef);
 
-        // Always use full slider range 0..100 mapped to [min,max] radians
+        // Slider value is the true lid opening in degrees, 0..reachable lid rotation
         lidAngleSliderRef.min = '0';
-        lidAngleSliderRef.max = '100';
-        lidAngleSliderRef.step = '1';
-
-
-        const pctToAngle = (pct) => {
-            const min = activeSimulator.angleLimits.min;
-            const max = activeSimulator.angleLimits.max;
-            return min + (pct / 100) * (max - min);
-        };
-
-        const clampToValidPct = (targetPct) => {
-            // Binary search from lastValidPct toward targetPct to find boundary
-            const savedLastValidC = activeSimulator.lastValidC;
-            const isValidPct = (p) => !!activeSimulator.calculateAnimatedStateForAngle(pctToAngle(p));
-            let pct = Math.max(0, Math.min(100, targetPct));
-            if (isValidPct(pct)) {
-                activeSimulator.lastValidC = savedLastValidC; // restore
-                // Store last valid percentage when we have a valid position
-                lastValidPct = pct;
-                return Math.round(pct);
-            }
-            let lo = Math.min(pct, lastValidPct);
-            let hi = Math.max(pct, lastValidPct);
-            // Ensure at least one side valid; if not, stick to lastValidPct
-            let loValid = isValidPct(lo);
-            let hiValid = isValidPct(hi);
-            if (!loValid && !hiValid) {
-                activeSimulator.lastValidC = savedLastValidC;
-                return lastValidPct;
-            }
-            // Ensure 'left' is valid
-            let left = hiValid && !loValid ? hi : lo;
-            let right = hiValid && !loValid ? lo : hi;
-            if (!isValidPct(left) && isValidPct(right)) { const t = left; left = right; right = t; }
-            for (let i = 0; i < 25; i++) {
-                const mid = (left + right) / 2;
-                if (isValidPct(mid)) left = mid; else right = mid;
-                if (Math.abs(right - left) < 0.01) break;
-            }
-            activeSimulator.lastValidC = savedLastValidC;
-            // Store the result as the new lastValidPct
-            lastValidPct = Math.round(left);
-            return lastValidPct;
-        };
+        lidAngleSliderRef.step = '0.1';
+        updateSliderRange();
 
         lidAngleSliderRef.addEventListener('input', () => {
             console.log('SLIDER EVENT TRIGGERED');
-            // Visual debug: flash slider background
-            lidAngleSliderRef.style.background = '#fffd7f';
-            setTimeout(() => { lidAngleSliderRef.style.background = ''; }, 150);
-            if (!activeSimulator || typeof activeSimulator.animate !== 'function') {
+            if (!activeSimulator || typeof activeSimulator.animateLidAngle !== 'function') {
                 console.error('[Slider Event] No active simulator or animation method available');
                 return;
             }
-
-            const mode = (activeSimulator instanceof DesignerUI) ? 'design' : 'simulation';
-            console.log(`[Slider Event] Mode: ${mode}`);
-            console.log(`[Slider Event] Slider value: ${lidAngleSliderRef.value}`);
-
-            // Handle differently based on simulator type
-            if (activeSimulator instanceof DesignerUI) {
-                // Interpret slider value as percentage 0..100 and clamp to nearest valid
-                let pct = Number(lidAngleSliderRef.value);
-                if (Number.isNaN(pct)) pct = lastValidPct;
-                
-                // Clamp to nearest valid percentage
-                const clampedPct = clampToValidPct(pct);
-                
-                // Update the slider to reflect the valid position
-                lidAngleSliderRef.value = String(clampedPct);
-                
-                // Calculate and apply the angle offset
-                const angleOffset = pctToAngle(clampedPct);
-                console.log(`[Slider Event] Calculated angleOffset for DesignerUI (clamped): ${angleOffset}`);
-                activeSimulator.animate(angleOffset);
-                lidAngleValue.textContent = `${(Math.abs(angleOffset) * 180 / Math.PI).toFixed(0)}°`;
-                // Don't update lastValidPct here since it's already updated in clampToValidPct
-            } else {
-                // Use direct radian value for simulation mode
-                const angleInRadians = (Number(lidAngleSliderRef.value) / 100) * Math.PI; // 0..100 -> 0..π
-                console.log(`[Slider Event] Calculated angleInRadians for Simulation: ${angleInRadians}`);
-                activeSimulator.animate(angleInRadians);
-                lidAngleValue.textContent = `${(angleInRadians * 180 / Math.PI).toFixed(0)}°`;
+            // Manual positioning takes over from playback
+            if (activeSimulator.playing && typeof activeSimulator.pause === 'function') {
+                activeSimulator.pause();
             }
+
+            console.log(`[Slider Event] Mode: ${activeMode}, lid angle: ${lidAngleSliderRef.value}°`);
+            let degrees = Number(lidAngleSliderRef.value);
+            if (Number.isNaN(degrees)) degrees = lastValidLidDeg;
+            applyLidAngle(degrees);
         });
 
         // Trigger the slider once to set initial state
@@ -137,35 +180,83 @@ document.addEventListener('DOMContentLoaded', () => {
         lidAngleSliderRef.dispatchEvent(event);
     }
 
-    // Convert a desired angle (radians, relative offset) to slider percentage [0..100]
-    function angleToPct(angleRad) {
-        if (!activeSimulator || !activeSimulator.angleLimits) return 0;
-        const min = activeSimulator.angleLimits.min;
-        const max = activeSimulator.angleLimits.max;
-        const span = max - min;
-        if (!Number.isFinite(min) || !Number.isFinite(max) || Math.abs(span) < 1e-9) return 0;
-        const pct = ((angleRad - min) / span) * 100;
-        return Math.round(Math.max(0, Math.min(100, pct)));
+    // Largest lid opening in degrees for the current design
+    function getLidOpeningLimit() {
+        if (!activeSimulator || !activeSimulator.lidAngleLimits) return 0;
+        return Math.abs(activeSimulator.lidAngleLimits.max) * 180 / Math.PI;
+    }
+
+    // Lid opening in degrees (always positive) to the signed lid rotation in radians
+    function lidDegreesToAngle(degrees) {
+        const sign = activeSimulator && activeSimulator.lidAngleLimits.max > 0 ? 1 : -1;
+        return sign * degrees * Math.PI / 180;
+    }
+
+    function updateSliderRange() {
+        lidAngleSliderRef.max = getLidOpeningLimit().toFixed(1);
+        if (lidAngleInput) lidAngleInput.max = lidAngleSliderRef.max;
     }
 
-    // Set the slider to represent a specific angle (in radians) without assuming it's at the left end
-    function setSliderToAngle(angleRad, { dispatch = false } = {}) {
-        const pct = angleToPct(angleRad);
-        lastValidPct = pct;
-        lidAngleSliderRef.value = String(pct);
-        lidAngleValue.textContent = `${(Math.abs(angleRad) * 180 / Math.PI).toFixed(0)}°`;
+    function showLidAngle(degrees) {
+        lidAngleSliderRef.value = String(degrees);
+        lidAngleValue.textContent = `${degrees.toFixed(1)}°`;
+        if (lidAngleInput && document.activeElement !== lidAngleInput) {
+            lidAngleInput.value = degrees.toFixed(1);
+        }
+        if (plotPanel && activeSimulator) {
+            plotPanel.setCursor(activeSimulator.getCurrentInputAngle());
+        }
+    }
+
+    // Solve the linkage for a lid opening; an unreachable request keeps the last valid pose
+    function applyLidAngle(degrees) {
+        const clamped = Math.max(0, Math.min(getLidOpeningLimit(), degrees));
+        if (activeSimulator.animateLidAngle(lidDegreesToAngle(clamped))) {
+            lastValidLidDeg = clamped;
+        } else {
+            console.warn(`[Slider Event] Lid angle ${clamped.toFixed(1)}° unreachable, keeping ${lastValidLidDeg.toFixed(1)}°`);
+            activeSimulator.animateLidAngle(lidDegreesToAngle(lastValidLidDeg));
+        }
+        showLidAngle(lastValidLidDeg);
+    }
+
+    // Set the slider to a lid rotation (radians from closed, signed as in lidAngleLimits)
+    function setSliderToLidAngle(lidAngle, { dispatch = false } = {}) {
+        updateSliderRange();
+        lastValidLidDeg = Math.min(getLidOpeningLimit(), Math.abs(lidAngle) * 180 / Math.PI);
+        showLidAngle(lastValidLidDeg);
         if (dispatch) {
             const ev = new Event('input');
             lidAngleSliderRef.dispatchEvent(ev);
         }
     }
 
+    if (lidAngleInput) {
+        lidAngleInput.addEventListener('change', () => {
+            const degrees = parseFloat(lidAngleInput.value);
+            if (!activeSimulator || !Number.isFinite(degrees)) return;
+            if (activeSimulator.playing && typeof activeSimulator.pause === 'function') {
+                activeSimulator.pause();
+            }
+            applyLidAngle(degrees);
+            lidAngleInput.value = lastValidLidDeg.toFixed(1);
+        });
+    }
+
     function switchMode(mode = 'design') {
+        // Carry the current design across modes so both views share state
+        const sharedState = activeSimulator && typeof activeSimulator.getConfiguration === 'function'
+            ? {
+                config: activeSimulator.getConfiguration(),
+                hingeUnlocked: activeSimulator.hingeUnlocked,
+                view: { ...activeSimulator.view }
+            }
+            : null;
+
         if (activeSimulator && typeof activeSimulator.destroy === 'function') {
             activeSimulator.destroy();
         }
 
-        // Since we don't have mode switching elements, always use DesignerUI
         const syncUI = (result) => {
             if (!(activeSimulator instanceof DesignerUI)) return;
 
@@ -176,74 +267,703 @@ document.addEventListener('DOMContentLoaded', () => {
             const statusDiv = document.getElementById('angleLimitsStatus');
 
             if (statusDiv) {
-                statusDiv.textContent = `Open limit: ${openDeg}° — linkage is ${validRange ? 'animatable' : 'locked'}.`;
+                const contact = result && result.collision
+                    ? ` Lid contacts base at ${(Math.abs(result.collision.angle) * 180 / Math.PI).toFixed(1)}°.`
+                    : '';
+                statusDiv.textContent = `Lid opens ${getLidOpeningLimit().toFixed(1)}° (input link ${openDeg}°) — linkage is ${validRange ? 'animatable' : 'locked'}.${contact}`;
+            }
+            updateSliderRange();
+            updateHistoryButtons();
+            scheduleAutosave();
+
+            if (result && result.analysis) {
+                renderAnalysisReport(result.analysis);
+                if (plotPanel) plotPanel.setData(activeSimulator, result.analysis);
+            }
+
+            if (interferenceStatus && result && result.interference) {
+                renderInterferenceReport(result.interference);
+            }
+
+            const synthesisStatusDiv = document.getElementById('synthesisStatus');
+            if (synthesisStatusDiv) {
+                const synthesis = result && result.synthesis;
+                synthesisStatusDiv.textContent = synthesis ? synthesis.message : '';
+                synthesisStatusDiv.style.color = synthesis && !synthesis.isValid ? '#721c24' : '#555';
             }
 
             // Handle one-shot UI events from DesignerUI
             if (result && result.uiEvent && result.uiEvent.type === 'resetAngle') {
-                // Reset slider to represent 0 rad (closed) within the current [min..max] without dispatching input
-                setSliderToAngle(0, { dispatch: false });
+                // Reset slider to the closed lid without dispatching input
+                setSliderToLidAngle(0, { dispatch: false });
+            } else if (result && result.uiEvent && result.uiEvent.type === 'lidAngle') {
+                // The lid was dragged on the canvas; follow it without animating again
+                setSliderToLidAngle(result.uiEvent.lidAngle, { dispatch: false });
             }
 
-            // Update pivot positions if available
             if (result && result.relativePivots) {
-                const { A, B, C, D } = result.relativePivots;
-                
-                const pivotAElement = document.getElementById('pivotA');
-                const pivotBElement = document.getElementById('pivotB');
-                const pivotCElement = document.getElementById('pivotC');
-                const pivotDElement = document.getElementById('pivotD');
-                
-                if (pivotAElement) pivotAElement.textContent = `x: ${A.x}, y: ${A.y}`;
-                if (pivotBElement) pivotBElement.textContent = `x: ${B.x}, y: ${B.y}`;
-                if (pivotCElement) pivotCElement.textContent = `x: ${C.x}, y: ${C.y}`;
-                if (pivotDElement) pivotDElement.textContent = `x: ${D.x}, y: ${D.y}`;
+                syncPivotInputs();
+            }
+            if (result && result.constraintViolations) {
+                setConstraintStatus(result.constraintViolations.map(violation => violation.message).join('; '));
+            }
+
+            const crossingElement = document.getElementById('crossingX');
+            if (crossingElement && result) {
+                const crossing = result.crossing;
+                const pct = (range) => `${Math.round(range.min * 100)}–${Math.round(range.max * 100)}%`;
+                crossingElement.textContent = crossing
+                    ? `x: ${Units.format(crossing.position.x, currentUnit)}, y: ${Units.format(crossing.position.y, currentUnit)} (along AB ${pct(crossing.alongAB)}, along DC ${pct(crossing.alongDC)})`
+                    : HingeTypes.isCrossed(activeSimulator.hingeType) ? 'links do not cross' : '—';
             }
         };
 
-        activeSimulator = new DesignerUI(canvas, syncUI);
+        activeMode = mode;
+        if (mode === 'simulation') {
+            activeSimulator = new CrossHingeSimulator(canvas, syncUI, syncPlayback);
+        } else if (mode === 'comparison') {
+            activeSimulator = new ComparisonView(canvas, syncUI, renderComparison);
+        } else {
+            activeSimulator = new DesignerUI(canvas, syncUI);
+        }
+        activeSimulator.history = designHistory;
+        activeSimulator.pivotConstraints = pivotConstraints;
+        activeSimulator.unit = currentUnit;
+        activeSimulator.showDimensions = !!(showDimensionsCheckbox && showDimensionsCheckbox.checked);
 
         // Initial UI sync
         syncUI();
         if (activeSimulator instanceof DesignerUI) {
-            if (typeof activeSimulator.reset === 'function') {
+            if (sharedState) {
+                activeSimulator.hingeUnlocked = sharedState.hingeUnlocked;
+                activeSimulator.view = sharedState.view;
+            }
+            if (sharedState && typeof activeSimulator.loadConfiguration === 'function') {
+                activeSimulator.loadConfiguration(sharedState.config);
+            } else if (typeof activeSimulator.reset === 'function') {
+                if (sharedState) {
+                    activeSimulator.boxDimensions = { ...sharedState.config.boxDimensions };
+                }
                 activeSimulator.reset();
+                if (sharedState) {
+                    activeSimulator.setConfiguration(sharedState.config);
+                }
+            }
+
+            if (activeSimulator instanceof ComparisonView) {
+                updateComparedDesigns();
             }
 
-            // Position slider so that 0 rad (closed) maps to its correct percentage and apply state
-            setSliderToAngle(0, { dispatch: true });
+            // Position slider at the closed lid and apply state
+            setSliderToLidAngle(0, { dispatch: true });
         }
         
+        updateModeControls();
+
         // Always (re-)attach the slider listener after switching mode
         attachSliderListener();
     }
 
+    // Simulation and comparison modes are read-only: design controls are disabled and
+    // playback or the comparison table is shown
+    function updateModeControls() {
+        const isSimulation = activeMode === 'simulation';
+        const isReadOnly = activeMode !== 'design';
+        if (playbackControls) {
+            playbackControls.style.display = isSimulation ? 'block' : 'none';
+        }
+        if (comparisonControls) {
+            comparisonControls.style.display = activeMode === 'comparison' ? 'block' : 'none';
+        }
+        [
+            boxWidthInput, lidHeightInput, baseHeightInput, lidGapInput, synthesisModeCheckbox, optimizeButton,
+            snapGridInput, ...Object.values(constraintCheckboxes), ...Object.values(lengthLocks).map(lock => lock.checkbox),
+            ...Object.values(pivotInputs).flatMap(inputs => [inputs.x, inputs.y]),
+            ...Object.values(profileControls).flatMap(controls => [controls.preset, controls.size, controls.vertices, controls.apply, controls.importButton])
+        ].forEach(control => {
+            if (control) control.disabled = isReadOnly;
+        });
+        Object.entries(lengthLocks).forEach(([link, lock]) => {
+            if (lock.input) lock.input.disabled = isReadOnly || !pivotConstraints.fixedLengths[link];
+        });
+        updateHistoryButtons();
+        if (isReadOnly && synthesisModeCheckbox) {
+            synthesisModeCheckbox.checked = false;
+        }
+        if (isSimulation && activeSimulator) {
+            activeSimulator.setLoop(playbackLoopCheckbox ? playbackLoopCheckbox.checked : true);
+            activeSimulator.setSpeed(parseFloat(playbackSpeedInput && playbackSpeedInput.value) || 30);
+        }
+        updateHingeTypeControls();
+    }
+
+    // Links, locks, synthesis and the optimizer belong to four-bars; a single-pivot hinge
+    // only lets the offset pin be placed, a six-bar also shows its joints E, F and G
+    function updateHingeTypeControls() {
+        const type = activeSimulator && activeSimulator.hingeType ? activeSimulator.hingeType : DEFAULT_HINGE_TYPE;
+        const isReadOnly = activeMode !== 'design';
+        const fourBar = HingeTypes.isFourBar(type);
+        const editable = HingeTypes.getEditablePivots(type);
+        if (hingeTypeSelect) {
+            hingeTypeSelect.value = type;
+            hingeTypeSelect.disabled = isReadOnly;
+        }
+        Object.entries(pivotInputs).forEach(([name, inputs]) => {
+            [inputs.x, inputs.y].forEach(input => {
+                if (input) input.disabled = isReadOnly || !editable.includes(name);
+            });
+        });
+        if (linkagePivots) {
+            linkagePivots.style.display = HingeTypes.isLinkage(type) ? 'block' : 'none';
+        }
+        [
+            synthesisModeCheckbox, optimizeButton, snapGridInput,
+            ...Object.values(constraintCheckboxes), ...Object.values(lengthLocks).map(lock => lock.checkbox)
+        ].forEach(control => {
+            if (control) control.disabled = isReadOnly || !fourBar;
+        });
+        Object.entries(lengthLocks).forEach(([link, lock]) => {
+            if (lock.input) lock.input.disabled = isReadOnly || !fourBar || !pivotConstraints.fixedLengths[link];
+        });
+        [unlockHingeCheckbox, fabricationButtons.AB, fabricationButtons.DC].forEach(control => {
+            if (control) control.disabled = !fourBar;
+        });
+        if (!fourBar && synthesisModeCheckbox) {
+            synthesisModeCheckbox.checked = false;
+        }
+    }
+
+    if (hingeTypeSelect) {
+        HingeTypes.list().forEach(({ id, label }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            hingeTypeSelect.appendChild(option);
+        });
+        hingeTypeSelect.addEventListener('change', () => {
+            if (activeMode !== 'design' || !activeSimulator || typeof activeSimulator.setHingeType !== 'function') return;
+            activeSimulator.setHingeType(hingeTypeSelect.value);
+            syncDesignControls();
+            setSliderToLidAngle(0, { dispatch: true });
+        });
+    }
+
+    // Playback state from CrossHingeSimulator: keep the slider and button in step
+    function syncPlayback(state) {
+        if (playPauseButton) {
+            playPauseButton.textContent = state.playing ? 'Pause' : 'Play';
+        }
+        setSliderToLidAngle(state.angle, { dispatch: false });
+    }
+
+    modeRadios.forEach(radio => {
+        radio.addEventListener('change', () => {
+            if (radio.checked && radio.value !== activeMode) {
+                console.log('Switching mode to:', radio.value);
+                switchMode(radio.value);
+            }
+        });
+    });
+
+    if (playPauseButton) {
+        playPauseButton.addEventListener('click', () => {
+            if (activeSimulator && typeof activeSimulator.togglePlay === 'function') {
+                activeSimulator.togglePlay();
+            }
+        });
+    }
+
+    if (playbackLoopCheckbox) {
+        playbackLoopCheckbox.addEventListener('change', () => {
+            if (activeSimulator && typeof activeSimulator.setLoop === 'function') {
+                activeSimulator.setLoop(playbackLoopCheckbox.checked);
+            }
+        });
+    }
+
+    if (playbackSpeedInput) {
+        playbackSpeedInput.addEventListener('change', () => {
+            if (activeSimulator && typeof activeSimulator.setSpeed === 'function') {
+                activeSimulator.setSpeed(parseFloat(playbackSpeedInput.value) || 30);
+            }
+        });
+    }
+
+    if (openToButton && openToAngleInput) {
+        openToButton.addEventListener('click', () => {
+            if (activeSimulator && typeof activeSimulator.openTo === 'function') {
+                activeSimulator.openTo(parseFloat(openToAngleInput.value) || 0);
+            }
+        });
+    }
+
     // Add checkbox event listener for unlocking hinge
+    if (showDimensionsCheckbox) {
+        showDimensionsCheckbox.addEventListener('change', () => {
+            if (activeSimulator && typeof activeSimulator.setShowDimensions === 'function') {
+                activeSimulator.setShowDimensions(showDimensionsCheckbox.checked);
+            }
+        });
+    }
+
     if (unlockHingeCheckbox) {
         unlockHingeCheckbox.addEventListener('change', () => {
             if (activeSimulator && typeof activeSimulator.setHingeUnlocked === 'function') {
                 console.log('Hinge unlock state changed:', unlockHingeCheckbox.checked);
                 activeSimulator.setHingeUnlocked(unlockHingeCheckbox.checked);
                 
-                // Reset slider to represent 0 rad (closed) with new [min..max]
-                setSliderToAngle(0, { dispatch: true });
+                // Reset slider to the closed lid within the new lid range
+                setSliderToLidAngle(0, { dispatch: true });
             }
         });
     }
 
+    // Pivot fields show the exact box-relative position; the field being typed in is left alone
+    function syncPivotInputs() {
+        if (!activeSimulator || typeof activeSimulator.getRelativePivotPositions !== 'function') return;
+        const relative = activeSimulator.getRelativePivotPositions();
+        Object.entries(pivotInputs).forEach(([name, inputs]) => {
+            if (!relative[name]) return; // joints the hinge type does not have
+            ['x', 'y'].forEach(axis => {
+                const input = inputs[axis];
+                if (input && document.activeElement !== input) {
+                    input.value = Units.toInput(relative[name][axis], currentUnit);
+                }
+            });
+        });
+        // Length fields show the locked length, or follow the design so locking keeps the current length
+        const lengths = getLinkLengths();
+        Object.entries(lengthLocks).forEach(([link, lock]) => {
+            if (lock.input && document.activeElement !== lock.input) {
+                lock.input.value = Units.toInput(pivotConstraints.fixedLengths[link] || lengths[link], currentUnit);
+            }
+        });
+        if (snapGridInput && document.activeElement !== snapGridInput) {
+            snapGridInput.value = Units.toInput(pivotConstraints.grid, currentUnit);
+        }
+    }
+
+    function getLinkLengths() {
+        const { A, B, C, D } = activeSimulator.mechanism.pivots;
+        return { AB: Math.hypot(B.x - A.x, B.y - A.y), DC: Math.hypot(C.x - D.x, C.y - D.y) };
+    }
+
+    function setConstraintStatus(text) {
+        if (constraintStatus) constraintStatus.textContent = text;
+    }
+
+    // Moves the pivots to satisfy the current snap grid and lock settings
+    function applyPivotConstraints() {
+        if (activeMode !== 'design' || !activeSimulator || typeof activeSimulator.setPivotConstraints !== 'function') return;
+        const result = activeSimulator.setPivotConstraints(pivotConstraints);
+        if (result.blocked) {
+            setConstraintStatus('These locks would move a pivot out of the box; move the pivots closer first. ' +
+                result.violations.map(violation => violation.message).join('; '));
+        }
+    }
+
+    function setupPivotControls() {
+        Object.entries(pivotInputs).forEach(([name, inputs]) => {
+            if (!inputs.x || !inputs.y) return;
+            const apply = () => {
+                if (activeMode !== 'design' || !activeSimulator || typeof activeSimulator.setPivotPosition !== 'function') return;
+                const x = Units.parse(inputs.x.value, currentUnit);
+                const y = Units.parse(inputs.y.value, currentUnit);
+                if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                    syncPivotInputs();
+                    return;
+                }
+                // The field not edited shows a rounded value; keep its exact coordinate
+                const current = activeSimulator.getRelativePivotPositions()[name];
+                const result = activeSimulator.setPivotPosition(name, {
+                    x: Units.isShownValue(inputs.x.value, current.x, currentUnit) ? current.x : x,
+                    y: Units.isShownValue(inputs.y.value, current.y, currentUnit) ? current.y : y
+                });
+                if (result.blocked) {
+                    setConstraintStatus(`${name} cannot go to x ${inputs.x.value}, y ${inputs.y.value} ${Units.label(currentUnit)}: ` +
+                        'it or a pivot locked to it would leave the box.');
+                    syncPivotInputs();
+                }
+            };
+            inputs.x.addEventListener('change', apply);
+            inputs.y.addEventListener('change', apply);
+        });
+
+        if (snapGridInput) {
+            snapGridInput.addEventListener('change', () => {
+                pivotConstraints.grid = Math.max(0, Units.parse(snapGridInput.value, currentUnit) || 0);
+                snapGridInput.value = Units.toInput(pivotConstraints.grid, currentUnit);
+                applyPivotConstraints();
+            });
+        }
+
+        Object.entries(constraintCheckboxes).forEach(([key, checkbox]) => {
+            if (!checkbox) return;
+            checkbox.addEventListener('change', () => {
+                pivotConstraints[key] = checkbox.checked;
+                applyPivotConstraints();
+            });
+        });
+
+        Object.entries(lengthLocks).forEach(([link, lock]) => {
+            if (!lock.checkbox || !lock.input) return;
+            lock.checkbox.addEventListener('change', () => {
+                // Locking keeps the exact current length unless a different one was typed
+                const current = getLinkLengths()[link];
+                const length = Units.isShownValue(lock.input.value, current, currentUnit)
+                    ? current
+                    : Units.parse(lock.input.value, currentUnit);
+                pivotConstraints.fixedLengths[link] = lock.checkbox.checked && length >= 1 ? length : null;
+                lock.checkbox.checked = !!pivotConstraints.fixedLengths[link];
+                lock.input.disabled = !lock.checkbox.checked;
+                applyPivotConstraints();
+            });
+            lock.input.addEventListener('change', () => {
+                const length = Units.parse(lock.input.value, currentUnit);
+                if (!pivotConstraints.fixedLengths[link] || !(length >= 1)) {
+                    syncPivotInputs();
+                    return;
+                }
+                // Unchanged rounded display keeps the exact locked length
+                if (!Units.isShownValue(lock.input.value, pivotConstraints.fixedLengths[link], currentUnit)) {
+                    pivotConstraints.fixedLengths[link] = length;
+                }
+                applyPivotConstraints();
+            });
+        });
+    }
+
+    // Transmission analysis: summary text and pass/warn/fail indicator
+    function renderAnalysisReport(report) {
+        if (!analysisText || !statusIndicator) return;
+        const toDeg = (rad) => (Math.abs(rad) * 180 / Math.PI).toFixed(0);
+        const lines = [];
+        lines.push(`Lid rotation: ${toDeg(report.lidRange.max - report.lidRange.min)}° over the opening.`);
+        if (report.minTransmission) {
+            lines.push(`Minimum transmission angle: ${report.minTransmission.value.toFixed(1)}° at input ${toDeg(report.minTransmission.inputAngle)}° (lid ${toDeg(report.minTransmission.lidAngle)}°).`);
+        }
+        if (report.mechanicalAdvantage) {
+            lines.push(`Mechanical advantage: ${report.mechanicalAdvantage.min.toFixed(2)} – ${report.mechanicalAdvantage.max.toFixed(2)}.`);
+        }
+        lines.push(report.toggles.length > 0
+            ? `Toggle points at input ${report.toggles.map(t => `${toDeg(t.inputAngle)}°`).join(', ')}.`
+            : 'No toggle points.');
+        lines.push(report.deadZones.length > 0
+            ? `Dead zones: ${report.deadZones.map(z => `${toDeg(z.from)}°–${toDeg(z.to)}°`).join(', ')}.`
+            : 'No dead zones.');
+        report.messages.forEach(message => lines.push(message));
+
+        analysisText.innerHTML = '';
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            analysisText.appendChild(line);
+        });
+
+        const statusClasses = { pass: 'status-good', warn: 'status-warning', fail: 'status-error' };
+        const statusLabels = { pass: 'Pass', warn: 'Warning', fail: 'Fail' };
+        statusIndicator.className = `status-indicator ${statusClasses[report.status]}`;
+        statusIndicator.textContent = statusLabels[report.status];
+    }
+
+    function setupAnalysisThresholds() {
+        const apply = () => {
+            if (!activeSimulator || typeof activeSimulator.setAnalysisThresholds !== 'function') return;
+            const warn = parseFloat(warnTransmissionInput.value);
+            const fail = parseFloat(failTransmissionInput.value);
+            activeSimulator.setAnalysisThresholds({
+                warnTransmission: Number.isFinite(warn) ? warn : 40,
+                failTransmission: Number.isFinite(fail) ? fail : 20
+            });
+        };
+        if (warnTransmissionInput) warnTransmissionInput.addEventListener('change', apply);
+        if (failTransmissionInput) failTransmissionInput.addEventListener('change', apply);
+    }
+
+    // Bars, pins and interference report
+    function renderInterferenceReport(report) {
+        interferenceStatus.innerHTML = '';
+        if (report.issues.length === 0) {
+            interferenceStatus.textContent = 'No interference across the motion.';
+            interferenceStatus.style.color = '#155724';
+            return;
+        }
+        interferenceStatus.style.color = '#721c24';
+        const toDeg = (rad) => (Math.abs(rad) * 180 / Math.PI).toFixed(0);
+        report.issues.forEach(issue => {
+            const line = document.createElement('div');
+            const range = issue.firstAngle === issue.lastAngle
+                ? `at ${toDeg(issue.firstAngle)}°`
+                : `from ${toDeg(issue.firstAngle)}° to ${toDeg(issue.lastAngle)}°`;
+            line.textContent = `${InterferenceAnalyzer.describe(issue, activeSimulator.linkProperties)} ${range} ` +
+                `(${Units.format(Math.abs(issue.minClearance), currentUnit)} overlap)`;
+            interferenceStatus.appendChild(line);
+        });
+    }
+
+    // Reflect the simulator's bar settings in the inputs (e.g. after import)
+    function syncLinkControls() {
+        if (!activeSimulator || !activeSimulator.linkProperties) return;
+        Object.keys(LINK_PINS).forEach(link => {
+            const props = activeSimulator.linkProperties[link];
+            document.getElementById(`barWidth${link}`).value = Units.toInput(props.barWidth, currentUnit);
+            document.getElementById(`pinDiameter${link}`).value = Units.toInput(props.pinDiameter, currentUnit);
+            document.getElementById(`layer${link}`).value = props.layer;
+        });
+        if (wallThicknessInput) wallThicknessInput.value = Units.toInput(activeSimulator.wallThickness, currentUnit);
+    }
+
+    // Reflect the whole design in the controls (after import, undo or redo)
+    function syncDesignControls() {
+        if (!activeSimulator) return;
+        const dimensions = activeSimulator.boxDimensions;
+        boxWidthInput.value = Units.toInput(dimensions.width, currentUnit);
+        lidHeightInput.value = Units.toInput(dimensions.lidHeight, currentUnit);
+        baseHeightInput.value = Units.toInput(dimensions.baseHeight, currentUnit);
+        lidGapInput.value = Units.toInput(dimensions.lidGap, currentUnit);
+        if (unlockHingeCheckbox) unlockHingeCheckbox.checked = !!activeSimulator.hingeUnlocked;
+        syncLinkControls();
+        syncProfileControls();
+        updateHingeTypeControls();
+    }
+
+    // Box profiles: a preset at the edge size, typed vertices or SVG path data per panel
+    const profileSizes = { base: 20, lid: 20 }; // mm
+
+    function setProfileStatus(text, isError = false) {
+        if (!profileStatus) return;
+        profileStatus.textContent = text;
+        profileStatus.style.color = isError ? '#c62828' : '#555';
+    }
+
+    // The preset shown is the one that produces the current outline, else Custom
+    function syncProfileControls() {
+        if (!activeSimulator || !activeSimulator.profiles) return;
+        Object.entries(profileControls).forEach(([panel, controls]) => {
+            if (!controls.preset) return;
+            const outline = activeSimulator.profiles[panel];
+            const shown = JSON.stringify(outline);
+            const match = BoxProfiles.listPresets(panel).find(({ id }) =>
+                JSON.stringify(BoxProfiles.preset(id, panel, activeSimulator.boxDimensions, profileSizes[panel])) === shown);
+            controls.preset.value = match ? match.id : 'custom';
+            controls.size.value = Units.toInput(profileSizes[panel], currentUnit);
+            controls.vertices.value = BoxProfiles.formatVertices(outline, currentUnit);
+        });
+    }
+
+    function applyProfile(panel, outline, label) {
+        if (activeMode !== 'design' || !activeSimulator || typeof activeSimulator.setProfile !== 'function') return;
+        activeSimulator.setProfile(panel, outline);
+        syncDesignControls();
+        setSliderToLidAngle(0, { dispatch: true });
+        setProfileStatus(`${panel === 'base' ? 'Base' : 'Lid'}: ${label}`);
+    }
+
+    // Typed vertices, or SVG path data when the text starts with a path command
+    function readProfileText(panel, text) {
+        if (!text.trim()) return { outline: null, errors: [] };
+        return /^\s*[Mm]/.test(text) || text.includes('<')
+            ? BoxProfiles.fromSvgPath(text, panel, activeSimulator.boxDimensions)
+            : BoxProfiles.parseVertices(text, currentUnit);
+    }
+
+    function setupProfileControls() {
+        Object.entries(profileControls).forEach(([panel, controls]) => {
+            if (!controls.preset) return;
+            [...BoxProfiles.listPresets(panel), { id: 'custom', label: 'Custom' }].forEach(({ id, label }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                controls.preset.appendChild(option);
+            });
+            const applyPreset = () => {
+                const id = controls.preset.value;
+                if (id === 'custom' || !activeSimulator) return;
+                const outline = BoxProfiles.preset(id, panel, activeSimulator.boxDimensions, profileSizes[panel]);
+                applyProfile(panel, outline, controls.preset.options[controls.preset.selectedIndex].textContent);
+            };
+            controls.preset.addEventListener('change', applyPreset);
+            controls.size.addEventListener('change', () => {
+                const size = Units.parse(controls.size.value, currentUnit);
+                if (!(size >= 0)) return;
+                profileSizes[panel] = size;
+                applyPreset();
+            });
+
+            const applyText = (text, source) => {
+                const { outline, errors } = readProfileText(panel, text);
+                if (errors.length > 0) {
+                    setProfileStatus(`${source} was not applied: ${errors.join('; ')}`, true);
+                    return;
+                }
+                applyProfile(panel, outline, outline ? `${source}, ${outline.length} vertices` : 'rectangle');
+            };
+            controls.apply.addEventListener('click', () => applyText(controls.vertices.value, 'Vertices'));
+            controls.importButton.addEventListener('click', () => controls.file.click());
+            controls.file.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = () => applyText(String(reader.result), file.name);
+                reader.readAsText(file);
+                // Allow importing the same file again
+                e.target.value = '';
+            });
+        });
+    }
+
+    function setupLinkControls() {
+        Object.keys(LINK_PINS).forEach(link => {
+            const barWidthInput = document.getElementById(`barWidth${link}`);
+            const pinDiameterInput = document.getElementById(`pinDiameter${link}`);
+            const layerSelect = document.getElementById(`layer${link}`);
+            if (!barWidthInput || !pinDiameterInput || !layerSelect) return;
+
+            const apply = () => {
+                if (!activeSimulator || typeof activeSimulator.setLinkProperties !== 'function') return;
+                activeSimulator.setLinkProperties(link, {
+                    barWidth: Math.max(1, Units.parse(barWidthInput.value, currentUnit) || 1),
+                    pinDiameter: Math.max(0, Units.parse(pinDiameterInput.value, currentUnit) || 0),
+                    layer: layerSelect.value
+                });
+            };
+            barWidthInput.addEventListener('change', apply);
+            pinDiameterInput.addEventListener('change', apply);
+            layerSelect.addEventListener('change', apply);
+        });
+
+        if (wallThicknessInput) {
+            wallThicknessInput.addEventListener('change', () => {
+                if (activeSimulator && typeof activeSimulator.setWallThickness === 'function') {
+                    activeSimulator.setWallThickness(Units.parse(wallThicknessInput.value, currentUnit) || 0);
+                }
+            });
+        }
+    }
+
+    // Three-position synthesis toggle
+    if (synthesisModeCheckbox) {
+        synthesisModeCheckbox.addEventListener('change', () => {
+            if (activeSimulator && typeof activeSimulator.setSynthesisMode === 'function') {
+                console.log('Synthesis mode changed:', synthesisModeCheckbox.checked);
+                activeSimulator.setSynthesisMode(synthesisModeCheckbox.checked);
+            }
+        });
+    }
+
+    // Pivot optimizer: run, preview candidates, then apply or revert
+    let optimizerOriginalConfig = null; // configuration to restore while previewing
+
+    function previewCandidate(candidate, row) {
+        if (!activeSimulator || typeof activeSimulator.setConfiguration !== 'function') return;
+        if (!optimizerOriginalConfig) {
+            optimizerOriginalConfig = activeSimulator.getConfiguration();
+        }
+        activeSimulator.setConfiguration({ pivots: candidate.pivots });
+        setSliderToLidAngle(0, { dispatch: true });
+        optimizerResults.querySelectorAll('.optimizer-candidate').forEach(el => el.classList.remove('selected'));
+        row.classList.add('selected');
+        optimizerActions.style.display = 'flex';
+    }
+
+    function endPreview() {
+        optimizerOriginalConfig = null;
+        optimizerActions.style.display = 'none';
+        optimizerResults.querySelectorAll('.optimizer-candidate').forEach(el => el.classList.remove('selected'));
+    }
+
+    function renderOptimizerResults(candidates) {
+        optimizerResults.innerHTML = '';
+        candidates.forEach(candidate => {
+            const row = document.createElement('div');
+            row.className = 'optimizer-candidate' + (candidate.feasible ? '' : ' infeasible');
+            const label = candidate.source === 'current' ? ' (current)' : '';
+            row.textContent = `#${candidate.rank}${label}: ${candidate.openingDeg.toFixed(1)}°, ` +
+                `links ${Units.format(candidate.linkLength, currentUnit)}, footprint ${Units.formatArea(candidate.footprint, currentUnit)}` +
+                (candidate.collides ? ', contacts base' : '');
+            row.title = `Score ${candidate.score.toFixed(3)}`;
+            row.addEventListener('click', () => previewCandidate(candidate, row));
+            optimizerResults.appendChild(row);
+        });
+    }
+
+    if (optimizerObjectiveSelect) {
+        Object.entries(OPTIMIZER_OBJECTIVES).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            optimizerObjectiveSelect.appendChild(option);
+        });
+    }
+
+    if (optimizeButton) {
+        optimizeButton.addEventListener('click', async () => {
+            if (!(activeSimulator instanceof DesignerUI)) return;
+            // Never search from a previewed candidate
+            if (optimizerOriginalConfig) {
+                activeSimulator.setConfiguration(optimizerOriginalConfig);
+                endPreview();
+            }
+            const optimizer = new HingeOptimizer(activeSimulator, {
+                targetAngleDeg: parseFloat(optimizerTargetInput.value) || 95,
+                objective: optimizerObjectiveSelect.value
+            });
+            optimizeButton.disabled = true;
+            try {
+                const candidates = await optimizer.run((fraction) => {
+                    optimizerStatus.textContent = `Searching… ${Math.round(fraction * 100)}%`;
+                });
+                const feasibleCount = candidates.filter(c => c.feasible).length;
+                optimizerStatus.textContent = feasibleCount > 0
+                    ? `${feasibleCount} layout(s) reach the target. Click one to preview.`
+                    : 'No layout reached the target; closest shown.';
+                renderOptimizerResults(candidates);
+            } catch (error) {
+                console.error('Optimizer failed:', error);
+                optimizerStatus.textContent = 'Optimizer failed. See console for details.';
+            } finally {
+                optimizeButton.disabled = false;
+                activeSimulator.updateAndRender();
+            }
+        });
+    }
+
+    if (optimizerApplyButton) {
+        optimizerApplyButton.addEventListener('click', () => {
+            // Applying a previewed layout is one undo step back to the design it replaced
+            if (optimizerOriginalConfig && activeSimulator) {
+                const applied = activeSimulator.getDesignSnapshot();
+                designHistory.record('Apply optimized layout', { ...applied, ...optimizerOriginalConfig }, applied);
+                updateHistoryButtons();
+            }
+            endPreview();
+        });
+    }
+
+    if (optimizerRevertButton) {
+        optimizerRevertButton.addEventListener('click', () => {
+            if (optimizerOriginalConfig && activeSimulator) {
+                activeSimulator.setConfiguration(optimizerOriginalConfig);
+                setSliderToLidAngle(0, { dispatch: true });
+            }
+            endPreview();
+        });
+    }
+
     // Add event listeners for box dimension controls
     function setupDimensionControl(input, dimensionKey) {
         if (input) {
             input.addEventListener('input', () => {
-                const value = parseInt(input.value);
-                
+                const value = Units.parse(input.value, currentUnit);
+                if (!(value > 0)) return;
+
                 if (activeSimulator && typeof activeSimulator.updateBoxDimensions === 'function') {
                     const dimensions = {};
                     dimensions[dimensionKey] = value;
                     activeSimulator.updateBoxDimensions(dimensions);
                     
                     // Reset animation state after dimension change: reposition to 0 rad
-                    setSliderToAngle(0, { dispatch: true });
+                    setSliderToLidAngle(0, { dispatch: true });
                 }
             });
         }
@@ -256,83 +976,126 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Export/Import functionality
     function exportConfiguration() {
-        const simulatorConfig = activeSimulator && typeof activeSimulator.getConfiguration === 'function' 
-            ? activeSimulator.getConfiguration() 
-            : {};
-            
-        const config = {
-            boxWidth: parseInt(boxWidthInput.value),
-            lidHeight: parseInt(lidHeightInput.value),
-            baseHeight: parseInt(baseHeightInput.value),
-            lidGap: parseInt(lidGapInput.value),
-            pivots: simulatorConfig.pivots || null,
-            exportDate: new Date().toISOString(),
-            version: "2.0"
-        };
+        if (!activeSimulator || typeof activeSimulator.getConfiguration !== 'function') return;
+        // Pivots are written box-relative so the file does not depend on the canvas size
+        const config = getCurrentDesignFile();
         
         const dataStr = JSON.stringify(config, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        downloadFile(dataStr, `hinge-config-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+    }
+
+    function getCurrentDesignFile() {
+        return ConfigSchema.serialize(activeSimulator.getDesignSnapshot(), canvas);
+    }
+
+    function downloadFile(content, filename, mimeType) {
+        const dataBlob = new Blob([content], { type: mimeType });
         
         const link = document.createElement('a');
         link.href = URL.createObjectURL(dataBlob);
-        link.download = `hinge-config-${new Date().toISOString().split('T')[0]}.json`;
+        link.download = filename;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
     }
 
+    // The canvas as drawn, dimension layer included when shown, on a white background
+    function exportImage() {
+        const image = document.createElement('canvas');
+        image.width = canvas.width;
+        image.height = canvas.height;
+        const ctx = image.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, image.width, image.height);
+        ctx.drawImage(canvas, 0, 0);
+        image.toBlob(blob => {
+            downloadFile(blob, `hinge-${new Date().toISOString().split('T')[0]}.png`, 'image/png');
+        }, 'image/png');
+    }
+
+    // Cut files for the links and the drilling template
+    function exportFabricationPart(part) {
+        if (!activeSimulator || typeof activeSimulator.getRelativePivotPositions !== 'function') return;
+        const format = fabricationFormatSelect ? fabricationFormatSelect.value : 'svg';
+        const file = FabricationExporter.exportPart(activeSimulator, part, format, currentUnit);
+        downloadFile(file.content, file.filename, file.mimeType);
+    }
+
     function importConfiguration(file) {
         const reader = new FileReader();
         reader.onload = function(e) {
+            let json;
             try {
-                const config = JSON.parse(e.target.result);
-                
-                // Update input fields
-                if (typeof config.boxWidth === 'number') boxWidthInput.value = config.boxWidth;
-                if (typeof config.lidHeight === 'number') lidHeightInput.value = config.lidHeight;
-                if (typeof config.baseHeight === 'number') baseHeightInput.value = config.baseHeight;
-                if (typeof config.lidGap === 'number') lidGapInput.value = config.lidGap;
-                
-                // Update box dimensions first
-                if (activeSimulator && typeof activeSimulator.updateBoxDimensions === 'function') {
-                    const dimensions = {
-                        width: config.boxWidth,
-                        lidHeight: config.lidHeight,
-                        baseHeight: config.baseHeight,
-                        lidGap: config.lidGap
-                    };
-                    activeSimulator.updateBoxDimensions(dimensions);
-                }
-                
-                // Apply pivot positions if available
-                if (config.pivots && activeSimulator && typeof activeSimulator.setConfiguration === 'function') {
-                    activeSimulator.setConfiguration({
-                        boxDimensions: {
-                            width: config.boxWidth,
-                            baseHeight: config.baseHeight,
-                            lidHeight: config.lidHeight,
-                            lidGap: config.lidGap
-                        },
-                        pivots: config.pivots
-                    });
-                }
-                
-                // Reset animation state
-                setSliderToAngle(0, { dispatch: true });
-                
-                console.log('Configuration imported successfully');
+                json = JSON.parse(e.target.result);
             } catch (error) {
-                console.error('Error importing configuration:', error);
-                alert('Error importing configuration file. Please check the file format.');
+                console.error('Error parsing configuration:', error);
+                alert(`${file.name} is not valid JSON: ${error.message}`);
+                return;
+            }
+
+            if (applyConfigurationFile(json, `Import ${file.name}`, file.name)) {
+                console.log('Configuration imported successfully');
             }
         };
         reader.readAsText(file);
     }
 
+    // Validates a config file of any version and applies it as one undo step
+    function applyConfigurationFile(json, label, sourceName) {
+        const { config, errors, migratedFrom } = ConfigSchema.load(json, canvas);
+        if (errors.length > 0) {
+            console.error('Invalid configuration:', errors);
+            alert(`${sourceName} was not imported:\n${ConfigSchema.formatErrors(errors)}`);
+            return false;
+        }
+        if (migratedFrom) {
+            console.log(`Migrated configuration from version ${migratedFrom} to ${CONFIG_VERSION}`);
+        }
+
+        if (activeSimulator && typeof activeSimulator.pause === 'function') {
+            activeSimulator.pause();
+        }
+
+        const applyImport = () => {
+            // Update box dimensions first
+            if (activeSimulator && typeof activeSimulator.updateBoxDimensions === 'function') {
+                activeSimulator.updateBoxDimensions(config.boxDimensions);
+            }
+            
+            // Apply pivot positions if available
+            if (config.pivots && activeSimulator && typeof activeSimulator.setConfiguration === 'function') {
+                activeSimulator.setConfiguration(config);
+            }
+            if (typeof config.hingeUnlocked === 'boolean' && typeof activeSimulator.setHingeUnlocked === 'function') {
+                activeSimulator.setHingeUnlocked(config.hingeUnlocked);
+            }
+        };
+        // The whole import is a single undo step
+        if (activeSimulator && typeof activeSimulator.withHistoryStep === 'function') {
+            activeSimulator.withHistoryStep(label, applyImport);
+        } else {
+            applyImport();
+        }
+        syncDesignControls();
+        
+        // Reset animation state
+        setSliderToLidAngle(0, { dispatch: true });
+        return true;
+    }
+
     // Event listeners for export/import
     if (exportButton) {
         exportButton.addEventListener('click', exportConfiguration);
     }
+    if (exportImageButton) {
+        exportImageButton.addEventListener('click', exportImage);
+    }
+
+    Object.entries(fabricationButtons).forEach(([part, button]) => {
+        if (button) {
+            button.addEventListener('click', () => exportFabricationPart(part));
+        }
+    });
 
     if (importButton && importFile) {
         importButton.addEventListener('click', () => {
@@ -348,114 +1111,391 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    // Units toggle functionality
-    function setupUnitsToggle() {
-        // Set initial state
-        mmRadio.checked = currentUnit === 'mm';
-        inchesRadio.checked = currentUnit === 'inches';
-        
-        // Helper function to convert a value between units
-        function convertValue(value, fromUnit, toUnit) {
-            if (fromUnit === toUnit) return value;
-            
-            if (fromUnit === 'mm' && toUnit === 'inches') {
-                return value / MM_PER_INCH;
-            } else if (fromUnit === 'inches' && toUnit === 'mm') {
-                return value * MM_PER_INCH;
-            }
-            return value;
+    // Design library: autosave of the current design plus named entries with thumbnails
+    let autosaveTimer = null;
+    let lastAutosave = null; // file contents without the date, to skip unchanged saves
+
+    function scheduleAutosave() {
+        if (autosaveTimer) clearTimeout(autosaveTimer);
+        autosaveTimer = setTimeout(() => {
+            autosaveTimer = null;
+            if (!activeSimulator || typeof activeSimulator.getDesignSnapshot !== 'function') return;
+            const { exportDate, ...file } = getCurrentDesignFile();
+            const key = JSON.stringify(file);
+            if (key === lastAutosave) return;
+            if (designLibrary.autosave(file)) lastAutosave = key;
+        }, 500);
+    }
+
+    // Small image of the canvas as it is drawn now
+    function captureThumbnail() {
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = 150;
+        thumbnail.height = Math.round(150 * canvas.height / canvas.width);
+        const ctx = thumbnail.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, thumbnail.width, thumbnail.height);
+        ctx.drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+        return thumbnail.toDataURL('image/png');
+    }
+
+    const fileSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'design';
+
+    function setLibraryStatus(text, isError = false) {
+        if (!libraryStatus) return;
+        libraryStatus.textContent = text;
+        libraryStatus.style.color = isError ? '#721c24' : '#555';
+    }
+
+    function reportLibraryWrite(successText) {
+        if (designLibrary.persistFailed) {
+            setLibraryStatus('Browser storage is full or unavailable; the library is only kept until the page is closed.', true);
+        } else {
+            setLibraryStatus(successText);
         }
-        
-        // Function to update all dimension inputs based on current unit
-        function updateInputsForUnit(newUnit) {
-            if (newUnit === currentUnit) return;
-            
-            isUpdatingUnits = true;
-            
-            // Get current values in pixels (internally stored as mm)
-            const boxWidth = parseFloat(boxWidthInput.value) || 0;
-            const lidHeight = parseFloat(lidHeightInput.value) || 0;
-            const baseHeight = parseFloat(baseHeightInput.value) || 0;
-            const lidGap = parseFloat(lidGapInput.value) || 0;
-            
-            // Convert to new unit
-            boxWidthInput.value = convertValue(boxWidth, currentUnit, newUnit).toFixed(newUnit === 'inches' ? 2 : 0);
-            lidHeightInput.value = convertValue(lidHeight, currentUnit, newUnit).toFixed(newUnit === 'inches' ? 2 : 0);
-            baseHeightInput.value = convertValue(baseHeight, currentUnit, newUnit).toFixed(newUnit === 'inches' ? 2 : 0);
-            lidGapInput.value = convertValue(lidGap, currentUnit, newUnit).toFixed(newUnit === 'inches' ? 2 : 0);
-            
-            // Update labels and input properties
-            const unitSuffix = newUnit === 'mm' ? 'mm' : 'in';
-            document.querySelectorAll('.slider-group label').forEach(label => {
-                const text = label.textContent;
-                if (text.includes('(mm):') || text.includes('(in):')) {
-                    label.textContent = text.replace(/\((mm|in)\):/, `(${unitSuffix}):`);
-                }
+    }
+
+    function renderLibrary() {
+        if (!libraryList) return;
+        libraryList.innerHTML = '';
+        const entries = designLibrary.list();
+        if (entries.length === 0) {
+            libraryList.textContent = 'No saved designs yet.';
+            return;
+        }
+        entries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'library-entry';
+
+            if (entry.thumbnail) {
+                const image = document.createElement('img');
+                image.src = entry.thumbnail;
+                image.alt = entry.name;
+                row.appendChild(image);
+            }
+
+            const info = document.createElement('div');
+            info.className = 'library-info';
+            const name = document.createElement('strong');
+            name.textContent = entry.name;
+            const date = document.createElement('div');
+            date.textContent = new Date(entry.savedAt).toLocaleString();
+            info.append(name, date);
+
+            const actions = document.createElement('div');
+            actions.className = 'library-actions';
+            const addAction = (label, handler) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            };
+            addAction('Load', () => loadLibraryEntry(entry.id));
+            addAction('Compare', () => compareDesign(entry.name, entry.config));
+            addAction('Rename', () => {
+                const newName = prompt('Rename design', entry.name);
+                if (newName === null) return;
+                const renamed = designLibrary.rename(entry.id, newName);
+                if (renamed) reportLibraryWrite(`Renamed to "${renamed.name}".`);
+                renderLibrary();
             });
-            
-            // Update step and precision for each input based on unit
-            [boxWidthInput, lidHeightInput, baseHeightInput, lidGapInput].forEach(input => {
-                if (newUnit === 'inches') {
-                    input.step = '0.1';
-                    input.min = '0.1';
-                } else {
-                    input.step = '1';
-                    input.min = '1';
-                }
+            addAction('Duplicate', () => {
+                const copy = designLibrary.duplicate(entry.id);
+                if (copy) reportLibraryWrite(`Saved "${copy.name}".`);
+                renderLibrary();
             });
-            
-            currentUnit = newUnit;
-            isUpdatingUnits = false;
+            addAction('Export', () => {
+                const file = designLibrary.exportEntry(entry.id);
+                downloadFile(JSON.stringify(file, null, 2), `hinge-config-${fileSlug(entry.name)}.json`, 'application/json');
+            });
+            addAction('Delete', () => {
+                if (!confirm(`Delete "${entry.name}" from the library?`)) return;
+                designLibrary.remove(entry.id);
+                reportLibraryWrite(`Deleted "${entry.name}".`);
+                renderLibrary();
+            });
+            info.appendChild(actions);
+            row.appendChild(info);
+            libraryList.appendChild(row);
+        });
+    }
+
+    function loadLibraryEntry(id) {
+        const entry = designLibrary.get(id);
+        if (!entry || !activeSimulator) return;
+        if (applyConfigurationFile(entry.config, `Load ${entry.name}`, entry.name)) {
+            if (libraryNameInput) libraryNameInput.value = entry.name;
+            setLibraryStatus(`Loaded "${entry.name}".`);
         }
-        
-        // Add event listeners to radio buttons
-        mmRadio.addEventListener('change', () => {
-            if (mmRadio.checked) updateInputsForUnit('mm');
+    }
+
+    if (librarySaveButton) {
+        librarySaveButton.addEventListener('click', () => {
+            if (!activeSimulator || typeof activeSimulator.getDesignSnapshot !== 'function') return;
+            const name = libraryNameInput ? libraryNameInput.value : '';
+            const existing = designLibrary.findByName(name);
+            if (existing && !confirm(`Replace the saved design "${existing.name}"?`)) return;
+            const entry = designLibrary.save(name, getCurrentDesignFile(), captureThumbnail());
+            if (libraryNameInput) libraryNameInput.value = entry.name;
+            reportLibraryWrite(`Saved "${entry.name}".`);
+            renderLibrary();
         });
-        
-        inchesRadio.addEventListener('change', () => {
-            if (inchesRadio.checked) updateInputsForUnit('inches');
+    }
+
+    if (libraryExportAllButton) {
+        libraryExportAllButton.addEventListener('click', () => {
+            if (designLibrary.entries.length === 0) {
+                setLibraryStatus('The library is empty.');
+                return;
+            }
+            const bundle = designLibrary.exportAll();
+            downloadFile(JSON.stringify(bundle, null, 2), `hinge-library-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
         });
-        
-        // Initialize labels
-        updateInputsForUnit('mm');
     }
-    
-    // Add event listeners for dimension inputs to handle updates correctly
-    function setupDimensionInputs() {
-        const dimensionInputs = [boxWidthInput, lidHeightInput, baseHeightInput, lidGapInput];
-        
-        dimensionInputs.forEach(input => {
-            input.addEventListener('change', () => {
-                if (isUpdatingUnits) return;
-                
-                // Convert back to mm for internal use
-                let value = parseFloat(input.value) || 0;
-                if (currentUnit === 'inches') {
-                    value = value * MM_PER_INCH;
+
+    if (libraryImportButton && libraryImportFile) {
+        libraryImportButton.addEventListener('click', () => libraryImportFile.click());
+        libraryImportFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                let json;
+                try {
+                    json = JSON.parse(reader.result);
+                } catch (error) {
+                    setLibraryStatus(`${file.name} is not valid JSON: ${error.message}`, true);
+                    return;
                 }
-                
-                // Only update dimensions when actively changed by user (not during unit conversion)
-                if (activeSimulator && typeof activeSimulator.updateBoxDimensions === 'function') {
-                    const dimensions = {};
-                    if (input === boxWidthInput) dimensions.width = value;
-                    if (input === lidHeightInput) dimensions.lidHeight = value;
-                    if (input === baseHeightInput) dimensions.baseHeight = value;
-                    if (input === lidGapInput) dimensions.lidGap = value;
-                    
-                    activeSimulator.updateBoxDimensions(dimensions);
+                const { added, errors } = designLibrary.importFile(json, file.name.replace(/\.json$/i, ''));
+                renderLibrary();
+                if (errors.length > 0) {
+                    const details = errors.map(error => `${error.name}:\n${ConfigSchema.formatErrors(error.errors)}`).join('\n\n');
+                    alert(`${errors.length} design(s) in ${file.name} were skipped:\n\n${details}`);
                 }
+                reportLibraryWrite(`Added ${added.length} design(s) from ${file.name}.`);
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    // Comparison mode: the current design overlaid with library entries or files
+    function setComparisonStatus(text, isError = false) {
+        if (!comparisonStatus) return;
+        comparisonStatus.textContent = text;
+        comparisonStatus.style.color = isError ? '#721c24' : '#555';
+    }
+
+    function compareDesign(name, file) {
+        comparedDesigns.push({ name, file });
+        if (activeMode !== 'comparison') {
+            const radio = [...modeRadios].find(r => r.value === 'comparison');
+            if (radio) radio.checked = true;
+            switchMode('comparison');
+        } else {
+            updateComparedDesigns();
+        }
+    }
+
+    // Hands the compared designs to the ComparisonView and keeps the slider's lid opening
+    function updateComparedDesigns() {
+        if (!(activeSimulator instanceof ComparisonView)) return;
+        const skipped = activeSimulator.setComparedDesigns(comparedDesigns.map(({ name, file }) => ({
+            name,
+            config: ConfigSchema.load(file, canvas).config
+        })));
+        setComparisonStatus(skipped.length > 0
+            ? `Not shown (no valid closed pose): ${skipped.join(', ')}`
+            : '', skipped.length > 0);
+        setSliderToLidAngle(activeSimulator.opening, { dispatch: true });
+    }
+
+    // Table of link lengths, opening, minimum transmission angle and footprint per design
+    function renderComparison(state) {
+        if (!comparisonTable) return;
+        const length = (mm) => Units.format(mm, currentUnit, { suffix: false });
+        const unit = Units.label(currentUnit);
+        const degrees = (value) => value === null ? '—' : `${value.toFixed(1)}°`;
+
+        comparisonTable.innerHTML = '';
+        const header = comparisonTable.insertRow();
+        ['Design', `AB (${unit})`, `CD (${unit})`, `BC (${unit})`, `AD (${unit})`, 'Opening', 'Min μ', `Footprint (${unit})`, 'Lid', '']
+            .forEach(title => {
+                const th = document.createElement('th');
+                th.textContent = title;
+                header.appendChild(th);
+            });
+
+        state.designs.forEach(design => {
+            const { links, openingDeg, minTransmission, footprint } = design.metrics;
+            const row = comparisonTable.insertRow();
+            const nameCell = row.insertCell();
+            const swatch = document.createElement('span');
+            swatch.className = 'comparison-swatch';
+            swatch.style.backgroundColor = design.color;
+            nameCell.append(swatch, design.name);
+
+            const lid = design.lidAngle === null ? '—' : degrees(Math.abs(design.lidAngle) * 180 / Math.PI);
+            [
+                length(links.AB), length(links.CD), length(links.BC), length(links.AD),
+                degrees(openingDeg),
+                degrees(minTransmission),
+                `${length(footprint.width)} × ${length(footprint.height)}`,
+                design.atLimit && state.opening > 0 ? `${lid} (max)` : lid
+            ].forEach(text => {
+                row.insertCell().textContent = text;
             });
+
+            const actionCell = row.insertCell();
+            if (!design.isCurrent) {
+                const remove = document.createElement('button');
+                remove.textContent = 'Remove';
+                remove.addEventListener('click', () => {
+                    comparedDesigns.splice(design.index, 1);
+                    updateComparedDesigns();
+                });
+                actionCell.appendChild(remove);
+            }
         });
     }
-    
+
+    if (comparisonAddFileButton && comparisonFile) {
+        comparisonAddFileButton.addEventListener('click', () => comparisonFile.click());
+        comparisonFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                let json;
+                try {
+                    json = JSON.parse(reader.result);
+                } catch (error) {
+                    setComparisonStatus(`${file.name} is not valid JSON: ${error.message}`, true);
+                    return;
+                }
+                const errors = ConfigSchema.validate(json);
+                if (errors.length > 0) {
+                    alert(`${file.name} was not added:\n${ConfigSchema.formatErrors(errors)}`);
+                    return;
+                }
+                const name = typeof json.name === 'string' && json.name ? json.name : file.name.replace(/\.json$/i, '');
+                compareDesign(name, ConfigSchema.migrate(json));
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    if (comparisonClearButton) {
+        comparisonClearButton.addEventListener('click', () => {
+            comparedDesigns.length = 0;
+            updateComparedDesigns();
+        });
+    }
+
+    // Units toggle: the design stays in mm, every length field and readout switches unit
+    function setupUnitsToggle() {
+        mmRadio.checked = currentUnit === 'mm';
+        inchesRadio.checked = currentUnit === 'inches';
+        // Steps and minimums written in the HTML are millimeters
+        lengthInputs.forEach(input => {
+            input.dataset.stepMm = input.step;
+            input.dataset.minMm = input.min;
+        });
+
+        function setUnit(unit) {
+            currentUnit = unit;
+            unitLabels.forEach(label => { label.textContent = Units.label(unit); });
+            lengthInputs.forEach(input => {
+                input.step = unit === 'mm' ? input.dataset.stepMm : String(Units.step(unit));
+                if (input.dataset.minMm) input.min = Units.toInput(parseFloat(input.dataset.minMm), unit);
+            });
+            if (plotPanel) plotPanel.setUnit(unit);
+            if (!activeSimulator) return;
+            activeSimulator.unit = unit;
+            // Fields are refilled from the stored millimeters, so switching back and forth never drifts
+            syncDesignControls();
+            syncPivotInputs();
+            if (typeof activeSimulator.updateAndRender === 'function') activeSimulator.updateAndRender();
+            if (activeSimulator instanceof ComparisonView) {
+                activeSimulator.notifyComparison();
+            }
+        }
+
+        mmRadio.addEventListener('change', () => {
+            if (mmRadio.checked) setUnit('mm');
+        });
+        inchesRadio.addEventListener('change', () => {
+            if (inchesRadio.checked) setUnit('inches');
+        });
+    }
+
     console.log('Initializing application with DesignerUI');
     // Initialize with design mode
     switchMode();
     
     // Setup units toggle and dimension inputs after simulator is initialized
     setupUnitsToggle();
-    setupDimensionInputs();
+    setupLinkControls();
+    syncLinkControls();
+    setupProfileControls();
+    setupPivotControls();
+    setupAnalysisThresholds();
+
+    // Undo/redo: toolbar buttons, Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) and the history from the last visit
+    function updateHistoryButtons() {
+        const enabled = activeMode === 'design';
+        if (undoButton) {
+            undoButton.disabled = !enabled || !designHistory.canUndo();
+            undoButton.title = designHistory.canUndo() ? `Undo ${designHistory.undoLabel()}` : 'Nothing to undo';
+        }
+        if (redoButton) {
+            redoButton.disabled = !enabled || !designHistory.canRedo();
+            redoButton.title = designHistory.canRedo() ? `Redo ${designHistory.redoLabel()}` : 'Nothing to redo';
+        }
+    }
+
+    function stepHistory(direction) {
+        if (activeMode !== 'design' || !activeSimulator) return;
+        const changed = direction === 'undo' ? activeSimulator.undo() : activeSimulator.redo();
+        if (!changed) return;
+        syncDesignControls();
+        setSliderToLidAngle(0, { dispatch: true });
+        updateHistoryButtons();
+    }
+
+    if (undoButton) undoButton.addEventListener('click', () => stepHistory('undo'));
+    if (redoButton) redoButton.addEventListener('click', () => stepHistory('redo'));
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        // Text fields keep their own undo
+        const target = e.target;
+        if (target && (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && target.type !== 'checkbox' && target.type !== 'range'))) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            stepHistory('undo');
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            stepHistory('redo');
+        }
+    });
+
+    // Pick up where the last visit left off: the autosaved design, else the history's
+    const autosaved = designLibrary.loadAutosave();
+    const restored = autosaved ? ConfigSchema.load(autosaved, canvas) : null;
+    const restoredDesign = restored && restored.config ? restored.config : designHistory.current();
+    if (restoredDesign) {
+        activeSimulator.applyDesignSnapshot(restoredDesign);
+        setSliderToLidAngle(0, { dispatch: true });
+        console.log('Restored the design from the last visit');
+    }
+    // The inputs start from index.html's values; show the design actually loaded
+    syncDesignControls();
+    updateHistoryButtons();
+    renderLibrary();
 
     // Fit control handler
     if (fitBtn) {
@@ -465,6 +1505,15 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
     }
+    // Zoom buttons zoom around the canvas center; the wheel and pinch zoom around the pointer
+    for (const [button, zoom] of [[zoomInBtn, 'zoomIn'], [zoomOutBtn, 'zoomOut']]) {
+        if (!button) continue;
+        button.addEventListener('click', () => {
+            if (activeSimulator && typeof activeSimulator[zoom] === 'function') {
+                activeSimulator[zoom]();
+            }
+        });
+    }
     
     // Double-check if slider is properly initialized
     setTimeout(() => {
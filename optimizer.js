@@ -0,0 +1,244 @@
+import { FourBarLinkageCalculator } from './simulator.js';
+import { HingeTypes } from './hinge_types.js';
+
+/**
+ * HingeOptimizer - Searches pivot positions A, B, C, D for a four-bar of the designer's
+ * hinge type (crossed or open) that opens the lid to a target angle without the lid
+ * entering the base.
+ * Candidates are evaluated through DesignerUI.calculateAngleLimits (which stops at
+ * lid–base contact) and calculateAnimatedStateForAngle; the designer's state is
+ * restored afterwards.
+ */
+
+export const OPTIMIZER_OBJECTIVES = {
+    linkLength: 'Link length (AB + CD)',
+    footprint: 'Swept footprint'
+};
+
+export class HingeOptimizer {
+    constructor(designer, options = {}) {
+        this.designer = designer;
+        this.options = {
+            targetAngleDeg: 95,
+            objective: 'linkLength',
+            samples: 120,          // random layouts
+            refineIterations: 40,  // local perturbations around the best layouts
+            sweepSamples: 24,      // poses checked per layout
+            maxCandidates: 8,
+            seed: 1,
+            ...options
+        };
+    }
+
+    /**
+     * Runs the search. Yields to the browser between batches so the page stays responsive.
+     * @param {Function} onProgress - Called with a fraction in [0, 1].
+     * @returns {Promise<Array<Object>>} - Candidates ranked best first.
+     */
+    async run(onProgress = () => {}) {
+        const { samples, refineIterations, maxCandidates } = this.options;
+        const random = HingeOptimizer.createRandom(this.options.seed);
+        const saved = this.saveDesignerState();
+        const evaluated = [];
+        const total = samples + refineIterations;
+        let done = 0;
+
+        const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        try {
+            // Include the current design so the ranking shows whether anything beats it
+            evaluated.push(this.evaluate(saved.pivots, 'current'));
+
+            for (let i = 0; i < samples; i++) {
+                const candidate = this.evaluate(this.randomPivots(random), 'search');
+                if (candidate) evaluated.push(candidate);
+                if (++done % 10 === 0) {
+                    onProgress(done / total);
+                    await yieldToBrowser();
+                }
+            }
+
+            // Local refinement: perturb the best layouts with a shrinking step
+            const bounds = this.getBounds();
+            let step = 0.1;
+            for (let i = 0; i < refineIterations; i++) {
+                const ranked = evaluated.filter(Boolean).sort(HingeOptimizer.compare);
+                const parent = ranked[i % Math.min(3, ranked.length)];
+                if (!parent) break;
+                const candidate = this.evaluate(this.perturbPivots(parent.pivots, bounds, step, random), 'refined');
+                if (candidate) evaluated.push(candidate);
+                step = Math.max(0.01, step * 0.95);
+                if (++done % 10 === 0) {
+                    onProgress(done / total);
+                    await yieldToBrowser();
+                }
+            }
+        } finally {
+            this.restoreDesignerState(saved);
+        }
+        onProgress(1);
+
+        return evaluated
+            .filter(Boolean)
+            .sort(HingeOptimizer.compare)
+            .slice(0, maxCandidates)
+            .map((candidate, index) => ({ ...candidate, rank: index + 1 }));
+    }
+
+    // Feasible layouts first, then by score (shortfall and objective)
+    static compare(a, b) {
+        if (a.feasible !== b.feasible) return a.feasible ? -1 : 1;
+        return a.score - b.score;
+    }
+
+    // Small deterministic PRNG (mulberry32) so runs are reproducible
+    static createRandom(seed) {
+        let t = seed >>> 0;
+        return () => {
+            t = (t + 0x6D2B79F5) >>> 0;
+            let r = Math.imul(t ^ (t >>> 15), 1 | t);
+            r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+            return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    getBounds() {
+        const d = this.designer;
+        const base = d.getBaseRect();
+        const lid = {
+            minX: d.initialLidTransform.center.x - d.lidWidth / 2,
+            maxX: d.initialLidTransform.center.x + d.lidWidth / 2,
+            minY: d.initialLidTransform.center.y - d.lidHeight / 2,
+            maxY: d.initialLidTransform.center.y + d.lidHeight / 2
+        };
+        return { base, lid };
+    }
+
+    randomPivots(random) {
+        const { base, lid } = this.getBounds();
+        const lerp = (a, b, t) => a + (b - a) * t;
+        const baseMidX = (base.minX + base.maxX) / 2;
+        const lidMidX = (lid.minX + lid.maxX) / 2;
+        // Same handedness as the default layouts: A and C on the left, D and B on the right when
+        // crossed; A and B on the left, D and C on the right when open
+        const bLeft = !HingeTypes.isCrossed(this.designer.hingeType);
+        return {
+            A: { x: lerp(base.minX, baseMidX, random()), y: lerp(base.minY, base.maxY, random()) },
+            D: { x: lerp(baseMidX, base.maxX, random()), y: lerp(base.minY, base.maxY, random()) },
+            B: { x: bLeft ? lerp(lid.minX, lidMidX, random()) : lerp(lidMidX, lid.maxX, random()), y: lerp(lid.minY, lid.maxY, random()) },
+            C: { x: bLeft ? lerp(lidMidX, lid.maxX, random()) : lerp(lid.minX, lidMidX, random()), y: lerp(lid.minY, lid.maxY, random()) }
+        };
+    }
+
+    perturbPivots(pivots, bounds, step, random) {
+        const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+        const jitter = (p, rect) => ({
+            x: clamp(p.x + (random() * 2 - 1) * step * (rect.maxX - rect.minX), rect.minX, rect.maxX),
+            y: clamp(p.y + (random() * 2 - 1) * step * (rect.maxY - rect.minY), rect.minY, rect.maxY)
+        });
+        return {
+            A: jitter(pivots.A, bounds.base),
+            D: jitter(pivots.D, bounds.base),
+            B: jitter(pivots.B, bounds.lid),
+            C: jitter(pivots.C, bounds.lid)
+        };
+    }
+
+    /**
+     * Loads pivots into the designer, finds the angle limits and sweeps the motion.
+     * @returns {Object|null} - Candidate with objective values, or null if the layout is not of the hinge type.
+     */
+    evaluate(pivots, source) {
+        const d = this.designer;
+        // Samples are drawn in the panel rectangles; profiled panels pull them onto their outlines
+        pivots = d.clampPivotsToPanels(pivots);
+        const { A, B, C, D } = pivots;
+        if (FourBarLinkageCalculator.segmentsIntersect(A, B, C, D) !== HingeTypes.isCrossed(d.hingeType)) return null;
+
+        d.mechanism.pivots = JSON.parse(JSON.stringify(pivots));
+        d.initialPivots = JSON.parse(JSON.stringify(pivots));
+        d.initialInputAngle = Math.atan2(B.y - A.y, B.x - A.x);
+        d.storeInitialOrientations();
+        d.lastValidC = C;
+        d.calculateAngleLimits();
+
+        // Angle limits already stop at the first lid–base contact
+        const { min, max } = d.angleLimits;
+        const collides = !!d.collisionInfo;
+        const base = d.getBaseRect();
+        let bounds = { minX: base.minX, minY: base.minY, maxX: base.maxX, maxY: base.maxY };
+        let openingRad = 0;
+        let lidRotation = 0; // unwrapped across the sweep
+
+        const { sweepSamples } = this.options;
+        for (let i = 0; i <= sweepSamples && min !== max; i++) {
+            const state = d.calculateAnimatedStateForAngle(min + (i / sweepSamples) * (max - min));
+            if (!state) continue;
+            const tr = FourBarLinkageCalculator.getTransform(B, C, state.B, state.C);
+            const corners = d.getLidOutlineWorld(
+                FourBarLinkageCalculator.applyTransform(d.initialLidTransform.center, tr),
+                d.initialLidTransform.angle + tr.angle
+            );
+            const delta = tr.angle - lidRotation;
+            lidRotation += Math.atan2(Math.sin(delta), Math.cos(delta));
+            openingRad = Math.max(openingRad, Math.abs(lidRotation));
+            for (const p of corners) {
+                bounds = {
+                    minX: Math.min(bounds.minX, p.x), minY: Math.min(bounds.minY, p.y),
+                    maxX: Math.max(bounds.maxX, p.x), maxY: Math.max(bounds.maxY, p.y)
+                };
+            }
+        }
+
+        const openingDeg = openingRad * 180 / Math.PI;
+        const linkLength = FourBarLinkageCalculator.distance(A, B) + FourBarLinkageCalculator.distance(C, D);
+        const footprint = (bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY);
+        const shortfallDeg = Math.max(0, this.options.targetAngleDeg - openingDeg);
+
+        // Normalize objectives by box size so both live on a comparable scale
+        const boxWidth = base.maxX - base.minX;
+        const boxArea = boxWidth * (base.maxY - base.minY + d.lidHeight + d.lidDelta);
+        const objectiveValue = this.options.objective === 'footprint' ? footprint / boxArea : linkLength / boxWidth;
+
+        return {
+            pivots: JSON.parse(JSON.stringify(pivots)),
+            source,
+            openingDeg,
+            linkLength,
+            footprint,
+            collides,
+            feasible: shortfallDeg === 0,
+            score: shortfallDeg * 10 + objectiveValue
+        };
+    }
+
+    saveDesignerState() {
+        const d = this.designer;
+        return {
+            pivots: JSON.parse(JSON.stringify(d.mechanism.pivots)),
+            initialPivots: d.initialPivots ? JSON.parse(JSON.stringify(d.initialPivots)) : null,
+            initialInputAngle: d.initialInputAngle,
+            initialOrientations: { ...d.initialOrientations },
+            lastValidC: d.lastValidC,
+            angleLimits: { ...d.angleLimits },
+            lidAngleLimits: { ...d.lidAngleLimits },
+            kinematicLimits: d.kinematicLimits,
+            collisionInfo: d.collisionInfo,
+            animatedState: d.animatedState
+        };
+    }
+
+    restoreDesignerState(saved) {
+        const d = this.designer;
+        d.mechanism.pivots = saved.pivots;
+        d.initialPivots = saved.initialPivots;
+        d.initialInputAngle = saved.initialInputAngle;
+        d.initialOrientations = saved.initialOrientations;
+        d.lastValidC = saved.lastValidC;
+        d.angleLimits = saved.angleLimits;
+        d.lidAngleLimits = saved.lidAngleLimits;
+        d.kinematicLimits = saved.kinematicLimits;
+        d.collisionInfo = saved.collisionInfo;
+        d.animatedState = saved.animatedState;
+    }
+}
@@ -0,0 +1,207 @@
+import { FourBarLinkageCalculator } from './simulator.js';
+import { HingeKinematics, DEFAULT_CANVAS } from './kinematics.js';
+import { Units } from './units.js';
+
+/**
+ * PivotConstraints - Snap grid and placement locks for the four pivots.
+ *
+ * Settings: {
+ *   grid: number                        snap spacing in mm (0 = off), measured in the box-relative
+ *                                       frame of ConfigSchema: from the box's left edge and from the
+ *                                       base top (A, D) or lid bottom (B, C)
+ *   symmetric: boolean                  D mirrors A and C mirrors B about the box centerline
+ *   levelBase: boolean                  A and D at the same height
+ *   levelLid: boolean                   B and C at the same height
+ *   fixedLengths: { AB, DC }            locked link lengths in mm, or null
+ * }
+ * Every function works on world-coordinate pivots and returns new objects.
+ * No UI or rendering logic is included.
+ */
+
+// Mirror partner and link of each pivot
+const PARTNERS = { A: 'D', D: 'A', B: 'C', C: 'B' };
+const LINKS = { A: ['AB', 'B'], B: ['AB', 'A'], D: ['DC', 'C'], C: ['DC', 'D'] };
+const BASE_PIVOTS = ['A', 'D'];
+const EPSILON = 1e-6;
+
+const copy = (pivots) => JSON.parse(JSON.stringify(pivots));
+
+export class PivotConstraints {
+    static defaults() {
+        return {
+            grid: 0,
+            symmetric: false,
+            levelBase: false,
+            levelLid: false,
+            fixedLengths: { AB: null, DC: null }
+        };
+    }
+
+    /**
+     * Panels the pivots live in and the centerline, for box dimensions on a canvas.
+     * @returns {Object} - { base, lid, centerX } with base and lid as { minX, minY, maxX, maxY } (closed lid).
+     */
+    static getFrame(boxDimensions, canvasSize = DEFAULT_CANVAS) {
+        const base = HingeKinematics.getBaseRect(boxDimensions, canvasSize);
+        const lidBottom = base.minY - boxDimensions.lidGap;
+        return {
+            base,
+            lid: { minX: base.minX, minY: lidBottom - boxDimensions.lidHeight, maxX: base.maxX, maxY: lidBottom },
+            centerX: (base.minX + base.maxX) / 2
+        };
+    }
+
+    static getPanel(frame, name) {
+        return BASE_PIVOTS.includes(name) ? frame.base : frame.lid;
+    }
+
+    static isInside(p, panel) {
+        return p.x >= panel.minX - EPSILON && p.x <= panel.maxX + EPSILON &&
+            p.y >= panel.minY - EPSILON && p.y <= panel.maxY + EPSILON;
+    }
+
+    // Nearest grid point, with grid lines counted from the box's left edge and the pivot's panel edge
+    static snapToGrid(point, name, grid, frame) {
+        if (!(grid > 0)) return { ...point };
+        const snap = (value, origin) => origin + Math.round((value - origin) / grid) * grid;
+        const panel = PivotConstraints.getPanel(frame, name);
+        // Base pivots are measured down from the base top, lid pivots up from the lid bottom
+        const originY = BASE_PIVOTS.includes(name) ? panel.minY : panel.maxY;
+        return {
+            x: Math.max(panel.minX, Math.min(panel.maxX, snap(point.x, panel.minX))),
+            y: Math.max(panel.minY, Math.min(panel.maxY, snap(point.y, originY)))
+        };
+    }
+
+    static mirror(point, frame) {
+        return { x: 2 * frame.centerX - point.x, y: point.y };
+    }
+
+    /**
+     * Moves one pivot and lets the others follow the locks: the moved pivot snaps to the grid
+     * and stays on its locked link length; its partner mirrors it or matches its height, keeping
+     * its own locked link length where only its height is set.
+     * @param {Object} pivots - Current { A, B, C, D }.
+     * @param {string} name - Pivot being moved.
+     * @param {Object} target - Requested position in world coordinates.
+     * @param {Object} settings - Constraint settings.
+     * @param {Object} frame - getFrame() result.
+     * @param {Object} options - { snap }: false places the target exactly (typed coordinates);
+     *   { unit }: display unit of the violation messages.
+     * @returns {Object} - { pivots, blocked, violations }; blocked moves leave the pivots unchanged.
+     */
+    static apply(pivots, name, target, settings, frame, { snap = true, unit = 'mm' } = {}) {
+        const next = copy(pivots);
+        let moved = snap ? PivotConstraints.snapToGrid(target, name, settings.grid, frame) : { ...target };
+
+        const [link, other] = LINKS[name];
+        const length = settings.fixedLengths[link];
+        if (length) {
+            moved = PivotConstraints.projectToLength(moved, next[other], length);
+        }
+        next[name] = moved;
+
+        const partner = PARTNERS[name];
+        const level = BASE_PIVOTS.includes(name) ? settings.levelBase : settings.levelLid;
+        if (settings.symmetric) {
+            next[partner] = PivotConstraints.mirror(moved, frame);
+        } else if (level) {
+            next[partner] = { x: next[partner].x, y: moved.y };
+            const [partnerLink, partnerOther] = LINKS[partner];
+            const partnerLength = settings.fixedLengths[partnerLink];
+            if (partnerLength) {
+                // Height is set, so slide sideways to keep the locked length
+                const x = PivotConstraints.solveXAtHeight(next[partnerOther], partnerLength, moved.y, next[partner].x);
+                if (x === null) return PivotConstraints.blocked(pivots, settings, frame, unit);
+                next[partner].x = x;
+            }
+        }
+
+        for (const pivot of [name, partner]) {
+            if (!PivotConstraints.isInside(next[pivot], PivotConstraints.getPanel(frame, pivot))) {
+                return PivotConstraints.blocked(pivots, settings, frame, unit);
+            }
+        }
+        return { pivots: next, blocked: false, violations: PivotConstraints.check(next, settings, frame, unit) };
+    }
+
+    static blocked(pivots, settings, frame, unit) {
+        return { pivots: copy(pivots), blocked: true, violations: PivotConstraints.check(pivots, settings, frame, unit) };
+    }
+
+    /**
+     * Brings a whole layout in line with the settings, e.g. after a lock is switched on:
+     * lid pivots move along their links to the locked lengths, then D and C follow A and B.
+     * @param {string} unit - Display unit of the violation messages.
+     * @returns {Object} - { pivots, blocked, violations }; blocked when a pivot would leave its
+     *   panel, in which case the pivots are unchanged.
+     */
+    static enforce(pivots, settings, frame, unit = 'mm') {
+        const next = copy(pivots);
+        if (settings.fixedLengths.AB) next.B = PivotConstraints.projectToLength(next.B, next.A, settings.fixedLengths.AB);
+        if (settings.fixedLengths.DC) next.C = PivotConstraints.projectToLength(next.C, next.D, settings.fixedLengths.DC);
+        if (settings.symmetric) {
+            next.D = PivotConstraints.mirror(next.A, frame);
+            next.C = PivotConstraints.mirror(next.B, frame);
+        }
+        if (settings.levelBase) next.D.y = next.A.y;
+        if (settings.levelLid) next.C.y = next.B.y;
+        if (['A', 'B', 'C', 'D'].some(name => !PivotConstraints.isInside(next[name], PivotConstraints.getPanel(frame, name)))) {
+            return PivotConstraints.blocked(pivots, settings, frame, unit);
+        }
+        return { pivots: next, blocked: false, violations: PivotConstraints.check(next, settings, frame, unit) };
+    }
+
+    /**
+     * Locks the layout does not satisfy (e.g. when locks contradict each other).
+     * @param {string} unit - Display unit of the lengths in the messages.
+     * @returns {Array} - [{ constraint, message }]
+     */
+    static check(pivots, settings, frame, unit = 'mm') {
+        const violations = [];
+        const { A, B, C, D } = pivots;
+        const same = (a, b) => Math.abs(a - b) < 1e-3;
+        const length = (mm) => Units.format(mm, unit, { precise: true });
+        if (settings.symmetric) {
+            const mirroredD = PivotConstraints.mirror(A, frame);
+            const mirroredC = PivotConstraints.mirror(B, frame);
+            if (!same(mirroredD.x, D.x) || !same(mirroredD.y, D.y) || !same(mirroredC.x, C.x) || !same(mirroredC.y, C.y)) {
+                violations.push({ constraint: 'symmetric', message: 'A/D and B/C are not mirrored about the box centerline' });
+            }
+        }
+        if (settings.levelBase && !same(A.y, D.y)) {
+            violations.push({ constraint: 'levelBase', message: `A and D differ in height by ${length(Math.abs(A.y - D.y))}` });
+        }
+        if (settings.levelLid && !same(B.y, C.y)) {
+            violations.push({ constraint: 'levelLid', message: `B and C differ in height by ${length(Math.abs(B.y - C.y))}` });
+        }
+        for (const [link, a, b] of [['AB', A, B], ['DC', D, C]]) {
+            const locked = settings.fixedLengths[link];
+            const actual = FourBarLinkageCalculator.distance(a, b);
+            if (locked && !same(actual, locked)) {
+                violations.push({ constraint: `fixedLength${link}`, message: `${link} is ${length(actual)}, locked at ${length(locked)}` });
+            }
+        }
+        return violations;
+    }
+
+    // Point at the given distance from center, in the direction of point
+    static projectToLength(point, center, length) {
+        const dx = point.x - center.x;
+        const dy = point.y - center.y;
+        const d = Math.hypot(dx, dy);
+        if (d < EPSILON) return { x: center.x + length, y: center.y };
+        return { x: center.x + dx * length / d, y: center.y + dy * length / d };
+    }
+
+    // x where the circle around center meets the horizontal line at y, nearest to nearX; null if it does not reach
+    static solveXAtHeight(center, length, y, nearX) {
+        const dy = y - center.y;
+        const squared = length * length - dy * dy;
+        if (squared < 0) return null;
+        const dx = Math.sqrt(squared);
+        const left = center.x - dx;
+        const right = center.x + dx;
+        return Math.abs(left - nearX) <= Math.abs(right - nearX) ? left : right;
+    }
+}
@@ -0,0 +1,245 @@
+import { FourBarLinkageCalculator } from './simulator.js';
+import { Units } from './units.js';
+import { HingeTypes } from './hinge_types.js';
+
+/**
+ * PlotPanel - Motion curves of the current design on a secondary canvas.
+ * Stacked charts share the input-angle axis (degrees from closed over angleLimits):
+ * lid rotation, lid center displacement, transmission angle and the position of the
+ * crossing point X of links AB and DC. A vertical cursor follows the displayed pose.
+ * Lengths are plotted in the selected display unit.
+ * Data comes from the HingeAnalyzer report, so the motion is not swept twice.
+ */
+export class PlotPanel {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.report = null;
+        this.designer = null;
+        this.unit = 'mm';
+        this.charts = [];
+        this.cursor = null; // input angle offset (radians), null hides the cursor
+        this.padding = { left: 56, right: 150, top: 8, bottom: 26 };
+    }
+
+    /**
+     * Rebuilds the series when the analysis report changes.
+     * @param {DesignerUI} designer - Provides lid poses, limits and the base rectangle.
+     * @param {Object} report - HingeAnalyzer report with per-sample linkage states.
+     */
+    setData(designer, report) {
+        if (!report || report === this.report) return;
+        this.report = report;
+        this.designer = designer;
+        this.charts = PlotPanel.buildCharts(designer, report, this.unit);
+        this.render();
+    }
+
+    setUnit(unit) {
+        if (unit === this.unit) return;
+        this.unit = unit;
+        if (this.report) {
+            this.charts = PlotPanel.buildCharts(this.designer, this.report, unit);
+            this.render();
+        }
+    }
+
+    setCursor(inputAngle) {
+        this.cursor = inputAngle;
+        this.render();
+    }
+
+    static buildCharts(designer, report, unit = 'mm') {
+        const toDeg = (rad) => rad * 180 / Math.PI;
+        const length = (mm) => Units.fromMm(mm, unit);
+        const lengthDecimals = Units.get(unit).decimals;
+        const { min } = designer.angleLimits;
+        const openSign = Math.sign(designer.lidAngleLimits.max) || 1;
+        const base = designer.getBaseRect();
+        const closedCenter = designer.initialLidTransform.center;
+        const crossed = HingeTypes.isCrossed(designer.hingeType);
+
+        const x = [];
+        const lidRotation = [];
+        const centerDx = [];
+        const centerDy = [];
+        const transmission = [];
+        const crossingX = [];
+        const crossingY = [];
+        for (const sample of report.samples) {
+            const { A, B, C, D } = sample.state;
+            const center = designer.getLidPoseForState(sample.state).center;
+            const crossing = crossed ? FourBarLinkageCalculator.segmentIntersectionPoint(A, B, D, C) : null;
+
+            x.push(Math.abs(toDeg(sample.inputAngle - min)));
+            lidRotation.push(toDeg(sample.lidAngle) * openSign);
+            centerDx.push(length(center.x - closedCenter.x));
+            centerDy.push(length(closedCenter.y - center.y)); // up is positive
+            transmission.push(sample.transmissionAngle);
+            // Relative to box left and base top, like the base pivots; gaps where the bars do not cross
+            crossingX.push(crossing ? length(crossing.x - base.minX) : null);
+            crossingY.push(crossing ? length(crossing.y - base.minY) : null);
+        }
+
+        const { warnTransmission, failTransmission } = report.thresholds;
+        return [
+            {
+                title: 'Lid rotation (°)',
+                x,
+                series: [{ label: 'Lid', color: '#2e7d32', values: lidRotation }]
+            },
+            {
+                title: `Lid center displacement (${Units.label(unit)})`,
+                x,
+                decimals: lengthDecimals,
+                series: [
+                    { label: 'Δx', color: '#1565c0', values: centerDx },
+                    { label: 'Δy (up)', color: '#ef6c00', values: centerDy }
+                ]
+            },
+            {
+                title: 'Transmission angle (°)',
+                x,
+                series: [{ label: 'μ', color: '#6a1b9a', values: transmission }],
+                guides: [
+                    { value: warnTransmission, color: 'rgba(133, 100, 4, 0.6)' },
+                    { value: 180 - warnTransmission, color: 'rgba(133, 100, 4, 0.6)' },
+                    { value: failTransmission, color: 'rgba(114, 28, 36, 0.6)' },
+                    { value: 180 - failTransmission, color: 'rgba(114, 28, 36, 0.6)' }
+                ],
+                range: { min: 0, max: 180 }
+            },
+            {
+                title: `Crossing point X (${Units.label(unit)})`,
+                x,
+                decimals: lengthDecimals,
+                series: [
+                    { label: 'x', color: '#1565c0', values: crossingX },
+                    { label: 'y', color: '#ef6c00', values: crossingY }
+                ]
+            }
+        ];
+    }
+
+    // Value of a series at an input angle (degrees), linearly interpolated between samples
+    static valueAt(x, values, at) {
+        for (let i = 1; i < x.length; i++) {
+            if ((x[i - 1] - at) * (x[i] - at) <= 0) {
+                const a = values[i - 1];
+                const b = values[i];
+                if (a === null || b === null) return a !== null ? a : b;
+                const span = x[i] - x[i - 1];
+                return span === 0 ? a : a + (b - a) * (at - x[i - 1]) / span;
+            }
+        }
+        return x.length === 1 ? values[0] : null;
+    }
+
+    // Value axis of a chart: its fixed range, else the span of its values, widened when flat
+    static getRange(chart) {
+        const all = chart.series.flatMap(s => s.values).filter(v => v !== null && Number.isFinite(v));
+        let min = chart.range ? chart.range.min : Math.min(...all);
+        let max = chart.range ? chart.range.max : Math.max(...all);
+        if (!Number.isFinite(min) || !Number.isFinite(max)) { min = 0; max = 1; }
+        if (max - min < 1e-6) { min -= 1; max += 1; }
+        return { min, max };
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        if (this.charts.length === 0) return;
+
+        const pad = this.padding;
+        const plotLeft = pad.left;
+        const plotRight = width - pad.right;
+        const chartHeight = (height - pad.bottom) / this.charts.length;
+        const xs = this.charts[0].x;
+        const xMin = Math.min(...xs);
+        const xMax = Math.max(...xs);
+        const xSpan = xMax - xMin || 1;
+        const toScreenX = (value) => plotLeft + (value - xMin) / xSpan * (plotRight - plotLeft);
+        const cursorDeg = this.cursor === null || !this.report || this.report.samples.length === 0
+            ? null
+            : Math.abs((this.cursor - this.report.samples[0].inputAngle) * 180 / Math.PI);
+
+        this.charts.forEach((chart, index) => {
+            const top = index * chartHeight + pad.top;
+            const bottom = (index + 1) * chartHeight - pad.top;
+            const { min: yMin, max: yMax } = PlotPanel.getRange(chart);
+            const toScreenY = (value) => bottom - (value - yMin) / (yMax - yMin) * (bottom - top);
+
+            // Frame and axis labels
+            ctx.strokeStyle = '#ccc';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([]);
+            ctx.strokeRect(plotLeft, top, plotRight - plotLeft, bottom - top);
+            ctx.fillStyle = '#666';
+            ctx.font = '11px Arial';
+            ctx.textAlign = 'right';
+            const decimals = chart.decimals === undefined ? 1 : chart.decimals;
+            ctx.fillText(yMax.toFixed(decimals), plotLeft - 4, top + 10);
+            ctx.fillText(yMin.toFixed(decimals), plotLeft - 4, bottom);
+            ctx.textAlign = 'left';
+            ctx.fillStyle = '#333';
+            ctx.font = 'bold 12px Arial';
+            ctx.fillText(chart.title, plotLeft + 6, top + 14);
+
+            for (const guide of chart.guides || []) {
+                ctx.strokeStyle = guide.color;
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.moveTo(plotLeft, toScreenY(guide.value));
+                ctx.lineTo(plotRight, toScreenY(guide.value));
+                ctx.stroke();
+            }
+            ctx.setLineDash([]);
+
+            chart.series.forEach((series, seriesIndex) => {
+                ctx.strokeStyle = series.color;
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                let penDown = false;
+                series.values.forEach((value, i) => {
+                    if (value === null || !Number.isFinite(value)) { penDown = false; return; }
+                    const sx = toScreenX(chart.x[i]);
+                    const sy = toScreenY(value);
+                    if (penDown) ctx.lineTo(sx, sy); else ctx.moveTo(sx, sy);
+                    penDown = true;
+                });
+                ctx.stroke();
+
+                // Legend with the value under the cursor
+                const current = cursorDeg === null ? null : PlotPanel.valueAt(chart.x, series.values, cursorDeg);
+                ctx.fillStyle = series.color;
+                ctx.font = '12px Arial';
+                ctx.fillText(
+                    `${series.label}: ${current === null ? '—' : current.toFixed(decimals)}`,
+                    plotRight + 10,
+                    top + 14 + seriesIndex * 16
+                );
+            });
+        });
+
+        // Shared input-angle axis
+        ctx.fillStyle = '#666';
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${xMin.toFixed(0)}°`, plotLeft, height - 8);
+        ctx.fillText(`${xMax.toFixed(1)}°`, plotRight, height - 8);
+        ctx.fillText('Input link angle from closed', (plotLeft + plotRight) / 2, height - 8);
+        ctx.textAlign = 'left';
+
+        if (cursorDeg !== null) {
+            const cx = toScreenX(Math.max(xMin, Math.min(xMax, cursorDeg)));
+            ctx.strokeStyle = 'rgba(255, 0, 0, 0.7)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(cx, pad.top);
+            ctx.lineTo(cx, height - pad.bottom);
+            ctx.stroke();
+        }
+    }
+}
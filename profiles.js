@@ -0,0 +1,462 @@
+import { FourBarLinkageCalculator } from './simulator.js';
+import { Units } from './units.js';
+
+/**
+ * BoxProfiles - Side outlines of the base and lid when they are not plain rectangles:
+ * chamfered or rounded edges, stepped lips, domed tops, typed vertices or SVG path data.
+ *
+ * Outline: [{ x, y, bulge }] vertices in the panel's box-relative frame (as pivots in
+ * ConfigSchema.toBoxRelative): x from the box's left edge, base y down from the base top,
+ * lid y up from the lid bottom. The optional bulge turns the edge to the next vertex into
+ * a circular arc: tan(θ/4) of the arc angle θ, positive bulging out of the outline and
+ * negative into it, at most 1 (a half circle). A panel without an outline (null) is its
+ * plain rectangle.
+ * Outlines are replaced rather than mutated, so their flattened polygons are cached.
+ * No UI or rendering logic is included.
+ */
+
+const ARC_STEP = Math.PI / 18;  // flattened arcs turn at most 10° per segment
+const ARC_TOLERANCE = 0.1;      // and stray at most this many mm from the true arc
+const CURVE_SEGMENTS = 12;      // segments per imported Bézier curve
+const QUARTER_BULGE = Math.tan(Math.PI / 8); // bulge of a 90° arc
+
+const PRESETS = {
+    rectangle: { label: 'Rectangle', panels: ['base', 'lid'] },
+    chamfered: { label: 'Chamfered edges', panels: ['base', 'lid'] },
+    rounded: { label: 'Rounded edges', panels: ['base', 'lid'] },
+    lip: { label: 'Stepped lip', panels: ['base'] },
+    domed: { label: 'Domed top', panels: ['lid'] }
+};
+
+// Flattened polygon per outline
+const polygons = new WeakMap();
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export class BoxProfiles {
+    static listPresets(panel) {
+        return Object.entries(PRESETS)
+            .filter(([, spec]) => spec.panels.includes(panel))
+            .map(([id, spec]) => ({ id, label: spec.label }));
+    }
+
+    static getPanelSize(panel, boxDimensions) {
+        return { width: boxDimensions.width, height: panel === 'base' ? boxDimensions.baseHeight : boxDimensions.lidHeight };
+    }
+
+    /**
+     * Outline of a preset shape for a panel.
+     * @param {string} preset - Id from listPresets(panel).
+     * @param {string} panel - 'base' or 'lid'.
+     * @param {Object} boxDimensions - { width, baseHeight, lidHeight, lidGap }.
+     * @param {number} size - Chamfer, corner radius, lip height or dome rise in mm, at most half the panel.
+     * @returns {Array|null} - Outline, or null for the plain rectangle.
+     */
+    static preset(preset, panel, boxDimensions, size) {
+        if (!PRESETS[preset] || !PRESETS[preset].panels.includes(panel)) {
+            throw new Error(`Unknown ${panel} profile: ${preset}`);
+        }
+        const { width: w, height: h } = BoxProfiles.getPanelSize(panel, boxDimensions);
+        const s = Math.max(0, Math.min(size, w / 2, h / 2));
+        if (preset === 'rectangle' || !(s > 0)) return null;
+
+        if (preset === 'lip') {
+            // Inner rim rising s above the base top, set in s from the sides
+            return [
+                { x: 0, y: 0 }, { x: s, y: 0 }, { x: s, y: -s }, { x: w - s, y: -s },
+                { x: w - s, y: 0 }, { x: w, y: 0 }, { x: w, y: h }, { x: 0, y: h }
+            ];
+        }
+        if (preset === 'domed') {
+            // Straight sides, the top an arc rising s over the box width
+            return [{ x: 0, y: 0 }, { x: w, y: 0 }, { x: w, y: h - s, bulge: 2 * s / w }, { x: 0, y: h - s }];
+        }
+        // Every corner cut by s, straight or as a quarter circle; at half the panel the straight sides vanish
+        const bulge = preset === 'rounded' ? QUARTER_BULGE : 0;
+        const outline = [
+            { x: s, y: 0 }, { x: w - s, y: 0, bulge }, { x: w, y: s }, { x: w, y: h - s, bulge },
+            { x: w - s, y: h }, { x: s, y: h, bulge }, { x: 0, y: h - s }, { x: 0, y: s, bulge }
+        ].map(({ bulge: b, ...p }) => (b ? { ...p, bulge: b } : p));
+        return outline.filter((p, i) => FourBarLinkageCalculator.distance(p, outline[(i + 1) % outline.length]) > 1e-9);
+    }
+
+    // Outline for a resized panel: vertices scale with the panel, arcs keep their bulge
+    static resize(outline, from, to) {
+        if (!outline) return null;
+        const sx = to.width / from.width;
+        const sy = to.height / from.height;
+        return outline.map(p => ({ ...p, x: p.x * sx, y: p.y * sy }));
+    }
+
+    /**
+     * Polygon of an outline with its arcs flattened, in the outline's frame.
+     * @returns {Array<Object>} - [{ x, y }]
+     */
+    static toPolygon(outline) {
+        let polygon = polygons.get(outline);
+        if (polygon) return polygon;
+        // Outward is to the right of each edge for a positive-area outline, to the left otherwise
+        const outward = FourBarLinkageCalculator.polygonArea(outline) >= 0 ? 1 : -1;
+        polygon = [];
+        outline.forEach((p, i) => {
+            polygon.push({ x: p.x, y: p.y });
+            if (p.bulge) polygon.push(...BoxProfiles.arcPoints(p, outline[(i + 1) % outline.length], p.bulge * outward));
+        });
+        polygons.set(outline, polygon);
+        return polygon;
+    }
+
+    /**
+     * Points strictly between p and q on a circular arc.
+     * @param {number} bulge - tan(θ/4); positive bulges towards (dy, -dx) of the chord p → q.
+     */
+    static arcPoints(p, q, bulge) {
+        const dx = q.x - p.x, dy = q.y - p.y;
+        const chord = Math.hypot(dx, dy);
+        if (chord < 1e-9 || Math.abs(bulge) < 1e-9) return [];
+        const theta = 4 * Math.atan(Math.abs(bulge));
+        const side = Math.sign(bulge);
+        const normal = { x: side * dy / chord, y: -side * dx / chord };
+        const radius = chord / (2 * Math.sin(theta / 2));
+        const sagitta = Math.abs(bulge) * chord / 2;
+        const middle = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+        const center = { x: middle.x - normal.x * (radius - sagitta), y: middle.y - normal.y * (radius - sagitta) };
+        const apex = { x: middle.x + normal.x * sagitta, y: middle.y + normal.y * sagitta };
+        // Turn from p through the apex
+        const cross = (p.x - center.x) * (apex.y - center.y) - (p.y - center.y) * (apex.x - center.x);
+        const turn = (cross >= 0 ? 1 : -1) * theta;
+        const start = Math.atan2(p.y - center.y, p.x - center.x);
+        const steps = BoxProfiles.arcSteps(theta, radius);
+        const points = [];
+        for (let i = 1; i < steps; i++) {
+            const angle = start + turn * i / steps;
+            points.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+        }
+        return points;
+    }
+
+    // Segments for an arc of angle theta so that neither ARC_STEP nor ARC_TOLERANCE is exceeded
+    static arcSteps(theta, radius) {
+        const byTolerance = radius > ARC_TOLERANCE ? theta / (2 * Math.acos(1 - ARC_TOLERANCE / radius)) : 1;
+        return Math.max(2, Math.ceil(theta / ARC_STEP), Math.ceil(byTolerance));
+    }
+
+    /**
+     * Checks an outline's vertices and shape.
+     * @returns {Array<string>} - Problems, empty when the outline is usable.
+     */
+    static validate(outline) {
+        if (!Array.isArray(outline) || outline.length < 3) return ['expected at least three vertices'];
+        const errors = [];
+        outline.forEach((p, i) => {
+            if (!p || !isNumber(p.x) || !isNumber(p.y)) {
+                errors.push(`vertex ${i + 1}: expected numbers x and y`);
+            } else if (p.bulge !== undefined && !(isNumber(p.bulge) && Math.abs(p.bulge) <= 1)) {
+                errors.push(`vertex ${i + 1}: expected a bulge between -1 and 1, got ${JSON.stringify(p.bulge)}`);
+            }
+        });
+        if (errors.length > 0) return errors;
+        outline.forEach((p, i) => {
+            const next = outline[(i + 1) % outline.length];
+            if (FourBarLinkageCalculator.distance(p, next) < 1e-9) errors.push(`vertex ${(i + 1) % outline.length + 1}: repeats the vertex before it`);
+        });
+        if (errors.length > 0) return errors;
+        const polygon = BoxProfiles.toPolygon(outline);
+        if (Math.abs(FourBarLinkageCalculator.polygonArea(polygon)) < 1e-6) return ['the outline encloses no area'];
+        if (BoxProfiles.selfIntersects(polygon)) errors.push('the outline crosses itself');
+        return errors;
+    }
+
+    static selfIntersects(polygon) {
+        const n = polygon.length;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 2; j < n; j++) {
+                if (i === 0 && j === n - 1) continue; // neighbours through the closing edge
+                const hit = FourBarLinkageCalculator.segmentIntersectionPoint(
+                    polygon[i], polygon[(i + 1) % n], polygon[j], polygon[(j + 1) % n]);
+                if (hit) return true;
+            }
+        }
+        return false;
+    }
+
+    // Even-odd test; points on the boundary may fall either way
+    static containsPoint(polygon, point) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i], b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Nearest point on the polygon's boundary
+    static closestPoint(polygon, point) {
+        let best = null;
+        let bestDistance = Infinity;
+        polygon.forEach((a, i) => {
+            const b = polygon[(i + 1) % polygon.length];
+            const abx = b.x - a.x, aby = b.y - a.y;
+            const lengthSq = abx * abx + aby * aby;
+            const t = lengthSq < 1e-12 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * abx + (point.y - a.y) * aby) / lengthSq));
+            const candidate = { x: a.x + abx * t, y: a.y + aby * t };
+            const distance = FourBarLinkageCalculator.distance(point, candidate);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = candidate;
+            }
+        });
+        return best;
+    }
+
+    // The point itself inside the polygon, else the nearest boundary point
+    static clampToPolygon(polygon, point) {
+        return BoxProfiles.containsPoint(polygon, point) ? { x: point.x, y: point.y } : BoxProfiles.closestPoint(polygon, point);
+    }
+
+    // One "x, y" or "x, y, bulge" line per vertex, lengths in the display unit
+    static formatVertices(outline, unit = 'mm') {
+        if (!outline) return '';
+        return outline.map(p => [Units.toInput(p.x, unit), Units.toInput(p.y, unit), ...(p.bulge ? [Number(p.bulge.toFixed(6))] : [])].join(', ')).join('\n');
+    }
+
+    /**
+     * Reads vertex lines as written by formatVertices.
+     * @returns {Object} - { outline, errors }; outline is null when there are errors.
+     */
+    static parseVertices(text, unit = 'mm') {
+        const errors = [];
+        const outline = [];
+        String(text).split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim()) return;
+            const values = line.trim().split(/[\s,;]+/).map(Number);
+            if ((values.length !== 2 && values.length !== 3) || !values.every(Number.isFinite)) {
+                errors.push(`line ${i + 1}: expected x, y and an optional bulge, got "${line.trim()}"`);
+                return;
+            }
+            const vertex = { x: Units.toMm(values[0], unit), y: Units.toMm(values[1], unit) };
+            if (values[2]) vertex.bulge = values[2];
+            outline.push(vertex);
+        });
+        if (errors.length === 0) errors.push(...BoxProfiles.validate(outline));
+        return { outline: errors.length === 0 ? outline : null, errors };
+    }
+
+    /**
+     * Outline from SVG path data, or from the first <path> of an SVG document. Coordinates
+     * are millimeters with the origin at the panel's top-left corner and y down, as in SVG;
+     * only the first subpath is used. Circular arcs stay arcs, curves and elliptical arcs
+     * are flattened.
+     * @param {string} text - Path data ("M 0 0 L ...") or SVG markup.
+     * @param {string} panel - 'base' or 'lid'.
+     * @param {Object} boxDimensions - { width, baseHeight, lidHeight, lidGap }.
+     * @returns {Object} - { outline, errors }; outline is null when there are errors.
+     */
+    static fromSvgPath(text, panel, boxDimensions) {
+        let data = String(text);
+        if (data.includes('<')) {
+            const match = /<path\b[^>]*?\sd\s*=\s*(?:"([^"]*)"|'([^']*)')/i.exec(data);
+            if (!match) return { outline: null, errors: ['no <path d="..."> found in the SVG'] };
+            data = match[1] !== undefined ? match[1] : match[2];
+        }
+
+        let vertices;
+        try {
+            vertices = BoxProfiles.parsePathData(data);
+        } catch (error) {
+            return { outline: null, errors: [error.message] };
+        }
+        if (vertices.length < 3) return { outline: null, errors: ['the path needs at least three points'] };
+
+        // Arc sides become outward or inward bulges once the winding is known
+        const outward = FourBarLinkageCalculator.polygonArea(vertices) >= 0 ? 1 : -1;
+        const height = BoxProfiles.getPanelSize(panel, boxDimensions).height;
+        const outline = vertices.map(({ x, y, bulge }) => {
+            const vertex = { x, y: panel === 'lid' ? height - y : y };
+            if (bulge) vertex.bulge = bulge * outward;
+            return vertex;
+        });
+        const errors = BoxProfiles.validate(outline);
+        return { outline: errors.length === 0 ? outline : null, errors };
+    }
+
+    /**
+     * Vertices of the first subpath of SVG path data, in SVG coordinates. An arc edge
+     * carries bulge > 0 when it bulges towards (dy, -dx) of its chord.
+     * @throws {Error} - On malformed data.
+     */
+    static parsePathData(data) {
+        const tokens = data.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+        const isCommand = (token) => /^[A-Za-z]$/.test(token);
+        let index = 0;
+        const number = () => {
+            const token = tokens[index++];
+            if (token === undefined || isCommand(token)) throw new Error(`SVG path: expected a number after ${command}`);
+            return Number(token);
+        };
+        // Arc flags may be written without separators ("0110")
+        const flag = () => {
+            const token = tokens[index];
+            if (token === undefined || !/^[01]/.test(token)) throw new Error('SVG path: expected an arc flag 0 or 1');
+            if (token.length > 1) tokens[index] = token.slice(1);
+            else index++;
+            return token[0] === '1';
+        };
+
+        const vertices = [];
+        let current = { x: 0, y: 0 };
+        let start = null;
+        let command = null;
+        let lastControl = null; // for S and T reflections
+        const lineTo = (p) => {
+            const last = vertices[vertices.length - 1];
+            if (!last || FourBarLinkageCalculator.distance(last, p) > 1e-9) vertices.push({ x: p.x, y: p.y });
+            current = p;
+        };
+        const curveTo = (points) => {
+            const at = (t) => {
+                // de Casteljau over [current, ...points]
+                let level = [current, ...points];
+                while (level.length > 1) {
+                    level = level.slice(1).map((p, i) => ({ x: level[i].x + (p.x - level[i].x) * t, y: level[i].y + (p.y - level[i].y) * t }));
+                }
+                return level[0];
+            };
+            const end = points[points.length - 1];
+            for (let i = 1; i < CURVE_SEGMENTS; i++) lineTo(at(i / CURVE_SEGMENTS));
+            lineTo(end);
+        };
+
+        while (index < tokens.length) {
+            if (isCommand(tokens[index])) {
+                command = tokens[index++];
+            } else if (command === null) {
+                throw new Error('SVG path: expected a command such as M');
+            }
+            const relative = command === command.toLowerCase();
+            const point = () => {
+                const x = number(), y = number();
+                return relative ? { x: current.x + x, y: current.y + y } : { x, y };
+            };
+            const upper = command.toUpperCase();
+
+            if (upper === 'Z') {
+                break; // the first subpath is closed
+            }
+            if (upper === 'M') {
+                if (start) break; // a second subpath
+                current = point();
+                start = current;
+                lineTo(current);
+                command = relative ? 'l' : 'L'; // further pairs are lines
+                lastControl = null;
+                continue;
+            }
+            if (!start) throw new Error('SVG path: expected M before drawing');
+
+            if (upper === 'L') {
+                lineTo(point());
+                lastControl = null;
+            } else if (upper === 'H') {
+                const x = number();
+                lineTo({ x: relative ? current.x + x : x, y: current.y });
+                lastControl = null;
+            } else if (upper === 'V') {
+                const y = number();
+                lineTo({ x: current.x, y: relative ? current.y + y : y });
+                lastControl = null;
+            } else if (upper === 'C' || upper === 'S') {
+                const reflected = lastControl && /[CS]/i.test(lastControl.command)
+                    ? { x: 2 * current.x - lastControl.point.x, y: 2 * current.y - lastControl.point.y }
+                    : current;
+                const c1 = upper === 'C' ? point() : reflected;
+                const c2 = point();
+                const end = point();
+                curveTo([c1, c2, end]);
+                lastControl = { command: upper, point: c2 };
+            } else if (upper === 'Q' || upper === 'T') {
+                const c = upper === 'Q'
+                    ? point()
+                    : lastControl && /[QT]/i.test(lastControl.command)
+                        ? { x: 2 * current.x - lastControl.point.x, y: 2 * current.y - lastControl.point.y }
+                        : current;
+                const end = point();
+                curveTo([c, end]);
+                lastControl = { command: upper, point: c };
+            } else if (upper === 'A') {
+                const rx = Math.abs(number()), ry = Math.abs(number());
+                const rotation = number() * Math.PI / 180;
+                const large = flag(), sweep = flag();
+                const end = point();
+                BoxProfiles.appendArc(vertices, current, end, rx, ry, rotation, large, sweep, lineTo);
+                current = end;
+                lastControl = null;
+            } else {
+                throw new Error(`SVG path: unsupported command ${command}`);
+            }
+        }
+
+        // The closing point repeats the first
+        const first = vertices[0], last = vertices[vertices.length - 1];
+        if (vertices.length > 1 && FourBarLinkageCalculator.distance(first, last) < 1e-9 && !last.bulge) vertices.pop();
+        return vertices;
+    }
+
+    // SVG arc from p to q (endpoint parameterization, SVG 1.1 F.6.5): circular arcs become a bulge on p's vertex
+    static appendArc(vertices, p, q, rx, ry, rotation, large, sweep, lineTo) {
+        const chord = FourBarLinkageCalculator.distance(p, q);
+        if (chord < 1e-9) return;
+        if (rx < 1e-9 || ry < 1e-9) {
+            lineTo(q);
+            return;
+        }
+        if (Math.abs(rx - ry) <= 1e-6 * Math.max(rx, ry)) {
+            const radius = Math.max(rx, chord / 2);
+            const small = 2 * Math.asin(Math.min(1, chord / (2 * radius)));
+            const theta = large ? 2 * Math.PI - small : small;
+            // A positive sweep bulges towards (dy, -dx) of the chord in SVG's y-down frame
+            vertices[vertices.length - 1].bulge = (sweep ? 1 : -1) * Math.min(1, Math.tan(theta / 4));
+            lineTo(q);
+            return;
+        }
+
+        const cos = Math.cos(rotation), sin = Math.sin(rotation);
+        const hx = (p.x - q.x) / 2, hy = (p.y - q.y) / 2;
+        const x1 = cos * hx + sin * hy;
+        const y1 = -sin * hx + cos * hy;
+        const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+        const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+        const coefficient = (large === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+        const cx1 = coefficient * rx * y1 / ry;
+        const cy1 = -coefficient * ry * x1 / rx;
+        const center = {
+            x: cos * cx1 - sin * cy1 + (p.x + q.x) / 2,
+            y: sin * cx1 + cos * cy1 + (p.y + q.y) / 2
+        };
+        const angle = (u, v) => Math.atan2(u.x * v.y - u.y * v.x, u.x * v.x + u.y * v.y);
+        const u = { x: (x1 - cx1) / rx, y: (y1 - cy1) / ry };
+        const v = { x: (-x1 - cx1) / rx, y: (-y1 - cy1) / ry };
+        const theta1 = angle({ x: 1, y: 0 }, u);
+        let delta = angle(u, v);
+        if (!sweep && delta > 0) delta -= 2 * Math.PI;
+        if (sweep && delta < 0) delta += 2 * Math.PI;
+
+        const steps = BoxProfiles.arcSteps(Math.abs(delta), Math.max(rx, ry));
+        for (let i = 1; i < steps; i++) {
+            const t = theta1 + delta * i / steps;
+            lineTo({
+                x: center.x + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+                y: center.y + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+            });
+        }
+        lineTo(q);
+    }
+}
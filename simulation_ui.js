@@ -1,69 +1,189 @@
-export class CrossHingeSimulator {
-    constructor(canvas) {
-        // This class will contain the UI and logic for the old "Simulation Mode".
-        // For now, it's a placeholder to demonstrate the new structure.
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
-        this.animationAngle = 0; // Store current animation angle
+import { DesignerUI } from './designer.js';
+
+/**
+ * CrossHingeSimulator - Simulation mode: plays back a locked configuration.
+ * Kinematics and rendering come from DesignerUI; this view is read-only (pivots
+ * cannot be dragged, only the lid) and adds time-based playback of the lid rotation angle.
+ */
+export class CrossHingeSimulator extends DesignerUI {
+    constructor(canvas, onStateChange = () => {}, onPlaybackChange = () => {}) {
+        super(canvas, onStateChange);
+        this.onPlaybackChange = onPlaybackChange;
+        this.playing = false;
+        this.loop = true;
+        this.speed = 30; // degrees of lid rotation per second
+        this.playbackAngle = 0; // current lid rotation from closed (radians)
+        this.direction = 1; // +1 opens toward lidAngleLimits.max, -1 closes toward min
+        this.targetAngle = null; // set by openTo(); playback stops there
+        this._frameId = null;
+        this._lastFrameTime = null;
         console.log("CrossHingeSimulator (Simulation Mode) Initialized");
-        this.drawPlaceholder();
-    }
-
-    drawPlaceholder() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.save();
-        this.ctx.font = '24px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('Simulation Mode Active', this.canvas.width / 2, this.canvas.height / 2);
-        this.ctx.restore();
-    }
-
-    // Animation method to be called by the slider
-    animate(angleOffset) {
-        console.log('Simulation animate called with angle:', angleOffset);
-        this.animationAngle = angleOffset;
-        this.drawAnimated();
-    }
-    
-    drawAnimated() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.save();
-        
-        // Draw base text
-        this.ctx.font = '24px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('Simulation Mode Active', this.canvas.width / 2, this.canvas.height / 2 - 40);
-        
-        // Draw animation angle info
-        this.ctx.font = '18px Arial';
-        this.ctx.fillText(`Animation Angle: ${(this.animationAngle * 180 / Math.PI).toFixed(0)}°`, 
-            this.canvas.width / 2, this.canvas.height / 2);
-        
-        // Draw a simple visual representation of the angle
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height / 2 + 50;
-        const radius = 40;
-        
-        this.ctx.beginPath();
-        this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-        this.ctx.strokeStyle = '#666';
-        this.ctx.stroke();
-        
-        this.ctx.beginPath();
-        this.ctx.moveTo(centerX, centerY);
-        this.ctx.lineTo(
-            centerX + radius * Math.cos(this.animationAngle), 
-            centerY + radius * Math.sin(this.animationAngle)
-        );
-        this.ctx.strokeStyle = '#007bff';
-        this.ctx.lineWidth = 3;
-        this.ctx.stroke();
-        
-        this.ctx.restore();
-    }
-    
+    }
+
+    // Load a locked configuration (DesignerUI.getConfiguration() or an imported file)
+    loadConfiguration(config) {
+        this.pause();
+        if (config.boxDimensions) {
+            this.boxDimensions = { ...this.boxDimensions, ...config.boxDimensions };
+        }
+        this.reset();
+        if (config.pivots) {
+            this.setConfiguration(config);
+        }
+        this.playbackAngle = 0;
+        this.direction = 1;
+        this.animateLidAngle(0);
+        this.notifyPlayback();
+    }
+
+    // Read-only view: no pivot dragging and no synthesis editing; the lid can still be dragged
+    handleMouseDown(e) {
+        const { world, scaleX, scaleY } = this.getPointerWorld(e);
+        if (this.playing && this.canDragLid(world)) {
+            this.pause();
+        }
+        this.beginLidDrag(world, scaleX, scaleY);
+    }
+
+    // Only the lid can be grabbed; presses elsewhere pan the view on touch
+    isGrabbable(world) {
+        return this.canDragLid(world);
+    }
+    setSynthesisMode() {}
+
+    dragLid(x, y) {
+        const result = super.dragLid(x, y);
+        if (result) {
+            this.playbackAngle = result.lidAngle;
+            this.notifyPlayback();
+        }
+        return result;
+    }
+
+    animateLidAngle(lidAngle) {
+        this.playbackAngle = lidAngle;
+        return super.animateLidAngle(lidAngle);
+    }
+
+    play() {
+        if (this.playing) return;
+        const { min, max } = this.lidAngleLimits;
+        if (min === max) return;
+        // Restart from closed when a non-looping run already reached the end
+        if (this.targetAngle === null && !this.loop && this.isAtEnd()) {
+            this.playbackAngle = min;
+            this.direction = 1;
+        }
+        this.playing = true;
+        this._lastFrameTime = null;
+        this.scheduleFrame();
+        this.notifyPlayback();
+    }
+
+    pause() {
+        this.playing = false;
+        this.targetAngle = null;
+        if (this._frameId !== null && typeof cancelAnimationFrame === 'function') {
+            cancelAnimationFrame(this._frameId);
+        }
+        this._frameId = null;
+        this.notifyPlayback();
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    setLoop(loop) {
+        this.loop = !!loop;
+        this.notifyPlayback();
+    }
+
+    setSpeed(degreesPerSecond) {
+        this.speed = Math.max(1, degreesPerSecond);
+        this.notifyPlayback();
+    }
+
+    // Animate to an opening angle (degrees from closed) and stop there
+    openTo(degrees) {
+        const { min, max } = this.lidAngleLimits;
+        const sign = max >= min ? 1 : -1;
+        const target = min + sign * Math.abs(degrees) * Math.PI / 180;
+        this.targetAngle = Math.max(Math.min(min, max), Math.min(Math.max(min, max), target));
+        this.direction = Math.sign((this.targetAngle - this.playbackAngle) * sign) || 1;
+        if (!this.playing) {
+            this.playing = true;
+            this._lastFrameTime = null;
+            this.scheduleFrame();
+        }
+        this.notifyPlayback();
+    }
+
+    isAtEnd() {
+        const { min, max } = this.lidAngleLimits;
+        return Math.abs(this.playbackAngle - (this.direction > 0 ? max : min)) < 1e-6;
+    }
+
+    scheduleFrame() {
+        if (typeof requestAnimationFrame !== 'function') return;
+        this._frameId = requestAnimationFrame((time) => this.step(time));
+    }
+
+    step(time) {
+        if (!this.playing) return;
+        const dt = this._lastFrameTime === null ? 0 : Math.min(0.1, (time - this._lastFrameTime) / 1000);
+        this._lastFrameTime = time;
+
+        const { min, max } = this.lidAngleLimits;
+        const sign = max >= min ? 1 : -1; // opening direction of the lid rotation
+        const delta = this.direction * sign * this.speed * Math.PI / 180 * dt;
+        let angle = this.playbackAngle + delta;
+        let stop = false;
+
+        // The end is reached once this step lands on or passes it
+        const reaches = (end) => (end - angle) * (end - this.playbackAngle) <= 0;
+        if (this.targetAngle !== null) {
+            if (reaches(this.targetAngle)) {
+                angle = this.targetAngle;
+                stop = true;
+            }
+        } else {
+            const end = this.direction > 0 ? max : min;
+            if (reaches(end)) {
+                angle = end;
+                if (this.loop) {
+                    this.direction = -this.direction; // ping-pong between closed and open
+                } else {
+                    stop = true;
+                }
+            }
+        }
+
+        this.animateLidAngle(angle);
+        if (stop) {
+            this.pause();
+            return;
+        }
+        this.notifyPlayback();
+        this.scheduleFrame();
+    }
+
+    notifyPlayback() {
+        this.onPlaybackChange({
+            playing: this.playing,
+            loop: this.loop,
+            speed: this.speed,
+            angle: this.playbackAngle
+        });
+    }
+
     destroy() {
-        // Cleanup logic for when switching modes
+        this.pause();
+        super.destroy();
         console.log("CrossHingeSimulator Destroyed");
     }
 }
@@ -96,6 +96,196 @@ export class FourBarLinkageCalculator {
         return false; // Doesn't fall in any of the above cases
     }
 
+    /**
+     * Intersection point of segments p1-q1 and p2-q2 (the crossing point X of the
+     * links AB and DC in mechanism.md).
+     * @returns {Object|null} - { x, y, t, u } with t and u the parameters along each
+     *                          segment, or null if the segments do not cross or are parallel.
+     */
+    static segmentIntersectionPoint(p1, q1, p2, q2) {
+        const r = { x: q1.x - p1.x, y: q1.y - p1.y };
+        const s = { x: q2.x - p2.x, y: q2.y - p2.y };
+        const denom = r.x * s.y - r.y * s.x;
+        if (Math.abs(denom) < 1e-10) return null; // Parallel or collinear
+
+        const qp = { x: p2.x - p1.x, y: p2.y - p1.y };
+        const t = (qp.x * s.y - qp.y * s.x) / denom;
+        const u = (qp.x * r.y - qp.y * r.x) / denom;
+        if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+        return { x: p1.x + t * r.x, y: p1.y + t * r.y, t, u };
+    }
+
+    /**
+     * Separating-axis test for two convex polygons.
+     * @param {Array<Object>} polyA - Vertices [{ x, y }] in order.
+     * @param {Array<Object>} polyB - Vertices [{ x, y }] in order.
+     * @param {number} tolerance - Overlap depth below which polygons count as merely touching.
+     * @returns {boolean} - True if the interiors overlap by more than the tolerance.
+     */
+    static convexPolygonsOverlap(polyA, polyB, tolerance = 1e-6) {
+        for (const poly of [polyA, polyB]) {
+            for (let i = 0; i < poly.length; i++) {
+                const p = poly[i];
+                const q = poly[(i + 1) % poly.length];
+                const len = Math.hypot(q.x - p.x, q.y - p.y);
+                if (len < 1e-12) continue;
+                const axis = { x: -(q.y - p.y) / len, y: (q.x - p.x) / len };
+
+                let minA = Infinity, maxA = -Infinity, minB = Infinity, maxB = -Infinity;
+                for (const v of polyA) {
+                    const d = v.x * axis.x + v.y * axis.y;
+                    minA = Math.min(minA, d); maxA = Math.max(maxA, d);
+                }
+                for (const v of polyB) {
+                    const d = v.x * axis.x + v.y * axis.y;
+                    minB = Math.min(minB, d); maxB = Math.max(maxB, d);
+                }
+                if (Math.min(maxA, maxB) - Math.max(minA, minB) <= tolerance) return false;
+            }
+        }
+        return true;
+    }
+
+    static isConvexPolygon(poly) {
+        let sign = 0;
+        for (let i = 0; i < poly.length; i++) {
+            const p = poly[i], q = poly[(i + 1) % poly.length], r = poly[(i + 2) % poly.length];
+            const cross = (q.x - p.x) * (r.y - q.y) - (q.y - p.y) * (r.x - q.x);
+            if (Math.abs(cross) < 1e-9) continue;
+            if (sign === 0) sign = Math.sign(cross);
+            else if (Math.sign(cross) !== sign) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Ear-clipping triangulation of a simple polygon.
+     * @returns {Array<Array<Object>>} - Triangles [[a, b, c], ...] covering the polygon.
+     */
+    static triangulate(poly) {
+        const sign = FourBarLinkageCalculator.polygonArea(poly) >= 0 ? 1 : -1;
+        const cross = (a, b, c) => sign * ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+        const remaining = poly.slice();
+        const triangles = [];
+        while (remaining.length > 3) {
+            let clipped = false;
+            for (let i = 0; i < remaining.length; i++) {
+                const a = remaining[(i + remaining.length - 1) % remaining.length];
+                const b = remaining[i];
+                const c = remaining[(i + 1) % remaining.length];
+                if (cross(a, b, c) <= 1e-12) continue; // reflex or flat corner
+                const blocked = remaining.some(p => p !== a && p !== b && p !== c &&
+                    cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0);
+                if (blocked) continue;
+                triangles.push([a, b, c]);
+                remaining.splice(i, 1);
+                clipped = true;
+                break;
+            }
+            if (!clipped) break; // degenerate remainder: keep it whole
+        }
+        triangles.push(remaining);
+        return triangles;
+    }
+
+    // A convex polygon as itself, any other as its triangles
+    static convexParts(poly) {
+        return FourBarLinkageCalculator.isConvexPolygon(poly) ? [poly] : FourBarLinkageCalculator.triangulate(poly);
+    }
+
+    /**
+     * Overlap test for simple polygons that may be concave: the separating-axis test on
+     * their convex parts.
+     * @param {number} tolerance - Overlap depth below which polygons count as merely touching.
+     */
+    static polygonsOverlap(polyA, polyB, tolerance = 1e-6) {
+        const bounds = (poly) => poly.reduce((b, p) => ({
+            minX: Math.min(b.minX, p.x), minY: Math.min(b.minY, p.y), maxX: Math.max(b.maxX, p.x), maxY: Math.max(b.maxY, p.y)
+        }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+        const apart = (a, b) => a.maxX - b.minX <= tolerance || b.maxX - a.minX <= tolerance ||
+            a.maxY - b.minY <= tolerance || b.maxY - a.minY <= tolerance;
+        if (apart(bounds(polyA), bounds(polyB))) return false;
+        const partsB = FourBarLinkageCalculator.convexParts(polyB).map(part => ({ part, box: bounds(part) }));
+        return FourBarLinkageCalculator.convexParts(polyA).some(partA => {
+            const boxA = bounds(partA);
+            return partsB.some(({ part, box }) => !apart(boxA, box) &&
+                FourBarLinkageCalculator.convexPolygonsOverlap(partA, part, tolerance));
+        });
+    }
+
+    /**
+     * Clips a polygon against a convex polygon (Sutherland–Hodgman).
+     * @param {Array<Object>} subject - Polygon to clip [{ x, y }].
+     * @param {Array<Object>} clip - Convex clipping polygon [{ x, y }].
+     * @returns {Array<Object>} - The overlapping region; empty if there is none.
+     */
+    static clipPolygon(subject, clip) {
+        // Orientation of the clip polygon decides which side of each edge is "inside"
+        const sign = FourBarLinkageCalculator.polygonArea(clip) >= 0 ? 1 : -1;
+        const inside = (p, a, b) => sign * ((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x)) >= 0;
+        const intersect = (p, q, a, b) => {
+            const d = (p.x - q.x) * (a.y - b.y) - (p.y - q.y) * (a.x - b.x);
+            if (Math.abs(d) < 1e-12) return q;
+            const t = ((p.x - a.x) * (a.y - b.y) - (p.y - a.y) * (a.x - b.x)) / d;
+            return { x: p.x + t * (q.x - p.x), y: p.y + t * (q.y - p.y) };
+        };
+
+        let output = subject.slice();
+        for (let i = 0; i < clip.length && output.length > 0; i++) {
+            const a = clip[i];
+            const b = clip[(i + 1) % clip.length];
+            const input = output;
+            output = [];
+            for (let j = 0; j < input.length; j++) {
+                const p = input[j];
+                const q = input[(j + 1) % input.length];
+                const pIn = inside(p, a, b);
+                const qIn = inside(q, a, b);
+                if (pIn) output.push(p);
+                if (pIn !== qIn) output.push(intersect(p, q, a, b));
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Signed area of a polygon (shoelace formula); positive for clockwise order on a y-down canvas.
+     */
+    static polygonArea(poly) {
+        let area = 0;
+        for (let i = 0; i < poly.length; i++) {
+            const p = poly[i];
+            const q = poly[(i + 1) % poly.length];
+            area += p.x * q.y - q.x * p.y;
+        }
+        return area / 2;
+    }
+
+    /**
+     * Shortest distance from point p to segment a-b.
+     */
+    static pointSegmentDistance(p, a, b) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const lenSq = dx * dx + dy * dy;
+        if (lenSq < 1e-12) return FourBarLinkageCalculator.distance(p, a);
+        const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq));
+        return FourBarLinkageCalculator.distance(p, { x: a.x + t * dx, y: a.y + t * dy });
+    }
+
+    /**
+     * Shortest distance between segments p1-q1 and p2-q2 (0 if they intersect).
+     */
+    static segmentSegmentDistance(p1, q1, p2, q2) {
+        if (FourBarLinkageCalculator.segmentsIntersect(p1, q1, p2, q2)) return 0;
+        return Math.min(
+            FourBarLinkageCalculator.pointSegmentDistance(p1, p2, q2),
+            FourBarLinkageCalculator.pointSegmentDistance(q1, p2, q2),
+            FourBarLinkageCalculator.pointSegmentDistance(p2, p1, q1),
+            FourBarLinkageCalculator.pointSegmentDistance(q2, p1, q1)
+        );
+    }
+
     static getTransform(p1_from, p2_from, p1_to, p2_to) {
         const angle_from = Math.atan2(p2_from.y - p1_from.y, p2_from.x - p1_from.x);
         const angle_to = Math.atan2(p2_to.y - p1_to.y, p2_to.x - p1_to.x);
@@ -123,12 +313,92 @@ export class FourBarLinkageCalculator {
         return { x: finalX, y: finalY };
     }
 
+    /**
+     * Transforms a lid-local point into world coordinates for a given lid pose.
+     * @param {Object} localPoint - Point relative to the lid center { x, y }.
+     * @param {Object} pose - Lid pose { center, rotation }, rotation in degrees.
+     * @returns {Object} - World point { x, y }.
+     */
+    static poseToWorld(localPoint, pose) {
+        const rad = pose.rotation * Math.PI / 180;
+        const cos = Math.cos(rad), sin = Math.sin(rad);
+        return {
+            x: localPoint.x * cos - localPoint.y * sin + pose.center.x,
+            y: localPoint.x * sin + localPoint.y * cos + pose.center.y
+        };
+    }
+
+    /**
+     * Center of the circle through three points, i.e. the convergence point of the
+     * perpendicular bisectors of p1-p2 and p2-p3.
+     * @returns {Object|null} - { x, y }, or null if the points are collinear.
+     */
+    static circumcenter(p1, p2, p3) {
+        const d = 2 * (p1.x * (p2.y - p3.y) + p2.x * (p3.y - p1.y) + p3.x * (p1.y - p2.y));
+        if (Math.abs(d) < 1e-9) return null; // Collinear: bisectors are parallel
+
+        const s1 = p1.x * p1.x + p1.y * p1.y;
+        const s2 = p2.x * p2.x + p2.y * p2.y;
+        const s3 = p3.x * p3.x + p3.y * p3.y;
+        return {
+            x: (s1 * (p2.y - p3.y) + s2 * (p3.y - p1.y) + s3 * (p1.y - p2.y)) / d,
+            y: (s1 * (p3.x - p2.x) + s2 * (p1.x - p3.x) + s3 * (p2.x - p1.x)) / d
+        };
+    }
+
+    /**
+     * Three-position synthesis (see References.md): given three lid poses and the
+     * lid pivots B and C, the ground pivot of each link is the point equidistant
+     * from that lid pivot's three positions.
+     * @param {Array<Object>} poses - Three lid poses [{ center, rotation }], rotation in degrees.
+     * @param {Object} lidPivots - Lid-local pivots { B, C } relative to the lid center.
+     * @returns {Object} - { A, D, positions: { B, C } }; A or D is null when the
+     *                     three positions of its lid pivot are collinear.
+     */
+    static synthesizeThreePositions(poses, lidPivots) {
+        if (!poses || poses.length !== 3) {
+            throw new Error('Three-position synthesis requires exactly three lid poses');
+        }
+        const positionsB = poses.map(pose => FourBarLinkageCalculator.poseToWorld(lidPivots.B, pose));
+        const positionsC = poses.map(pose => FourBarLinkageCalculator.poseToWorld(lidPivots.C, pose));
+
+        return {
+            A: FourBarLinkageCalculator.circumcenter(...positionsB),
+            D: FourBarLinkageCalculator.circumcenter(...positionsC),
+            positions: { B: positionsB, C: positionsC }
+        };
+    }
+
+    /**
+     * Inverse kinematics for a requested coupler rotation. With the coupler turned by
+     * `rotation`, C = B + v where v is the rotated closed-pose vector B0->C0, so B lies
+     * on the input circle (A, |AB|) and on the output circle shifted by -v (D - v, |DC|).
+     * @param {Object} pivots - Closed pose { A, B, C, D }.
+     * @param {number} rotation - Coupler rotation relative to the closed pose, radians.
+     * @returns {Array<Object>} - Candidate poses [{ A, B, C, D }] (0, 1 or 2 assemblies).
+     */
+    static solveForCouplerRotation(pivots, rotation) {
+        const { A, B, C, D } = pivots;
+        const l_ab = FourBarLinkageCalculator.distance(A, B);
+        const l_cd = FourBarLinkageCalculator.distance(D, C);
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const v = {
+            x: (C.x - B.x) * cos - (C.y - B.y) * sin,
+            y: (C.x - B.x) * sin + (C.y - B.y) * cos
+        };
+        const shiftedD = { x: D.x - v.x, y: D.y - v.y };
+        const solutions = FourBarLinkageCalculator.circleCircleIntersection(A, l_ab, shiftedD, l_cd);
+        if (!solutions) return [];
+        return solutions.map(newB => ({ A, B: newB, C: { x: newB.x + v.x, y: newB.y + v.y }, D }));
+    }
+
     static circleCircleIntersection(p1, r1, p2, r2) {
         const d = Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2);
 
         // Check for solvability
-        if (d > r1 + r2 || d < Math.abs(r1 - r2) || (d === 0 && r1 !== r2)) {
-            return null; // No solution, circles are separate, contained, or concentric.
+        if (d > r1 + r2 || d < Math.abs(r1 - r2) || d === 0) {
+            return null; // No solution, circles are separate, contained, or concentric (coincident circles have no unique point).
         }
 
         const a = (r1 * r1 - r2 * r2 + d * d) / (2 * d);
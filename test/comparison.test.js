@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HingeComparison } from '../comparison.js';
+import { FourBarLinkageCalculator } from '../simulator.js';
+import { loadFixture } from './helpers.js';
+
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+test('metrics report link lengths, opening, transmission and footprint', () => {
+    const config = loadFixture('default-design.json');
+    const { metrics } = HingeComparison.evaluate(config);
+    const { A, B, C, D } = config.pivots;
+
+    assert.equal(metrics.links.AB, FourBarLinkageCalculator.distance(A, B));
+    assert.equal(metrics.links.BC, FourBarLinkageCalculator.distance(B, C));
+    assert.equal(metrics.links.CD, FourBarLinkageCalculator.distance(C, D));
+    assert.equal(metrics.links.AD, FourBarLinkageCalculator.distance(A, D));
+    assert.ok(Math.abs(metrics.openingDeg - 17.712) < 0.01);
+    assert.ok(metrics.minTransmission > 0 && metrics.minTransmission <= 90);
+
+    // The footprint holds the base and the closed lid above it
+    const box = config.boxDimensions;
+    assert.ok(metrics.footprint.width >= box.width);
+    assert.ok(metrics.footprint.height >= box.baseHeight + box.lidGap + box.lidHeight - 1e-9);
+    assert.equal(metrics.footprint.area, metrics.footprint.width * metrics.footprint.height);
+});
+
+test('corner paths start at the closed lid bottom corners', () => {
+    const config = loadFixture('wide-opening.json');
+    const { cornerPaths, kinematic } = HingeComparison.evaluate(config);
+    const lid = kinematic.lid;
+    const bottom = lid.center.y + lid.height / 2;
+    assert.ok(cornerPaths.left.length > 100);
+    assert.equal(cornerPaths.left.length, cornerPaths.right.length);
+    assert.ok(Math.abs(cornerPaths.left[0].x - (lid.center.x - lid.width / 2)) < 1e-6);
+    assert.ok(Math.abs(cornerPaths.right[0].x - (lid.center.x + lid.width / 2)) < 1e-6);
+    assert.ok(Math.abs(cornerPaths.left[0].y - bottom) < 1e-6);
+});
+
+test('designs are posed at the same lid opening, clamped to their own limit', () => {
+    const narrow = HingeComparison.evaluate(loadFixture('wide-base-pivots.json'));
+    const wide = HingeComparison.evaluate(loadFixture('wide-opening.json'));
+    assert.ok(Math.abs(toDeg(HingeComparison.getOpeningLimit([narrow, wide])) + 129.96) < 0.01);
+
+    const opening = 40 * Math.PI / 180;
+    const wideState = HingeComparison.poseAtOpening(wide, opening);
+    const narrowState = HingeComparison.poseAtOpening(narrow, opening);
+    assert.ok(Math.abs(toDeg(wideState.lidAngle) + 40) < 1e-9);
+    assert.equal(wideState.atLimit, false);
+    assert.equal(narrowState.atLimit, true);
+    assert.equal(narrowState.lidAngle, narrow.limits.lidAngleLimits.max);
+
+    // The solved pose really turns the lid by the requested angle
+    const { B, C } = wide.kinematic.pivots;
+    const rotation = FourBarLinkageCalculator.getTransform(B, C, wideState.pose.B, wideState.pose.C).angle;
+    assert.ok(Math.abs(rotation - wideState.lidAngle) < 1e-6);
+});
+
+test('designs without a valid closed pose are not evaluated', () => {
+    const config = loadFixture('default-design.json');
+    assert.equal(HingeComparison.evaluate({ ...config, pivots: null }), null);
+    // Uncrossed links
+    const { A, B, C, D } = config.pivots;
+    assert.equal(HingeComparison.evaluate({ ...config, pivots: { A, B: C, C: B, D } }), null);
+    assert.equal(HingeComparison.getOpeningLimit([]), 0);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfigSchema, CONFIG_VERSION } from '../config_schema.js';
+import { HingeKinematics, DEFAULT_CANVAS } from '../kinematics.js';
+import { readFixture } from './helpers.js';
+
+const withoutDate = ({ exportDate, ...file }) => file;
+
+const paths = (errors) => errors.map(error => error.path);
+
+test('version 2.0 files migrate to box-relative millimeters', () => {
+    const v2 = readFixture('default-design.json');
+    const { config, errors, migratedFrom } = ConfigSchema.load(v2);
+    assert.deepEqual(errors, []);
+    assert.equal(migratedFrom, '2.0');
+    // Loaded into the canvas it was exported from, the world pivots are unchanged
+    assert.deepEqual(config.pivots, v2.pivots);
+
+    const migrated = ConfigSchema.migrate(v2);
+    assert.equal(migrated.version, CONFIG_VERSION);
+    // 700 mm box centered in 1125: left edge at 212.5; base top at 750 - 100 - 20 = 630, lid bottom 100 above
+    assert.deepEqual(migrated.pivots, {
+        A: { x: 210, y: 30 },
+        B: { x: 525, y: 50 },
+        C: { x: 175, y: 50 },
+        D: { x: 490, y: 30 }
+    });
+});
+
+test('unversioned files are treated as 1.x and migrated like 2.0', () => {
+    const { version, ...v1 } = readFixture('wide-opening.json');
+    const { config, errors, migratedFrom } = ConfigSchema.load(v1);
+    assert.deepEqual(errors, []);
+    assert.equal(migratedFrom, '1.x');
+    assert.deepEqual(config.pivots, v1.pivots);
+});
+
+test('current version files round-trip identically across canvas sizes', () => {
+    const original = ConfigSchema.serialize(ConfigSchema.load(readFixture('wide-base-pivots.json')).config);
+    assert.equal(original.version, CONFIG_VERSION);
+
+    for (const canvas of [DEFAULT_CANVAS, { width: 800, height: 600 }, { width: 2400, height: 1300 }]) {
+        const { config, errors, migratedFrom } = ConfigSchema.load(original, canvas);
+        assert.deepEqual(errors, []);
+        assert.equal(migratedFrom, null);
+        assert.deepEqual(withoutDate(ConfigSchema.serialize(config, canvas)), withoutDate(original));
+    }
+});
+
+test('version 3.0 files load unchanged and save as the current version', () => {
+    const { hingeType, ...current } = ConfigSchema.serialize(ConfigSchema.load(readFixture('wide-base-pivots.json')).config);
+    const { config, errors, migratedFrom } = ConfigSchema.load({ ...current, version: '3.0' });
+    assert.deepEqual(errors, []);
+    assert.equal(migratedFrom, '3.0');
+    // 3.0 only knew the crossed four-bar
+    assert.equal(config.hingeType, 'crossed');
+    assert.deepEqual(withoutDate(ConfigSchema.serialize(config)), withoutDate({ ...current, hingeType }));
+});
+
+test('a pin diameter of 0, the lowest the designer allows, round-trips', () => {
+    const config = ConfigSchema.load(readFixture('wide-base-pivots.json')).config;
+    config.links = { AB: { barWidth: 12, pinDiameter: 0, layer: 'front' }, DC: { barWidth: 1, pinDiameter: 0, layer: 'back' } };
+    const { config: loaded, errors } = ConfigSchema.load(ConfigSchema.serialize(config));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(loaded.links, config.links);
+});
+
+test('box-relative pivots keep the linkage identical when the canvas changes', () => {
+    const file = ConfigSchema.serialize(ConfigSchema.load(readFixture('default-design.json')).config);
+    const limitsOn = (canvas) => {
+        const { config } = ConfigSchema.load(file, canvas);
+        return HingeKinematics.findAngleLimits(HingeKinematics.createConfig({ ...config, canvasSize: canvas }));
+    };
+    const reference = limitsOn(DEFAULT_CANVAS);
+    const moved = limitsOn({ width: 1600, height: 900 });
+    assert.ok(Math.abs(moved.angleLimits.max - reference.angleLimits.max) < 1e-9);
+    assert.ok(Math.abs(moved.lidAngleLimits.max - reference.lidAngleLimits.max) < 1e-9);
+});
+
+test('toWorld inverts toBoxRelative', () => {
+    const box = { width: 500, baseHeight: 80, lidHeight: 60, lidGap: 10 };
+    const relative = { A: { x: 100, y: 20 }, B: { x: 420, y: 30 }, C: { x: 70, y: 30 }, D: { x: 380, y: 20 } };
+    const world = ConfigSchema.toWorld(relative, box, { width: 900, height: 700 });
+    // Base pivots sit below the base top, lid pivots above the lid bottom
+    assert.ok(world.A.y > world.B.y);
+    assert.deepEqual(ConfigSchema.toBoxRelative(world, box, { width: 900, height: 700 }), relative);
+});
+
+test('validate reports every wrong field by path', () => {
+    const errors = ConfigSchema.validate({
+        version: '3.0',
+        boxWidth: '700',
+        baseHeight: 100,
+        lidHeight: -1,
+        pivots: { A: { x: 1, y: 2 }, B: { x: 'left', y: 2 }, C: null, D: { x: 1, y: 2 } },
+        links: { AB: { barWidth: 0, layer: 'front' }, DC: { pinDiameter: -1, layer: 'middle' } },
+        wallThickness: -2,
+        hingeUnlocked: 'yes'
+    });
+    assert.deepEqual(paths(errors), [
+        'boxWidth',
+        'lidHeight',
+        'lidGap',
+        'wallThickness',
+        'hingeUnlocked',
+        'pivots.B.x',
+        'pivots.C',
+        'links.AB.barWidth',
+        'links.DC.pinDiameter',
+        'links.DC.layer'
+    ]);
+    assert.match(ConfigSchema.formatErrors(errors), /^boxWidth: expected a positive number of mm, got "700"$/m);
+});
+
+test('validate rejects newer versions, non-objects and version 3 files without pivots', () => {
+    assert.deepEqual(paths(ConfigSchema.validate({ version: '5.0' })), ['version']);
+    assert.deepEqual(paths(ConfigSchema.validate({ version: 'beta' })), ['version']);
+    assert.deepEqual(paths(ConfigSchema.validate([])), ['']);
+
+    const box = { boxWidth: 700, baseHeight: 100, lidHeight: 100, lidGap: 100 };
+    assert.deepEqual(paths(ConfigSchema.validate({ ...box, version: '3.0' })), ['pivots']);
+    assert.deepEqual(paths(ConfigSchema.validate({ ...box, version: CONFIG_VERSION })), ['pivots']);
+    // Older exports wrote pivots: null before the designer placed them
+    assert.deepEqual(ConfigSchema.validate({ ...box, version: '2.0', pivots: null }), []);
+});
+
+test('load returns no configuration for an invalid file', () => {
+    const { config, errors } = ConfigSchema.load({ version: '2.0', boxWidth: 700 });
+    assert.equal(config, null);
+    assert.deepEqual(paths(errors), ['baseHeight', 'lidHeight', 'lidGap']);
+});
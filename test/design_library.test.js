@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DesignLibrary, LIBRARY_BUNDLE_FORMAT } from '../design_library.js';
+import { ConfigSchema, CONFIG_VERSION } from '../config_schema.js';
+import { readFixture } from './helpers.js';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+const v2 = readFixture('default-design.json');
+const file = ConfigSchema.serialize({ ...ConfigSchema.load(v2).config, hingeUnlocked: true });
+
+test('saved designs survive a reload and are listed newest first', async () => {
+    const storage = memoryStorage();
+    const library = new DesignLibrary({ storage });
+    library.save('First', file, 'data:image/png;base64,AAAA');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    library.save('Second', file);
+
+    const reloaded = new DesignLibrary({ storage });
+    assert.deepEqual(reloaded.list().map(entry => entry.name), ['Second', 'First']);
+    assert.equal(reloaded.findByName('First').thumbnail, 'data:image/png;base64,AAAA');
+    assert.deepEqual(reloaded.findByName('First').config, file);
+});
+
+test('saving under an existing name replaces that entry', () => {
+    const library = new DesignLibrary({ storage: memoryStorage() });
+    const first = library.save('Lid', file);
+    const replaced = library.save(' Lid ', { ...file, boxWidth: 500 });
+    assert.equal(replaced.id, first.id);
+    assert.equal(library.entries.length, 1);
+    assert.equal(library.get(first.id).config.boxWidth, 500);
+});
+
+test('rename, duplicate and delete keep names unique', () => {
+    const library = new DesignLibrary({ storage: memoryStorage() });
+    const a = library.save('A', file);
+    const b = library.save('B', file);
+
+    assert.equal(library.rename(b.id, 'A').name, 'A (2)');
+    assert.equal(library.rename(a.id, '   '), null);
+    assert.equal(library.duplicate(a.id).name, 'A (copy)');
+    assert.equal(library.duplicate(a.id).name, 'A (copy) (2)');
+
+    assert.equal(library.remove(a.id), true);
+    assert.equal(library.remove(a.id), false);
+    assert.deepEqual(library.entries.map(entry => entry.name).sort(), ['A (2)', 'A (copy)', 'A (copy) (2)']);
+});
+
+test('entries export as regular config files and import back individually or in bulk', () => {
+    const library = new DesignLibrary({ storage: memoryStorage() });
+    const entry = library.save('Wide', file);
+
+    const single = library.exportEntry(entry.id);
+    assert.deepEqual(ConfigSchema.validate(single), []);
+    assert.equal(single.name, 'Wide');
+    assert.equal(ConfigSchema.load(single).config.hingeUnlocked, true);
+
+    library.save('Narrow', { ...file, boxWidth: 400 });
+    const bundle = library.exportAll();
+    assert.equal(bundle.format, LIBRARY_BUNDLE_FORMAT);
+    assert.equal(bundle.designs.length, 2);
+
+    const other = new DesignLibrary({ storage: memoryStorage() });
+    const { added, errors } = other.importFile(bundle);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(added.map(e => e.name).sort(), ['Narrow', 'Wide']);
+    assert.equal(other.findByName('Narrow').config.boxWidth, 400);
+    assert.equal(other.findByName('Narrow').config.name, undefined);
+});
+
+test('importing migrates old files and skips invalid designs with their errors', () => {
+    const library = new DesignLibrary({ storage: memoryStorage() });
+    const { added, errors } = library.importFile({
+        format: LIBRARY_BUNDLE_FORMAT,
+        designs: [v2, { ...v2, name: 'Broken', lidGap: 'wide' }]
+    }, 'backup');
+
+    assert.equal(added.length, 1);
+    assert.equal(added[0].name, 'backup 1');
+    assert.equal(added[0].config.version, CONFIG_VERSION);
+    assert.deepEqual(added[0].config.pivots.A, { x: 210, y: 30 });
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].name, 'Broken');
+    assert.deepEqual(errors[0].errors.map(error => error.path), ['lidGap']);
+});
+
+test('autosave keeps the latest design', () => {
+    const storage = memoryStorage();
+    const library = new DesignLibrary({ storage });
+    assert.equal(library.loadAutosave(), null);
+    assert.equal(library.autosave(file), true);
+    assert.deepEqual(new DesignLibrary({ storage }).loadAutosave(), file);
+});
+
+test('without storage the library works in memory and reports that nothing persisted', () => {
+    const library = new DesignLibrary({ storage: null });
+    library.save('Only here', file);
+    assert.equal(library.entries.length, 1);
+    assert.equal(library.persistFailed, true);
+    assert.equal(library.autosave(file), false);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HingeDimensions } from '../dimensions.js';
+import { HingeKinematics } from '../kinematics.js';
+import { ConfigSchema } from '../config_schema.js';
+import { FourBarLinkageCalculator } from '../simulator.js';
+import { loadFixture } from './helpers.js';
+
+const kinematicOf = (config) => HingeKinematics.createConfig({ boxDimensions: config.boxDimensions, pivots: config.pivots });
+const byId = (dimensions, id) => dimensions.linear.find(dimension => dimension.id === id);
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test('closest points of separate and overlapping polygons', () => {
+    const square = (x, y) => [{ x, y }, { x: x + 10, y }, { x: x + 10, y: y + 10 }, { x, y: y + 10 }];
+    const apart = HingeDimensions.polygonClearance(square(0, 0), square(13, 12));
+    assert.ok(close(apart.distance, Math.hypot(3, 2)));
+    assert.deepEqual(apart.from, { x: 10, y: 10 });
+    assert.deepEqual(apart.to, { x: 13, y: 12 });
+    // A corner facing an edge
+    assert.deepEqual(HingeDimensions.polygonClearance([{ x: 2, y: -6 }, { x: 8, y: -6 }, { x: 5, y: -1 }], square(0, 0)).to, { x: 5, y: 0 });
+    assert.equal(HingeDimensions.polygonClearance(square(0, 0), square(5, 5)).distance, 0);
+});
+
+test('the closed pose measures links, box-relative pivot offsets and the lid gap', () => {
+    const config = loadFixture('default-design.json');
+    const kinematic = kinematicOf(config);
+    const dimensions = HingeDimensions.build(kinematic, { pose: kinematic.pivots, lidPose: kinematic.lid });
+    const { A, B, C, D } = kinematic.pivots;
+    const relative = ConfigSchema.toBoxRelative(kinematic.pivots, config.boxDimensions);
+    const width = config.boxDimensions.width;
+
+    assert.equal(byId(dimensions, 'AB').value, FourBarLinkageCalculator.distance(A, B));
+    assert.equal(byId(dimensions, 'DC').label, `DC ${FourBarLinkageCalculator.distance(D, C).toFixed(1)} mm`);
+    // The crossed bars are dimensioned on opposite sides
+    assert.notEqual(byId(dimensions, 'AB').side, byId(dimensions, 'DC').side);
+
+    // Offsets from the nearer side edge and from the base top / lid bottom
+    for (const name of ['A', 'B', 'C', 'D']) {
+        const x = relative[name].x;
+        assert.ok(close(byId(dimensions, `${name}.x`).value, Math.min(x, width - x)), name);
+        assert.ok(close(byId(dimensions, `${name}.y`).value, relative[name].y), name);
+    }
+    assert.equal(byId(dimensions, 'lidGap').value, config.boxDimensions.lidGap);
+    assert.equal(dimensions.angles[0].value, 0);
+});
+
+test('lid offsets and angle follow the open lid', () => {
+    const config = loadFixture('wide-opening.json');
+    const kinematic = kinematicOf(config);
+    const lidAngle = HingeKinematics.findAngleLimits(kinematic).lidAngleLimits.max / 2;
+    const pose = HingeKinematics.solveLidPose(kinematic, lidAngle);
+    const lidPose = HingeKinematics.getLidPose(kinematic, pose);
+    const closed = HingeDimensions.build(kinematic, { pose: kinematic.pivots, lidPose: kinematic.lid, unit: 'inches' });
+    const open = HingeDimensions.build(kinematic, { pose, lidPose, unit: 'inches' });
+
+    // B rides on the lid, so its offsets from the lid edges do not change
+    assert.ok(Math.abs(byId(open, 'B.x').value - byId(closed, 'B.x').value) < 1e-6);
+    assert.ok(Math.abs(byId(open, 'B.y').value - byId(closed, 'B.y').value) < 1e-6);
+    assert.ok(Math.abs(open.angles[0].value - Math.abs(lidAngle) * 180 / Math.PI) < 1e-6);
+    assert.match(byId(open, 'AB').label, /^AB \d+\.\d{3} in$/);
+});
+
+test('minimum clearance over the motion never exceeds the closed gap', () => {
+    const config = loadFixture('wide-opening.json');
+    const kinematic = kinematicOf(config);
+    const limits = HingeKinematics.findAngleLimits(kinematic);
+    const sweep = HingeKinematics.sweep(kinematic, 120, limits.angleLimits);
+    const clearance = HingeDimensions.findMinClearance(kinematic, sweep);
+
+    assert.ok(clearance.distance >= 0);
+    assert.ok(clearance.distance <= config.boxDimensions.lidGap + 1e-9);
+    assert.ok(Math.abs(FourBarLinkageCalculator.distance(clearance.lidPoint, clearance.basePoint) - clearance.distance) < 1e-9 ||
+        clearance.distance === 0);
+    assert.equal(clearance.lidCorners.length, 4);
+    assert.equal(HingeDimensions.findMinClearance({ ...kinematic, base: null }, sweep), null);
+
+    const dimensions = HingeDimensions.build(kinematic, { pose: kinematic.pivots, lidPose: kinematic.lid, clearance });
+    assert.match(byId(dimensions, 'clearance').label, /^min clearance [\d.]+ mm at [\d.]+°$/);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HingeKinematics } from '../kinematics.js';
+import { loadFixture } from './helpers.js';
+
+// Exported hinge-config files (main.js format, 1125 x 750 canvas) with the limits
+// the designer reported for them, in degrees. A change to the solver, the limit finder
+// or the collision check that moves any of these is a behavior change.
+const FIXTURES = [
+    {
+        file: 'default-design.json',
+        inputMax: -11.008,
+        kinematicMax: -75.680,
+        lidMax: -17.712,
+        collisionAt: -11.012
+    },
+    {
+        file: 'wide-base-pivots.json',
+        inputMax: -5.092,
+        kinematicMax: -31.741,
+        lidMax: -12.346,
+        collisionAt: -5.096
+    },
+    {
+        file: 'wide-opening.json',
+        inputMax: -94.363,
+        kinematicMax: -94.363,
+        lidMax: -129.960,
+        collisionAt: null
+    }
+];
+
+const TOLERANCE_DEG = 0.01;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+const closeDeg = (actualRad, expectedDeg, label) => {
+    const actual = toDeg(actualRad);
+    assert.ok(Math.abs(actual - expectedDeg) <= TOLERANCE_DEG, `${label}: expected ${expectedDeg}°, got ${actual.toFixed(3)}°`);
+};
+
+const loadConfig = (file) => HingeKinematics.createConfig(loadFixture(file));
+
+for (const expected of FIXTURES) {
+    test(`fixture ${expected.file}: angle limits, lid opening and first collision`, () => {
+        const config = loadConfig(expected.file);
+        assert.equal(HingeKinematics.isValidDesign(config), true);
+
+        const limits = HingeKinematics.findAngleLimits(config);
+        assert.equal(limits.angleLimits.min, 0);
+        assert.equal(limits.lidAngleLimits.min, 0);
+        closeDeg(limits.angleLimits.max, expected.inputMax, 'input limit');
+        closeDeg(limits.kinematicLimits.max, expected.kinematicMax, 'kinematic limit');
+        closeDeg(limits.lidAngleLimits.max, expected.lidMax, 'lid opening');
+
+        if (expected.collisionAt === null) {
+            assert.equal(limits.collision, null);
+        } else {
+            assert.ok(limits.collision, 'expected a lid–base collision');
+            closeDeg(limits.collision.angle, expected.collisionAt, 'collision');
+            // The usable range stops just short of the contact
+            assert.ok(limits.collision.angle < limits.angleLimits.max);
+        }
+    });
+
+    test(`fixture ${expected.file}: the lid is clear of the base across the whole usable range`, () => {
+        const config = loadConfig(expected.file);
+        const { angleLimits } = HingeKinematics.findAngleLimits(config);
+        for (const sample of HingeKinematics.sweep(config, 60, angleLimits)) {
+            assert.ok(sample.pose, `no pose at ${toDeg(sample.inputAngle).toFixed(2)}°`);
+            assert.equal(HingeKinematics.lidCollides(config, sample.pose), false);
+        }
+    });
+}
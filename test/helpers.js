@@ -0,0 +1,27 @@
+import { readFileSync } from 'fs';
+import { ConfigSchema } from '../config_schema.js';
+
+// Shared by the test files: the exported designs in test/fixtures/ and a headless canvas
+
+// Parsed JSON of a fixture file, as exported
+export const readFixture = (file) => JSON.parse(readFileSync(new URL(`./fixtures/${file}`, import.meta.url), 'utf8'));
+
+// Design of a fixture file as the browser imports it (world pivots on the default canvas)
+export const loadFixture = (file) => ConfigSchema.load(readFixture(file)).config;
+
+// Stand-in for the browser canvas so DesignerUI runs headless: every 2D context call is a no-op
+export function createCanvas(width = 1125, height = 750) {
+    const context = new Proxy({}, {
+        get: (target, key) => key in target ? target[key] : key === 'measureText' ? (text) => ({ width: text.length * 6 }) : () => {},
+        set: (target, key, value) => { target[key] = value; return true; }
+    });
+    return {
+        width,
+        height,
+        style: {},
+        getContext: () => context,
+        addEventListener() {},
+        removeEventListener() {},
+        getBoundingClientRect: () => ({ left: 0, top: 0, width, height })
+    };
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { ConfigSchema } from '../config_schema.js';
+import { readFixture, loadFixture } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../hinge_cli.js', import.meta.url));
+const FIXTURE = fileURLToPath(new URL('./fixtures/default-design.json', import.meta.url));
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+test('sweep writes one row per sample and rejects a bad sample count', () => {
+    const { status, stdout } = run('sweep', FIXTURE, '--samples', '4');
+    assert.equal(status, 0);
+    assert.equal(stdout.trim().split('\n').length, 1 + 5);
+
+    for (const samples of ['abc', '0', '-3', '2.5']) {
+        const result = run('sweep', FIXTURE, '--samples', samples);
+        assert.equal(result.status, 1, `--samples ${samples}`);
+        assert.equal(result.stdout, '');
+        assert.match(result.stderr, new RegExp(`Invalid --samples "${samples}"`));
+    }
+});
+
+test('sweep rows are box-relative mm, starting from the file\'s layout', () => {
+    const [header, closed] = run('sweep', FIXTURE, '--samples', '2').stdout.trim().split('\n').map(row => row.split(','));
+    const { boxDimensions, pivots } = loadFixture('default-design.json');
+    const relative = ConfigSchema.toBoxRelative(pivots, boxDimensions);
+    for (const name of ['A', 'B', 'C', 'D']) {
+        assert.equal(Number(closed[header.indexOf(`${name}_x`)]), relative[name].x);
+        assert.equal(Number(closed[header.indexOf(`${name}_y`)]), relative[name].y);
+    }
+    // Inside the 700 mm box rather than at canvas offsets
+    assert.ok(readFixture('default-design.json').pivots.A.x > 400 && relative.A.x < 300);
+});
+
+test('evaluate reports the bar interference the designer shows', () => {
+    const WIDE = fileURLToPath(new URL('./fixtures/wide-opening.json', import.meta.url));
+    const [clear, wide] = JSON.parse(run('evaluate', FIXTURE, WIDE, '--json').stdout);
+    assert.deepEqual(clear.interference, []);
+
+    const crossing = wide.interference.find(issue => issue.type === 'bar-pin');
+    assert.equal(crossing.description, 'Bar DC hits pin A (link must not cross over this pivot)');
+    assert.ok(crossing.firstInputAngleDeg > 0 && crossing.lastInputAngleDeg >= crossing.firstInputAngleDeg);
+    assert.ok(crossing.overlap > 0);
+    assert.match(run('evaluate', WIDE).stdout, /interference: {5}7 found\n {4}Bar AB hits the base bottom wall/);
+});
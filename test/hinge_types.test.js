@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HingeTypes, DEFAULT_HINGE_TYPE } from '../hinge_types.js';
+import { HingeKinematics, DEFAULT_CANVAS } from '../kinematics.js';
+import { HingeAnalyzer } from '../analysis.js';
+import { ConfigSchema } from '../config_schema.js';
+import { FourBarLinkageCalculator } from '../simulator.js';
+
+const box = { width: 700, baseHeight: 100, lidHeight: 100, lidGap: 100 };
+const configOf = (hingeType, pivots = HingeKinematics.getDefaultPivots(hingeType, box)) =>
+    HingeKinematics.createConfig({ boxDimensions: box, pivots, hingeType });
+const toDeg = (rad) => Math.abs(rad) * 180 / Math.PI;
+
+test('every type has a valid default layout that opens the lid', () => {
+    assert.equal(DEFAULT_HINGE_TYPE, 'crossed');
+    assert.deepEqual(HingeTypes.list().map(type => type.id), ['crossed', 'open', 'pin', 'offset', 'watt', 'stephenson']);
+    for (const { id } of HingeTypes.list()) {
+        const config = configOf(id);
+        assert.ok(HingeKinematics.isValidDesign(config), id);
+        assert.ok(toDeg(HingeKinematics.findAngleLimits(config).lidAngleLimits.max) > 15, id);
+    }
+    assert.throws(() => HingeTypes.get('flap'), /Unknown hinge type/);
+});
+
+test('four-bar validity follows whether the type crosses its links', () => {
+    const crossed = HingeKinematics.getDefaultPivots('crossed', box);
+    const open = HingeKinematics.getDefaultPivots('open', box);
+    assert.equal(HingeKinematics.isValidDesign(configOf('open', crossed)), false);
+    assert.equal(HingeKinematics.isValidDesign(configOf('crossed', open)), false);
+    assert.deepEqual(HingeTypes.getEditablePivots('open'), ['A', 'B', 'C', 'D']);
+});
+
+test('an open four-bar stays on its uncrossed branch over the whole opening', () => {
+    const config = configOf('open');
+    const limits = HingeKinematics.findAngleLimits(config);
+    const { A, B, C, D } = config.pivots;
+    const lengths = [FourBarLinkageCalculator.distance(A, B), FourBarLinkageCalculator.distance(D, C)];
+    for (const { pose } of HingeKinematics.sweep(config, 60, limits.angleLimits)) {
+        assert.equal(FourBarLinkageCalculator.segmentsIntersect(pose.A, pose.B, pose.C, pose.D), false);
+        assert.ok(Math.abs(FourBarLinkageCalculator.distance(pose.A, pose.B) - lengths[0]) < 1e-6);
+        assert.ok(Math.abs(FourBarLinkageCalculator.distance(pose.D, pose.C) - lengths[1]) < 1e-6);
+    }
+    assert.ok(toDeg(limits.lidAngleLimits.max) > 90);
+});
+
+test('single-pivot lids turn about the pin', () => {
+    const config = configOf('offset');
+    const { A } = config.pivots;
+    const pose = HingeKinematics.solveLidPose(config, -Math.PI / 3);
+    const lidPose = HingeKinematics.getLidPose(config, pose);
+    assert.ok(Math.abs(lidPose.angle + Math.PI / 3) < 1e-9);
+    // The lid center keeps its distance from the pin
+    const closed = FourBarLinkageCalculator.distance(A, config.lid.center);
+    assert.ok(Math.abs(FourBarLinkageCalculator.distance(A, lidPose.center) - closed) < 1e-9);
+    assert.deepEqual(HingeTypes.getEditablePivots('offset'), ['A']);
+    assert.deepEqual(HingeTypes.getEditablePivots('pin'), []);
+
+    // A pin hinge sits on the back edge, halfway across the gap
+    const base = HingeKinematics.getBaseRect(box, DEFAULT_CANVAS);
+    assert.deepEqual(HingeKinematics.getPinPosition('pin', box), { x: base.minX, y: base.minY - box.lidGap / 2 });
+    const analysis = HingeAnalyzer.analyzeConfig(configOf('pin'));
+    assert.equal(analysis.minTransmission.value, 90);
+});
+
+test('configuration files carry the hinge type', () => {
+    const pivots = HingeKinematics.getDefaultPivots('offset', box);
+    const file = ConfigSchema.serialize({ hingeType: 'offset', boxDimensions: box, pivots });
+    assert.equal(file.hingeType, 'offset');
+    assert.equal(ConfigSchema.load(file).config.hingeType, 'offset');
+
+    const { hingeType, ...untyped } = file;
+    assert.equal(ConfigSchema.load(untyped).config.hingeType, 'crossed');
+    assert.deepEqual(ConfigSchema.validate({ ...file, hingeType: 'flap' }).map(error => error.path), ['hingeType']);
+});
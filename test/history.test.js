@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DesignHistory, HISTORY_STORAGE_KEY } from '../history.js';
+
+// Minimal Storage stand-in
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        items
+    };
+}
+
+const design = (x) => ({ boxDimensions: { width: 700 }, pivots: { A: { x, y: 0 } }, hingeUnlocked: false });
+
+test('undo and redo walk the recorded steps in order', () => {
+    const history = new DesignHistory({ storage: null });
+    history.record('Move pivot A', design(1), design(2));
+    history.record('Move pivot A', design(2), design(3));
+
+    assert.equal(history.undoLabel(), 'Move pivot A');
+    assert.deepEqual(history.undo(), design(2));
+    assert.deepEqual(history.undo(), design(1));
+    assert.equal(history.undo(), null);
+    assert.equal(history.canUndo(), false);
+
+    assert.deepEqual(history.redo(), design(2));
+    assert.deepEqual(history.current(), design(2));
+    assert.deepEqual(history.redo(), design(3));
+    assert.equal(history.redo(), null);
+});
+
+test('a new step clears the redo stack, and no-op steps are not recorded', () => {
+    const history = new DesignHistory({ storage: null });
+    history.record('a', design(1), design(2));
+    history.undo();
+    assert.equal(history.canRedo(), true);
+
+    assert.equal(history.record('unchanged', design(1), design(1)), false);
+    assert.equal(history.canRedo(), true);
+
+    history.record('b', design(1), design(5));
+    assert.equal(history.canRedo(), false);
+    assert.deepEqual(history.current(), design(5));
+});
+
+test('returned snapshots are copies', () => {
+    const history = new DesignHistory({ storage: null });
+    const before = design(1);
+    history.record('a', before, design(2));
+    before.pivots.A.x = 99;
+    const restored = history.undo();
+    assert.equal(restored.pivots.A.x, 1);
+    restored.pivots.A.x = 42;
+    assert.equal(history.redo().pivots.A.x, 2);
+    assert.equal(history.undo().pivots.A.x, 1);
+});
+
+test('only the most recent steps up to the limit are kept', () => {
+    const history = new DesignHistory({ storage: null, limit: 3 });
+    for (let i = 0; i < 5; i++) history.record(`step ${i}`, design(i), design(i + 1));
+    assert.equal(history.undoStack.length, 3);
+    history.undo();
+    history.undo();
+    assert.deepEqual(history.undo(), design(2));
+    assert.equal(history.canUndo(), false);
+});
+
+test('the history survives a reload through storage', () => {
+    const storage = memoryStorage();
+    const first = new DesignHistory({ storage });
+    first.record('a', design(1), design(2));
+    first.record('b', design(2), design(3));
+    first.undo();
+
+    const reloaded = new DesignHistory({ storage });
+    assert.deepEqual(reloaded.current(), design(2));
+    assert.equal(reloaded.undoLabel(), 'a');
+    assert.equal(reloaded.redoLabel(), 'b');
+    assert.deepEqual(reloaded.redo(), design(3));
+});
+
+test('unreadable or foreign storage contents start an empty history', () => {
+    for (const contents of ['{not json', JSON.stringify({ format: 99, undo: [], redo: [] }), JSON.stringify([1, 2])]) {
+        const history = new DesignHistory({ storage: memoryStorage({ [HISTORY_STORAGE_KEY]: contents }) });
+        assert.equal(history.canUndo(), false);
+        assert.equal(history.current(), null);
+    }
+});
+
+test('a full storage does not stop recording', () => {
+    const storage = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } };
+    const history = new DesignHistory({ storage });
+    assert.equal(history.record('a', design(1), design(2)), true);
+    assert.deepEqual(history.undo(), design(1));
+});
@@ -0,0 +1,84 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { InterferenceAnalyzer } from '../interference.js';
+import { DesignerUI } from '../designer.js';
+import { createCanvas } from './helpers.js';
+
+// DesignerUI logs every render
+mock.method(console, 'log', () => {});
+
+// A 200 x 100 base with the closed lid 100 above it, and bars crossing at (100, -50)
+const baseRect = { minX: 0, minY: 0, maxX: 200, maxY: 100 };
+const lidCorners = [{ x: 0, y: -200 }, { x: 200, y: -200 }, { x: 200, y: -100 }, { x: 0, y: -100 }];
+const crossed = { A: { x: 50, y: 50 }, B: { x: 150, y: -150 }, C: { x: 50, y: -150 }, D: { x: 150, y: 50 } };
+const contextFor = (layerAB, layerDC) => ({
+    baseRect,
+    lidCorners,
+    linkProperties: {
+        AB: { barWidth: 12, pinDiameter: 6, layer: layerAB },
+        DC: { barWidth: 12, pinDiameter: 6, layer: layerDC }
+    },
+    wallThickness: 6
+});
+const types = (issues) => issues.map(issue => `${issue.type}:${issue.link}:${issue.other}`);
+
+test('crossing bars collide on a shared layer and pass on separate layers', () => {
+    const same = InterferenceAnalyzer.analyzePose(crossed, contextFor('front', 'front'));
+    assert.deepEqual(types(same), ['bar-bar:AB:DC']);
+    // Both bars are 12 wide and their centerlines meet: they overlap by the full width
+    assert.equal(same[0].clearance, -12);
+    assert.deepEqual(InterferenceAnalyzer.analyzePose(crossed, contextFor('front', 'back')), []);
+});
+
+test('bars report foreign pins and the box walls they touch', () => {
+    // A next to the base's left wall: bar AB's edge runs into the wall strip
+    const nearWall = { ...crossed, A: { x: 8, y: 50 } };
+    const issues = InterferenceAnalyzer.analyzePose(nearWall, contextFor('front', 'back'));
+    assert.deepEqual(types(issues), ['bar-box:AB:base left wall']);
+    // Wall centerline at x = 3 with radius 3, bar radius 6: 5 - 3 - 6
+    assert.ok(Math.abs(issues[0].clearance - (-4)) < 1e-9);
+
+    // Bar DC laid over pin A, on another layer: pins pass through every layer
+    const overPin = { ...crossed, D: { x: 50, y: 80 }, C: { x: 50, y: -150 } };
+    assert.ok(types(InterferenceAnalyzer.analyzePose(overPin, contextFor('front', 'back'))).includes('bar-pin:DC:A'));
+
+    const walls = InterferenceAnalyzer.getWalls(baseRect, lidCorners, 6);
+    assert.deepEqual(walls.map(wall => wall.name), [
+        'base left wall', 'base right wall', 'base bottom wall', 'lid left wall', 'lid right wall', 'lid top wall'
+    ]);
+    assert.deepEqual(walls.find(wall => wall.name === 'lid top wall').a, { x: 0, y: -197 });
+});
+
+test('profiled panels have walls along their outlines, open at the seam', () => {
+    // The base's bottom-left corner cut from (0, 60) to (20, 100)
+    const cut = [{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 200, y: 100 }, { x: 20, y: 100 }, { x: 0, y: 60 }];
+    const walls = InterferenceAnalyzer.getWalls(baseRect, lidCorners, 6, { base: cut });
+    // No wall along the top edge, where the lid closes
+    assert.deepEqual(walls.map(wall => wall.name).filter(name => name.startsWith('base')), [
+        'base right wall', 'base bottom wall', 'base left wall', 'base left wall'
+    ]);
+
+    // A clears the rectangle's walls but sits 10/√5 inside the cut, past its wall centerline at 3
+    const nearCut = { ...crossed, A: { x: 15, y: 80 } };
+    assert.deepEqual(InterferenceAnalyzer.analyzePose(nearCut, contextFor('front', 'back')), []);
+    const issues = InterferenceAnalyzer.analyzePose(nearCut, { ...contextFor('front', 'back'), baseOutline: cut });
+    assert.deepEqual(types(issues), ['bar-box:AB:base left wall']);
+    assert.ok(Math.abs(issues[0].clearance - (10 / Math.sqrt(5) - 3 - 3 - 6)) < 1e-9);
+});
+
+test('the motion sweep summarizes issues over the opening', () => {
+    const designer = new DesignerUI(createCanvas());
+    designer.reset();
+    const apart = InterferenceAnalyzer.analyzeMotion(designer, 30);
+    assert.equal(apart.sampleCount, 31);
+    assert.equal(apart.issues.some(issue => issue.type === 'bar-bar'), false);
+
+    designer.linkProperties.DC = { ...designer.linkProperties.DC, layer: designer.linkProperties.AB.layer };
+    const shared = InterferenceAnalyzer.analyzeMotion(designer, 30);
+    const barBar = shared.issues.find(issue => issue.type === 'bar-bar');
+    // Crossed bars overlap in every pose
+    assert.equal(barBar.count, 31);
+    assert.equal(barBar.firstAngle, designer.angleLimits.min);
+    assert.equal(barBar.lastAngle, designer.angleLimits.max);
+    assert.ok(barBar.minClearance < 0);
+});
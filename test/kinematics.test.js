@@ -0,0 +1,234 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FourBarLinkageCalculator } from '../simulator.js';
+import { HingeKinematics } from '../kinematics.js';
+
+const { distance } = FourBarLinkageCalculator;
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+// Bare linkage without box geometry: no lid–base collisions
+const linkage = (pivots, hingeUnlocked = false) => ({ pivots, hingeUnlocked, lid: null, base: null });
+
+// Closed pose from link lengths: ground A-D on the x axis, input at the given angle,
+// C on the intersection chosen by `pick`
+function buildLinkage({ ground, input, coupler, output, inputAngle, pick = (points) => points[0] }) {
+    const A = { x: 0, y: 0 };
+    const D = { x: ground, y: 0 };
+    const B = { x: input * Math.cos(inputAngle), y: input * Math.sin(inputAngle) };
+    const C = pick(FourBarLinkageCalculator.circleCircleIntersection(B, coupler, D, output));
+    return { A, B, C, D };
+}
+
+// Antiparallelogram: AB = DC = 200 cross each other, BC = AD = 100
+const H = Math.sqrt(200 ** 2 - 100 ** 2);
+const ANTIPARALLELOGRAM = {
+    A: { x: 0, y: 0 },
+    D: { x: 100, y: 0 },
+    B: { x: 100, y: H },
+    C: { x: 0, y: H }
+};
+
+// Small deterministic PRNG so property tests are reproducible
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function assertLinkLengths(config, pose, tolerance = 1e-6) {
+    const { A, B, C, D } = config.pivots;
+    close(distance(pose.A, pose.B), distance(A, B), tolerance);
+    close(distance(pose.B, pose.C), distance(B, C), tolerance);
+    close(distance(pose.D, pose.C), distance(D, C), tolerance);
+    assert.deepEqual(pose.A, A);
+    assert.deepEqual(pose.D, D);
+}
+
+test('antiparallelogram: AC stays parallel to BD and X traces an ellipse with foci A and D', () => {
+    const config = linkage(ANTIPARALLELOGRAM);
+    const { angleLimits } = HingeKinematics.findAngleLimits(config);
+    assert.ok(angleLimits.max < -0.5, `expected a usable opening, got ${angleLimits.max}`);
+
+    // At the limit itself the links fold onto one line and X is undefined
+    const inside = { min: angleLimits.min, max: angleLimits.max * 0.99 };
+    for (const { pose } of HingeKinematics.sweep(config, 40, inside)) {
+        const { A, B, C, D } = pose;
+        const cross = (C.x - A.x) * (D.y - B.y) - (C.y - A.y) * (D.x - B.x);
+        close(cross / (distance(A, C) * distance(B, D)), 0, 1e-9);
+
+        const X = FourBarLinkageCalculator.segmentIntersectionPoint(A, B, D, C);
+        assert.ok(X, 'links stay crossed');
+        close(distance(X, A) + distance(X, D), 200, 1e-6);
+    }
+});
+
+test('antiparallelogram: folds flat after 60° of input with the lid turned half a turn', () => {
+    // cos φ = AD / AB = 1/2 puts B on the line through D and C
+    const config = linkage(ANTIPARALLELOGRAM);
+    const { angleLimits, lidAngleLimits } = HingeKinematics.findAngleLimits(config);
+    close(angleLimits.max, -Math.PI / 3, 1e-4);
+    close(lidAngleLimits.max, -Math.PI, 1e-3);
+});
+
+test('Grashof crank-rocker: the shortest link next to the ground turns all the way round', () => {
+    // s + l = 30 + 100 <= p + q = 90 + 80
+    const pivots = buildLinkage({ ground: 100, input: 30, coupler: 90, output: 80, inputAngle: Math.PI / 2 });
+    const config = linkage(pivots, true);
+    close(HingeKinematics.findKinematicLimit(config, 1), Math.PI * 4);
+    close(HingeKinematics.findKinematicLimit(config, -1), -Math.PI * 4);
+});
+
+test('non-Grashof rocker: the limit is where coupler and output line up', () => {
+    // s + l = 40 + 100 > p + q = 70 + 50, so the input only rocks. Its limit is where
+    // |BD| = BC + DC = 90: cos φ = (70² + 100² - 90²) / (2 · 70 · 100)
+    const pivots = buildLinkage({ ground: 100, input: 70, coupler: 40, output: 50, inputAngle: 0 });
+    const config = linkage(pivots, true);
+    const expected = Math.acos((70 ** 2 + 100 ** 2 - 90 ** 2) / (2 * 70 * 100));
+
+    const positive = HingeKinematics.findKinematicLimit(config, 1);
+    const negative = HingeKinematics.findKinematicLimit(config, -1);
+    close(positive, expected, 2e-4);
+    close(negative, -expected, 2e-4);
+
+    const atLimit = HingeKinematics.solvePose(config, positive);
+    close(distance(atLimit.B, atLimit.D), distance(atLimit.B, atLimit.C) + distance(atLimit.C, atLimit.D), 0.01);
+    assert.equal(HingeKinematics.solvePose(config, expected + 1e-3), null);
+});
+
+test('limit finder: the bound it returns is valid and just beyond it is not', () => {
+    const pivots = buildLinkage({ ground: 100, input: 70, coupler: 40, output: 50, inputAngle: 0 });
+    const config = linkage(pivots, true);
+    const limit = HingeKinematics.findKinematicLimit(config, -1);
+    assert.ok(HingeKinematics.solvePose(config, limit));
+    assert.equal(HingeKinematics.solvePose(config, limit - 2e-4), null);
+});
+
+test('limit finder stays finite for a linkage that only just assembles', () => {
+    // B-C-D collinear in the closed pose: any input rotation pulls the links apart
+    const pivots = { A: { x: 0, y: 0 }, D: { x: 100, y: 0 }, B: { x: 30, y: 0 }, C: { x: 60, y: 0 } };
+    const config = linkage(pivots, true);
+    for (const direction of [-1, 1]) {
+        const limit = HingeKinematics.findKinematicLimit(config, direction);
+        assert.ok(Number.isFinite(limit));
+        assert.ok(Math.abs(limit) < 1e-3, `expected no motion, got ${limit}`);
+    }
+});
+
+test('a linkage that only turns in the positive direction has no opening range', () => {
+    // The non-Grashof rocker closed at its negative toggle: it can only swing back the positive way
+    const toggle = Math.acos((70 ** 2 + 100 ** 2 - 90 ** 2) / (2 * 70 * 100));
+    const pivots = buildLinkage({ ground: 100, input: 70, coupler: 40, output: 50, inputAngle: -toggle });
+    const config = linkage(pivots, true);
+    assert.ok(HingeKinematics.findKinematicLimit(config, 1) > toggle);
+    assert.ok(Math.abs(HingeKinematics.findKinematicLimit(config, -1)) < 1e-3);
+
+    const { angleLimits, kinematicLimits } = HingeKinematics.findAngleLimits(config);
+    assert.ok(kinematicLimits.max <= 0 && kinematicLimits.max > -1e-3, `expected no opening, got ${kinematicLimits.max}`);
+    assert.ok(HingeKinematics.solvePose(config, angleLimits.max));
+});
+
+test('locked hinge: every pose keeps the crossed assembly and the closed orientations', () => {
+    const config = linkage(ANTIPARALLELOGRAM);
+    const reference = HingeKinematics.getReference(config);
+    const { angleLimits, kinematicLimits } = HingeKinematics.findAngleLimits(config);
+    assert.deepEqual(angleLimits, kinematicLimits);
+    assert.ok(angleLimits.max <= 0, 'the lid opens in the negative input direction');
+
+    for (const { pose } of HingeKinematics.sweep(config, 60, angleLimits)) {
+        assert.ok(HingeKinematics.isSameAssembly(config, reference, pose));
+    }
+});
+
+test('sweep chains continuity: consecutive poses stay close (no branch flips)', () => {
+    const config = linkage(ANTIPARALLELOGRAM);
+    const samples = HingeKinematics.sweep(config, 200);
+    for (let i = 1; i < samples.length; i++) {
+        assert.ok(distance(samples[i].pose.C, samples[i - 1].pose.C) < 5, `jump at sample ${i}`);
+    }
+});
+
+test('property: every pose from solvePose and solveLidPose keeps link lengths constant', () => {
+    const random = mulberry32(1234);
+    let checkedConfigs = 0;
+    for (let n = 0; n < 60; n++) {
+        const pivots = buildLinkage({
+            ground: 50 + random() * 250,
+            input: 40 + random() * 300,
+            coupler: 40 + random() * 300,
+            output: 40 + random() * 300,
+            inputAngle: random() * Math.PI * 2,
+            pick: (points) => points && points[Math.floor(random() * points.length)]
+        });
+        if (!pivots.C) continue; // lengths that cannot assemble
+        const unlocked = random() < 0.5;
+        const config = linkage(pivots, unlocked);
+        const min = HingeKinematics.findKinematicLimit(config, -1);
+        const max = HingeKinematics.findKinematicLimit(config, 1);
+        checkedConfigs++;
+
+        let anchor = null;
+        for (let i = 0; i <= 20; i++) {
+            const angle = min + (i / 20) * (max - min);
+            const pose = HingeKinematics.solvePose(config, angle, anchor);
+            if (!pose) continue;
+            anchor = pose.C;
+            assertLinkLengths(config, pose);
+
+            const rotation = FourBarLinkageCalculator.getTransform(pivots.B, pivots.C, pose.B, pose.C).angle;
+            const inverse = HingeKinematics.solveLidPose(config, rotation, pose.C);
+            assert.ok(inverse, 'the lid rotation of a solved pose is reachable');
+            assertLinkLengths(config, inverse);
+        }
+    }
+    assert.ok(checkedConfigs > 20, `only ${checkedConfigs} random linkages assembled`);
+});
+
+test('property: solvePose does not mutate its configuration', () => {
+    const config = linkage(ANTIPARALLELOGRAM);
+    const snapshot = JSON.stringify(config);
+    HingeKinematics.solvePose(config, -0.4);
+    HingeKinematics.findAngleLimits(config);
+    HingeKinematics.sweep(config, 10);
+    assert.equal(JSON.stringify(config), snapshot);
+});
+
+test('lid coordinates round-trip through a rotated lid pose', () => {
+    const lidPose = { center: { x: 300, y: 200 }, angle: -0.7 };
+    const point = { x: 340, y: 150 };
+    const back = HingeKinematics.lidToWorld(lidPose, HingeKinematics.worldToLid(lidPose, point));
+    close(back.x, point.x);
+    close(back.y, point.y);
+    const lid = { width: 100, height: 40 };
+    assert.ok(HingeKinematics.isPointOnLid({ lid }, lidPose, HingeKinematics.lidToWorld(lidPose, { x: 45, y: -15 })));
+    assert.ok(!HingeKinematics.isPointOnLid({ lid }, lidPose, HingeKinematics.lidToWorld(lidPose, { x: 55, y: 0 })));
+});
+
+test('dragging the lid: the nearest pose puts a reachable grabbed point under the pointer', () => {
+    const box = { width: 700, baseHeight: 100, lidHeight: 100, lidGap: 100 };
+    const config = HingeKinematics.createConfig({ boxDimensions: box, pivots: HingeKinematics.placePivots(box) });
+    const { angleLimits } = HingeKinematics.findAngleLimits(config);
+    const lidPoint = { x: 200, y: 0 };
+
+    // A point the grabbed spot actually passes through is found again
+    const pose = HingeKinematics.solvePose(config, (angleLimits.min + angleLimits.max) * 0.37);
+    const target = HingeKinematics.lidToWorld(HingeKinematics.getLidPose(config, pose), lidPoint);
+    const nearest = HingeKinematics.findNearestLidPose(config, lidPoint, target, angleLimits);
+    assert.ok(nearest.distance < 1e-3, `${nearest.distance} mm off`);
+    const rotation = FourBarLinkageCalculator.getTransform(config.pivots.B, config.pivots.C, pose.B, pose.C).angle;
+    close(nearest.lidAngle, rotation, 1e-4);
+
+    // Far away, the pose stays within the range and no nearer sample exists
+    const far = HingeKinematics.findNearestLidPose(config, lidPoint, { x: -2000, y: -2000 }, angleLimits);
+    const lo = Math.min(angleLimits.min, angleLimits.max), hi = Math.max(angleLimits.min, angleLimits.max);
+    assert.ok(far.inputAngle >= lo - 1e-9 && far.inputAngle <= hi + 1e-9);
+    for (const sample of HingeKinematics.sweep(config, 60, angleLimits)) {
+        const point = HingeKinematics.lidToWorld(sample.lidPose, lidPoint);
+        assert.ok(distance(point, { x: -2000, y: -2000 }) >= far.distance - 1e-9);
+    }
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlanarLinkage } from '../linkage.js';
+import { HingeTypes } from '../hinge_types.js';
+import { HingeKinematics } from '../kinematics.js';
+import { HingeAnalyzer } from '../analysis.js';
+import { ConfigSchema } from '../config_schema.js';
+import { FourBarLinkageCalculator } from '../simulator.js';
+
+const box = { width: 700, baseHeight: 100, lidHeight: 100, lidGap: 100 };
+const configOf = (hingeType, pivots = HingeKinematics.getDefaultPivots(hingeType, box)) =>
+    HingeKinematics.createConfig({ boxDimensions: box, pivots, hingeType });
+const fourBar = { bodies: { base: ['A', 'D'], crank: ['A', 'B'], lid: ['B', 'C'], rocker: ['D', 'C'] }, ground: 'base', input: 'crank', output: 'lid' };
+
+test('a four-bar solved numerically matches the closed-form solution', () => {
+    const config = configOf('crossed');
+    const { max } = HingeKinematics.findAngleLimits(config).angleLimits;
+    let anchor = null;
+    for (let i = 0; i <= 10; i++) {
+        const angle = max * i / 10;
+        const expected = HingeKinematics.solvePose(config, angle, anchor);
+        anchor = expected.C;
+        const state = PlanarLinkage.solveAt(fourBar, config.pivots, { body: 'crank', angle });
+        assert.ok(FourBarLinkageCalculator.distance(state.joints.C, expected.C) < 1e-6, `input ${angle}`);
+        assert.ok(Math.abs(state.bodies.crank.angle - angle) < 1e-9);
+    }
+});
+
+test('a linkage needs exactly one degree of freedom and placed joints', () => {
+    const watt = HingeTypes.get('watt').linkage;
+    assert.equal(PlanarLinkage.getDegreesOfFreedom(watt), 1);
+    assert.equal(PlanarLinkage.getDegreesOfFreedom(fourBar), 1);
+    assert.deepEqual(PlanarLinkage.validate(watt), []);
+
+    const { link, ...bodies } = watt.bodies;
+    const errors = PlanarLinkage.validate({ ...watt, bodies });
+    assert.ok(errors.some(error => /joint E connects nothing/.test(error)));
+    assert.ok(errors.some(error => /2 degrees of freedom/.test(error)));
+    assert.deepEqual(PlanarLinkage.validate({ ...watt, input: 'lid' }), ['input body lid is not pinned to the ground']);
+
+    const { G, ...pivots } = HingeKinematics.getDefaultPivots('watt', box);
+    assert.deepEqual(PlanarLinkage.validate(watt, pivots), ['joint G has no position']);
+    assert.equal(HingeKinematics.isValidDesign(configOf('watt', pivots)), false);
+    assert.equal(HingeKinematics.solvePose(configOf('watt', pivots), -0.1), null);
+});
+
+test('six-bar lids open wide with every link keeping its length', () => {
+    for (const type of ['watt', 'stephenson']) {
+        const config = configOf(type);
+        const { bodies } = HingeTypes.get(type).linkage;
+        assert.ok(HingeKinematics.isValidDesign(config), type);
+        const limits = HingeKinematics.findAngleLimits(config);
+        assert.ok(Math.abs(limits.lidAngleLimits.max) * 180 / Math.PI > 140, type);
+
+        for (const { pose } of HingeKinematics.sweep(config, 40, limits.angleLimits)) {
+            for (const names of Object.values(bodies)) {
+                for (let i = 1; i < names.length; i++) {
+                    const closed = FourBarLinkageCalculator.distance(config.pivots[names[0]], config.pivots[names[i]]);
+                    assert.ok(Math.abs(FourBarLinkageCalculator.distance(pose[names[0]], pose[names[i]]) - closed) < 1e-6, type);
+                }
+            }
+        }
+
+        // Driving the lid reaches the requested rotation
+        const lidAngle = limits.lidAngleLimits.max / 2;
+        const pose = HingeKinematics.solveLidPose(config, lidAngle);
+        assert.ok(Math.abs(HingeKinematics.getLidPose(config, pose).angle - lidAngle) < 1e-6, type);
+        assert.notEqual(HingeAnalyzer.analyzeConfig(config, limits.angleLimits).status, 'fail', type);
+    }
+});
+
+test('six-bar joints are listed, editable and saved', () => {
+    assert.deepEqual(HingeTypes.getPivotNames('stephenson'), ['A', 'B', 'C', 'D', 'E', 'F', 'G']);
+    assert.deepEqual(HingeTypes.getEditablePivots('watt'), ['A', 'B', 'C', 'D', 'E', 'F', 'G']);
+    assert.deepEqual(HingeTypes.getLinks('stephenson'), [['A', 'F'], ['D', 'G'], ['F', 'G', 'B'], ['E', 'C']]);
+    assert.equal(HingeTypes.isSinglePivot('watt'), false);
+    assert.deepEqual(PlanarLinkage.getBinaryLinks(HingeTypes.get('watt').linkage, HingeKinematics.getDefaultPivots('watt', box)).map(link => link.name),
+        ['DG', 'EC']);
+
+    const pivots = HingeKinematics.getDefaultPivots('stephenson', box);
+    const file = ConfigSchema.serialize({ hingeType: 'stephenson', boxDimensions: box, pivots });
+    assert.deepEqual(Object.keys(file.pivots).sort(), HingeTypes.getPivotNames('stephenson'));
+    const loaded = ConfigSchema.load(file).config;
+    for (const name of Object.keys(pivots)) {
+        assert.ok(FourBarLinkageCalculator.distance(loaded.pivots[name], pivots[name]) < 1e-5, name);
+    }
+    const { F, ...missing } = file.pivots;
+    assert.deepEqual(ConfigSchema.validate({ ...file, pivots: missing }).map(error => error.path), ['pivots.F']);
+});
@@ -0,0 +1,64 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { HingeOptimizer } from '../optimizer.js';
+import { DesignerUI } from '../designer.js';
+import { createCanvas } from './helpers.js';
+
+// DesignerUI logs every render
+mock.method(console, 'log', () => {});
+
+const options = { samples: 40, refineIterations: 20, sweepSamples: 12, seed: 7 };
+
+function designerState(designer) {
+    return JSON.parse(JSON.stringify({
+        pivots: designer.mechanism.pivots,
+        initialPivots: designer.initialPivots,
+        initialInputAngle: designer.initialInputAngle,
+        initialOrientations: designer.initialOrientations,
+        lastValidC: designer.lastValidC,
+        angleLimits: designer.angleLimits,
+        lidAngleLimits: designer.lidAngleLimits,
+        kinematicLimits: designer.kinematicLimits,
+        collisionInfo: designer.collisionInfo,
+        animatedState: designer.animatedState
+    }));
+}
+
+test('the best candidate opens further than the current design and ranks by score', async () => {
+    const designer = new DesignerUI(createCanvas());
+    designer.reset();
+    const candidates = await new HingeOptimizer(designer, { ...options, targetAngleDeg: 95 }).run();
+
+    // The default design stops at lid–base contact after about 18°
+    const current = new HingeOptimizer(designer, options).evaluate(designer.mechanism.pivots, 'current');
+    const [best] = candidates;
+    assert.ok(best.score < current.score);
+    assert.ok(best.openingDeg > current.openingDeg + 20);
+    assert.deepEqual(candidates.map(candidate => candidate.rank), candidates.map((_, i) => i + 1));
+    for (let i = 1; i < candidates.length; i++) {
+        assert.ok(HingeOptimizer.compare(candidates[i - 1], candidates[i]) <= 0);
+    }
+});
+
+test('objectives rank by link length or footprint', async () => {
+    const designer = new DesignerUI(createCanvas());
+    designer.reset();
+    // A low target makes every opening layout feasible, so the objective alone decides
+    const run = (objective) => new HingeOptimizer(designer, { ...options, targetAngleDeg: 1, objective }).run();
+    const byLength = (await run('linkLength')).filter(candidate => candidate.feasible);
+    const byFootprint = (await run('footprint')).filter(candidate => candidate.feasible);
+    assert.ok(byLength.length > 1 && byFootprint.length > 1);
+    for (let i = 1; i < byLength.length; i++) assert.ok(byLength[i - 1].linkLength <= byLength[i].linkLength + 1e-9);
+    for (let i = 1; i < byFootprint.length; i++) assert.ok(byFootprint[i - 1].footprint <= byFootprint[i].footprint + 1e-9);
+});
+
+test('a run leaves the designer state as it found it', async () => {
+    const designer = new DesignerUI(createCanvas());
+    designer.reset();
+    designer.animateLidAngle(designer.lidAngleLimits.max / 2);
+    const before = designerState(designer);
+    const progress = [];
+    await new HingeOptimizer(designer, options).run(fraction => progress.push(fraction));
+    assert.deepEqual(designerState(designer), before);
+    assert.equal(progress[progress.length - 1], 1);
+});
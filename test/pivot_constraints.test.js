@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PivotConstraints } from '../pivot_constraints.js';
+import { ConfigSchema } from '../config_schema.js';
+import { HingeKinematics } from '../kinematics.js';
+import { FourBarLinkageCalculator } from '../simulator.js';
+
+const box = { width: 700, baseHeight: 100, lidHeight: 100, lidGap: 100 };
+const frame = PivotConstraints.getFrame(box);
+const pivots = HingeKinematics.placePivots(box);
+const settings = (overrides = {}) => ({ ...PivotConstraints.defaults(), ...overrides });
+const relative = (p) => ConfigSchema.toBoxRelative(p, box);
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test('the frame matches the box-relative panels of ConfigSchema', () => {
+    const base = HingeKinematics.getBaseRect(box);
+    assert.deepEqual(frame.base, base);
+    assert.equal(frame.lid.maxY, base.minY - box.lidGap);
+    assert.equal(frame.lid.maxY - frame.lid.minY, box.lidHeight);
+    assert.equal(frame.centerX, 562.5);
+});
+
+test('the grid is measured from the box left edge and each pivot\'s panel edge', () => {
+    const { pivots: snappedA } = PivotConstraints.apply(pivots, 'A', { x: frame.base.minX + 23.4, y: frame.base.minY + 36.2 }, settings({ grid: 5 }), frame);
+    assert.deepEqual(relative(snappedA).A, { x: 25, y: 35 });
+
+    const { pivots: snappedB } = PivotConstraints.apply(pivots, 'B', { x: frame.base.minX + 512.6, y: frame.lid.maxY - 47.4 }, settings({ grid: 5 }), frame);
+    assert.deepEqual(relative(snappedB).B, { x: 515, y: 45 });
+
+    // Typed coordinates are placed exactly
+    const { pivots: typed } = PivotConstraints.apply(pivots, 'A', { x: frame.base.minX + 23.4, y: frame.base.minY + 36.2 }, settings({ grid: 5 }), frame, { snap: false });
+    assert.ok(close(relative(typed).A.x, 23.4));
+});
+
+test('symmetric layouts mirror the partner about the centerline', () => {
+    const { pivots: moved, violations } = PivotConstraints.apply(pivots, 'C', { x: 300, y: 520 }, settings({ symmetric: true }), frame);
+    assert.deepEqual(moved.B, { x: 825, y: 520 });
+    assert.deepEqual(violations, []);
+
+    const { pivots: enforced } = PivotConstraints.enforce({ ...pivots, D: { x: 700, y: 700 } }, settings({ symmetric: true }), frame);
+    assert.deepEqual(enforced.D, PivotConstraints.mirror(pivots.A, frame));
+});
+
+test('level locks keep the partner at the same height and its locked length', () => {
+    const locks = settings({ levelBase: true, fixedLengths: { AB: null, DC: FourBarLinkageCalculator.distance(pivots.D, pivots.C) } });
+    const { pivots: moved, blocked, violations } = PivotConstraints.apply(pivots, 'A', { x: pivots.A.x, y: pivots.A.y + 20 }, locks, frame);
+    assert.equal(blocked, false);
+    assert.equal(moved.D.y, moved.A.y);
+    assert.ok(Math.abs(FourBarLinkageCalculator.distance(moved.D, moved.C) - locks.fixedLengths.DC) < 1e-9);
+    assert.deepEqual(violations, []);
+});
+
+test('a locked link length keeps the moved pivot on its circle', () => {
+    const length = FourBarLinkageCalculator.distance(pivots.A, pivots.B);
+    const { pivots: moved } = PivotConstraints.apply(pivots, 'B', { x: pivots.B.x - 40, y: pivots.B.y }, settings({ fixedLengths: { AB: length, DC: null } }), frame);
+    assert.ok(close(FourBarLinkageCalculator.distance(moved.A, moved.B), length));
+    assert.ok(moved.B.x < pivots.B.x);
+});
+
+test('moves that would push a pivot out of its panel are blocked', () => {
+    const length = FourBarLinkageCalculator.distance(pivots.A, pivots.B);
+    // Along AB the lid pivot would end up below the lid
+    const result = PivotConstraints.apply(pivots, 'B', { x: pivots.A.x + 1, y: pivots.A.y - 1 }, settings({ fixedLengths: { AB: length, DC: null } }), frame);
+    assert.equal(result.blocked, true);
+    assert.deepEqual(result.pivots, pivots);
+
+    const tooLong = PivotConstraints.enforce(pivots, settings({ fixedLengths: { AB: 2000, DC: null } }), frame);
+    assert.equal(tooLong.blocked, true);
+});
+
+test('contradicting locks are reported', () => {
+    const lengthAB = FourBarLinkageCalculator.distance(pivots.A, pivots.B);
+    const locks = settings({ symmetric: true, fixedLengths: { AB: lengthAB, DC: lengthAB - 10 } });
+    // Mirroring makes DC as long as AB, so the DC lock cannot hold
+    const { violations } = PivotConstraints.enforce(pivots, locks, frame);
+    assert.deepEqual(violations.map(v => v.constraint), ['fixedLengthDC']);
+    assert.match(violations[0].message, /^DC is [\d.]+ mm, locked at [\d.]+ mm$/);
+    const inches = PivotConstraints.enforce(pivots, locks, frame, 'inches').violations;
+    assert.match(inches[0].message, /^DC is \d+\.\d{4} in, locked at \d+\.\d{4} in$/);
+    assert.deepEqual(PivotConstraints.check(pivots, PivotConstraints.defaults(), frame), []);
+});
@@ -0,0 +1,83 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlotPanel } from '../plot_panel.js';
+import { DesignerUI } from '../designer.js';
+import { createCanvas } from './helpers.js';
+
+// DesignerUI logs every render
+mock.method(console, 'log', () => {});
+
+const close = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+const byTitle = (charts, start) => charts.find(chart => chart.title.startsWith(start));
+
+function designerOf(hingeType) {
+    const designer = new DesignerUI(createCanvas());
+    designer.reset();
+    if (hingeType) designer.setHingeType(hingeType);
+    return designer;
+}
+
+test('series follow the analysis samples from the closed pose', () => {
+    const designer = designerOf();
+    const report = designer.analysisReport;
+    const charts = PlotPanel.buildCharts(designer, report);
+    assert.deepEqual(charts.map(chart => chart.title), [
+        'Lid rotation (°)', 'Lid center displacement (mm)', 'Transmission angle (°)', 'Crossing point X (mm)'
+    ]);
+
+    // Every chart shares the input angle axis, rising from 0 at the closed pose
+    const { x } = charts[0];
+    assert.equal(x.length, report.samples.length);
+    assert.ok(close(x[0], 0));
+    assert.ok(x.every((value, i) => i === 0 || value > x[i - 1]));
+    assert.ok(charts.every(chart => chart.x === x && chart.series.every(series => series.values.length === x.length)));
+
+    // Lid rotation counts up in the opening direction to the lid limit
+    const [lid] = byTitle(charts, 'Lid rotation').series;
+    assert.ok(close(lid.values[0], 0));
+    assert.ok(close(lid.values[lid.values.length - 1], Math.abs(designer.lidAngleLimits.max) * 180 / Math.PI, 1e-6));
+
+    const [dx, dy] = byTitle(charts, 'Lid center').series;
+    assert.ok(close(dx.values[0], 0) && close(dy.values[0], 0));
+    assert.ok(dy.values[dy.values.length - 1] > 0, 'the opening lid rises');
+    assert.deepEqual(byTitle(charts, 'Transmission').series[0].values, report.samples.map(sample => sample.transmissionAngle));
+
+    // X in the closed pose, relative to the box left and base top like the crossing report
+    const [crossingX, crossingY] = byTitle(charts, 'Crossing point').series;
+    const { position } = designer.getCrossingReport();
+    assert.ok(close(crossingX.values[0], position.x) && close(crossingY.values[0], position.y));
+});
+
+test('lengths follow the display unit and open linkages have no crossing point', () => {
+    const designer = designerOf();
+    const mm = PlotPanel.buildCharts(designer, designer.analysisReport, 'mm');
+    const inches = PlotPanel.buildCharts(designer, designer.analysisReport, 'inches');
+    assert.equal(byTitle(inches, 'Lid center').title, 'Lid center displacement (in)');
+    assert.equal(byTitle(inches, 'Lid center').decimals, 3);
+    const last = (charts) => byTitle(charts, 'Lid center').series[1].values.at(-1);
+    assert.ok(close(last(inches) * 25.4, last(mm)));
+
+    const open = designerOf('open');
+    const crossing = byTitle(PlotPanel.buildCharts(open, open.analysisReport), 'Crossing point');
+    assert.ok(crossing.series.every(series => series.values.every(value => value === null)));
+});
+
+test('values under the cursor interpolate between samples and bridge gaps', () => {
+    const x = [0, 10, 20, 30];
+    assert.equal(PlotPanel.valueAt(x, [0, 5, 10, 40], 15), 7.5);
+    assert.equal(PlotPanel.valueAt(x, [0, 5, 10, 40], 30), 40);
+    // Next to a gap the known neighbour is shown; outside the axis there is no value
+    assert.equal(PlotPanel.valueAt(x, [0, null, 10, 40], 5), 0);
+    assert.equal(PlotPanel.valueAt(x, [0, 5, 10, 40], 31), null);
+    assert.equal(PlotPanel.valueAt([4], [9], 0), 9);
+});
+
+test('value axes use a fixed range, the data span, or widen when flat', () => {
+    const chart = (values, range) => ({ series: [{ values }], ...(range ? { range } : {}) });
+    assert.deepEqual(PlotPanel.getRange(chart([3, -2, null, 7])), { min: -2, max: 7 });
+    assert.deepEqual(PlotPanel.getRange(chart([3, 200], { min: 0, max: 180 })), { min: 0, max: 180 });
+    assert.deepEqual(PlotPanel.getRange(chart([5, 5])), { min: 4, max: 6 });
+    assert.deepEqual(PlotPanel.getRange(chart([null, NaN])), { min: 0, max: 1 });
+    // Series of one chart share its axis
+    assert.deepEqual(PlotPanel.getRange({ series: [{ values: [1, 2] }, { values: [-4, 0] }] }), { min: -4, max: 2 });
+});
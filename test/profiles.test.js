@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BoxProfiles } from '../profiles.js';
+import { HingeKinematics } from '../kinematics.js';
+import { HingeDimensions } from '../dimensions.js';
+import { ConfigSchema } from '../config_schema.js';
+import { FourBarLinkageCalculator } from '../simulator.js';
+
+const box = { width: 700, baseHeight: 100, lidHeight: 100, lidGap: 100 };
+const area = (outline) => Math.abs(FourBarLinkageCalculator.polygonArea(BoxProfiles.toPolygon(outline)));
+const configOf = (hingeType, profiles = null) =>
+    HingeKinematics.createConfig({ boxDimensions: box, pivots: HingeKinematics.getDefaultPivots(hingeType, box), hingeType, profiles });
+const toDeg = (rad) => Math.abs(rad) * 180 / Math.PI;
+
+test('presets cut, round, raise or dome the panels', () => {
+    assert.equal(BoxProfiles.preset('rectangle', 'base', box, 20), null);
+    assert.equal(area(BoxProfiles.preset('chamfered', 'lid', box, 20)), 700 * 100 - 4 * 200);
+    // Quarter circles of radius 20 in every corner, flattened just inside the true arcs
+    const rounded = area(BoxProfiles.preset('rounded', 'base', box, 20));
+    const exact = 700 * 100 - 4 * (400 - Math.PI * 100);
+    assert.ok(rounded < exact && exact - rounded < 20);
+    assert.equal(area(BoxProfiles.preset('lip', 'base', box, 20)), 700 * 100 + 660 * 20);
+    // A dome of rise 30 adds a circular segment over the shortened sides
+    const domed = area(BoxProfiles.preset('domed', 'lid', box, 30));
+    assert.ok(Math.abs(domed - (700 * 70 + 2 / 3 * 700 * 30)) < 300);
+    assert.deepEqual(BoxProfiles.listPresets('lid').map(preset => preset.id), ['rectangle', 'chamfered', 'rounded', 'domed']);
+    assert.throws(() => BoxProfiles.preset('lip', 'lid', box, 20), /Unknown lid profile/);
+    // At half the panel height the straight sides vanish instead of leaving repeated vertices
+    assert.deepEqual(BoxProfiles.validate(BoxProfiles.preset('rounded', 'base', box, 50)), []);
+});
+
+test('SVG path data and typed vertices become outlines', () => {
+    // Circular arcs stay bulges, on the outward side for either winding
+    const { outline, errors } = BoxProfiles.fromSvgPath('M20 0 H680 A20 20 0 0 1 700 20 V100 H0 V20 A20 20 0 0 1 20 0 Z', 'base', box);
+    assert.deepEqual(errors, []);
+    assert.equal(outline.length, 6);
+    assert.ok(Math.abs(outline[1].bulge - Math.tan(Math.PI / 8)) < 1e-12);
+    assert.ok(area(outline) > 700 * 100 - 2 * 400);
+
+    // Relative commands, packed arc flags and curves from an SVG document; the lid is flipped to y up
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"><path fill="none" d="m0,100 l700,0 0,-60 a400,50 0 00-700,0z"/></svg>';
+    const lid = BoxProfiles.fromSvgPath(svg, 'lid', box);
+    assert.deepEqual(lid.errors, []);
+    assert.deepEqual(lid.outline.slice(0, 2), [{ x: 0, y: 0 }, { x: 700, y: 0 }]);
+    assert.ok(lid.outline.length > 10 && lid.outline.every(p => p.y >= -1e-9 && p.y <= 100 + 1e-9));
+    assert.match(BoxProfiles.fromSvgPath('L 10 10', 'base', box).errors[0], /expected M before drawing/);
+
+    const typed = BoxProfiles.parseVertices('0, 0\n1 0\n1, 1, 0.5\n\n0 1', 'inches');
+    assert.deepEqual(typed.errors, []);
+    assert.deepEqual(typed.outline[2], { x: 25.4, y: 25.4, bulge: 0.5 });
+    assert.deepEqual(BoxProfiles.parseVertices(BoxProfiles.formatVertices(typed.outline, 'inches'), 'inches').outline, typed.outline);
+    assert.match(BoxProfiles.parseVertices('0 0\n10 x').errors[0], /^line 2/);
+    assert.deepEqual(BoxProfiles.parseVertices('0 0\n10 10\n0 10\n10 0').errors, ['the outline encloses no area']);
+    assert.deepEqual(BoxProfiles.validate([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }, { x: 10, y: 10 }, { x: 5, y: -5 }]), ['the outline crosses itself']);
+});
+
+test('concave outlines overlap only where their material does', () => {
+    // An L shape and a square sitting in its notch
+    const L = [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 10 }, { x: 10, y: 10 }, { x: 10, y: 20 }, { x: 0, y: 20 }];
+    const square = (x, y) => [{ x, y }, { x: x + 8, y }, { x: x + 8, y: y + 8 }, { x, y: y + 8 }];
+    assert.equal(FourBarLinkageCalculator.convexPolygonsOverlap(L, square(11, 11)), true);
+    assert.equal(FourBarLinkageCalculator.polygonsOverlap(L, square(11, 11)), false);
+    assert.equal(FourBarLinkageCalculator.polygonsOverlap(L, square(5, 5)), true);
+    assert.equal(BoxProfiles.containsPoint(L, { x: 15, y: 15 }), false);
+    assert.deepEqual(BoxProfiles.clampToPolygon(L, { x: 15, y: 12 }), { x: 15, y: 10 });
+});
+
+test('collisions, clearance and pivot checks follow the real outlines', () => {
+    const rounded = {
+        base: BoxProfiles.preset('rounded', 'base', box, 30),
+        lid: BoxProfiles.preset('rounded', 'lid', box, 30)
+    };
+    // The Watt lid swings its back edge past the base's back edge: rounding both lets it open further
+    const plain = HingeKinematics.findAngleLimits(configOf('watt')).lidAngleLimits.max;
+    const eased = HingeKinematics.findAngleLimits(configOf('watt', rounded)).lidAngleLimits.max;
+    assert.ok(toDeg(eased) > toDeg(plain) + 5);
+
+    // The open four-bar clears the base either way, by more with rounded edges
+    const clearance = (config) => {
+        const limits = HingeKinematics.findAngleLimits(config);
+        return HingeDimensions.findMinClearance(config, HingeKinematics.sweep(config, 60, limits.angleLimits)).distance;
+    };
+    assert.ok(clearance(configOf('open', rounded)) > clearance(configOf('open')) + 5);
+
+    // A corner pivot is outside a rounded base; the lid outline and trace points leave the corners too
+    const config = configOf('open', rounded);
+    const corner = { x: config.base.minX + 1, y: config.base.minY + 1 };
+    assert.equal(HingeKinematics.isInsideBase(configOf('open'), corner), true);
+    assert.equal(HingeKinematics.isInsideBase(config, corner), false);
+    const [TL, , BR, BL] = HingeKinematics.getLidCorners(config, config.lid);
+    assert.equal(HingeKinematics.isPointOnLid(config, config.lid, { x: TL.x + 1, y: TL.y + 1 }), false);
+    assert.equal(HingeKinematics.isPointOnLid(config, config.lid, config.lid.center), true);
+    const { left, right } = HingeKinematics.getLidTracePoints(config);
+    assert.ok(Math.abs(FourBarLinkageCalculator.distance(left, BL) - 30 * (Math.SQRT2 - 1)) < 0.1);
+    assert.ok(Math.abs(FourBarLinkageCalculator.distance(right, BR) - 30 * (Math.SQRT2 - 1)) < 0.1);
+});
+
+test('configuration files carry the profiles', () => {
+    const profiles = { base: BoxProfiles.preset('lip', 'base', box, 10), lid: null };
+    const pivots = HingeKinematics.getDefaultPivots('open', box);
+    const file = ConfigSchema.serialize({ hingeType: 'open', boxDimensions: box, pivots, profiles });
+    assert.deepEqual(file.profiles, profiles);
+    assert.deepEqual(ConfigSchema.load(file).config.profiles, profiles);
+
+    // Rectangular boxes write no profiles and load as rectangles
+    const rectangular = ConfigSchema.serialize({ hingeType: 'open', boxDimensions: box, pivots, profiles: { base: null, lid: null } });
+    assert.equal(rectangular.profiles, undefined);
+    assert.deepEqual(ConfigSchema.load(rectangular).config.profiles, { base: null, lid: null });
+
+    const errors = ConfigSchema.validate({ ...file, profiles: { base: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1, bulge: 3 }] } });
+    assert.deepEqual(errors.map(error => error.path), ['profiles.base']);
+    assert.match(errors[0].message, /bulge between -1 and 1/);
+});
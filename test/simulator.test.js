@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FourBarLinkageCalculator } from '../simulator.js';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+test('circleCircleIntersection returns both points of two crossing circles', () => {
+    const points = FourBarLinkageCalculator.circleCircleIntersection({ x: 0, y: 0 }, 5, { x: 8, y: 0 }, 5);
+    assert.equal(points.length, 2);
+    for (const p of points) {
+        close(FourBarLinkageCalculator.distance(p, { x: 0, y: 0 }), 5);
+        close(FourBarLinkageCalculator.distance(p, { x: 8, y: 0 }), 5);
+    }
+    close(points[0].x, 4);
+    close(Math.abs(points[0].y), 3);
+    close(points[0].y, -points[1].y);
+});
+
+test('circleCircleIntersection returns a single point for external and internal tangency', () => {
+    const external = FourBarLinkageCalculator.circleCircleIntersection({ x: 0, y: 0 }, 1, { x: 2, y: 0 }, 1);
+    assert.deepEqual(external, [{ x: 1, y: 0 }]);
+
+    const internal = FourBarLinkageCalculator.circleCircleIntersection({ x: 0, y: 0 }, 2, { x: 1, y: 0 }, 1);
+    assert.equal(internal.length, 1);
+    close(internal[0].x, 2);
+    close(internal[0].y, 0);
+});
+
+test('circleCircleIntersection returns null for separate, contained and concentric circles', () => {
+    assert.equal(FourBarLinkageCalculator.circleCircleIntersection({ x: 0, y: 0 }, 1, { x: 3, y: 0 }, 1), null);
+    assert.equal(FourBarLinkageCalculator.circleCircleIntersection({ x: 0, y: 0 }, 5, { x: 1, y: 0 }, 1), null);
+    assert.equal(FourBarLinkageCalculator.circleCircleIntersection({ x: 0, y: 0 }, 2, { x: 0, y: 0 }, 1), null);
+    // Coincident circles meet everywhere: no unique intersection
+    assert.equal(FourBarLinkageCalculator.circleCircleIntersection({ x: 1, y: 1 }, 2, { x: 1, y: 1 }, 2), null);
+});
+
+test('circleCircleIntersection rejects circles a hair too far apart to touch', () => {
+    assert.equal(FourBarLinkageCalculator.circleCircleIntersection({ x: 0, y: 0 }, 1, { x: 2 + 1e-9, y: 0 }, 1), null);
+});
+
+test('segmentsIntersect detects proper crossings and rejects disjoint segments', () => {
+    const { segmentsIntersect } = FourBarLinkageCalculator;
+    assert.equal(segmentsIntersect({ x: 0, y: 0 }, { x: 2, y: 2 }, { x: 0, y: 2 }, { x: 2, y: 0 }), true);
+    assert.equal(segmentsIntersect({ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 0 }, { x: 3, y: -1 }), false);
+    // Parallel, not collinear
+    assert.equal(segmentsIntersect({ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 0, y: 1 }, { x: 2, y: 1 }), false);
+});
+
+test('segmentsIntersect handles collinear and touching segments', () => {
+    const { segmentsIntersect } = FourBarLinkageCalculator;
+    // Collinear and overlapping
+    assert.equal(segmentsIntersect({ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 1, y: 0 }, { x: 3, y: 0 }), true);
+    // Collinear with a gap
+    assert.equal(segmentsIntersect({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 0 }), false);
+    // Shared endpoint
+    assert.equal(segmentsIntersect({ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 0 }), true);
+    // Endpoint touching the middle of the other segment
+    assert.equal(segmentsIntersect({ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 2 }), true);
+});
+
+test('segmentIntersectionPoint returns the crossing and its parameters', () => {
+    const point = FourBarLinkageCalculator.segmentIntersectionPoint({ x: 0, y: 0 }, { x: 4, y: 4 }, { x: 0, y: 4 }, { x: 4, y: 0 });
+    assert.deepEqual(point, { x: 2, y: 2, t: 0.5, u: 0.5 });
+    assert.equal(FourBarLinkageCalculator.segmentIntersectionPoint({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }), null);
+    assert.equal(FourBarLinkageCalculator.segmentIntersectionPoint({ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 3, y: 0 }, { x: 2, y: 1 }), null);
+});
+
+test('isPositionReachable accepts poses on both link circles and reports the errors otherwise', () => {
+    const mechanism = {
+        basePivots: { left: { x: 0, y: 0 }, right: { x: 10, y: 0 } },
+        linkageGeom: { rockerA: 10, rockerC: 10 }
+    };
+    const floatingPoints = { A: { x: 5, y: 0 }, B: { x: -5, y: 0 } };
+
+    // Rotated half a turn the lid pivots land at (0, 10) and (10, 10): exactly on both circles
+    const exact = FourBarLinkageCalculator.isPositionReachable({ center: { x: 5, y: 10 }, rotation: 180 }, mechanism, floatingPoints);
+    assert.equal(exact.isReachable, true);
+    close(exact.errorA, 0, 1e-9);
+    close(exact.errorC, 0, 1e-9);
+    close(exact.targetB.x, 0, 1e-9);
+
+    // Within the 2 mm tolerance
+    const near = FourBarLinkageCalculator.isPositionReachable({ center: { x: 5, y: 11 }, rotation: 180 }, mechanism, floatingPoints);
+    assert.equal(near.isReachable, true);
+    close(near.errorA, 1, 1e-9);
+
+    const far = FourBarLinkageCalculator.isPositionReachable({ center: { x: 5, y: 30 }, rotation: 0 }, mechanism, floatingPoints);
+    assert.equal(far.isReachable, false);
+});
+
+test('circumcenter is equidistant from three points and null for collinear points', () => {
+    const center = FourBarLinkageCalculator.circumcenter({ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 0, y: 3 });
+    close(center.x, 2);
+    close(center.y, 1.5);
+    assert.equal(FourBarLinkageCalculator.circumcenter({ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }), null);
+});
+
+test('solveForCouplerRotation keeps both link lengths and the coupler rotation', () => {
+    const pivots = { A: { x: 0, y: 0 }, D: { x: 100, y: 0 }, B: { x: 100, y: 173.2050807568877 }, C: { x: 0, y: 173.2050807568877 } };
+    const rotation = -0.3;
+    const poses = FourBarLinkageCalculator.solveForCouplerRotation(pivots, rotation);
+    assert.equal(poses.length, 2);
+    for (const pose of poses) {
+        close(FourBarLinkageCalculator.distance(pose.A, pose.B), 200, 1e-9);
+        close(FourBarLinkageCalculator.distance(pose.D, pose.C), 200, 1e-9);
+        close(FourBarLinkageCalculator.getTransform(pivots.B, pivots.C, pose.B, pose.C).angle, rotation, 1e-12);
+    }
+});
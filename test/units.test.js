@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Units, MM_PER_INCH } from '../units.js';
+import { FabricationExporter } from '../fabrication_export.js';
+
+test('lengths convert between millimeters and inches', () => {
+    assert.equal(Units.toMm(2, 'inches'), 2 * MM_PER_INCH);
+    assert.equal(Units.fromMm(50.8, 'inches'), 2);
+    assert.equal(Units.toMm(12.5, 'mm'), 12.5);
+    assert.throws(() => Units.toMm(1, 'furlongs'), /Unknown unit/);
+});
+
+test('readouts use the precision of the unit', () => {
+    assert.equal(Units.format(12.345, 'mm'), '12.3 mm');
+    assert.equal(Units.format(12.7, 'inches'), '0.500 in');
+    assert.equal(Units.format(12.345, 'mm', { precise: true, suffix: false }), '12.35');
+    assert.equal(Units.formatArea(645.16, 'inches'), '1.00 in²');
+    assert.equal(Units.formatArea(1234.4, 'mm'), '1234 mm²');
+});
+
+test('typed inch values are read back as exact millimeters', () => {
+    // Decimals must survive: 1.5 in is not 1 in
+    assert.ok(Math.abs(Units.parse('1.5', 'inches') - 38.1) < 1e-9);
+    assert.ok(Number.isNaN(Units.parse('', 'inches')));
+    assert.equal(Units.toInput(38.1, 'inches'), '1.5');
+    assert.equal(Units.toInput(700, 'inches'), '27.5591');
+    assert.equal(Units.toInput(123.456, 'mm'), '123.46');
+
+    // A field that still shows the rounded value stands for the exact length
+    assert.equal(Units.isShownValue('27.5591', 700, 'inches'), true);
+    assert.equal(Units.isShownValue('27.56', 700, 'inches'), false);
+});
+
+test('cut file annotations follow the unit while geometry stays in millimeters', () => {
+    const link = { name: 'AB', length: 127, barWidth: 12.7, pinDiameter: 6.35 };
+    const shapes = FabricationExporter.linkShapes(link, 'inches');
+    const text = shapes.find(shape => shape.type === 'text').text;
+    assert.equal(text, 'Link AB: L = 5.0000 in, width 0.500 in, pins 0.250 in');
+    assert.deepEqual(shapes.find(shape => shape.type === 'circle' && shape.center.x > 0).center, { x: 127, y: 0 });
+    assert.match(FabricationExporter.linkShapes(link).find(shape => shape.type === 'text').text, /L = 127\.00 mm/);
+});
@@ -0,0 +1,83 @@
+/**
+ * Units - Length units for display and input.
+ * The design is always stored in millimeters: world coordinates are mm and the view
+ * scale maps mm to canvas pixels, independent of the box size. A unit only changes
+ * how lengths are shown and how typed values are read back.
+ *
+ * Unit specs: {
+ *   label: string          suffix shown after values
+ *   mmPer: number          millimeters in one unit
+ *   decimals: number       readout precision
+ *   inputDecimals: number  precision of editable fields and exact values (violations, cut files)
+ *   step: number           spinner step of length inputs
+ * }
+ * No UI or rendering logic is included.
+ */
+
+export const MM_PER_INCH = 25.4;
+
+const UNITS = {
+    mm: { label: 'mm', mmPer: 1, decimals: 1, inputDecimals: 2, step: 0.1 },
+    inches: { label: 'in', mmPer: MM_PER_INCH, decimals: 3, inputDecimals: 4, step: 0.01 }
+};
+
+export class Units {
+    static get(unit) {
+        const spec = UNITS[unit];
+        if (!spec) throw new Error(`Unknown unit: ${unit}`);
+        return spec;
+    }
+
+    static toMm(value, unit) {
+        return value * Units.get(unit).mmPer;
+    }
+
+    static fromMm(mm, unit) {
+        return mm / Units.get(unit).mmPer;
+    }
+
+    static label(unit) {
+        return Units.get(unit).label;
+    }
+
+    static step(unit) {
+        return Units.get(unit).step;
+    }
+
+    /**
+     * Readout of a length, e.g. "12.7 mm" or "0.500 in".
+     * @param {number} mm - Length in millimeters.
+     * @param {string} unit - 'mm' or 'inches'.
+     * @param {Object} options - { precise }: input precision instead of readout precision;
+     *   { suffix }: false leaves out the unit label.
+     */
+    static format(mm, unit, { precise = false, suffix = true } = {}) {
+        const spec = Units.get(unit);
+        const text = Units.fromMm(mm, unit).toFixed(precise ? spec.inputDecimals : spec.decimals);
+        return suffix ? `${text} ${spec.label}` : text;
+    }
+
+    // Areas (e.g. footprints) in square units; whole mm², inches to two decimals
+    static formatArea(mm2, unit) {
+        const spec = Units.get(unit);
+        return `${(mm2 / (spec.mmPer * spec.mmPer)).toFixed(unit === 'mm' ? 0 : 2)} ${spec.label}²`;
+    }
+
+    // Value for an editable field, rounded to input precision without trailing zeros
+    static toInput(mm, unit) {
+        return String(Number(Units.fromMm(mm, unit).toFixed(Units.get(unit).inputDecimals)));
+    }
+
+    // Typed value in millimeters, NaN when the field does not hold a number
+    static parse(text, unit) {
+        const value = parseFloat(text);
+        return Number.isFinite(value) ? Units.toMm(value, unit) : NaN;
+    }
+
+    // Whether a typed value is just the rounded display of mm (so the exact length is kept)
+    static isShownValue(text, mm, unit) {
+        const value = parseFloat(text);
+        const resolution = 0.5 * 10 ** -Units.get(unit).inputDecimals;
+        return Number.isFinite(value) && Math.abs(value - Units.fromMm(mm, unit)) <= resolution + 1e-12;
+    }
+}